@@ -0,0 +1,174 @@
+// backup.js — bazaning to‘liq snapshot i (gzip qilingan Extended JSON) va uni qayta tiklash
+//
+// Snapshot: { format, version, createdAt, reason, source, counts, collections: { nomi: [hujjatlar] } }.
+// Extended JSON da ObjectId va Date turlari saqlanadi — tiklanganda baza avvalgidek bo‘ladi.
+// Bazadagi hamma to‘plamlar olinadi: keyin qo‘shilgan to‘plamlar ham o‘zi backup ga kiradi.
+// Fayllar BACKUP_DIR da saqlanadi, eng oxirgi BACKUP_KEEP tasi qoladi.
+
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const mongoose = require("mongoose");
+
+// mongoose ichidagi driver bilan bir xil bson (boshqa versiyadagi ObjectId ni serialize qilmaydi)
+const { EJSON } = mongoose.mongo.BSON;
+
+const BACKUP_FORMAT = "ps-club-backup";
+const BACKUP_VERSION = 1;
+const BACKUP_FILE_RE = /^backup-[0-9TZ-]+\.json\.gz$/;
+const RESTORE_MODES = ["merge", "replace"];
+const BULK_CHUNK = 1000;
+
+// system.* va exclude dagilardan tashqari hamma to‘plamlar, nomi bo‘yicha tartibda
+async function dumpDatabase(db, { exclude = [] } = {}) {
+    const list = await db.listCollections({}, { nameOnly: true }).toArray();
+    const collections = {};
+    for (const name of list.map(c => c.name).filter(n => !n.startsWith("system.") && !exclude.includes(n)).sort()) {
+        collections[name] = await db.collection(name).find().toArray();
+    }
+    return collections;
+}
+
+function buildSnapshot(collections, meta = {}) {
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        createdAt: new Date(),
+        ...meta,
+        counts: Object.fromEntries(Object.entries(collections).map(([name, docs]) => [name, docs.length])),
+        collections
+    };
+}
+
+function encodeSnapshot(snapshot) {
+    return zlib.gzipSync(EJSON.stringify(snapshot));
+}
+
+/**
+ * Yuklangan faylni o‘qib tekshiradi (gzip yoki oddiy JSON). Noto‘g‘ri bo‘lsa — Error (sababi bilan).
+ * @param {Buffer} buffer
+ */
+function decodeSnapshot(buffer) {
+    if (!buffer || !buffer.length) throw new Error("Fayl bo‘sh");
+    let text;
+    try {
+        text = (buffer[0] === 0x1f && buffer[1] === 0x8b ? zlib.gunzipSync(buffer) : buffer).toString("utf8");
+    } catch (e) {
+        throw new Error("Fayl ochilmadi (gzip buzilgan)");
+    }
+    let snapshot;
+    try {
+        snapshot = EJSON.parse(text);
+    } catch (e) {
+        throw new Error("JSON noto‘g‘ri: " + e.message);
+    }
+    if (!snapshot || snapshot.format !== BACKUP_FORMAT) throw new Error("Bu PS Club backup fayli emas");
+    if (!Number.isInteger(snapshot.version) || snapshot.version < 1 || snapshot.version > BACKUP_VERSION) {
+        throw new Error(`Backup versiyasi qo‘llab-quvvatlanmaydi: ${snapshot.version}`);
+    }
+    if (!snapshot.collections || typeof snapshot.collections !== "object") throw new Error("collections yo‘q");
+    for (const [name, docs] of Object.entries(snapshot.collections)) {
+        if (!/^[A-Za-z0-9_-]+$/.test(name)) throw new Error(`To‘plam nomi noto‘g‘ri: ${name}`);
+        if (!Array.isArray(docs)) throw new Error(`${name}: hujjatlar ro‘yxati emas`);
+        const bad = docs.findIndex(d => !d || typeof d !== "object" || d._id === undefined || d._id === null);
+        if (bad >= 0) throw new Error(`${name}: ${bad + 1}-hujjatda _id yo‘q`);
+        if (snapshot.counts && snapshot.counts[name] !== undefined && snapshot.counts[name] !== docs.length) {
+            throw new Error(`${name}: hujjatlar soni mos emas (fayl to‘liq emas)`);
+        }
+    }
+    return snapshot;
+}
+
+/**
+ * Snapshot ni bazaga yozadi.
+ *   replace — to‘plam tozalanadi va snapshot dagisi yoziladi
+ *   merge   — _id bo‘yicha upsert (snapshot dagi hujjat ustun, bazadagi boshqa hujjatlar qoladi);
+ *             hisoblagichlar faqat oshadi ($max) — yangi zakaz raqamlari to‘qnashmaydi
+ * exclude dagi to‘plamlarga tegilmaydi (replace da ham tozalanmaydi).
+ * Tranzaksiyasiz: xato bo‘lsa qisman yozilgan bo‘lishi mumkin — shuning uchun oldin backup olinadi.
+ * @returns {Promise<Object<string, { restored: number, errors: string[] }>>}
+ */
+async function restoreSnapshot(db, snapshot, { mode = "merge", collections = null, counters = "counters", exclude = [] } = {}) {
+    const result = {};
+    for (const [name, docs] of Object.entries(snapshot.collections)) {
+        if (collections && !collections.includes(name)) continue;
+        if (exclude.includes(name)) continue; // eski snapshot da bo‘lsa ham tiklanmaydi
+        const coll = db.collection(name);
+        const stat = result[name] = { restored: 0, errors: [] };
+        if (mode === "replace") await coll.deleteMany({});
+        for (let i = 0; i < docs.length; i += BULK_CHUNK) {
+            const ops = docs.slice(i, i + BULK_CHUNK).map(doc => {
+                if (mode === "replace") return { insertOne: { document: doc } };
+                if (name === counters) {
+                    return { updateOne: { filter: { _id: doc._id }, update: { $max: { seq: doc.seq || 0 } }, upsert: true } };
+                }
+                return { replaceOne: { filter: { _id: doc._id }, replacement: doc, upsert: true } };
+            });
+            try {
+                await coll.bulkWrite(ops, { ordered: false });
+                stat.restored += ops.length;
+            } catch (e) {
+                // ordered: false — qolganlari yozilgan; xato bergan hujjatlar ro‘yxati
+                const writeErrors = e.writeErrors ? [].concat(e.writeErrors) : null;
+                if (!writeErrors) throw e;
+                stat.restored += ops.length - writeErrors.length;
+                stat.errors.push(...writeErrors.slice(0, 20 - stat.errors.length).map(w => w.errmsg || String(w)));
+            }
+        }
+    }
+    return result;
+}
+
+// ===== fayllar (BACKUP_DIR) =====
+
+function backupFileName(at = new Date()) {
+    return `backup-${at.toISOString().replace(/[:.]/g, "-")}.json.gz`;
+}
+
+// eng yangisi birinchi
+function listBackups(dir) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+        .filter(name => BACKUP_FILE_RE.test(name))
+        .map(name => {
+            const stat = fs.statSync(path.join(dir, name));
+            return { name, size: stat.size, at: stat.mtime };
+        })
+        .sort((a, b) => b.at - a.at);
+}
+
+// nomi tekshiriladi (../ orqali boshqa faylga yo‘l yo‘q); topilmasa — null
+function backupPath(dir, name) {
+    if (!BACKUP_FILE_RE.test(String(name))) return null;
+    const file = path.join(dir, name);
+    return fs.existsSync(file) ? file : null;
+}
+
+function saveBackup(dir, buffer, at) {
+    fs.mkdirSync(dir, { recursive: true });
+    const name = backupFileName(at);
+    fs.writeFileSync(path.join(dir, name), buffer);
+    return name;
+}
+
+// eng yangi `keep` tasidan boshqasi o‘chiriladi; o‘chirilganlar nomi qaytadi
+function rotateBackups(dir, keep) {
+    const removed = listBackups(dir).slice(Math.max(keep, 1)).map(b => b.name);
+    removed.forEach(name => fs.unlinkSync(path.join(dir, name)));
+    return removed;
+}
+
+module.exports = {
+    BACKUP_FORMAT,
+    BACKUP_VERSION,
+    RESTORE_MODES,
+    dumpDatabase,
+    buildSnapshot,
+    encodeSnapshot,
+    decodeSnapshot,
+    restoreSnapshot,
+    listBackups,
+    backupPath,
+    saveBackup,
+    rotateBackups
+};
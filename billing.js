@@ -0,0 +1,240 @@
+// billing.js — tariflar bo‘yicha sessiya narxini hisoblash (bitta umumiy joy)
+//
+// Tarif: { name, pricePerHour, stations[], consoleTypes[], days[], timeFrom, timeTo,
+//          priority, roundTo, roundMode, minCharge, active }
+// Sessiya tarif chegarasini kesib o‘tsa (masalan 22:00 tungi tarif), har bir bo‘lak
+// o‘z narxida hisoblanadi. Yaxlitlash va minimal summa sessiya boshidagi tarifdan olinadi.
+// Pauza oraliqlari ({ start, end }) hisobga olinmaydi.
+// To‘lovlar yig‘indisi (summarizePayments) ham shu yerda — server.js va testlar uchun.
+
+const TASHKENT_OFFSET_MS = 5 * 3600 * 1000; // Asia/Tashkent = UTC+5 (DST yo‘q)
+const DAY_MS = 24 * 3600 * 1000;
+const MAX_SESSION_MS = 7 * DAY_MS; // cheksiz tsikldan himoya
+
+// "HH:MM" -> kun boshidan minut (noto‘g‘ri bo‘lsa null)
+function parseClock(str) {
+    if (!str) return null;
+    const m = /^(\d{1,2}):(\d{2})$/.exec(String(str).trim());
+    if (!m) return null;
+    const h = Number(m[1]), min = Number(m[2]);
+    if (h > 24 || min > 59 || (h === 24 && min > 0)) return null;
+    return h * 60 + min;
+}
+
+function localMsOfDay(t) {
+    return ((t + TASHKENT_OFFSET_MS) % DAY_MS + DAY_MS) % DAY_MS;
+}
+
+function localWeekday(t) {
+    return new Date(t + TASHKENT_OFFSET_MS).getUTCDay(); // 0 = yakshanba
+}
+
+// env dagi PRICE_PER_HOUR asosidagi standart tarif (bazada tarif bo‘lmasa)
+function defaultTariff(pricePerHour) {
+    return {
+        name: "Standart",
+        pricePerHour,
+        stations: [],
+        consoleTypes: [],
+        days: [],
+        timeFrom: "",
+        timeTo: "",
+        priority: -Infinity,
+        roundTo: 1000,
+        roundMode: "ceil",
+        minCharge: 0,
+        active: true
+    };
+}
+
+function tariffMatches(tariff, station, t) {
+    if (tariff.active === false) return false;
+    if (tariff.stations && tariff.stations.length && !tariff.stations.includes(station.name)) return false;
+    if (tariff.consoleTypes && tariff.consoleTypes.length && !tariff.consoleTypes.includes(station.consoleType)) return false;
+    if (tariff.days && tariff.days.length && !tariff.days.includes(localWeekday(t))) return false;
+
+    const from = parseClock(tariff.timeFrom);
+    const to = parseClock(tariff.timeTo);
+    if (from === null || to === null || from === to) return true;
+    const m = localMsOfDay(t) / 60000;
+    return from < to ? (m >= from && m < to) : (m >= from || m < to); // 22:00–08:00 kabi
+}
+
+// t paytida amal qiladigan tarif (eng yuqori priority)
+function tariffAt(station, t, tariffs, fallback) {
+    let best = null;
+    for (const tariff of tariffs) {
+        if (!tariffMatches(tariff, station, t)) continue;
+        if (!best || (tariff.priority || 0) > (best.priority || 0)) best = tariff;
+    }
+    return best || fallback;
+}
+
+// t dan keyingi eng yaqin chegara (yarim tun yoki istalgan tarif timeFrom/timeTo)
+function nextBoundary(t, tariffs) {
+    const ms = localMsOfDay(t);
+    let next = DAY_MS;
+    for (const tariff of tariffs) {
+        for (const clock of [tariff.timeFrom, tariff.timeTo]) {
+            const c = parseClock(clock);
+            if (c === null) continue;
+            const b = c * 60000;
+            if (b > ms && b < next) next = b;
+        }
+    }
+    return t + (next - ms);
+}
+
+function applyRounding(raw, tariff) {
+    const step = Number(tariff.roundTo) || 0;
+    let summa = Math.ceil(raw);
+    if (step > 0) {
+        const fn = tariff.roundMode === "floor" ? Math.floor : tariff.roundMode === "round" ? Math.round : Math.ceil;
+        summa = fn(summa / step) * step;
+    }
+    return Math.max(summa, Number(tariff.minCharge) || 0);
+}
+
+// segmentlar: [{ tariff, from, to, minutes, cost }]
+function splitSegments(station, startMs, endMs, tariffs, fallback) {
+    const segments = [];
+    let t = startMs;
+    while (t < endMs && t - startMs < MAX_SESSION_MS) {
+        const tariff = tariffAt(station, t, tariffs, fallback);
+        const to = Math.min(nextBoundary(t, tariffs), endMs);
+        const cost = (Number(tariff.pricePerHour) || 0) * (to - t) / 3600000;
+        const last = segments[segments.length - 1];
+        if (last && last.tariff === tariff) {
+            last.to = to;
+            last.cost += cost;
+        } else {
+            segments.push({ tariff, from: t, to, cost });
+        }
+        t = to;
+    }
+    return segments;
+}
+
+// [start, end] dan pauzalarni ayirib, o‘ynalgan oraliqlarni qaytaradi
+function activeIntervals(startMs, endMs, pauses) {
+    const sorted = (pauses || [])
+        .map(p => [new Date(p.start).getTime(), p.end ? new Date(p.end).getTime() : endMs])
+        .filter(([a, b]) => b > a)
+        .sort((x, y) => x[0] - y[0]);
+    const result = [];
+    let t = startMs;
+    for (const [a, b] of sorted) {
+        if (b <= t) continue;
+        if (a >= endMs) break;
+        if (a > t) result.push([t, a]);
+        t = Math.max(t, b);
+    }
+    if (t < endMs) result.push([t, endMs]);
+    return result;
+}
+
+// pauzada o‘tgan vaqt (ms), ochiq pauza upTo gacha hisoblanadi
+function pausedMs(pauses, upTo = Date.now()) {
+    const limit = new Date(upTo).getTime();
+    return (pauses || []).reduce((sum, p) => {
+        const a = new Date(p.start).getTime();
+        const b = Math.min(p.end ? new Date(p.end).getTime() : limit, limit);
+        return sum + Math.max(0, b - a);
+    }, 0);
+}
+
+/**
+ * Sessiya narxi.
+ * @param {{name: string, consoleType?: string}} station
+ * @param {Date|string|number} start
+ * @param {Date|string|number} end
+ * @param {Array} tariffs bazadagi tariflar
+ * @param {number} pricePerHour standart (fallback) narx
+ * @param {Array<{start: Date, end?: Date}>} [pauses] pauza oraliqlari
+ * @returns {{summa: number, raw: number, tariff: string, segments: Array}}
+ */
+function billSession(station, start, end, tariffs, pricePerHour, pauses = []) {
+    const fallback = defaultTariff(pricePerHour);
+    const startMs = new Date(start).getTime();
+    const endMs = Math.max(new Date(end).getTime(), startMs);
+    const segments = [];
+    for (const [a, b] of activeIntervals(startMs, endMs, pauses)) {
+        segments.push(...splitSegments(station, a, b, tariffs, fallback));
+    }
+    const primary = segments.length ? segments[0].tariff : tariffAt(station, startMs, tariffs, fallback);
+    const raw = segments.reduce((s, seg) => s + seg.cost, 0);
+
+    return {
+        summa: applyRounding(raw, primary),
+        raw,
+        tariff: primary.name,
+        segments: segments.map(seg => ({
+            tariff: seg.tariff.name,
+            pricePerHour: seg.tariff.pricePerHour,
+            from: new Date(seg.from),
+            to: new Date(seg.to),
+            minutes: Math.round((seg.to - seg.from) / 60000),
+            cost: Math.round(seg.cost)
+        }))
+    };
+}
+
+/**
+ * Cash zakaz: to‘langan summa qachon tugashini hisoblash (billSession ning teskarisi).
+ * @returns {Date}
+ */
+function endTimeForAmount(station, start, amount, tariffs, pricePerHour) {
+    const fallback = defaultTariff(pricePerHour);
+    const startMs = new Date(start).getTime();
+    let left = Number(amount) || 0;
+    let t = startMs;
+    while (left > 0 && t - startMs < MAX_SESSION_MS) {
+        const tariff = tariffAt(station, t, tariffs, fallback);
+        const boundary = nextBoundary(t, tariffs);
+        const rate = Number(tariff.pricePerHour) || 0;
+        const segCost = rate * (boundary - t) / 3600000;
+        if (rate > 0 && segCost >= left) {
+            return new Date(t + Math.floor(left / rate * 3600000));
+        }
+        left -= segCost;
+        t = boundary;
+    }
+    return new Date(t);
+}
+
+// ===== To‘lovlar daftari (Payment yozuvlari) =====
+
+const signedAmount = p => p.direction === "refund" ? -p.amount : p.amount;
+
+// to‘lovlar yig‘indisi: byMethod — haqiqiy pul (balansdan to‘lov alohida, balanceUsed), refund lar ayirilgan
+function summarizePayments(payments) {
+    const summary = { byMethod: {}, byKind: {}, total: 0, refunds: 0, balanceUsed: 0, cashIn: 0, cashRefunds: 0 };
+    for (const p of payments) {
+        const signed = signedAmount(p);
+        summary.byKind[p.kind] = (summary.byKind[p.kind] || 0) + signed;
+        if (p.direction === "refund") summary.refunds += p.amount;
+        if (p.method === "balance") {
+            summary.balanceUsed += signed;
+            continue;
+        }
+        summary.byMethod[p.method] = (summary.byMethod[p.method] || 0) + signed;
+        summary.total += signed;
+        if (p.method === "cash") {
+            if (p.direction === "refund") summary.cashRefunds += p.amount;
+            else summary.cashIn += p.amount;
+        }
+    }
+    return summary;
+}
+
+module.exports = {
+    billSession,
+    endTimeForAmount,
+    defaultTariff,
+    activeIntervals,
+    pausedMs,
+    parseClock,
+    signedAmount,
+    summarizePayments,
+    TASHKENT_OFFSET_MS
+};
@@ -0,0 +1,114 @@
+// devices.js — PS ni (televizor/konsol rozetkasini) yoqish-o‘chirish drayverlari
+//
+// Har bir station da device: { driver, ... } bo‘ladi:
+//   http — Tasmota/Shelly uslubidagi smart rozetka: { url: "http://192.168.1.50", model: "tasmota" | "shelly" | "shelly2", channel }
+//   mqtt — broker dagi topic ga ON/OFF: { url?: "mqtt://broker" (default MQTT_URL), topic: "cmnd/ps1/POWER", onPayload, offPayload }
+//   mock — hech qayerga yubormaydi, holat xotirada (uskunasiz test uchun)
+// Qaysi paytda yoqish/o‘chirish — server.js da (zakaz eventlari), bu yerda faqat protokol.
+
+const fetch = require("node-fetch");
+
+const DEVICE_DRIVERS = ["http", "mqtt", "mock"];
+const HTTP_MODELS = ["tasmota", "shelly", "shelly2"];
+
+// rozetkaning "yoq/o‘chir" manzili (model hujjatidagi API)
+const HTTP_URLS = {
+    tasmota: (base, on, channel) => `${base}/cm?cmnd=Power${channel || ""}%20${on ? "On" : "Off"}`,
+    shelly: (base, on, channel) => `${base}/relay/${channel || 0}?turn=${on ? "on" : "off"}`,
+    shelly2: (base, on, channel) => `${base}/rpc/Switch.Set?id=${channel || 0}&on=${on}`
+};
+
+/**
+ * station.device ni tekshiradi va tozalaydi. Xato bo‘lsa — { error }.
+ * driver bo‘sh — boshqarilmaydi (device: null).
+ */
+function parseDeviceInput(input) {
+    if (!input || !input.driver) return { device: null };
+    const d = input;
+    if (!DEVICE_DRIVERS.includes(d.driver)) return { error: `Drayver noto‘g‘ri: ${d.driver}` };
+    if (d.driver === "http") {
+        if (!/^https?:\/\/[^\s]+$/.test(String(d.url || ""))) return { error: "Rozetka manzili kerak (http://192.168.1.50)" };
+        const model = d.model || "tasmota";
+        if (!HTTP_MODELS.includes(model)) return { error: `Model noto‘g‘ri: ${model}` };
+        return { device: { driver: "http", url: String(d.url).replace(/\/+$/, ""), model, channel: Number(d.channel) || 0 } };
+    }
+    if (d.driver === "mqtt") {
+        if (!String(d.topic || "").trim()) return { error: "MQTT topic kerak (cmnd/ps1/POWER)" };
+        if (d.url && !/^mqtts?:\/\/[^\s]+$/.test(String(d.url))) return { error: "Broker manzili noto‘g‘ri (mqtt://...)" };
+        return {
+            device: {
+                driver: "mqtt",
+                url: d.url ? String(d.url) : "",
+                topic: String(d.topic).trim(),
+                onPayload: d.onPayload ? String(d.onPayload) : "ON",
+                offPayload: d.offPayload ? String(d.offPayload) : "OFF"
+            }
+        };
+    }
+    return { device: { driver: "mock" } };
+}
+
+// ===== drayverlar =====
+
+async function switchHttp(device, on, { timeoutMs }) {
+    const url = HTTP_URLS[device.model || "tasmota"](device.url, on, device.channel);
+    const res = await fetch(url, { timeout: timeoutMs });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+}
+
+// broker ga bitta ulanish (url bo‘yicha), birinchi kerak bo‘lganda ochiladi
+const mqttClients = new Map();
+
+function mqttClient(url) {
+    if (!mqttClients.has(url)) {
+        const mqtt = require("mqtt"); // faqat MQTT ishlatilsa yuklanadi
+        const client = mqtt.connect(url, { reconnectPeriod: 5000, connectTimeout: 10000 });
+        client.on("error", e => console.error(`MQTT ${url}:`, e.message));
+        mqttClients.set(url, client);
+    }
+    return mqttClients.get(url);
+}
+
+function switchMqtt(device, on, { mqttUrl, timeoutMs }) {
+    const url = device.url || mqttUrl;
+    if (!url) return Promise.reject(new Error("MQTT broker berilmagan (MQTT_URL)"));
+    const client = mqttClient(url);
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error("MQTT javob bermadi")), timeoutMs);
+        // retain — rozetka qayta ulanganda oxirgi holatni oladi
+        client.publish(device.topic, on ? device.onPayload : device.offPayload, { qos: 1, retain: true }, err => {
+            clearTimeout(timer);
+            if (err) reject(err);
+            else resolve();
+        });
+    });
+}
+
+const mockStates = new Map(); // station -> { on, at }
+
+async function switchMock(device, on, { station }) {
+    mockStates.set(station, { on, at: new Date() });
+    console.log(`[mock device] ${station}: ${on ? "ON" : "OFF"}`);
+}
+
+const DRIVERS = { http: switchHttp, mqtt: switchMqtt, mock: switchMock };
+
+/**
+ * Qurilmani yoqish/o‘chirish. Xato bo‘lsa — reject (sababi bilan).
+ * @param {{ driver: string }} device station.device
+ * @param {boolean} on
+ * @param {{ station: string, mqttUrl?: string, timeoutMs?: number }} options
+ */
+function switchDevice(device, on, { station, mqttUrl = "", timeoutMs = 5000 } = {}) {
+    const driver = DRIVERS[device && device.driver];
+    if (!driver) return Promise.reject(new Error(`Drayver yo‘q: ${device && device.driver}`));
+    return driver(device, on, { station, mqttUrl, timeoutMs });
+}
+
+module.exports = {
+    DEVICE_DRIVERS,
+    HTTP_MODELS,
+    parseDeviceInput,
+    switchDevice,
+    mockStates
+};
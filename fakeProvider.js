@@ -0,0 +1,87 @@
+// fakeProvider.js — Payme va Click ni lokal simulyatsiya qilish (internetsiz test)
+//
+//   node fakeProvider.js payme PS1 15000            — Check → Create → Perform (ikki marta) → CheckTransaction
+//   node fakeProvider.js payme PS1 15000 --cancel   — oxirida CancelTransaction (pul qaytishi)
+//   node fakeProvider.js click PS1 15000            — prepare → complete (ikki marta)
+//   node fakeProvider.js click PS1 15000 --fail     — Click tomonida to‘lov o‘tmagan (error = -5017)
+//
+// Kalitlar serverdagi bilan bir xil .env dan olinadi: PAYME_LOGIN, PAYME_KEY, CLICK_SERVICE_ID, CLICK_SECRET_KEY.
+// Server manzili: BASE_URL (default http://localhost:PORT).
+const fetch = require("node-fetch");
+require("dotenv").config();
+const { paymeAuthHeader, clickSign, CLICK_ACTION } = require("./merchant");
+
+const BASE_URL = (process.env.BASE_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, "");
+const PAYME_LOGIN = process.env.PAYME_LOGIN || "Paycom";
+const PAYME_KEY = process.env.PAYME_KEY || "";
+const CLICK_SERVICE_ID = process.env.CLICK_SERVICE_ID || "";
+const CLICK_SECRET_KEY = process.env.CLICK_SECRET_KEY || "";
+
+let rpcId = 0;
+
+async function payme(method, params) {
+    const res = await fetch(`${BASE_URL}/api/payme`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: paymeAuthHeader(PAYME_LOGIN, PAYME_KEY) },
+        body: JSON.stringify({ jsonrpc: "2.0", id: ++rpcId, method, params })
+    });
+    const data = await res.json();
+    console.log(`payme ${method}:`, JSON.stringify(data.error || data.result));
+    return data;
+}
+
+async function paymeFlow(station, amount, cancel) {
+    const id = `fake-${Date.now()}`;
+    const account = { station };
+    const tiyin = amount * 100;
+
+    const check = await payme("CheckPerformTransaction", { amount: tiyin, account });
+    if (check.error) return;
+    const created = await payme("CreateTransaction", { id, time: Date.now(), amount: tiyin, account });
+    if (created.error) return;
+    await payme("PerformTransaction", { id });
+    await payme("PerformTransaction", { id }); // takroriy so‘rov — natija o‘zgarmasligi kerak
+    await payme("CheckTransaction", { id });
+    if (cancel) {
+        await payme("CancelTransaction", { id, reason: 5 });
+        await payme("CheckTransaction", { id });
+    }
+}
+
+async function click(path, params) {
+    const body = { ...params, service_id: CLICK_SERVICE_ID, sign_time: new Date().toISOString().replace("T", " ").slice(0, 19) };
+    body.sign_string = clickSign(body, CLICK_SECRET_KEY);
+    const res = await fetch(`${BASE_URL}/api/click/${path}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams(body).toString()
+    });
+    const data = await res.json();
+    console.log(`click ${path}:`, JSON.stringify(data));
+    return data;
+}
+
+async function clickFlow(station, amount, failed) {
+    const base = { click_trans_id: String(Date.now()), click_paydoc_id: String(Date.now()), merchant_trans_id: station, amount };
+    const prepared = await click("prepare", { ...base, action: CLICK_ACTION.PREPARE, error: 0, error_note: "Success" });
+    if (prepared.error !== 0) return;
+    const complete = {
+        ...base,
+        action: CLICK_ACTION.COMPLETE,
+        merchant_prepare_id: prepared.merchant_prepare_id,
+        error: failed ? -5017 : 0,
+        error_note: failed ? "Insufficient funds" : "Success"
+    };
+    await click("complete", complete);
+    await click("complete", complete); // takroriy so‘rov — "Already paid"
+}
+
+async function main() {
+    const [provider, station = "PS1", amountArg = "15000", flag] = process.argv.slice(2);
+    const amount = Number(amountArg);
+    if (provider === "payme") return paymeFlow(station, amount, flag === "--cancel");
+    if (provider === "click") return clickFlow(station, amount, flag === "--fail");
+    console.log("Foydalanish: node fakeProvider.js payme|click <PS> <summa> [--cancel|--fail]");
+}
+
+main().catch(e => console.error(e));
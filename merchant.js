@@ -0,0 +1,107 @@
+// merchant.js — Payme (Merchant API, JSON-RPC) va Click (SHOP API) protokol yordamchilari
+//
+// Server callback larida ham, lokal fake provider (fakeProvider.js) da ham ishlatiladi:
+// imzo/autentifikatsiya bir joyda bo‘lsa, test va haqiqiy so‘rov bir xil tekshiriladi.
+
+const crypto = require("crypto");
+
+// ===== Payme =====
+
+// tranzaksiya holatlari (Payme hujjatidagi raqamlar)
+const PAYME_STATE = {
+    CREATED: 1,
+    PERFORMED: 2,
+    CANCELLED: -1,            // yaratilgandan keyin bekor
+    CANCELLED_AFTER_PERFORM: -2
+};
+
+const PAYME_TIMEOUT_MS = 12 * 3600 * 1000; // yaratilgan, lekin bajarilmagan tranzaksiya shu vaqtdan keyin bekor
+const PAYME_REASON_TIMEOUT = 4;
+
+const PAYME_ERRORS = {
+    PARSE: { code: -32700, message: "Parse error" },
+    INVALID_REQUEST: { code: -32600, message: "Invalid request" },
+    TRANSPORT: { code: -32300, message: "Only POST" },
+    METHOD_NOT_FOUND: { code: -32601, message: "Method not found" },
+    AUTH: { code: -32504, message: "Insufficient privilege" },
+    SYSTEM: { code: -32400, message: "System error" },
+    WRONG_AMOUNT: { code: -31001, message: "Noto‘g‘ri summa" },
+    TX_NOT_FOUND: { code: -31003, message: "Tranzaksiya topilmadi" },
+    CANNOT_CANCEL: { code: -31007, message: "Zakaz yakunlangan, bekor qilib bo‘lmaydi" },
+    CANNOT_PERFORM: { code: -31008, message: "Amalni bajarib bo‘lmaydi" },
+    ACCOUNT: { code: -31050, message: "PS topilmadi" },
+    ACCOUNT_BUSY: { code: -31051, message: "PS band" },
+    ACCOUNT_PENDING: { code: -31052, message: "Bu PS uchun boshqa to‘lov kutilmoqda" }
+};
+
+/**
+ * Payme xato obyekti (message uch tilda talab qilinadi)
+ * @param {{ code: number, message: string }} error PAYME_ERRORS dan
+ * @param {string} [text] aniqroq sabab (uz)
+ * @param {string} [data] xato tegishli maydon (masalan "station")
+ */
+function paymeError(error, text, data) {
+    const message = text || error.message;
+    return { code: error.code, message: { uz: message, ru: message, en: message }, data };
+}
+
+// "Authorization: Basic base64(login:key)"
+function paymeAuthHeader(login, key) {
+    return "Basic " + Buffer.from(`${login}:${key}`).toString("base64");
+}
+
+function checkPaymeAuth(header, login, key) {
+    if (!key || !header) return false;
+    const expected = Buffer.from(paymeAuthHeader(login, key));
+    const actual = Buffer.from(String(header));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// ===== Click =====
+
+const CLICK_ACTION = { PREPARE: 0, COMPLETE: 1 };
+
+const CLICK_ERRORS = {
+    SUCCESS: { error: 0, error_note: "Success" },
+    SIGN: { error: -1, error_note: "SIGN CHECK FAILED!" },
+    AMOUNT: { error: -2, error_note: "Incorrect parameter amount" },
+    ACTION: { error: -3, error_note: "Action not found" },
+    ALREADY_PAID: { error: -4, error_note: "Already paid" },
+    USER: { error: -5, error_note: "User does not exist" },
+    TX_NOT_FOUND: { error: -6, error_note: "Transaction does not exist" },
+    UPDATE_FAILED: { error: -7, error_note: "Failed to update user" },
+    REQUEST: { error: -8, error_note: "Error in request from click" },
+    CANCELLED: { error: -9, error_note: "Transaction cancelled" }
+};
+
+/**
+ * md5(click_trans_id + service_id + SECRET_KEY + merchant_trans_id + [merchant_prepare_id] + amount + action + sign_time)
+ * merchant_prepare_id faqat complete (action = 1) da qo‘shiladi.
+ */
+function clickSign(params, secretKey) {
+    const parts = [params.click_trans_id, params.service_id, secretKey, params.merchant_trans_id];
+    if (Number(params.action) === CLICK_ACTION.COMPLETE) parts.push(params.merchant_prepare_id);
+    parts.push(params.amount, params.action, params.sign_time);
+    return crypto.createHash("md5").update(parts.map(p => (p === undefined || p === null ? "" : String(p))).join("")).digest("hex");
+}
+
+function checkClickSign(params, secretKey) {
+    if (!secretKey || !params.sign_string) return false;
+    const expected = Buffer.from(clickSign(params, secretKey));
+    const actual = Buffer.from(String(params.sign_string).toLowerCase());
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = {
+    PAYME_STATE,
+    PAYME_TIMEOUT_MS,
+    PAYME_REASON_TIMEOUT,
+    PAYME_ERRORS,
+    paymeError,
+    paymeAuthHeader,
+    checkPaymeAuth,
+    CLICK_ACTION,
+    CLICK_ERRORS,
+    clickSign,
+    checkClickSign
+};
@@ -2,8 +2,32 @@
 const API_ROOT = "/api";
 
 function getToken() { return localStorage.getItem("ps_token"); }
-function setToken(t) { localStorage.setItem("ps_token", t); }
-function removeToken() { localStorage.removeItem("ps_token"); }
+function getRefreshToken() { return localStorage.getItem("ps_refresh"); }
+function setToken(t, refresh) {
+    localStorage.setItem("ps_token", t);
+    if (refresh) localStorage.setItem("ps_refresh", refresh);
+}
+function removeToken() {
+    localStorage.removeItem("ps_token");
+    localStorage.removeItem("ps_refresh");
+}
+
+// token ichidagi user ({ id, username, role })
+function getUser() {
+    const token = getToken();
+    if (!token) return null;
+    try {
+        const payload = token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/");
+        return JSON.parse(decodeURIComponent(escape(atob(payload))));
+    } catch (e) { return null; }
+}
+
+// hasRole("manager") — manager va owner uchun true
+const ROLES = ["cashier", "manager", "owner"];
+function hasRole(role) {
+    const u = getUser();
+    return !!u && ROLES.indexOf(u.role) >= ROLES.indexOf(role);
+}
 
 function authHeaders(extra = {}) {
     const token = getToken();
@@ -13,9 +37,56 @@ function authHeaders(extra = {}) {
     return h;
 }
 
-// helper for fetch -> auto-handle 401
+// access token qisqa muddatli (15 min): refresh token bilan yangisi olinadi.
+// Bir vaqtda bitta so‘rov; boshqa tab allaqachon yangilagan bo‘lsa (409 stale) — o‘sha token ishlatiladi.
+let refreshing = null;
+function refreshToken() {
+    if (!getRefreshToken()) return Promise.resolve(false);
+    if (!refreshing) {
+        const before = getToken();
+        refreshing = fetch(API_ROOT + "/refresh", {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ refreshToken: getRefreshToken() })
+        })
+            .then(r => r.json())
+            .then(async j => {
+                if (j.ok) {
+                    setToken(j.token, j.refreshToken);
+                    return true;
+                }
+                if (j.stale) {
+                    await new Promise(r => setTimeout(r, 1000));
+                    return getToken() !== before;
+                }
+                return false;
+            })
+            .catch(() => false)
+            .finally(() => { refreshing = null; });
+    }
+    return refreshing;
+}
+
+// muddati tugashidan 1 minut oldin yangilanadi (oddiy fetch ishlatadigan sahifalar uchun ham)
+function scheduleRefresh() {
+    const u = getUser();
+    if (!u || !u.exp) return;
+    const wait = Math.max(u.exp * 1000 - Date.now() - 60000, 0) + Math.random() * 5000; // tablar bir vaqtda emas
+    setTimeout(async () => {
+        const now = getUser();
+        if (now && now.exp * 1000 - Date.now() > 60000) return scheduleRefresh(); // boshqa tab yangilagan
+        await refreshToken();
+        scheduleRefresh();
+    }, wait);
+}
+if (getToken()) scheduleRefresh();
+
+// helper for fetch -> auto-handle 401 (avval token yangilanib, so‘rov bir marta qayta yuboriladi)
 async function fetchJson(url, opts = {}) {
-    const res = await fetch(url, opts);
+    let res = await fetch(url, opts);
+    if (res.status === 401 && opts.headers && opts.headers.Authorization && await refreshToken()) {
+        res = await fetch(url, { ...opts, headers: { ...opts.headers, Authorization: "Bearer " + getToken() } });
+    }
     if (res.status === 401) {
         // invalid token -> remove and redirect to login
         removeToken();
@@ -26,6 +97,36 @@ async function fetchJson(url, opts = {}) {
     try { return JSON.parse(txt); } catch (e) { return txt; }
 }
 
+// live eventlar (/api/events, SSE). Uzilsa o‘zi qayta ulanadi;
+// qayta ulanganda onReconnect chaqiriladi (to‘liq qayta yuklash uchun).
+function subscribeEvents(onEvent, onReconnect) {
+    let es = null;
+    let retry = 1000;
+    let connectedOnce = false;
+    function connect() {
+        const token = getToken();
+        if (!token) return;
+        es = new EventSource(API_ROOT + "/events?token=" + encodeURIComponent(token));
+        es.onopen = () => {
+            if (connectedOnce && onReconnect) onReconnect();
+            connectedOnce = true;
+            retry = 1000;
+        };
+        es.onmessage = (e) => {
+            try { onEvent(JSON.parse(e.data)); } catch (err) { console.error(err); }
+        };
+        es.onerror = () => {
+            // brauzer o‘zi ham qayta ulanadi, lekin 401 dan keyin to‘xtaydi — shuning uchun o‘zimiz
+            es.close();
+            fetchJson(API_ROOT + "/me", { headers: authHeaders() }).catch(() => { }); // 401 bo‘lsa login ga
+            setTimeout(connect, retry);
+            retry = Math.min(retry * 2, 30000);
+        };
+    }
+    connect();
+    return () => es && es.close();
+}
+
 // require logged in (redirect to login if no token)
 function requireAuth() {
     if (!getToken()) {
@@ -35,6 +136,63 @@ function requireAuth() {
     return true;
 }
 
+// stations (PS) ro‘yxati — API dan olinadi
+let _stationsCache = null;
+async function loadStations(all = false) {
+    const j = await fetchJson(API_ROOT + "/stations" + (all ? "?all=1" : ""), { headers: authHeaders() });
+    const list = j && j.ok ? j.stations : [];
+    if (!all) _stationsCache = list;
+    return list;
+}
+
+// select elementni stationlar bilan to‘ldirish
+async function fillStationSelect(select, selected) {
+    const stations = _stationsCache || await loadStations();
+    select.innerHTML = "";
+    stations.forEach(st => {
+        const opt = document.createElement("option");
+        opt.value = st.name;
+        opt.textContent = st.consoleType && st.consoleType !== st.name ? `${st.name} (${st.consoleType})` : st.name;
+        select.appendChild(opt);
+    });
+    if (selected) select.value = selected;
+    return stations;
+}
+
+// station nomiga qarab CSS class (rangli fon)
+function stationClass(name) {
+    const st = (_stationsCache || []).find(s => s.name === name);
+    return (st && st.cssClass) || "ps-bg-" + name;
+}
+
+// xodim kiritgan matnni (ism, izoh, telefon) innerHTML ga xavfsiz qo‘yish
+function escapeHtml(s) {
+    return String(s ?? "").replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
+// zakaz yakunlanganda mijoz hisobidan qisqa ma’lumot (balans, ball)
+function customerSummaryHtml(c) {
+    let html = `<br><b>👤 Mijoz:</b> ${escapeHtml(c.name)}<br>`;
+    if (c.balanceCharged) html += `<b>Balansdan:</b> ${c.balanceCharged.toLocaleString()} so'm (qoldi: ${c.balance.toLocaleString()})<br>`;
+    if (c.toPay > 0) html += `<b style="color:#ff5c5c">Naqd to‘lash kerak:</b> ${c.toPay.toLocaleString()} so'm<br>`;
+    html += `<b>Ball:</b> +${c.pointsEarned}${c.pointsUsed ? ` / -${c.pointsUsed}` : ""} (jami ${c.points})`;
+    return html;
+}
+
+// JSON so‘rov; xato bo‘lsa modal ko‘rsatib null qaytaradi
+async function apiRequest(url, method, body) {
+    const j = await fetchJson(url, {
+        method,
+        headers: authHeaders(),
+        body: body ? JSON.stringify(body) : undefined
+    });
+    if (!j.ok) {
+        await modalAlert("Xato: " + escapeHtml(j.error || JSON.stringify(j)));
+        return null;
+    }
+    return j;
+}
+
 // build navbar (call after DOMContentLoaded)
 function buildNav() {
     if (document.getElementById("ps-nav")) return;
@@ -52,27 +210,54 @@ function buildNav() {
       <a href="/dashboard.html" class="btn">Zakas Qoshish</a>
       <a href="/process.html" class="btn">Jarayonda</a>
       <a href="/completed.html" class="btn">Yakunlangan</a>
-      <a href="/trash.html" class="btn">Trash</a>
-      <a href="/archive.html" class="btn">Arxiv</a>
+      <a href="/customers.html" class="btn">Mijozlar</a>
+      <a href="/products.html" class="btn">Bar</a>
+      <a href="/reservations.html" class="btn">Bronlar</a>
+      <a href="/shifts.html" class="btn">Smena</a>
+      <a href="/trash.html" class="btn" data-role="manager">Trash</a>
+      <a href="/archive.html" class="btn" data-role="manager">Arxiv</a>
+      <a href="/reports.html" class="btn" data-role="manager">Hisobotlar</a>
+      <a href="/stations.html" class="btn" data-role="manager">PS lar</a>
+      <a href="/tariffs.html" class="btn" data-role="manager">Tariflar</a>
+      <a href="/audit.html" class="btn" data-role="manager">Audit</a>
+      <a href="/telegram.html" class="btn" data-role="manager">Telegram</a>
+      <a href="/users.html" class="btn" data-role="owner">Xodimlar</a>
     </div>
     <div >
       <button id="dailyBtn" class="btn btn-primary btn_size ">📊 Kunlik Hisob</button>
-      <button id="archiveBtn" class="btn btn-warning btn_size"> Hsobni yanglash!</button>
-      <button id="clearBtn" class="btn danger btn_size">🧹 DB Tozalash</button>
-      <button id="logoutBtn" class="btn btn_size" style="    margin-top: 7px;">Logout</button>
+      <button id="archiveBtn" class="btn btn-warning btn_size" data-role="manager"> Hsobni yanglash!</button>
+      <button id="clearBtn" class="btn danger btn_size" data-role="owner">🧹 DB Tozalash</button>
+      <button id="logoutBtn" class="btn btn_size" style="    margin-top: 7px;">Logout${getUser() ? ` (${getUser().username})` : ""}</button>
+      <button id="logoutAllBtn" class="btn btn_size" style="    margin-top: 7px;">🚪 Hamma qurilmalardan chiqish</button>
     </div>
   `;
     document.body.prepend(nav);
 
+    // role bo‘yicha ko‘rinmaydigan tugmalar
+    nav.querySelectorAll("[data-role]").forEach(el => {
+        if (!hasRole(el.dataset.role)) el.style.display = "none";
+    });
+
     // Active link
     const path = location.pathname.replace(/\/+$/, "");
     nav.querySelectorAll("a").forEach(a => {
         if (a.getAttribute("href") === path) a.classList.add("active");
     });
 
-    document.getElementById("logoutBtn").onclick = () => {
+    // sessiya serverda ham yopiladi — token o‘g‘irlangan bo‘lsa ham boshqa ishlamaydi
+    async function logout(url) {
+        try {
+            await fetch(url, { method: "POST", headers: authHeaders() });
+        } catch (e) { console.error(e); }
         removeToken();
         window.location.href = "/login.html";
+    }
+
+    document.getElementById("logoutBtn").onclick = () => logout(API_ROOT + "/logout");
+
+    document.getElementById("logoutAllBtn").onclick = async () => {
+        if (!(await modalConfirm("Hamma qurilmalardagi (telefon, boshqa kompyuter) sessiyalar yopilsinmi?", "Chiqish"))) return;
+        logout(API_ROOT + "/logout-all");
     };
 
     document.getElementById("dailyBtn").onclick = async () => {
@@ -86,13 +271,7 @@ function buildNav() {
 
     document.getElementById("clearBtn").onclick = async () => {
         if (!(await modalConfirm("Barcha zakazlarni o‘chirishni istaysizmi?", "DB tozalash"))) return;
-        const superKey = await modalPrompt("Super admin keyni kiriting:", "Super admin");
-        if (!superKey) {
-            await modalAlert("Key kerak", "Super admin");
-            return;
-        }
-        const res = await fetch("/api/clear", { method: "POST", headers: authHeaders({ "super-key": superKey }) });
-        const j = await res.json();
+        const j = await postWithBackup("/api/clear");
         if (j.ok) {
             await modalAlert(
                 `Barcha zakazlar o‘chirildi!<br>
@@ -108,15 +287,11 @@ function buildNav() {
 
     document.getElementById("archiveBtn").onclick = async () => {
         if (!(await modalConfirm("Kunlik hisobni arxivga o‘tkazishni tasdiqlaysizmi? Oldingi kun zakazlari arxivga o‘tadi.", "Kunlik hisobni arxivlash"))) return;
-        const superKey = await modalPrompt("Super admin keyni kiriting:", "Super admin");
-        if (!superKey) {
-            await modalAlert("Key kerak", "Super admin");
-            return;
-        }
-        const res = await fetch("/api/archive-day", { method: "POST", headers: authHeaders({ "super-key": superKey }) });
-        const j = await res.json();
+        const j = await postWithBackup("/api/archive-day");
         if (j.ok) {
-            await modalAlert("Kunlik hisob arxivga o‘tkazildi!");
+            await modalAlert(j.merged
+                ? `${j.date} arxivi bor edi — ${j.archived} ta zakaz unga qo‘shildi.`
+                : "Kunlik hisob arxivga o‘tkazildi!");
             if (typeof loadStats === "function") loadStats();
         } else {
             await modalAlert("Xato: " + (j.error || JSON.stringify(j)), "Xato");
@@ -124,6 +299,20 @@ function buildNav() {
     };
 }
 
+// o‘chiradigan amallar (/clear, /archive-day, arxivdan qaytarish) yaqinda olingan backup talab qiladi:
+// 409 needBackup bo‘lsa — tasdiqlansa backup olinib, so‘rov qayta yuboriladi
+async function postWithBackup(url) {
+    const send = () => fetch(url, { method: "POST", headers: authHeaders() }).then(async r => ({ status: r.status, j: await r.json() }));
+    let { status, j } = await send();
+    if (status === 409 && j.needBackup) {
+        if (!(await modalConfirm(`${j.error}.<br>Hozir backup olinsinmi?`, "Backup"))) return j;
+        const b = await fetchJson("/api/backup", { method: "POST", headers: authHeaders() });
+        if (!b.ok) return b;
+        ({ j } = await send());
+    }
+    return j;
+}
+
 // Modal helpers
 function showModal({ title = "", html = "", ok = "OK", cancel = null, input = false, value = "" }) {
     return new Promise(resolve => {
@@ -143,7 +332,7 @@ function showModal({ title = "", html = "", ok = "OK", cancel = null, input = fa
         }
         modal.style.display = "flex";
         modal.querySelector(".ps-modal-title").innerHTML = title;
-        modal.querySelector(".ps-modal-body").innerHTML = html + (input ? `<input id="ps-modal-input" style="width:100%;margin-top:12px" value="${value}">` : "");
+        modal.querySelector(".ps-modal-body").innerHTML = html + (input ? `<input id="ps-modal-input" style="width:100%;margin-top:12px" value="${escapeHtml(value)}">` : "");
         const actions = modal.querySelector(".ps-modal-actions");
         actions.innerHTML = "";
         if (cancel) {
@@ -175,6 +364,11 @@ async function modalPrompt(msg, title = "Ma'lumot kiriting", value = "") {
     return await showModal({ title, html: msg, ok: "OK", cancel: "Bekor", input: true, value });
 }
 
+// { cash: 120000, card: 50000 } -> "cash: 120 000 so'm | card: 50 000 so'm"
+function formatByMethod(byMethod) {
+    return Object.entries(byMethod || {}).map(([m, v]) => `${m}: ${Number(v).toLocaleString()} so'm`).join(" | ") || "-";
+}
+
 window.completeOrder = async (id) => {
     const confirm = await modalConfirm("Zakazni yakunlaysizmi?");
     if (!confirm) return;
@@ -188,6 +382,10 @@ window.completeOrder = async (id) => {
             msg += `<b>Qolgan vaqt:</b> ${j.qolganMinut ?? 0} minut<br>`;
             msg += `<b>Qaytishi kerak:</b> ${j.qaytish.toLocaleString()} so'm`;
         }
+        if (j.goodsSumma) {
+            msg += `<br><b>🎮 O‘yin:</b> ${j.playSumma.toLocaleString()} so'm<br><b>🥤 Mahsulot:</b> ${j.goodsSumma.toLocaleString()} so'm<br><b>💵 Jami:</b> ${j.totalSumma.toLocaleString()} so'm`;
+        }
+        if (j.customer) msg += customerSummaryHtml(j.customer);
         await modalAlert(msg, "Zakaz yakunlandi");
         loadProcess();
     } else {
@@ -200,15 +398,11 @@ const archiveBtn = document.getElementById("archiveBtn");
 if (archiveBtn) {
     archiveBtn.onclick = async () => {
         if (!(await modalConfirm("Kunlik hisobni arxivga o‘tkazishni tasdiqlaysizmi? Oldingi kun zakazlari arxivga o‘tadi.", "Kunlik hisobni arxivlash"))) return;
-        const superKey = await modalPrompt("Super admin keyni kiriting:", "Super admin");
-        if (!superKey) {
-            await modalAlert("Key kerak", "Super admin");
-            return;
-        }
-        const res = await fetch("/api/archive-day", { method: "POST", headers: authHeaders({ "super-key": superKey }) });
-        const j = await res.json();
+        const j = await postWithBackup("/api/archive-day");
         if (j.ok) {
-            await modalAlert("Kunlik hisob arxivga o‘tkazildi!");
+            await modalAlert(j.merged
+                ? `${j.date} arxivi bor edi — ${j.archived} ta zakaz unga qo‘shildi.`
+                : "Kunlik hisob arxivga o‘tkazildi!");
             if (typeof loadStats === "function") loadStats();
         } else {
             await modalAlert("Xato: " + (j.error || JSON.stringify(j)), "Xato");
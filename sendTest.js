@@ -3,10 +3,11 @@ require("dotenv").config();
 
 const BOT_TOKEN = process.env.BOT_TOKEN;
 const CHAT_ID = process.env.CHAT_ID;
+const TELEGRAM_API_URL = (process.env.TELEGRAM_API_URL || "https://api.telegram.org").replace(/\/+$/, "");
 
 async function send() {
     try {
-        const res = await fetch(`https://api.telegram.org/bot${BOT_TOKEN}/sendMessage`, {
+        const res = await fetch(`${TELEGRAM_API_URL}/bot${BOT_TOKEN}/sendMessage`, {
             method: "POST",
             headers: { "Content-Type": "application/json" },
             body: JSON.stringify({
@@ -2,13 +2,30 @@
 require("dotenv").config();
 const express = require("express");
 const path = require("path");
+const fs = require("fs");
 const mongoose = require("mongoose");
 const fetch = require("node-fetch");
 const jwt = require("jsonwebtoken");
 const cors = require("cors");
 const shortid = require("shortid");
+const crypto = require("crypto");
+const { promisify } = require("util");
+const { billSession, endTimeForAmount, parseClock, pausedMs, signedAmount, summarizePayments, TASHKENT_OFFSET_MS } = require("./billing");
+const { toCsv, parseCsv, toXlsx } = require("./spreadsheet");
+const { createMongoStorage, createSqliteStorage, syncToMongo, sortDocs, dumpLocal } = require("./storage");
+const {
+    RESTORE_MODES, dumpDatabase, buildSnapshot, encodeSnapshot, decodeSnapshot, restoreSnapshot,
+    listBackups, backupPath, saveBackup, rotateBackups
+} = require("./backup");
+const {
+    PAYME_STATE, PAYME_TIMEOUT_MS, PAYME_REASON_TIMEOUT, PAYME_ERRORS, paymeError, checkPaymeAuth,
+    CLICK_ACTION, CLICK_ERRORS, checkClickSign
+} = require("./merchant");
+const { DEVICE_DRIVERS, parseDeviceInput, switchDevice, mockStates } = require("./devices");
 
 const app = express();
+// nginx/proxy orqasida req.ip haqiqiy mijoz IP si bo‘lishi uchun (login cheklovi IP bo‘yicha): TRUST_PROXY=1
+if (process.env.TRUST_PROXY) app.set("trust proxy", /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
 app.use(express.json());
 app.use(cors());
 
@@ -28,35 +45,183 @@ const PORT = process.env.PORT || 3000;
 const MONGO_URI = process.env.MONGO_URI;
 const BOT_TOKEN = process.env.BOT_TOKEN;
 const CHAT_ID = process.env.CHAT_ID;
+// Telegram API manzili (test uchun lokal fake server ko‘rsatish mumkin)
+const TELEGRAM_API_URL = (process.env.TELEGRAM_API_URL || "https://api.telegram.org").replace(/\/+$/, "");
+const TELEGRAM_MODE = process.env.TELEGRAM_MODE || "off"; // off | webhook | polling
+const TELEGRAM_WEBHOOK_URL = process.env.TELEGRAM_WEBHOOK_URL || ""; // https://club.uz/api/telegram/webhook
+const TELEGRAM_WEBHOOK_SECRET = process.env.TELEGRAM_WEBHOOK_SECRET || ""; // webhook rejimida majburiy
+const TELEGRAM_ALLOWED_USERS = (process.env.TELEGRAM_ALLOWED_USERS || "").split(",").map(x => x.trim()).filter(Boolean);
 const JWT_SECRET = process.env.JWT_SECRET || "secretjwt";
 const ADMIN_USER = process.env.ADMIN_USER || "admin";
 const ADMIN_PASS = process.env.ADMIN_PASS || "12345";
-const SUPER_KEY = process.env.SUPER_KEY || "supersecret";
+// access token qisqa (o‘g‘irlansa ham tez eskiradi), refresh token har ishlatilganda almashadi
+const ACCESS_TOKEN_MINUTES = Number(process.env.ACCESS_TOKEN_MINUTES) || 15;
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+// login: LOGIN_WINDOW_MINUTES ichida shuncha xato — LOGIN_LOCK_MINUTES ga bloklanadi
+const LOGIN_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES) || 5;         // bitta username
+const LOGIN_MAX_FAILURES_IP = Number(process.env.LOGIN_MAX_FAILURES_IP) || 20;  // bitta IP (hamma username lar)
+const LOGIN_WINDOW_MINUTES = Number(process.env.LOGIN_WINDOW_MINUTES) || 15;
+const LOGIN_LOCK_MINUTES = Number(process.env.LOGIN_LOCK_MINUTES) || 15;
+
+// production da default maxfiy qiymatlar bilan ishga tushmaydi
+if (process.env.NODE_ENV === "production") {
+    const weak = [];
+    if (!process.env.JWT_SECRET || JWT_SECRET === "secretjwt" || JWT_SECRET.length < 32) weak.push("JWT_SECRET (kamida 32 belgi)");
+    if (!process.env.ADMIN_PASS || ADMIN_PASS === "12345") weak.push("ADMIN_PASS");
+    if (weak.length) {
+        console.error(`NODE_ENV=production: default qiymatlar bilan ishga tushirilmaydi — .env da bering: ${weak.join(", ")}`);
+        process.exit(1);
+    }
+} else if (!process.env.JWT_SECRET) {
+    console.warn("JWT_SECRET berilmagan — default ishlatilmoqda (production da server ishga tushmaydi)");
+}
 const PRICE_PER_HOUR = Number(process.env.PRICE_PER_HOUR) || 15000;
+const PAYMENT_METHODS = ["cash", "card", "click", "payme"];
+// loyalty: har o‘ynalgan soat uchun ball, 1 ball = necha bepul minut
+const LOYALTY_POINTS_PER_HOUR = Number(process.env.LOYALTY_POINTS_PER_HOUR) || 1;
+const LOYALTY_MINUTES_PER_POINT = Number(process.env.LOYALTY_MINUTES_PER_POINT) || 6;
+const LOW_STOCK_THRESHOLD = Number(process.env.LOW_STOCK_THRESHOLD) || 5; // mahsulotda lowStock berilmasa
+// bron: zakaz ochilayotganda necha minut oldindan tekshiriladi, "warn" yoki "block"
+const RESERVATION_GUARD_MINUTES = Number(process.env.RESERVATION_GUARD_MINUTES) || 30;
+const RESERVATION_GUARD_MODE = process.env.RESERVATION_GUARD_MODE === "block" ? "block" : "warn";
+const RESERVATION_REMINDER_MINUTES = Number(process.env.RESERVATION_REMINDER_MINUTES) || 15;
+// cash sessiya tugashidan necha minut oldin ogohlantiriladi: "10,5" (bo‘sh — o‘chirilgan)
+const SESSION_WARN_MINUTES = [...new Set((process.env.SESSION_WARN_MINUTES ?? "10,5").split(",").map(Number).filter(m => m > 0))].sort((a, b) => b - a);
+// biznes kun chegarasi (Toshkent vaqti): "05:00" — tungi o‘yinlar oldingi kunga yoziladi
+const DAY_CUTOFF = process.env.DAY_CUTOFF || "00:00";
+const DAY_CUTOFF_MINUTES = parseClock(DAY_CUTOFF) ?? 0;
+if (parseClock(DAY_CUTOFF) === null) console.warn(`DAY_CUTOFF noto‘g‘ri: "${DAY_CUTOFF}", 00:00 ishlatiladi`);
+// kunlik yopish (hisobot + arxiv) avtomatik; SCHEDULER=off — o‘chirilgan
+const SCHEDULER_ENABLED = process.env.SCHEDULER !== "off";
+const SCHEDULER_CATCHUP_DAYS = Number(process.env.SCHEDULER_CATCHUP_DAYS) || 3; // restartdan keyin necha kun orqaga
+// Payme / Click merchant callback lari (kalit berilmasa — endpoint lar avtorizatsiya xatosi qaytaradi)
+const PAYME_LOGIN = process.env.PAYME_LOGIN || "Paycom";
+const PAYME_KEY = process.env.PAYME_KEY || "";
+const CLICK_SERVICE_ID = process.env.CLICK_SERVICE_ID || "";
+const CLICK_SECRET_KEY = process.env.CLICK_SECRET_KEY || "";
+const MERCHANT_MIN_AMOUNT = Number(process.env.MERCHANT_MIN_AMOUNT) || 1000; // so'm
+// zakaz/arxiv/hisoblagich ombori: mongo | sqlite | auto (ishga tushishda Mongo ulanmasa — SQLite)
+const STORAGE = ["mongo", "sqlite", "auto"].includes(process.env.STORAGE) ? process.env.STORAGE : "mongo";
+const SQLITE_FILE = process.env.SQLITE_FILE || "club.db";
+const MONGO_RETRY_MS = 30 * 1000;
+// to‘liq backup lar (backup.js): papka, nechtasi saqlanadi, /clear va arxivlashdan oldin necha daqiqa ichida olingan bo‘lishi kerak
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(__dirname, "backups");
+const BACKUP_KEEP = Number(process.env.BACKUP_KEEP) || 14;
+const BACKUP_FRESH_MINUTES = Number(process.env.BACKUP_FRESH_MINUTES) || 15;
+const BACKUP_UPLOAD_LIMIT = process.env.BACKUP_UPLOAD_LIMIT || "200mb";
+// PS qurilmalari (devices.js): sessiya yakunlangandan necha sekunddan keyin o‘chiriladi, broker, javob kutish
+const DEVICE_GRACE_SECONDS = Number(process.env.DEVICE_GRACE_SECONDS ?? 60);
+const DEVICE_TIMEOUT_MS = Number(process.env.DEVICE_TIMEOUT_MS) || 5000;
+const MQTT_URL = process.env.MQTT_URL || "";
 
-// Mongo connection
-mongoose.connect(MONGO_URI, { useNewUrlParser: true, useUnifiedTopology: true })
-    .then(() => console.log("MongoDB connected"))
-    .catch(err => {
+// Mongo ulanmagan paytda so‘rovlar navbatda kutib qolmasdan darhol xato qaytaradi
+mongoose.set("bufferCommands", false);
+
+// Mongo connection — ulanmasa server to‘xtamaydi, MONGO_RETRY_MS dan keyin qayta urinadi
+async function connectMongo() {
+    if (!MONGO_URI) {
+        console.warn("MONGO_URI berilmagan — MongoDB siz ishlanadi");
+        return false;
+    }
+    try {
+        await mongoose.connect(MONGO_URI, { serverSelectionTimeoutMS: 5000 });
+        return true;
+    } catch (err) {
         console.error("MongoDB connection error:", err.message);
-        process.exit(1);
-    });
+        setTimeout(connectMongo, MONGO_RETRY_MS);
+        return false;
+    }
+}
+
+const mongoReady = () => mongoose.connection.readyState === 1;
 
-// Counter for auto-increment orderId
+// initStorage() dan keyin: { kind: "mongo" | "sqlite", orders, archives, counters, ... } (storage.js)
+let storage = null;
+// SQLite rejimi va Mongo ulanmagan — xodim, PS, tarif lokal nusxadan olinadi, mijoz/bron/ombor ishlamaydi
+const offline = () => storage.kind === "sqlite" && !mongoReady();
+
+mongoose.connection.on("connected", () => {
+    console.log("MongoDB connected");
+    seedOwner().catch(e => console.error("Owner seed error:", e.message));
+    seedStations().catch(e => console.error("Station seed error:", e.message));
+    runMongoMaintenance();
+});
+mongoose.connection.on("disconnected", () => console.warn("MongoDB disconnected"));
+
+// Counter for auto-increment orderId (storage.counters.next / max)
 const counterSchema = new mongoose.Schema({
     _id: String,
     seq: { type: Number, default: 0 }
 });
 const Counter = mongoose.model("Counter", counterSchema);
-async function getNextSequence(name) {
-    const ret = await Counter.findByIdAndUpdate(
-        name,
-        { $inc: { seq: 1 } },
-        { new: true, upsert: true }
-    );
-    return ret.seq;
+
+// Staff (xodimlar): cashier < manager < owner
+const ROLES = ["cashier", "manager", "owner"];
+const userSchema = new mongoose.Schema({
+    username: { type: String, required: true, unique: true, trim: true },
+    passwordHash: { type: String, required: true },
+    role: { type: String, enum: ROLES, default: "cashier" },
+    active: { type: Boolean, default: true },
+    createdAt: { type: Date, default: Date.now }
+}, { versionKey: false });
+
+const User = mongoose.model("User", userSchema);
+
+// login sessiyasi (qurilma): refresh token ning faqat sha256 i saqlanadi; muddati o‘tgani TTL bilan o‘chadi
+const sessionSchema = new mongoose.Schema({
+    user: { type: String, required: true, index: true }, // User._id (offline owner — "local-owner")
+    username: { type: String, default: "" },
+    refreshHash: { type: String, required: true },
+    prevHash: { type: String, default: "" }, // oldingi token — bir vaqtda ikki tab refresh qilsa
+    rotatedAt: { type: Date, default: null },
+    ip: { type: String, default: "" },
+    userAgent: { type: String, default: "" },
+    createdAt: { type: Date, default: Date.now },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null }
+}, { versionKey: false });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model("Session", sessionSchema);
+
+// login sessiyalari backup ga kirmaydi va tiklanmaydi: aks holda bekor qilingan refresh token lar qaytib kelardi
+const BACKUP_EXCLUDE = [Session.collection.name];
+
+const scrypt = promisify(crypto.scrypt);
+
+// parol hash: "scrypt$<salt>$<hash>"
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString("hex");
+    const hash = await scrypt(String(password), salt, 64);
+    return `scrypt$${salt}$${hash.toString("hex")}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [alg, salt, hash] = String(stored || "").split("$");
+    if (alg !== "scrypt" || !salt || !hash) return false;
+    const expected = Buffer.from(hash, "hex");
+    const actual = await scrypt(String(password), salt, expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+// birinchi ishga tushishda env dagi ADMIN_USER/ADMIN_PASS owner sifatida yaratiladi
+async function seedOwner() {
+    if (await User.countDocuments()) return;
+    await User.create({ username: ADMIN_USER, passwordHash: await hashPassword(ADMIN_PASS), role: "owner" });
+    console.log(`Owner user "${ADMIN_USER}" created`);
 }
 
+// sotilgan mahsulot qatori (zakaz ichida yoki alohida kassa sotuvida)
+const saleItemSchema = new mongoose.Schema({
+    product: { type: mongoose.Schema.Types.ObjectId },
+    name: String,
+    price: Number, // sotilgan paytdagi narx
+    qty: Number,
+    at: { type: Date, default: Date.now },
+    user: String
+}, { _id: false });
+
 // Order schema (note: externalId for backwards-compat)
 const orderSchema = new mongoose.Schema({
     orderId: { type: Number, unique: true, sparse: true }, // sequential
@@ -69,395 +234,4789 @@ const orderSchema = new mongoose.Schema({
     status: { type: String, enum: ["process", "completed", "trash"], default: "process" },
     createdAt: { type: Date, default: Date.now },
     completedAt: { type: Date },
-    deletedAt: { type: Date }
+    deletedAt: { type: Date },
+    createdBy: { type: String, default: "" },   // username
+    completedBy: { type: String, default: "" }, // username yoki "system"
+    // pauza: o‘yinchi chiqib ketsa yoki joystik buzilsa
+    pausedAt: { type: Date, default: null },
+    pauses: { type: [{ _id: false, start: Date, end: Date }], default: [] },
+    // eski to‘lovlar tarixi — endi Payment ledger da (migrateLedger ko‘chiradi)
+    payments: {
+        type: [{
+            _id: false,
+            amount: Number,
+            method: { type: String, default: "cash" }, // cash | card | click | payme | balance | correction
+            at: { type: Date, default: Date.now },
+            user: String
+        }],
+        default: []
+    },
+    // mijoz (ixtiyoriy): VIP summa yakunda balansdan yechiladi, ball yig‘iladi
+    customer: { type: mongoose.Schema.Types.ObjectId, default: null, index: true },
+    customerName: { type: String, default: "" },
+    pointsUsed: { type: Number, default: 0 },  // bepul minut uchun ishlatilgan ball
+    pointsReserved: { type: Boolean, default: false }, // pointsUsed zakaz ochilganda mijozdan yechilgan
+    freeMinutes: { type: Number, default: 0 }, // sessiya boshidagi bepul minutlar
+    // sessiya davomida sotilgan ichimlik/snack (summa ga kirmaydi — alohida daromad)
+    items: { type: [saleItemSchema], default: [] },
+    refund: { type: Number, default: 0 },                               // erta yakunlanganda qaytarilgan pul (qaytish)
+    shift: { type: mongoose.Schema.Types.ObjectId, default: null, index: true }, // zakaz ochilgan kassa smenasi
+    ledger: { type: Boolean, default: false }, // to‘lovlari Payment ga yozilgan
+    warnedMinutes: { type: [Number], default: [] } // yuborilgan "vaqt tugayapti" ogohlantirishlari (SESSION_WARN_MINUTES dan)
 }, { versionKey: false });
 
-// auto-increment orderId if missing
-orderSchema.pre("save", async function (next) {
-    if (this.isNew && (this.orderId === undefined || this.orderId === null)) {
-        this.orderId = await getNextSequence("orderId");
-    }
-    next();
-});
+orderSchema.index({ status: 1, startTime: 1 }); // analytics va hisobotlar uchun
+// ro‘yxatlar (GET /orders, /completed, /trash): status + saralash maydoni + _id (kursor)
+orderSchema.index({ status: 1, createdAt: -1, _id: -1 });
+orderSchema.index({ status: 1, completedAt: -1, _id: -1 });
+orderSchema.index({ status: 1, deletedAt: -1, _id: -1 });
+orderSchema.index({ ps: 1, status: 1, createdAt: -1 });
+orderSchema.index({ externalId: 1 }); // q: externalId boshi bo‘yicha (prefix regex indeksdan foydalanadi)
+// orderId — storage.orders.create() beradi (Counter yoki SQLite hisoblagichi)
 
 const Order = mongoose.model("Order", orderSchema);
 
+// Mijozlar: prepaid balans, tashriflar va loyalty ballari
+const customerSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    phone: { type: String, trim: true, unique: true, sparse: true }, // "+998901234567"
+    note: { type: String, default: "" },
+    balance: { type: Number, default: 0 },
+    points: { type: Number, default: 0 },
+    visitCount: { type: Number, default: 0 },
+    lastVisitAt: { type: Date, default: null },
+    // balans harakati: topup (+), charge (-), correction (±)
+    transactions: {
+        type: [{
+            _id: false,
+            kind: String,
+            amount: Number,
+            method: String,
+            at: { type: Date, default: Date.now },
+            user: String,
+            orderId: Number,
+            ledger: Boolean // topup Payment ga yozilgan
+        }],
+        default: []
+    },
+    visits: {
+        type: [{
+            _id: false,
+            orderId: Number,
+            ps: String,
+            type: String,
+            startTime: Date,
+            endTime: Date,
+            minutes: Number,
+            summa: Number,
+            balanceCharged: Number,
+            pointsEarned: Number,
+            pointsUsed: Number
+        }],
+        default: []
+    },
+    createdAt: { type: Date, default: Date.now }
+}, { versionKey: false });
+
+const Customer = mongoose.model("Customer", customerSchema);
+
+// Mahsulotlar katalogi (ichimlik, snack) — ombordagi qoldiq bilan
+const productSchema = new mongoose.Schema({
+    name: { type: String, required: true, unique: true, trim: true },
+    price: { type: Number, required: true },
+    stock: { type: Number, default: 0 },
+    lowStock: { type: Number, default: null }, // null = LOW_STOCK_THRESHOLD
+    category: { type: String, default: "", trim: true },
+    active: { type: Boolean, default: true },
+    sortOrder: { type: Number, default: 0 },
+    createdAt: { type: Date, default: Date.now }
+}, { versionKey: false });
+
+const Product = mongoose.model("Product", productSchema);
+
+// PS siz kassa sotuvi (faqat mahsulot)
+const saleSchema = new mongoose.Schema({
+    items: { type: [saleItemSchema], default: [] },
+    total: { type: Number, default: 0 },
+    method: { type: String, default: "cash" },
+    createdBy: { type: String, default: "" },
+    shift: { type: mongoose.Schema.Types.ObjectId, default: null },
+    ledger: { type: Boolean, default: false }, // to‘lovi Payment ga yozilgan
+    createdAt: { type: Date, default: Date.now, index: true }
+}, { versionKey: false });
+
+const Sale = mongoose.model("Sale", saleSchema);
+
+// To‘lovlar daftari (ledger): har bir pul harakati alohida yozuv. Zakaz/kun/smena summalari shundan olinadi.
+// amount doim musbat; direction: in — mijozdan olindi, refund — mijozga qaytarildi
+const PAYMENT_KINDS = ["play", "goods", "sale", "topup", "deposit"];
+const paymentSchema = new mongoose.Schema({
+    kind: { type: String, enum: PAYMENT_KINDS, required: true },
+    method: { type: String, required: true }, // PAYMENT_METHODS yoki "balance" (mijoz balansidan)
+    amount: { type: Number, required: true },
+    direction: { type: String, enum: ["in", "refund"], default: "in" },
+    order: { type: mongoose.Schema.Types.ObjectId, default: null, index: true },
+    orderId: { type: Number, default: null },
+    sale: { type: mongoose.Schema.Types.ObjectId, default: null },
+    customer: { type: mongoose.Schema.Types.ObjectId, default: null },
+    reservation: { type: mongoose.Schema.Types.ObjectId, default: null },
+    note: { type: String, default: "" },
+    user: { type: String, default: "" },
+    shift: { type: mongoose.Schema.Types.ObjectId, default: null },
+    at: { type: Date, default: Date.now, index: true }
+}, { versionKey: false });
+
+const Payment = mongoose.model("Payment", paymentSchema);
+
+// Kassa smenasi: ochilishda boshlang‘ich naqd, yopilishda sanalgan pul va farq
+const shiftSchema = new mongoose.Schema({
+    status: { type: String, enum: ["open", "closed"], default: "open", index: true },
+    openedBy: { type: String, required: true },
+    openedAt: { type: Date, default: Date.now },
+    openingFloat: { type: Number, default: 0 },
+    closedBy: { type: String, default: "" },
+    closedAt: { type: Date, default: null },
+    totals: { type: Object, default: null }, // yopilgandagi hisob (computeShiftTotals)
+    counted: { type: Number, default: null },
+    discrepancy: { type: Number, default: null }, // counted - expectedCash (manfiy = kam)
+    note: { type: String, default: "" }
+}, { versionKey: false });
+
+const Shift = mongoose.model("Shift", shiftSchema);
+
+// Bronlar (telefon orqali oldindan band qilish)
+const RESERVATION_STATUSES = ["booked", "arrived", "cancelled", "no-show"];
+const reservationSchema = new mongoose.Schema({
+    station: { type: String, required: true },
+    customerName: { type: String, required: true, trim: true },
+    phone: { type: String, default: "", trim: true },
+    customer: { type: mongoose.Schema.Types.ObjectId, default: null },
+    start: { type: Date, required: true, index: true },
+    end: { type: Date, required: true },            // start + duration (overlap so‘rovlari uchun)
+    durationMinutes: { type: Number, required: true },
+    deposit: { type: Number, default: 0 },
+    depositMethod: { type: String, default: "cash" },
+    note: { type: String, default: "" },
+    status: { type: String, enum: RESERVATION_STATUSES, default: "booked", index: true },
+    order: { type: mongoose.Schema.Types.ObjectId, default: null }, // kelganda ochilgan zakaz
+    reminderSentAt: { type: Date, default: null },
+    createdBy: { type: String, default: "" },
+    createdAt: { type: Date, default: Date.now }
+}, { versionKey: false });
+
+const Reservation = mongoose.model("Reservation", reservationSchema);
+
+// Station (PS) ro‘yxati — frontend selectorlari shu yerdan quriladi
+const stationSchema = new mongoose.Schema({
+    name: { type: String, required: true, unique: true, trim: true }, // "PS1"
+    consoleType: { type: String, default: "PS4", trim: true },      // "PS4", "PS5", ...
+    cssClass: { type: String, default: "" },                        // "ps-bg-PS1"
+    active: { type: Boolean, default: true },
+    sortOrder: { type: Number, default: 0 },
+    device: { type: Object, default: null },                        // rozetka/TV boshqaruvi (devices.js parseDeviceInput)
+    createdAt: { type: Date, default: Date.now }
+}, { versionKey: false });
+
+const Station = mongoose.model("Station", stationSchema);
+
+// nomi va CSS klassi sahifalarda HTML va onclick ichiga qo‘yiladi — faqat oddiy belgilar
+const STATION_NAME_RE = /^[\w -]{1,20}$/;
+const STATION_CLASS_RE = /^[\w -]{0,60}$/;
+const STATION_NAME_ERROR = "Station nomi: harf, raqam, probel, \"-\" yoki \"_\" (20 belgigacha)";
+
+// eski PS1–PS5 ro‘yxati
+function defaultStations() {
+    return ["PS1", "PS2", "PS3", "PS4", "PS5"].map((name, i) => ({
+        name, consoleType: "PS4", cssClass: `ps-bg-${name}`, active: true, sortOrder: i + 1
+    }));
+}
+
+// bo‘sh baza uchun eski PS1–PS5 ro‘yxatini yaratib qo‘yamiz
+async function seedStations() {
+    if (await Station.countDocuments()) return;
+    await Station.insertMany(defaultStations());
+    console.log("Default stations created");
+}
+
+// offline: oxirgi saqlangan PS ro‘yxati (hali saqlanmagan bo‘lsa — PS1–PS5)
+function cachedStations() {
+    return storage.cache.get("stations") || defaultStations();
+}
+
+// helper: faqat mavjud va aktiv stationni qaytaradi
+async function findActiveStation(name) {
+    if (!name) return null;
+    if (offline()) return cachedStations().find(st => st.name === String(name).trim() && st.active) || null;
+    return Station.findOne({ name: String(name).trim(), active: true });
+}
+
+// Tariflar (PS5 narxi, tungi 22:00–08:00, dam olish kunlari va h.k.)
+const tariffSchema = new mongoose.Schema({
+    name: { type: String, required: true, unique: true, trim: true },
+    pricePerHour: { type: Number, required: true },
+    stations: { type: [String], default: [] },      // bo‘sh = hamma station
+    consoleTypes: { type: [String], default: [] },  // bo‘sh = hamma konsol turi
+    days: { type: [Number], default: [] },          // 0=yakshanba ... 6=shanba, bo‘sh = har kuni
+    timeFrom: { type: String, default: "" },        // "22:00"
+    timeTo: { type: String, default: "" },          // "08:00"
+    priority: { type: Number, default: 0 },         // bir nechta mos kelsa, kattasi yutadi
+    roundTo: { type: Number, default: 1000 },
+    roundMode: { type: String, enum: ["ceil", "round", "floor"], default: "ceil" },
+    minCharge: { type: Number, default: 0 },
+    active: { type: Boolean, default: true },
+    createdAt: { type: Date, default: Date.now }
+}, { versionKey: false });
+
+const Tariff = mongoose.model("Tariff", tariffSchema);
+
+// Audit log — zakazdagi har bir o‘zgarish (faqat qo‘shiladi, o‘zgartirilmaydi/o‘chirilmaydi)
+const auditEventSchema = new mongoose.Schema({
+    at: { type: Date, default: Date.now, index: true },
+    actor: {
+        id: String,
+        username: String,
+        role: String
+    },
+    action: { type: String, required: true, index: true }, // "update", "complete", "trash", "restore", ...
+    order: { type: mongoose.Schema.Types.ObjectId, default: null, index: true },
+    orderId: { type: Number, default: null, index: true },
+    ps: { type: String, default: "" },
+    before: { type: Object, default: null }, // faqat o‘zgargan maydonlar
+    after: { type: Object, default: null },
+    meta: { type: Object, default: null }
+}, { versionKey: false });
+
+// append-only: update/delete so‘rovlari rad etiladi
+auditEventSchema.pre(["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "deleteOne", "deleteMany", "findOneAndDelete"], function (next) {
+    next(new Error("AuditEvent is append-only"));
+});
+
+const AuditEvent = mongoose.model("AuditEvent", auditEventSchema);
+
+const AUDIT_FIELDS = ["ps", "type", "summa", "startTime", "endTime", "status", "completedAt", "deletedAt", "pausedAt", "payments", "completedBy", "customer", "freeMinutes", "items"];
+
+function orderSnapshot(o) {
+    if (!o) return null;
+    const src = typeof o.toObject === "function" ? o.toObject() : o;
+    const snap = {};
+    for (const f of AUDIT_FIELDS) snap[f] = src[f] === undefined ? null : src[f];
+    return snap;
+}
+
+// faqat o‘zgargan maydonlarni qoldiradi
+function diffSnapshots(before, after) {
+    if (!before || !after) return { before, after };
+    const b = {}, a = {};
+    for (const f of AUDIT_FIELDS) {
+        if (JSON.stringify(before[f]) !== JSON.stringify(after[f])) {
+            b[f] = before[f];
+            a[f] = after[f];
+        }
+    }
+    return { before: b, after: a };
+}
+
+function auditActor(req) {
+    if (req && req.user) return { id: req.user.id, username: req.user.username, role: req.user.role };
+    return { id: "", username: "system", role: "system" };
+}
+
+// SQLite rejimida to‘lov va audit yozuvlari lokal outbox ga tushadi — sync zakazlar bilan birga
+// Mongo ga yuboradi (zakaz raqami o‘zgarsa, yozuvdagi orderId ham yangilanadi)
+function queueLocal(Model, data) {
+    const doc = new Model(data);
+    const error = doc.validateSync();
+    if (error) throw error;
+    storage.outbox.push(Model.collection.name, doc.toObject());
+    return doc;
+}
+
+// audit yozuvi; xato bo‘lsa faqat log (asosiy amal to‘xtamaydi)
+// deleted = true bo‘lsa "after" bo‘sh qoladi (butunlay o‘chirilgan zakaz)
+async function writeAudit(req, action, order, before, meta = null, deleted = false) {
+    try {
+        const after = order && !deleted ? orderSnapshot(order) : null;
+        const diff = diffSnapshots(before, after);
+        const event = {
+            actor: auditActor(req),
+            action,
+            order: order ? order._id : null,
+            orderId: order ? order.orderId : null,
+            ps: order ? order.ps : "",
+            before: diff.before,
+            after: diff.after,
+            meta
+        };
+        if (storage.kind === "sqlite") queueLocal(AuditEvent, event);
+        else await AuditEvent.create(event);
+    } catch (e) {
+        console.error("Audit error:", e.message);
+    }
+}
+
+// bir nechta zakaz uchun (daily-reset, archive-day) — har biriga alohida yozuv
+async function writeAuditMany(req, action, orders, after, meta = null) {
+    try {
+        if (!orders.length) return;
+        const actor = auditActor(req);
+        const at = new Date();
+        const events = orders.map(o => {
+            const before = orderSnapshot(o);
+            const diff = diffSnapshots(before, { ...before, ...after });
+            return { at, actor, action, order: o._id, orderId: o.orderId, ps: o.ps, before: diff.before, after: diff.after, meta };
+        });
+        if (storage.kind === "sqlite") events.forEach(e => queueLocal(AuditEvent, e));
+        else await AuditEvent.insertMany(events);
+    } catch (e) {
+        console.error("Audit error:", e.message);
+    }
+}
+
+// billing uchun tariflar va stationlar (daily-report kabi joylarda bir marta yuklanadi)
+async function loadBillingContext() {
+    if (offline()) {
+        const tariffs = (storage.cache.get("tariffs") || []).filter(t => t.active);
+        return { tariffs, stations: new Map(cachedStations().map(st => [st.name, st])) };
+    }
+    const [tariffs, stations] = await Promise.all([
+        Tariff.find({ active: true }).lean(),
+        Station.find().lean()
+    ]);
+    return { tariffs, stations: new Map(stations.map(st => [st.name, st])) };
+}
+
+// sessiya narxi — hamma joyda shu funksiya ishlatiladi
+async function priceSession(ps, start, end, ctx, pauses = []) {
+    ctx = ctx || await loadBillingContext();
+    return billSession(ctx.stations.get(ps) || { name: ps }, start, end, ctx.tariffs, PRICE_PER_HOUR, pauses);
+}
+
+// ball evaziga berilgan bepul minutlar — sessiya boshidagi "pauza" sifatida hisoblanadi
+function billingPauses(o) {
+    if (!o.freeMinutes) return o.pauses || [];
+    const start = new Date(o.startTime);
+    const free = { start, end: new Date(start.getTime() + o.freeMinutes * 60000) };
+    return [free, ...(o.pauses || [])];
+}
+
+// zakaz narxi (pauzalar va bepul minutlar chiqarib tashlanadi)
+function priceOrder(o, end, ctx) {
+    return priceSession(o.ps, o.startTime, end, ctx, billingPauses(o));
+}
+
+// cash zakaz: to‘langan summaga qarab tugash vaqti
+async function cashEndTime(ps, start, amount, ctx) {
+    ctx = ctx || await loadBillingContext();
+    return endTimeForAmount(ctx.stations.get(ps) || { name: ps }, start, amount, ctx.tariffs, PRICE_PER_HOUR);
+}
+
+// ===== To‘lovlar daftari =====
+
+// ledger yozuvi; actor — req, { user } yoki null (system). Manfiy summa — teskari yo‘nalish (correction)
+async function recordPayment(actor, entry) {
+    let amount = Number(entry.amount) || 0;
+    if (!amount) return null;
+    let direction = entry.direction || "in";
+    if (amount < 0) {
+        amount = -amount;
+        direction = direction === "in" ? "refund" : "in";
+    }
+    const data = {
+        user: auditActor(actor).username,
+        shift: await currentShiftId(),
+        ...entry,
+        amount,
+        direction
+    };
+    return storage.kind === "sqlite" ? queueLocal(Payment, data) : Payment.create(data);
+}
+
+// ledger dan o‘qish: SQLite rejimida hali Mongo ga yuborilmagan (outbox) yozuvlar ham qo‘shiladi
+async function findPayments(filter, sort = { at: 1 }) {
+    if (storage.kind !== "sqlite") return Payment.find(filter).sort(sort).lean();
+    const remote = mongoReady() ? await Payment.find(filter).lean() : [];
+    return sortDocs([...remote, ...storage.outbox.find(Payment.collection.name, filter)], sort);
+}
+
+// [start, end) oralig‘idagi pul harakati (to‘lov vaqti bo‘yicha — bank ko‘chirmasi bilan solishtirish uchun)
+async function paymentSummary(start, end) {
+    return summarizePayments(await findPayments({ at: { $gte: start, $lt: end } }));
+}
+
+// "cash: 120 000 | card: 50 000" (Telegram va hisobotlar uchun)
+function formatByMethod(byMethod) {
+    return Object.entries(byMethod || {}).map(([m, v]) => `${m}: ${v.toLocaleString()} so'm`).join(" | ") || "-";
+}
+
+// o‘yin uchun jami to‘langan (refund ayirilgan) — cash zakaz tugash vaqti shundan hisoblanadi
+async function playPaid(o) {
+    const payments = await findPayments({ order: o._id, kind: "play" });
+    return payments.reduce((sum, p) => sum + signedAmount(p), 0);
+}
+
+// zakaz yakunidagi to‘lovlar: balansdan yechilgan qism, VIP qoldig‘i, mahsulotlar, erta yakunlashdagi qaytim.
+// prepaid — VIP zakazga oldindan to‘langan (cash dan o‘tkazilgan zakaz yoki bron depoziti)
+async function recordCompletionPayments(actor, o, { method = "cash", balanceCharged = 0, refund = 0, prepaid = 0 } = {}) {
+    const base = { order: o._id, orderId: o.orderId, customer: o.customer || null, at: o.completedAt };
+    if (balanceCharged > 0) await recordPayment(actor, { ...base, kind: "play", method: "balance", amount: balanceCharged });
+    if (o.type === "vip") await recordPayment(actor, { ...base, kind: "play", method, amount: Math.max(0, o.summa - prepaid - balanceCharged) });
+    if (refund > 0) await recordPayment(actor, { ...base, kind: "play", method, amount: refund, direction: "refund", note: "qaytish" });
+    await recordPayment(actor, { ...base, kind: "goods", method, amount: itemsTotal(o.items) });
+}
+
+// eski zakaz (ledger dan oldingi) to‘lovlarini Payment yozuvlariga aylantirish
+function legacyOrderPayments(o) {
+    const base = { order: o._id, orderId: o.orderId, customer: o.customer || null, shift: o.shift || null, user: o.createdBy || "" };
+    const done = o.completedAt || o.startTime;
+    const list = (o.payments || []).filter(p => p.amount).map(p => ({
+        ...base,
+        kind: "play",
+        method: p.method === "correction" ? "cash" : p.method,
+        amount: Math.abs(p.amount),
+        direction: p.amount < 0 ? "refund" : "in",
+        note: p.method === "correction" ? "correction" : "",
+        user: p.user || base.user,
+        at: p.at || o.startTime
+    }));
+    if (o.type === "cash" && !list.length && o.summa > 0) {
+        list.push({ ...base, kind: "play", method: "cash", amount: o.summa + (o.refund || 0), at: o.startTime });
+    }
+    if (o.completedAt && o.type === "vip") {
+        const fromBalance = list.filter(p => p.method === "balance").reduce((sum, p) => sum + p.amount, 0);
+        if (o.summa - fromBalance > 0) list.push({ ...base, kind: "play", method: "cash", amount: o.summa - fromBalance, at: done });
+    }
+    if (o.refund > 0) list.push({ ...base, kind: "play", method: "cash", amount: o.refund, direction: "refund", note: "qaytish", at: done });
+    if (o.completedAt && itemsTotal(o.items) > 0) list.push({ ...base, kind: "goods", method: "cash", amount: itemsTotal(o.items), at: done });
+    return list;
+}
+
+// bir martalik ko‘chirish: ledger dan oldingi zakaz, kassa sotuvi va balans to‘ldirishlari Payment ga.
+// Har bir hujjat avval atomik belgilanadi (ledger: true), keyin yoziladi — qayta yoki parallel ishga tushsa
+// takrorlanmaydi; yozishda xato bo‘lsa belgi qaytariladi.
+async function migrateLedger() {
+    let count = 0;
+    await storage.orders.forEach({ ledger: { $ne: true } }, async o => {
+        const { matchedCount } = await storage.orders.updateMany({ _id: o._id, ledger: { $ne: true } }, { $set: { ledger: true } });
+        if (!matchedCount) return;
+        const list = legacyOrderPayments(o);
+        try {
+            if (list.length) await Payment.insertMany(list);
+        } catch (e) {
+            await storage.orders.updateMany({ _id: o._id }, { $set: { ledger: false } });
+            throw e;
+        }
+        count += list.length;
+    });
+    for await (const sale of Sale.find({ ledger: { $ne: true } }).lean().cursor()) {
+        const { modifiedCount } = await Sale.updateOne({ _id: sale._id, ledger: { $ne: true } }, { $set: { ledger: true } });
+        if (!modifiedCount || !sale.total) continue;
+        try {
+            await Payment.create({ kind: "sale", method: sale.method, amount: sale.total, sale: sale._id, user: sale.createdBy, shift: sale.shift, at: sale.createdAt });
+        } catch (e) {
+            await Sale.updateOne({ _id: sale._id }, { $set: { ledger: false } });
+            throw e;
+        }
+        count++;
+    }
+    for await (const c of Customer.find({ transactions: { $elemMatch: { kind: "topup", ledger: { $ne: true } } } }).lean().cursor()) {
+        for (const t of c.transactions) {
+            if (t.kind !== "topup" || t.ledger) continue;
+            // transactions da _id yo‘q — yozuv vaqti va summasi bo‘yicha belgilanadi
+            const match = { _id: c._id, transactions: { $elemMatch: { kind: "topup", at: t.at, amount: t.amount, ledger: { $ne: true } } } };
+            const { modifiedCount } = await Customer.updateOne(match, { $set: { "transactions.$.ledger": true } });
+            if (!modifiedCount) continue;
+            await Payment.create({ kind: "topup", method: t.method || "cash", amount: t.amount, customer: c._id, user: t.user || "", at: t.at });
+            count++;
+        }
+    }
+    if (count) console.log(`Payment ledger: ${count} ta eski to‘lov ko‘chirildi`);
+}
+
+// cash zakaz tugash vaqtini jami to‘lovdan qayta hisoblash (yopilgan pauzalar qo‘shiladi,
+// ochiq pauza resume da qo‘shiladi)
+async function recomputeCashEnd(o) {
+    const closed = (o.pauses || []).filter(p => p.end);
+    const end = await cashEndTime(o.ps, o.startTime, await playPaid(o));
+    o.endTime = new Date(end.getTime() + pausedMs(closed) + (o.freeMinutes || 0) * 60000);
+}
+
+// mijozli zakaz offline yakunlanmaydi: balans, ball va tashrif Mongo da — keyin hech kim qayta yozmaydi
+const CUSTOMERS_OFFLINE = "Mijozlar bazasi hozir mavjud emas (MongoDB ulanmagan)";
+
+// ballni atomik yechish ($gte sharti bilan) — yetmasa false. Bir vaqtda ochilgan ikki zakaz bir xil ballni ishlata olmaydi
+async function takePoints(customerId, points) {
+    const { modifiedCount } = await Customer.updateOne({ _id: customerId, points: { $gte: points } }, { $inc: { points: -points } });
+    return modifiedCount > 0;
+}
+
+// faol zakaz trash ga tushsa — ochilishda yechilgan ball mijozga qaytadi
+async function releasePoints(o) {
+    if (o.status !== "process" || !o.pointsReserved || !o.pointsUsed) return;
+    if (offline()) throw new Error(CUSTOMERS_OFFLINE);
+    await Customer.updateOne({ _id: o.customer }, { $inc: { points: o.pointsUsed } });
+    o.pointsReserved = false;
+}
+
+// balansdan yechish: o‘qilgan qoldiq hali joyida bo‘lsa $inc bilan (parallel topup yo‘qolmaydi).
+// Qoldiq summadan kam bo‘lsa — borini. Yechilgan summani qaytaradi
+async function chargeBalance(customerId, amount) {
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const c = await Customer.findById(customerId, "balance").lean();
+        const charge = Math.min(c ? c.balance : 0, amount);
+        if (!(charge > 0)) return 0;
+        const { modifiedCount } = await Customer.updateOne({ _id: customerId, balance: { $gte: charge } }, { $inc: { balance: -charge } });
+        if (modifiedCount) return charge;
+    }
+    return 0;
+}
+
+// zakaz yakunida mijoz hisobini yuritish: VIP summa balansdan yechiladi, ball yoziladi.
+// Ishlatilgan ball zakaz ochilganda yechilgan (pointsReserved). Hammasi $inc/$push — parallel
+// topup yoki boshqa zakaz yakuni ustidan yozilmaydi.
+// o.save() va to‘lov yozuvlarini chaqiruvchi o‘zi qiladi (recordCompletionPayments, balanceCharged).
+// prepaid — VIP zakazga oldindan to‘langan, balansdan faqat qolgani yechiladi
+async function settleCustomer(o, playedMinutes, username, prepaid = 0) {
+    if (!o.customer) return null;
+    if (offline()) throw new Error(CUSTOMERS_OFFLINE); // chaqiruvchilar oldindan tekshiradi
+    if (!(await Customer.exists({ _id: o.customer }))) return null;
+    const now = new Date();
+
+    const due = o.type === "vip" ? o.summa - prepaid : 0;
+    const balanceCharged = due > 0 ? await chargeBalance(o.customer, due) : 0;
+
+    // ball faqat pullik minutlar uchun
+    const paidMinutes = Math.max(0, playedMinutes - (o.freeMinutes || 0));
+    const pointsEarned = Math.floor(paidMinutes * LOYALTY_POINTS_PER_HOUR / 60);
+    // eski zakaz (ball ochilishda yechilmagan) — yetsa hozir yechiladi
+    let pointsUsed = o.pointsUsed || 0;
+    if (pointsUsed && !o.pointsReserved && !(await takePoints(o.customer, pointsUsed))) pointsUsed = 0;
+
+    const update = {
+        $inc: { points: pointsEarned, visitCount: 1 },
+        $set: { lastVisitAt: now },
+        $push: {
+            visits: {
+                orderId: o.orderId, ps: o.ps, type: o.type, startTime: o.startTime, endTime: o.endTime || now,
+                minutes: playedMinutes, summa: o.summa, balanceCharged, pointsEarned, pointsUsed
+            }
+        }
+    };
+    if (balanceCharged) {
+        update.$push.transactions = { kind: "charge", amount: -balanceCharged, method: "balance", at: now, user: username, orderId: o.orderId };
+    }
+    const c = await Customer.findOneAndUpdate({ _id: o.customer }, update, { new: true, projection: { name: 1, balance: 1, points: 1 } });
+
+    const toPay = Math.max(0, due - balanceCharged);
+    return { name: c.name, balanceCharged, toPay, pointsEarned, pointsUsed, balance: c.balance, points: c.points };
+}
+
+// mahsulotlar summasi (zakaz yoki kassa sotuvi)
+function itemsTotal(items) {
+    return (items || []).reduce((sum, it) => sum + (it.price || 0) * (it.qty || 0), 0);
+}
+
+// ombordan olish: qoldiq yetarli bo‘lsa atomik kamaytiradi, aks holda null
+async function takeStock(productId, qty) {
+    const product = await Product.findOneAndUpdate(
+        { _id: productId, active: true, stock: { $gte: qty } },
+        { $inc: { stock: -qty } },
+        { new: true }
+    );
+    if (product) notifyLowStock(product, qty);
+    return product;
+}
+
+async function returnStock(productId, qty) {
+    await Product.updateOne({ _id: productId }, { $inc: { stock: qty } });
+}
+
+// qoldiq chegaradan o‘tganda bir marta Telegram ogohlantirishi
+function notifyLowStock(product, soldQty) {
+    const limit = product.lowStock === null || product.lowStock === undefined ? LOW_STOCK_THRESHOLD : product.lowStock;
+    if (product.stock > limit || product.stock + soldQty <= limit) return;
+    sendToTelegram("stock", `<b>⚠️ Mahsulot kam qoldi</b>\n${escapeHtml(product.name)}: <b>${product.stock}</b> dona qoldi`).catch(console.error);
+}
+
+// [{ productId, qty }] -> sale item lar; qoldiq yetmasa olingani qaytariladi
+async function takeItems(lines, username) {
+    const taken = [];
+    const fail = async error => {
+        for (const it of taken) await returnStock(it.product, it.qty);
+        return { ok: false, error };
+    };
+    for (const line of lines) {
+        const qty = Math.floor(Number(line.qty) || 0);
+        let error = null;
+        if (qty <= 0) error = "Miqdor > 0 bo‘lishi kerak!";
+        else if (!mongoose.Types.ObjectId.isValid(line.productId)) error = "Mahsulot topilmadi";
+        const product = error ? null : await takeStock(line.productId, qty);
+        if (!error && !product) {
+            const p = await Product.findById(line.productId).lean();
+            error = p && p.active ? `${p.name}: omborda ${p.stock} dona bor` : "Mahsulot topilmadi";
+        }
+        if (error) return fail(error);
+        taken.push({ product: product._id, name: product.name, price: product.price, qty, at: new Date(), user: username });
+    }
+    return { ok: true, items: taken };
+}
+
+// ochiq pauzani yopadi va uning davomiyligini (ms) qaytaradi
+function closeOpenPause(o, now) {
+    if (!o.pausedAt) return 0;
+    const last = o.pauses[o.pauses.length - 1];
+    if (last && !last.end) last.end = now;
+    else o.pauses.push({ start: o.pausedAt, end: now });
+    const ms = now - new Date(o.pausedAt);
+    o.pausedAt = null;
+    return ms;
+}
+
 // helper: find order by _id or orderId (number) or externalId (string)
 async function findOrderByAnyId(id) {
     // try ObjectId
     if (mongoose.Types.ObjectId.isValid(id)) {
-        const byId = await Order.findById(id);
+        const byId = await storage.orders.findById(id);
         if (byId) return byId;
     }
     // try numeric orderId
     const n = Number(id);
     if (!isNaN(n)) {
-        const byOrderId = await Order.findOne({ orderId: n });
+        const byOrderId = await storage.orders.findOne({ orderId: n });
         if (byOrderId) return byOrderId;
     }
     // try externalId
-    const byExternal = await Order.findOne({ externalId: id });
+    const byExternal = await storage.orders.findOne({ externalId: id });
     if (byExternal) return byExternal;
 
     return null;
 }
 
-// Telegram helper
-async function sendToTelegram(text) {
-    if (!BOT_TOKEN || !CHAT_ID) {
-        console.warn("Telegram not configured (BOT_TOKEN or CHAT_ID missing)");
-        // Do not throw or block, just log and continue
-        return { ok: false, error: "Telegram not configured" };
+// parse_mode: "HTML" xabariga xodim kiritgan matn (ism, izoh): "<" yoki "&" bo‘lsa Telegram 400 qaytaradi
+const escapeHtml = s => String(s ?? "").replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+
+// Telegram Bot API chaqiruvi (xatoni chaqiruvchi ushlaydi)
+async function telegramApi(method, body) {
+    const res = await fetch(`${TELEGRAM_API_URL}/bot${BOT_TOKEN}/${method}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body || {})
+    });
+    return res.json();
+}
+
+// fayl yuborish (sendDocument va h.k.): multipart/form-data qo‘lda yig‘iladi — node-fetch 2 FormData ni bilmaydi
+async function telegramUpload(method, fields, file) {
+    const boundary = "----psclub" + crypto.randomBytes(12).toString("hex");
+    const parts = Object.entries(fields).map(([key, value]) =>
+        Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${key}"\r\n\r\n${value}\r\n`)
+    );
+    parts.push(
+        Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${file.field}"; filename="${file.name}"\r\n` +
+            `Content-Type: ${file.type || "application/octet-stream"}\r\n\r\n`),
+        file.buffer,
+        Buffer.from(`\r\n--${boundary}--\r\n`)
+    );
+    const res = await fetch(`${TELEGRAM_API_URL}/bot${BOT_TOKEN}/${method}`, {
+        method: "POST",
+        headers: { "Content-Type": `multipart/form-data; boundary=${boundary}` },
+        body: Buffer.concat(parts)
+    });
+    return res.json();
+}
+
+// ===== Telegram outbox: xabar avval bazaga yoziladi, worker yuboradi =====
+// Telegram ishlamasa yoki 429 qaytarsa xabar yo‘qolmaydi: backoff bilan qayta urinadi, retry_after kutiladi.
+// Har bir event o‘z chat lariga: TELEGRAM_ROUTES="order.new:-1001,-1002;daily-report:-1003;order.update:"
+// (bo‘sh ro‘yxat — yuborilmaydi). Ro‘yxatda yo‘q event CHAT_ID ga ketadi.
+
+const TELEGRAM_EVENTS = {
+    "order.new": "Yangi zakaz",
+    "order.complete": "Zakaz yakunlandi",
+    "order.auto-complete": "Avtomatik yakunlandi",
+    "order.warning": "Vaqt tugayapti (ogohlantirish)",
+    "order.update": "Uzaytirish, pauza, bekor qilingan to‘lov",
+    "daily-report": "Kunlik hisobot",
+    "backup": "Backup fayllari",
+    "shift": "Kassa smenasi",
+    "sale": "Kassa sotuvi, balans to‘ldirish",
+    "reservation": "Bronlar",
+    "stock": "Mahsulot kam qoldi",
+    "system": "Tozalash, tiklash, sync"
+};
+const TELEGRAM_DOCUMENT_MAX = 50 * 1024 * 1024; // Bot API cheklovi
+const TELEGRAM_MAX_ATTEMPTS = 10;
+const TELEGRAM_OUTBOX_INTERVAL_MS = 5000;
+
+function parseTelegramRoutes(spec) {
+    const routes = {};
+    for (const part of spec.split(";").map(p => p.trim()).filter(Boolean)) {
+        const i = part.indexOf(":");
+        const event = (i < 0 ? part : part.slice(0, i)).trim();
+        if (!TELEGRAM_EVENTS[event]) console.warn(`TELEGRAM_ROUTES: noma’lum event "${event}"`);
+        routes[event] = i < 0 ? [] : part.slice(i + 1).split(",").map(c => c.trim()).filter(Boolean);
+    }
+    return routes;
+}
+const TELEGRAM_ROUTES = parseTelegramRoutes(process.env.TELEGRAM_ROUTES || "");
+
+function telegramChats(event) {
+    return TELEGRAM_ROUTES[event] || (CHAT_ID ? [CHAT_ID] : []);
+}
+
+const telegramMessageSchema = new mongoose.Schema({
+    event: { type: String, default: "system" },
+    chatId: { type: String, required: true },
+    method: { type: String, enum: ["sendMessage", "sendDocument"], default: "sendMessage" },
+    text: { type: String, default: "" },       // xabar matni yoki hujjat caption (HTML)
+    document: { type: String, default: null }, // backup fayl nomi (BACKUP_DIR) — yuborish paytida o‘qiladi
+    status: { type: String, enum: ["pending", "sent", "failed"], default: "pending" },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lastError: { type: String, default: "" },
+    createdAt: { type: Date, default: Date.now },
+    sentAt: { type: Date, default: null }
+}, { versionKey: false });
+telegramMessageSchema.index({ status: 1, createdAt: 1 });
+telegramMessageSchema.index({ sentAt: 1 }, { expireAfterSeconds: 30 * 24 * 3600 }); // yuborilganlar 30 kundan keyin o‘chadi
+const TelegramMessage = mongoose.model("TelegramMessage", telegramMessageSchema);
+
+/**
+ * Xabarni navbatga qo‘yish — event ning har bir chat i uchun alohida yozuv. Xato bo‘lsa faqat log
+ * (asosiy amal to‘xtamaydi). SQLite rejimida lokal outbox ga tushadi, sync dan keyin yuboriladi.
+ * @param {string} event TELEGRAM_EVENTS kaliti
+ * @param {string} text HTML matn (hujjat bo‘lsa — caption)
+ * @param {string} [document] backup fayl nomi — sendDocument
+ * @returns {Promise<number>} navbatga qo‘yilgan xabarlar soni
+ */
+async function sendToTelegram(event, text, document = null) {
+    if (!BOT_TOKEN) {
+        console.warn("Telegram not configured (BOT_TOKEN missing)");
+        return 0;
     }
     try {
-        const res = await fetch(`https://api.telegram.org/bot${BOT_TOKEN}/sendMessage`, {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({ chat_id: CHAT_ID, text, parse_mode: "HTML" })
-        });
-        // Even if Telegram returns error (e.g. group not found), log but do not block
-        const data = await res.json();
-        if (!data.ok) {
-            console.warn("Telegram API error:", data.description || data);
-        }
-        return data;
+        const messages = telegramChats(event).map(chatId => ({
+            event, chatId, text, document, method: document ? "sendDocument" : "sendMessage"
+        }));
+        if (!messages.length) return 0;
+        if (storage.kind === "sqlite") messages.forEach(m => queueLocal(TelegramMessage, m));
+        else await TelegramMessage.insertMany(messages);
+        setImmediate(telegramOutboxTick);
+        return messages.length;
     } catch (e) {
-        console.error("Telegram error:", e.message);
-        // Never throw, always allow site to work
-        return { ok: false, error: e.message };
+        console.error("Telegram outbox error:", e.message);
+        return 0;
     }
+}
+
+async function deliverTelegram(m) {
+    if (m.method !== "sendDocument") return telegramApi("sendMessage", { chat_id: m.chatId, text: m.text, parse_mode: "HTML" });
+    const file = backupPath(BACKUP_DIR, m.document);
+    if (!file) return { ok: false, error_code: 404, description: "Fayl topilmadi (rotatsiyada o‘chirilgan)" };
+    const buffer = fs.readFileSync(file);
+    if (buffer.length > TELEGRAM_DOCUMENT_MAX) return { ok: false, error_code: 413, description: "Fayl Telegram uchun juda katta (50 MB)" };
+    return telegramUpload("sendDocument", { chat_id: m.chatId, caption: m.text, parse_mode: "HTML" }, {
+        field: "document", name: m.document, buffer, type: "application/gzip"
+    });
+}
+
+// 30s, 1m, 2m, ... 1 soatgacha
+const telegramBackoffMs = attempts => Math.min(30000 * 2 ** (attempts - 1), 3600000);
+
+let telegramBusy = false;
+let telegramPausedUntil = 0; // 429 retry_after — butun bot uchun
+
+// navbatdagi xabarlar createdAt tartibida; bitta chat da oldingisi kutayotgan bo‘lsa keyingisi ham kutadi
+async function telegramOutboxTick() {
+    if (telegramBusy || !BOT_TOKEN || !storage || !mongoReady() || Date.now() < telegramPausedUntil) return;
+    telegramBusy = true;
+    try {
+        const queue = await TelegramMessage.find({ status: "pending" }).sort({ createdAt: 1, _id: 1 }).limit(100).lean();
+        const blocked = new Set();
+        for (const m of queue) {
+            if (blocked.has(m.chatId)) continue;
+            if (m.nextAttemptAt > new Date()) {
+                blocked.add(m.chatId);
+                continue;
+            }
+            let data;
+            try {
+                data = await deliverTelegram(m);
+            } catch (e) {
+                data = { ok: false, description: e.message }; // tarmoq xatosi — qayta urinadi
+            }
+            if (data.ok) {
+                await TelegramMessage.updateOne({ _id: m._id }, { $set: { status: "sent", sentAt: new Date(), lastError: "" }, $inc: { attempts: 1 } });
+                continue;
+            }
 
+            const lastError = `${data.error_code || ""} ${data.description || ""}`.trim();
+            const retryAfter = data.parameters && data.parameters.retry_after;
+            if (retryAfter) {
+                // rate limit — urinish hisoblanmaydi, aytilgan vaqtgacha hech narsa yuborilmaydi
+                telegramPausedUntil = Date.now() + retryAfter * 1000;
+                await TelegramMessage.updateOne({ _id: m._id }, { $set: { lastError, nextAttemptAt: new Date(telegramPausedUntil) } });
+                break;
+            }
+            const attempts = m.attempts + 1;
+            // 4xx (chat topilmadi, bot bloklangan, noto‘g‘ri matn) — qayta urinish foyda bermaydi
+            const permanent = (data.error_code >= 400 && data.error_code < 500) || attempts >= TELEGRAM_MAX_ATTEMPTS;
+            if (permanent) {
+                console.warn(`Telegram xabar yuborilmadi (${m.event} -> ${m.chatId}):`, lastError);
+                await TelegramMessage.updateOne({ _id: m._id }, { $set: { status: "failed", attempts, lastError } });
+            } else {
+                blocked.add(m.chatId);
+                await TelegramMessage.updateOne({ _id: m._id }, { $set: { attempts, lastError, nextAttemptAt: new Date(Date.now() + telegramBackoffMs(attempts)) } });
+            }
+        }
+    } catch (e) {
+        console.error("Telegram outbox error:", e.message);
+    } finally {
+        telegramBusy = false;
+    }
 }
 
-// Telegram helper (chunked)
-async function sendToTelegramChunks(lines, title = "") {
+setInterval(telegramOutboxTick, TELEGRAM_OUTBOX_INTERVAL_MS);
+
+// qatorlarni 4000 belgidan oshmaydigan xabarlarga bo‘lish
+function chunkLines(lines, title = "") {
     const MAX = 4000;
+    const chunks = [];
     let chunk = title ? `<b>${title}</b>\n` : "";
     for (const line of lines) {
         if ((chunk + line + "\n").length > MAX) {
-            await sendToTelegram(chunk);
+            chunks.push(chunk);
             chunk = "";
         }
         chunk += line + "\n";
     }
-    if (chunk.trim()) await sendToTelegram(chunk);
+    if (chunk.trim()) chunks.push(chunk);
+    return chunks;
 }
 
-// Auth middlewares
-function authMiddleware(req, res, next) {
-    const auth = req.headers.authorization || "";
-    const parts = auth.split(" ");
-    if (parts.length !== 2 || parts[0] !== "Bearer") return res.status(401).json({ ok: false, error: "No token" });
-    const token = parts[1];
-    try {
-        const payload = jwt.verify(token, JWT_SECRET);
-        req.user = payload;
-        return next();
-    } catch (e) {
-        return res.status(401).json({ ok: false, error: "Token invalid or expired" });
-    }
+// Telegram helper (chunked) — bo‘laklar navbatga ketma-ket, shu tartibda yuboriladi
+async function sendToTelegramChunks(event, lines, title = "") {
+    for (const chunk of chunkLines(lines, title)) await sendToTelegram(event, chunk);
 }
-function superMiddleware(req, res, next) {
-    const key = req.headers["super-key"] || req.headers["x-super-key"] || req.body.superKey || req.query.superKey;
-    if (key === SUPER_KEY) return next();
-    return res.status(403).json({ ok: false, error: "Super admin required" });
+
+// Live updates (Server-Sent Events): /api/events
+const sseClients = new Set();
+const SSE_BUFFER_SIZE = 200; // qayta ulanganda Last-Event-ID dan keyingilar yuboriladi
+const sseBuffer = [];
+let sseSeq = 0;
+
+function publishEvent(type, data = {}) {
+    const event = { id: ++sseSeq, type, at: new Date(), ...data };
+    sseBuffer.push(event);
+    if (sseBuffer.length > SSE_BUFFER_SIZE) sseBuffer.shift();
+    const payload = `id: ${event.id}\ndata: ${JSON.stringify(event)}\n\n`;
+    for (const res of sseClients) res.write(payload);
+    // ko‘p zakaz birdan o‘zgardi (tozalash, arxiv, tiklash, sync) — qurilmalar zakazlarga qarab qayta tekshiriladi
+    if (type === "orders.reset") reconcileDevices().catch(e => console.error("Device reconcile error:", e.message));
 }
 
-// Router
-const api = express.Router();
+// type: order.created | order.updated | order.completed | order.auto-completed | order.trashed | order.deleted
+// zakazning har bir o‘zgarishi shu yerdan o‘tadi — PS qurilmasi ham shu yerda yoqiladi/o‘chiriladi
+function publishOrderEvent(type, order) {
+    const o = order && typeof order.toObject === "function" ? order.toObject() : order;
+    publishEvent(type, { order: o });
+    if (o) syncOrderPower(type, o).catch(e => console.error("Device error:", e.message));
+}
 
-// health check
-api.get("/ping", (req, res) => res.json({ ok: true, msg: "pong" }));
+// ulanishni tirik saqlash (proxy/brauzer timeout)
+setInterval(() => {
+    for (const res of sseClients) res.write(": ping\n\n");
+}, 25 * 1000);
 
-// login
-api.post("/login", (req, res) => {
-    const { username, password } = req.body || {};
-    if (!username || !password) return res.status(400).json({ ok: false, error: "Missing credentials" });
-    if (username === ADMIN_USER && password === ADMIN_PASS) {
-        const token = jwt.sign({ role: "admin", username }, JWT_SECRET, { expiresIn: "12h" });
-        return res.json({ ok: true, token });
-    }
-    return res.status(401).json({ ok: false, error: "Invalid username/password" });
-});
+// offline: oxirgi saqlangan xodimlar ro‘yxati (parol hash lari bilan) — initStorage/refreshLocalCache
+function cachedUsers() {
+    return storage.cache.get("users") || [];
+}
 
-// create order
-api.post("/order", authMiddleware, async (req, res) => {
-    try {
-        const { ps = "PS1", type = "vip", amount = 0, startTime } = req.body || {};
+// ===== Sessiyalar: qisqa access token + aylanuvchi refresh token =====
+// Access token (JWT) da sessiya id si (sid) bor. Refresh token — "sid.secret"; har /refresh da yangisi
+// beriladi, eskisi yana kelsa (o‘g‘irlangan nusxa) sessiya butunlay bekor qilinadi.
+// Bekor qilingan sessiyalar revokedSessions da — authMiddleware har so‘rovda tekshiradi.
+// SQLite rejimida sessiyalar lokal cache da: internet yo‘q paytda ham refresh ishlaydi.
 
-        // Yangi: PS bandligini tekshirish
-        const busy = await Order.findOne({ ps, status: "process" });
-        if (busy) {
-            return res.status(400).json({ ok: false, error: "Bu PlayStation hozir band!" });
-        }
+const REFRESH_GRACE_MS = 60 * 1000; // ikkinchi tab eski token bilan kelsa — o‘g‘irlik deb hisoblanmaydi
+const sha256 = text => crypto.createHash("sha256").update(String(text)).digest("hex");
 
-        if (type === "cash" && (!amount || Number(amount) <= 0)) {
-            return res.status(400).json({ ok: false, error: "Cash zakaz uchun summa majburiy!" });
-        }
+// sid -> access token lari eskiradigan vaqt (undan keyin ro‘yxatda turishi shart emas)
+const revokedSessions = new Map();
 
-        const start = startTime ? new Date(startTime) : new Date();
-        let end = null;
-        let summa = Number(amount || 0);
+function localSessions() {
+    return (storage.cache.get("sessions") || []).filter(x => x.expiresAt > new Date());
+}
 
-        if (type === "cash") {
-            const hours = summa / PRICE_PER_HOUR;
-            const ms = Math.floor(hours * 3600 * 1000);
-            end = new Date(start.getTime() + ms);
+const sessions = {
+    async create(data) {
+        if (storage.kind !== "sqlite") return (await Session.create(data)).toObject();
+        const session = { _id: crypto.randomBytes(12).toString("hex"), createdAt: new Date(), lastUsedAt: new Date(), revokedAt: null, prevHash: "", rotatedAt: null, ...data };
+        storage.cache.set("sessions", [...localSessions(), session]);
+        return session;
+    },
+    async findById(id) {
+        if (storage.kind === "sqlite") return localSessions().find(x => x._id === id) || null;
+        return mongoose.Types.ObjectId.isValid(id) ? Session.findById(id).lean() : null;
+    },
+    // faqat refreshHash hali fromHash bo‘lsa yoziladi: bir vaqtda kelgan ikki refresh dan bittasi o‘tadi
+    async rotate(id, fromHash, set) {
+        if (storage.kind !== "sqlite") {
+            const { matchedCount } = await Session.updateOne({ _id: id, refreshHash: fromHash, revokedAt: null }, { $set: set });
+            return matchedCount > 0;
+        }
+        const list = localSessions();
+        const session = list.find(x => x._id === String(id) && x.refreshHash === fromHash && !x.revokedAt);
+        if (!session) return false;
+        storage.cache.set("sessions", list.map(x => (x === session ? { ...x, ...set } : x)));
+        return true;
+    },
+    // { _id } yoki { user } bo‘yicha; bekor qilingan sessiya id lari qaytadi
+    async revoke(filter) {
+        const now = new Date();
+        let ids;
+        if (storage.kind === "sqlite") {
+            const match = x => !x.revokedAt && (filter._id ? x._id === String(filter._id) : x.user === String(filter.user));
+            const list = localSessions();
+            ids = list.filter(match).map(x => x._id);
+            storage.cache.set("sessions", list.map(x => (match(x) ? { ...x, revokedAt: now } : x)));
+        } else {
+            const query = { ...filter, revokedAt: null };
+            ids = (await Session.find(query).select("_id").lean()).map(x => String(x._id));
+            await Session.updateMany({ _id: { $in: ids } }, { $set: { revokedAt: now } });
         }
+        ids.forEach(id => revokedSessions.set(id, now.getTime() + ACCESS_TOKEN_MINUTES * 60000));
+        return ids;
+    }
+};
 
-        const o = new Order({ ps, type, startTime: start, endTime: end, summa, status: "process" });
-        await o.save();
+// restartdan keyin: hali amal qilayotgan access token lari bor bekor qilingan sessiyalar
+async function loadRevokedSessions() {
+    const since = new Date(Date.now() - ACCESS_TOKEN_MINUTES * 60000);
+    const list = storage.kind === "sqlite"
+        ? localSessions().filter(x => x.revokedAt && x.revokedAt > since)
+        : await Session.find({ revokedAt: { $gt: since } }).select("revokedAt").lean();
+    for (const x of list) revokedSessions.set(String(x._id), x.revokedAt.getTime() + ACCESS_TOKEN_MINUTES * 60000);
+}
 
-        const text = `<b>🎮 Yangi Zakaz</b>\nPS: ${o.ps}\nTuri: <u>${o.type.toUpperCase()}</u>\nSumma: <b>${o.summa.toLocaleString()} </b>so'm\n Boshlangan: ${formatTashkent(o.startTime)}\n${o.endTime ? `Yakun: ${formatTashkent(o.endTime)}\n` : ""}\n`;
-        sendToTelegram(text).catch(console.error);
+setInterval(() => {
+    const now = Date.now();
+    for (const [id, until] of revokedSessions) if (until < now) revokedSessions.delete(id);
+}, 60 * 1000);
 
-        return res.json({ ok: true, order: o });
-    } catch (e) {
-        console.error(e);
-        return res.status(500).json({ ok: false, error: e.message });
-    }
-});
+// yangi access + refresh token (login va refresh)
+function issueTokens(user, session, secret) {
+    const token = jwt.sign(
+        { id: String(user._id), role: user.role, username: user.username, sid: String(session._id) },
+        JWT_SECRET,
+        { expiresIn: `${ACCESS_TOKEN_MINUTES}m` }
+    );
+    return { token, refreshToken: `${session._id}.${secret}`, expiresIn: ACCESS_TOKEN_MINUTES * 60 };
+}
 
-// get all orders
-api.get("/orders", authMiddleware, async (req, res) => {
-    try {
-        const orders = await Order.find().sort({ createdAt: -1 }).lean(); // yangi birinchi
-        return res.json(orders);
-    } catch (e) {
-        console.error(e);
+async function findAuthUser(id) {
+    if (offline()) return cachedUsers().find(u => String(u._id) === id) || null;
+    return mongoose.Types.ObjectId.isValid(id) ? User.findById(id).lean() : null;
+}
+
+// ===== Login cheklovi (IP va username bo‘yicha, xotirada) =====
+
+const loginFailures = new Map(); // "ip:1.2.3.4" | "user:admin" -> { count, first, lockedUntil }
+
+function loginLockedUntil(key) {
+    const f = loginFailures.get(key);
+    return f && f.lockedUntil > Date.now() ? f.lockedUntil : 0;
+}
+
+// xato urinish; limitga yetsa bloklanadi — true qaytadi
+function recordLoginFailure(key, max) {
+    const now = Date.now();
+    let f = loginFailures.get(key);
+    if (!f || now - f.first > LOGIN_WINDOW_MINUTES * 60000) f = { count: 0, first: now, lockedUntil: 0 };
+    f.count++;
+    if (f.count >= max) {
+        f.lockedUntil = now + LOGIN_LOCK_MINUTES * 60000;
+        f.count = 0;
+        f.first = now;
+    }
+    loginFailures.set(key, f);
+    return f.lockedUntil > now;
+}
+
+setInterval(() => {
+    const now = Date.now();
+    for (const [key, f] of loginFailures) {
+        if (f.lockedUntil < now && now - f.first > LOGIN_WINDOW_MINUTES * 60000) loginFailures.delete(key);
+    }
+}, 10 * 60 * 1000);
+
+// Auth middlewares
+// token + bazadagi user tekshiriladi: o‘chirilgan/bloklangan xodim darhol chiqarib yuboriladi,
+// logout qilingan sessiya token i (revokedSessions) qabul qilinmaydi
+async function authMiddleware(req, res, next) {
+    const auth = req.headers.authorization || "";
+    const parts = auth.split(" ");
+    if (parts.length !== 2 || parts[0] !== "Bearer") return res.status(401).json({ ok: false, error: "No token" });
+    const token = parts[1];
+    let payload;
+    try {
+        payload = jwt.verify(token, JWT_SECRET);
+    } catch (e) {
+        return res.status(401).json({ ok: false, error: "Token invalid or expired" });
+    }
+    // sid siz token — sessiyalardan oldingi 12 soatlik token, qayta login kerak
+    if (!payload.sid || revokedSessions.has(payload.sid)) return res.status(401).json({ ok: false, error: "Session ended" });
+    try {
+        const user = await findAuthUser(payload.id);
+        if (!user || !user.active) return res.status(401).json({ ok: false, error: "User disabled or removed" });
+        req.user = { id: String(user._id), username: user.username, role: user.role, sid: payload.sid };
+        return next();
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+}
+
+// EventSource header yubora olmaydi — token ?token= orqali keladi
+function queryTokenAuth(req, res, next) {
+    if (!req.headers.authorization && req.query.token) {
+        req.headers.authorization = "Bearer " + req.query.token;
+    }
+    return authMiddleware(req, res, next);
+}
+
+// requireRole("manager") — manager va owner o‘tadi
+function requireRole(role) {
+    const min = ROLES.indexOf(role);
+    return (req, res, next) => {
+        if (req.user && ROLES.indexOf(req.user.role) >= min) return next();
+        return res.status(403).json({ ok: false, error: `Ruxsat yo‘q (${role} kerak)` });
+    };
+}
+
+// Mongo ga bevosita ishlaydigan amallar (analitika, import, tozalash) — SQLite rejimida o‘chiq
+function requireMongoStorage(req, res, next) {
+    if (storage.kind === "mongo") return next();
+    return res.status(409).json({ ok: false, error: "Bu amal faqat MongoDB rejimida ishlaydi (STORAGE=mongo)" });
+}
+
+// Router
+const api = express.Router();
+
+// health check
+api.get("/ping", (req, res) => res.json({ ok: true, msg: "pong" }));
+
+// login: IP va username bo‘yicha cheklov; muvaffaqiyatli bo‘lsa yangi sessiya (qurilma)
+api.post("/login", async (req, res) => {
+    try {
+        const { username, password } = req.body || {};
+        if (!username || !password) return res.status(400).json({ ok: false, error: "Missing credentials" });
+        const name = String(username).trim();
+        const keys = [["ip:" + req.ip, LOGIN_MAX_FAILURES_IP], ["user:" + name.toLowerCase(), LOGIN_MAX_FAILURES]];
+        const lockedUntil = Math.max(...keys.map(([key]) => loginLockedUntil(key)));
+        if (lockedUntil) {
+            const seconds = Math.ceil((lockedUntil - Date.now()) / 1000);
+            res.set("Retry-After", String(seconds));
+            return res.status(429).json({ ok: false, error: `Juda ko‘p xato urinish. ${Math.ceil(seconds / 60)} minutdan keyin qayta urinib ko‘ring`, retryAfter: seconds });
+        }
+
+        const user = offline()
+            ? cachedUsers().find(u => u.username === name)
+            : await User.findOne({ username: name });
+        if (!user || !user.active || !(await verifyPassword(password, user.passwordHash))) {
+            const locked = keys.filter(([key, max]) => recordLoginFailure(key, max)).map(([key]) => key);
+            if (locked.length) {
+                console.warn(`Login bloklandi: ${locked.join(", ")}`);
+                sendToTelegram("system", `<b>🔒 Login bloklandi</b>\n${escapeHtml(locked.join("\n"))}\n${LOGIN_LOCK_MINUTES} minutga`).catch(console.error);
+            }
+            return res.status(401).json({ ok: false, error: "Invalid username/password" });
+        }
+        loginFailures.delete("user:" + name.toLowerCase());
+
+        const secret = crypto.randomBytes(32).toString("base64url");
+        const session = await sessions.create({
+            user: String(user._id),
+            username: user.username,
+            refreshHash: sha256(secret),
+            ip: req.ip || "",
+            userAgent: String(req.headers["user-agent"] || "").slice(0, 200),
+            expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * DAY_MS)
+        });
+        return res.json({ ok: true, ...issueTokens(user, session, secret), user: { username: user.username, role: user.role } });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// access token ni yangilash: refresh token almashadi (eskisi endi ishlamaydi)
+api.post("/refresh", async (req, res) => {
+    try {
+        const [sid, secret] = String((req.body || {}).refreshToken || "").split(".");
+        const session = sid && secret ? await sessions.findById(sid) : null;
+        if (!session || session.revokedAt || session.expiresAt < new Date()) {
+            return res.status(401).json({ ok: false, error: "Session ended" });
+        }
+        const hash = sha256(secret);
+        if (hash !== session.refreshHash) {
+            // boshqa tab hozirgina almashtirgan — u saqlagan yangi token ishlatilsin
+            if (hash === session.prevHash && Date.now() - session.rotatedAt < REFRESH_GRACE_MS) {
+                return res.status(409).json({ ok: false, error: "Token already refreshed", stale: true });
+            }
+            await sessions.revoke({ _id: session._id });
+            console.warn(`Refresh token qayta ishlatildi — sessiya bekor qilindi (${session.username}, ${req.ip})`);
+            return res.status(401).json({ ok: false, error: "Session ended" });
+        }
+        const user = await findAuthUser(session.user);
+        if (!user || !user.active) return res.status(401).json({ ok: false, error: "User disabled or removed" });
+
+        const next = crypto.randomBytes(32).toString("base64url");
+        const now = new Date();
+        const rotated = await sessions.rotate(session._id, hash, {
+            refreshHash: sha256(next),
+            prevHash: hash,
+            rotatedAt: now,
+            lastUsedAt: now,
+            expiresAt: new Date(now.getTime() + REFRESH_TOKEN_DAYS * DAY_MS)
+        });
+        // shu token bilan parallel kelgan boshqa so‘rov ulgurdi — u olgan yangi token ishlatilsin
+        if (!rotated) return res.status(409).json({ ok: false, error: "Token already refreshed", stale: true });
+        return res.json({ ok: true, ...issueTokens(user, session, next), user: { username: user.username, role: user.role } });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// shu qurilmadan chiqish
+api.post("/logout", authMiddleware, async (req, res) => {
+    try {
+        await sessions.revoke({ _id: req.user.sid });
+        return res.json({ ok: true });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// hamma qurilmalardan chiqish (token o‘g‘irlangan bo‘lishi mumkin bo‘lsa)
+api.post("/logout-all", authMiddleware, async (req, res) => {
+    try {
+        const ids = await sessions.revoke({ user: req.user.id });
+        await writeAudit(req, "logout-all", null, null, { sessions: ids.length });
+        return res.json({ ok: true, sessions: ids.length });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// current user
+api.get("/me", authMiddleware, (req, res) => res.json({ ok: true, user: req.user }));
+
+// users list (owner)
+api.get("/users", authMiddleware, requireRole("owner"), async (req, res) => {
+    try {
+        const users = await User.find().select("-passwordHash").sort({ createdAt: 1 }).lean();
+        return res.json({ ok: true, users });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// create user (owner)
+api.post("/users", authMiddleware, requireRole("owner"), async (req, res) => {
+    try {
+        const { username, password, role = "cashier" } = req.body || {};
+        if (!username || !String(username).trim() || !password) {
+            return res.status(400).json({ ok: false, error: "Username va parol majburiy!" });
+        }
+        // username sahifalarda (audit, smena, zakaz) ko‘rsatiladi — faqat oddiy belgilar
+        if (!/^[\w.@-]{1,32}$/.test(String(username).trim())) {
+            return res.status(400).json({ ok: false, error: "Username: harf, raqam, \".\", \"@\", \"-\" yoki \"_\" (32 belgigacha)" });
+        }
+        if (!ROLES.includes(role)) return res.status(400).json({ ok: false, error: "Role noto‘g‘ri" });
+        if (String(password).length < 5) return res.status(400).json({ ok: false, error: "Parol kamida 5 belgi" });
+        if (await User.findOne({ username: String(username).trim() })) {
+            return res.status(400).json({ ok: false, error: "Bu username band!" });
+        }
+        const user = await User.create({ username: String(username).trim(), passwordHash: await hashPassword(password), role });
+        return res.json({ ok: true, user: { _id: user._id, username: user.username, role: user.role, active: user.active } });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// oxirgi faol owner ni yo‘qotib qo‘ymaslik uchun
+async function isLastOwner(user) {
+    if (user.role !== "owner" || !user.active) return false;
+    return (await User.countDocuments({ role: "owner", active: true })) <= 1;
+}
+
+// edit user (owner): role, parol, active
+api.put("/users/:id", authMiddleware, requireRole("owner"), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ ok: false, error: "Not found" });
+        const user = await User.findById(req.params.id);
+        if (!user) return res.status(404).json({ ok: false, error: "Not found" });
+        const { role, password, active } = req.body || {};
+
+        if (role !== undefined && !ROLES.includes(role)) return res.status(400).json({ ok: false, error: "Role noto‘g‘ri" });
+        const demoting = (role !== undefined && role !== "owner") || active === false;
+        if (demoting && await isLastOwner(user)) {
+            return res.status(400).json({ ok: false, error: "Oxirgi owner ni o‘zgartirib bo‘lmaydi" });
+        }
+        if (role !== undefined) user.role = role;
+        if (active !== undefined) user.active = !!active;
+        if (password !== undefined) {
+            if (String(password).length < 5) return res.status(400).json({ ok: false, error: "Parol kamida 5 belgi" });
+            user.passwordHash = await hashPassword(password);
+        }
+        await user.save();
+        // parol almashsa yoki bloklansa — hamma qurilmalardan chiqariladi
+        if (password !== undefined || active === false) await sessions.revoke({ user: String(user._id) });
+        return res.json({ ok: true, user: { _id: user._id, username: user.username, role: user.role, active: user.active } });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// delete user (owner)
+api.delete("/users/:id", authMiddleware, requireRole("owner"), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ ok: false, error: "Not found" });
+        const user = await User.findById(req.params.id);
+        if (!user) return res.status(404).json({ ok: false, error: "Not found" });
+        if (String(user._id) === req.user.id) return res.status(400).json({ ok: false, error: "O‘zingizni o‘chira olmaysiz" });
+        if (await isLastOwner(user)) return res.status(400).json({ ok: false, error: "Oxirgi owner ni o‘chirib bo‘lmaydi" });
+        await user.deleteOne();
+        await sessions.revoke({ user: String(user._id) });
+        return res.json({ ok: true });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// ===== Mijozlar =====
+
+// "+998 90 123-45-67" -> "+998901234567" (bo‘sh bo‘lsa undefined — unique index uchun)
+function normalizePhone(phone) {
+    const p = String(phone || "").replace(/[^\d+]/g, "");
+    return p || undefined;
+}
+
+// ro‘yxat uchun: tarix massivlarisiz
+const CUSTOMER_LIST_FIELDS = "-transactions -visits";
+
+// list/search customers (?q=ism yoki telefon)
+api.get("/customers", authMiddleware, async (req, res) => {
+    try {
+        const q = String(req.query.q || "").trim();
+        const filter = {};
+        if (q) {
+            const escaped = q.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+            const phone = normalizePhone(q);
+            filter.$or = [{ name: new RegExp(escaped, "i") }];
+            if (phone) filter.$or.push({ phone: new RegExp(phone.replace("+", "\\+")) });
+        }
+        const limit = Math.min(Number(req.query.limit) || 50, 200);
+        const customers = await Customer.find(filter).select(CUSTOMER_LIST_FIELDS).sort({ lastVisitAt: -1, createdAt: -1 }).limit(limit).lean();
+        return res.json({
+            ok: true,
+            customers,
+            loyalty: { pointsPerHour: LOYALTY_POINTS_PER_HOUR, minutesPerPoint: LOYALTY_MINUTES_PER_POINT }
+        });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// one customer with visit/balance history
+api.get("/customers/:id", authMiddleware, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ ok: false, error: "Not found" });
+        const customer = await Customer.findById(req.params.id).lean();
+        if (!customer) return res.status(404).json({ ok: false, error: "Not found" });
+        return res.json({ ok: true, customer });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// create customer
+api.post("/customers", authMiddleware, async (req, res) => {
+    try {
+        const { name, phone, note } = req.body || {};
+        if (!name || !String(name).trim()) return res.status(400).json({ ok: false, error: "Mijoz ismi majburiy!" });
+        const p = normalizePhone(phone);
+        if (p && await Customer.findOne({ phone: p })) return res.status(400).json({ ok: false, error: "Bu telefon raqamli mijoz bor!" });
+        const customer = await Customer.create({ name: String(name).trim(), phone: p, note: note || "" });
+        return res.json({ ok: true, customer });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// edit customer (ball/balansni qo‘lda o‘zgartirish — faqat manager)
+api.put("/customers/:id", authMiddleware, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ ok: false, error: "Not found" });
+        const customer = await Customer.findById(req.params.id);
+        if (!customer) return res.status(404).json({ ok: false, error: "Not found" });
+        const { name, phone, note, points, balance } = req.body || {};
+
+        if (name !== undefined) {
+            if (!String(name).trim()) return res.status(400).json({ ok: false, error: "Mijoz ismi majburiy!" });
+            customer.name = String(name).trim();
+        }
+        if (phone !== undefined) {
+            const p = normalizePhone(phone);
+            if (p && p !== customer.phone && await Customer.findOne({ phone: p })) {
+                return res.status(400).json({ ok: false, error: "Bu telefon raqamli mijoz bor!" });
+            }
+            customer.phone = p;
+        }
+        if (note !== undefined) customer.note = note;
+
+        // ball/balans tuzatish — o‘qilgan qiymatdan farq $inc bilan (parallel topup yoki zakaz yakuni ustidan yozilmaydi)
+        const inc = {};
+        if (points !== undefined || balance !== undefined) {
+            if (ROLES.indexOf(req.user.role) < ROLES.indexOf("manager")) {
+                return res.status(403).json({ ok: false, error: "Ruxsat yo‘q (manager kerak)" });
+            }
+            if (points !== undefined) inc.points = Math.max(0, Math.floor(Number(points) || 0)) - customer.points;
+            if (balance !== undefined) {
+                inc.balance = Number(balance) - customer.balance;
+                if (isNaN(inc.balance)) return res.status(400).json({ ok: false, error: "Balans noto‘g‘ri" });
+            }
+        }
+        await customer.save();
+
+        if (inc.points || inc.balance) {
+            // kamaytirishda — shu orada yechilgan bo‘lsa manfiyga tushmasin
+            const filter = { _id: customer._id };
+            if (inc.points < 0) filter.points = { $gte: -inc.points };
+            if (inc.balance < 0) filter.balance = { $gte: -inc.balance };
+            const update = { $inc: inc };
+            if (inc.balance) update.$push = { transactions: { kind: "correction", amount: inc.balance, at: new Date(), user: req.user.username, ledger: true } };
+            const updated = await Customer.findOneAndUpdate(filter, update, { new: true });
+            if (!updated) return res.status(409).json({ ok: false, error: "Balans yoki ball shu orada o‘zgardi — qayta urinib ko‘ring" });
+            // kassa/kun hisobotlari mos kelishi uchun ledger ga ham (+ olindi, − qaytarildi)
+            await recordPayment(req, { kind: "topup", method: "cash", amount: inc.balance || 0, customer: customer._id, note: "correction" });
+            return res.json({ ok: true, customer: updated });
+        }
+        return res.json({ ok: true, customer });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// top up prepaid balance
+api.post("/customers/:id/topup", authMiddleware, async (req, res) => {
+    try {
+        const { amount, method = "cash" } = req.body || {};
+        const value = Number(amount);
+        if (!value || value <= 0) return res.status(400).json({ ok: false, error: "Summa > 0 bo‘lishi kerak!" });
+        if (!PAYMENT_METHODS.includes(method)) return res.status(400).json({ ok: false, error: "To‘lov turi noto‘g‘ri" });
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ ok: false, error: "Not found" });
+        // $inc — yakunlanayotgan zakaz balansdan yechayotgan bo‘lsa ham ikkalasi saqlanadi
+        const customer = await Customer.findByIdAndUpdate(req.params.id, {
+            $inc: { balance: value },
+            $push: { transactions: { kind: "topup", amount: value, method, at: new Date(), user: req.user.username, ledger: true } }
+        }, { new: true });
+        if (!customer) return res.status(404).json({ ok: false, error: "Not found" });
+        await recordPayment(req, { kind: "topup", method, amount: value, customer: customer._id });
+
+        sendToTelegram("sale", `<b>💰 Balans to‘ldirildi</b>\nMijoz: ${escapeHtml(customer.name)}${customer.phone ? ` (${escapeHtml(customer.phone)})` : ""}\nSumma: <b>${value.toLocaleString()}</b> so'm (${method})\nBalans: ${customer.balance.toLocaleString()} so'm\nXodim: ${req.user.username}`).catch(console.error);
+        return res.json({ ok: true, customer });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// delete customer (manager) — faol zakazi bo‘lsa yoki balansda pul bo‘lsa o‘chirilmaydi
+api.delete("/customers/:id", authMiddleware, requireRole("manager"), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ ok: false, error: "Not found" });
+        const customer = await Customer.findById(req.params.id);
+        if (!customer) return res.status(404).json({ ok: false, error: "Not found" });
+        if (await storage.orders.exists({ customer: customer._id, status: "process" })) {
+            return res.status(400).json({ ok: false, error: "Mijozning faol zakazi bor" });
+        }
+        if (customer.balance > 0) return res.status(400).json({ ok: false, error: "Mijoz balansida pul bor" });
+        await customer.deleteOne();
+        return res.json({ ok: true });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// ===== To‘lovlar (ledger) =====
+
+// payments list (manager): ?from&to (biznes kunlar), ?method, ?kind, ?direction
+api.get("/payments", authMiddleware, requireRole("manager"), async (req, res) => {
+    try {
+        const range = analyticsRange(req.query);
+        if (!range) return res.status(400).json({ ok: false, error: "Sana oralig‘i noto‘g‘ri" });
+        const filter = { at: { $gte: range.from, $lt: range.to } };
+        if (req.query.method) filter.method = req.query.method;
+        if (req.query.kind) filter.kind = req.query.kind;
+        if (req.query.direction) filter.direction = req.query.direction;
+        const payments = await findPayments(filter, { at: -1 });
+        return res.json({ ok: true, from: range.from, to: range.to, summary: summarizePayments(payments), payments });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// bitta zakaz to‘lovlari (id | orderId | externalId)
+api.get("/order/:id/payments", authMiddleware, async (req, res) => {
+    try {
+        const o = await findOrderByAnyId(req.params.id);
+        if (!o) return res.status(404).json({ ok: false, error: "Not found" });
+        const payments = await findPayments({ order: o._id });
+        const paid = payments.reduce((sum, p) => sum + signedAmount(p), 0);
+        return res.json({ ok: true, payments, paid, summary: summarizePayments(payments) });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// ===== Kassa smenalari =====
+
+async function currentShiftId() {
+    if (offline()) return null;
+    const shift = await Shift.findOne({ status: "open" }).select("_id").lean();
+    return shift ? shift._id : null;
+}
+
+// smena davomidagi pul harakati: [openedAt, until] oralig‘idagi Payment yozuvlari vaqti bo‘yicha
+// (uzaytirish boshqa smenada ochilgan zakazga bo‘lsa ham pul o‘sha smenada kassaga tushgan)
+async function computeShiftTotals(shift, until = new Date()) {
+    const summary = await paymentSummary(shift.openedAt, new Date(until.getTime() + 1));
+    return {
+        openingFloat: shift.openingFloat,
+        ...summary,
+        orderCount: await storage.orders.count({ shift: shift._id }),
+        expectedCash: shift.openingFloat + summary.cashIn - summary.cashRefunds
+    };
+}
+
+// current open shift + live totals
+api.get("/shifts/current", authMiddleware, async (req, res) => {
+    try {
+        const shift = await Shift.findOne({ status: "open" }).lean();
+        if (!shift) return res.json({ ok: true, shift: null });
+        return res.json({ ok: true, shift, totals: await computeShiftTotals(shift) });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// open shift: { openingFloat }
+api.post("/shifts/open", authMiddleware, async (req, res) => {
+    try {
+        const openingFloat = Number((req.body || {}).openingFloat || 0);
+        if (isNaN(openingFloat) || openingFloat < 0) return res.status(400).json({ ok: false, error: "Boshlang‘ich summa noto‘g‘ri" });
+        const open = await Shift.findOne({ status: "open" }).lean();
+        if (open) return res.status(400).json({ ok: false, error: `Smena ochiq (${open.openedBy}, ${formatTashkent(open.openedAt)})` });
+
+        const shift = await Shift.create({ openedBy: req.user.username, openingFloat });
+        sendToTelegram("shift", `<b>🟢 Smena ochildi</b>\nKassir: ${shift.openedBy}\nBoshlang‘ich naqd: ${openingFloat.toLocaleString()} so'm\nVaqt: ${formatTashkent(shift.openedAt)}`).catch(console.error);
+        return res.json({ ok: true, shift });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// close shift: { counted, note } — kutilgan naqd bilan solishtiriladi
+api.post("/shifts/close", authMiddleware, async (req, res) => {
+    try {
+        const { counted, note = "" } = req.body || {};
+        const countedValue = Number(counted);
+        if (counted === undefined || counted === "" || isNaN(countedValue) || countedValue < 0) {
+            return res.status(400).json({ ok: false, error: "Kassadagi sanalgan summa majburiy!" });
+        }
+        const shift = await Shift.findOne({ status: "open" });
+        if (!shift) return res.status(400).json({ ok: false, error: "Ochiq smena yo‘q" });
+        if (shift.openedBy !== req.user.username && ROLES.indexOf(req.user.role) < ROLES.indexOf("manager")) {
+            return res.status(403).json({ ok: false, error: "Smenani ochgan kassir yoki manager yopadi" });
+        }
+
+        const closedAt = new Date();
+        const totals = await computeShiftTotals(shift, closedAt);
+        shift.status = "closed";
+        shift.closedBy = req.user.username;
+        shift.closedAt = closedAt;
+        shift.totals = totals;
+        shift.counted = countedValue;
+        shift.discrepancy = countedValue - totals.expectedCash;
+        shift.note = String(note);
+        await shift.save();
+
+        const diff = shift.discrepancy;
+        const methods = Object.entries(totals.byMethod).map(([m, v]) => `${m}: ${v.toLocaleString()} so'm`).join("\n");
+        sendToTelegram(
+            "shift",
+            `<b>🔴 Smena yopildi</b>\nKassir: ${shift.openedBy}${shift.closedBy !== shift.openedBy ? ` (yopdi: ${shift.closedBy})` : ""}\n` +
+            `${formatTashkent(shift.openedAt)} — ${formatTashkent(closedAt)}\nZakazlar: ${totals.orderCount}\n\n` +
+            `Boshlang‘ich naqd: ${totals.openingFloat.toLocaleString()}\n+ Naqd tushum: ${totals.cashIn.toLocaleString()}\n` +
+            `− Naqd qaytarilgan: ${totals.cashRefunds.toLocaleString()}\n= Kutilgan: <b>${totals.expectedCash.toLocaleString()}</b> so'm\n` +
+            `Sanalgan: <b>${countedValue.toLocaleString()}</b> so'm\n${diff === 0 ? "✅ Farq yo‘q" : diff > 0 ? `⬆️ Ortiqcha: ${diff.toLocaleString()} so'm` : `⚠️ Kam: ${(-diff).toLocaleString()} so'm`}` +
+            (methods ? `\n\n<b>To‘lov turlari:</b>\n${methods}` : "") + (shift.note ? `\n\nIzoh: ${escapeHtml(shift.note)}` : "")
+        ).catch(console.error);
+
+        return res.json({ ok: true, shift });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// shift history (?limit, ?skip)
+api.get("/shifts", authMiddleware, async (req, res) => {
+    try {
+        const limit = Math.min(Number(req.query.limit) || 30, 200);
+        const skip = Number(req.query.skip) || 0;
+        const [total, shifts] = await Promise.all([
+            Shift.countDocuments(),
+            Shift.find().sort({ openedAt: -1 }).skip(skip).limit(limit).lean()
+        ]);
+        return res.json({ ok: true, total, shifts });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// one shift with its orders
+api.get("/shifts/:id", authMiddleware, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ ok: false, error: "Not found" });
+        const shift = await Shift.findById(req.params.id).lean();
+        if (!shift) return res.status(404).json({ ok: false, error: "Not found" });
+        const orders = await storage.orders.find({ shift: shift._id }, { sort: { startTime: 1 } });
+        return res.json({ ok: true, shift, orders });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// ===== Mahsulotlar va kassa sotuvlari (mini-POS) =====
+
+function parseProductInput(body) {
+    const data = {};
+    if (body.name !== undefined) data.name = String(body.name).trim();
+    if (body.price !== undefined) data.price = Number(body.price);
+    if (body.stock !== undefined) data.stock = Math.floor(Number(body.stock));
+    if (body.lowStock !== undefined) data.lowStock = body.lowStock === null || body.lowStock === "" ? null : Number(body.lowStock);
+    if (body.category !== undefined) data.category = String(body.category).trim();
+    if (body.active !== undefined) data.active = !!body.active;
+    if (body.sortOrder !== undefined) data.sortOrder = Number(body.sortOrder) || 0;
+
+    if (data.name !== undefined && !data.name) return { error: "Mahsulot nomi majburiy!" };
+    if (data.price !== undefined && (isNaN(data.price) || data.price < 0)) return { error: "Narx noto‘g‘ri" };
+    if (data.stock !== undefined && (isNaN(data.stock) || data.stock < 0)) return { error: "Qoldiq noto‘g‘ri" };
+    if (data.lowStock !== undefined && data.lowStock !== null && isNaN(data.lowStock)) return { error: "Minimal qoldiq noto‘g‘ri" };
+    return { data };
+}
+
+// products list (?all=1 — nofaollari ham)
+api.get("/products", authMiddleware, async (req, res) => {
+    try {
+        const filter = req.query.all == "1" ? {} : { active: true };
+        const products = await Product.find(filter).sort({ sortOrder: 1, name: 1 }).lean();
+        return res.json({ ok: true, products, lowStockThreshold: LOW_STOCK_THRESHOLD });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// create product (manager)
+api.post("/products", authMiddleware, requireRole("manager"), async (req, res) => {
+    try {
+        const { data, error } = parseProductInput(req.body || {});
+        if (error) return res.status(400).json({ ok: false, error });
+        if (!data.name || data.price === undefined) return res.status(400).json({ ok: false, error: "Nomi va narx majburiy!" });
+        if (await Product.findOne({ name: data.name })) return res.status(400).json({ ok: false, error: "Bu nomdagi mahsulot bor!" });
+        const product = await Product.create(data);
+        return res.json({ ok: true, product });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// edit product / restock (manager)
+api.put("/products/:id", authMiddleware, requireRole("manager"), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ ok: false, error: "Not found" });
+        const { data, error } = parseProductInput(req.body || {});
+        if (error) return res.status(400).json({ ok: false, error });
+        if (data.name) {
+            const exists = await Product.findOne({ name: data.name, _id: { $ne: req.params.id } });
+            if (exists) return res.status(400).json({ ok: false, error: "Bu nomdagi mahsulot bor!" });
+        }
+        const product = await Product.findByIdAndUpdate(req.params.id, data, { new: true });
+        if (!product) return res.status(404).json({ ok: false, error: "Not found" });
+        return res.json({ ok: true, product });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// delete product (manager) — eski zakazlarda nomi va narxi saqlanib qoladi
+api.delete("/products/:id", authMiddleware, requireRole("manager"), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ ok: false, error: "Not found" });
+        const product = await Product.findByIdAndDelete(req.params.id);
+        if (!product) return res.status(404).json({ ok: false, error: "Not found" });
+        return res.json({ ok: true });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// counter sales list (bugungi, ?date=YYYY-MM-DD)
+api.get("/sales", authMiddleware, async (req, res) => {
+    try {
+        const range = businessDayRange(req.query.date);
+        if (!range) return res.status(400).json({ ok: false, error: "Sana noto‘g‘ri" });
+        const sales = await Sale.find({ createdAt: { $gte: range.start, $lt: range.end } }).sort({ createdAt: -1 }).lean();
+        return res.json({ ok: true, sales, total: sales.reduce((sum, sale) => sum + sale.total, 0) });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// counter sale without console session: { items: [{ productId, qty }], method }
+api.post("/sales", authMiddleware, async (req, res) => {
+    try {
+        const { items, method = "cash" } = req.body || {};
+        if (!Array.isArray(items) || !items.length) return res.status(400).json({ ok: false, error: "Mahsulot tanlanmagan" });
+        if (!PAYMENT_METHODS.includes(method)) return res.status(400).json({ ok: false, error: "To‘lov turi noto‘g‘ri" });
+
+        const taken = await takeItems(items, req.user.username);
+        if (!taken.ok) return res.status(400).json({ ok: false, error: taken.error });
+        const sale = await Sale.create({ items: taken.items, total: itemsTotal(taken.items), method, createdBy: req.user.username, shift: await currentShiftId(), ledger: true });
+        await recordPayment(req, { kind: "sale", method, amount: sale.total, sale: sale._id, at: sale.createdAt });
+
+        sendToTelegram("sale", `<b>🥤 Kassa sotuvi</b>\n` + sale.items.map(it => `${escapeHtml(it.name)} x${it.qty} — ${(it.price * it.qty).toLocaleString()} so'm`).join("\n") +
+            `\nJami: <b>${sale.total.toLocaleString()}</b> so'm (${method})\nXodim: ${req.user.username}`).catch(console.error);
+        return res.json({ ok: true, sale });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// cancel counter sale (manager) — mahsulotlar omborga qaytadi, pul qaytarilgani ledger ga yoziladi
+api.delete("/sales/:id", authMiddleware, requireRole("manager"), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ ok: false, error: "Not found" });
+        const sale = await Sale.findByIdAndDelete(req.params.id);
+        if (!sale) return res.status(404).json({ ok: false, error: "Not found" });
+        for (const it of sale.items) if (it.product) await returnStock(it.product, it.qty);
+        await recordPayment(req, { kind: "sale", method: sale.method, amount: sale.total, direction: "refund", sale: sale._id, note: "sotuv bekor qilindi" });
+        return res.json({ ok: true });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// ===== Bronlar =====
+
+// [start, end) oralig‘ida shu stationdagi boshqa bron yoki cash zakaz bilan to‘qnashuv
+async function findReservationConflict(station, start, end, excludeId) {
+    const filter = { station, status: "booked", start: { $lt: end }, end: { $gt: start } };
+    if (excludeId) filter._id = { $ne: excludeId };
+    const booking = await Reservation.findOne(filter).lean();
+    if (booking) return `Bu vaqtga ${booking.customerName} bron qilgan (${formatTashkent(booking.start)})`;
+
+    // cash zakazning rejadagi tugash vaqti bronga kirib ketmasligi kerak
+    const running = await storage.orders.findOne({
+        ps: station, status: "process", type: "cash",
+        startTime: { $lt: end }, endTime: { $gt: start }
+    });
+    if (running) return `${station} ${formatTashkent(running.endTime)} gacha band (cash zakaz)`;
+    return null;
+}
+
+// zakaz ochilayotganda: hozirdan RESERVATION_GUARD_MINUTES ichida (yoki cash tugash vaqtigacha) boshlanadigan bron
+async function upcomingReservation(station, start, end, excludeId) {
+    if (offline()) return null; // bronlar Mongo da — offline tekshirilmaydi
+    const guardUntil = new Date(Math.max(
+        start.getTime() + RESERVATION_GUARD_MINUTES * 60000,
+        end ? end.getTime() : 0
+    ));
+    const filter = { station, status: "booked", start: { $lt: guardUntil }, end: { $gt: start } };
+    if (excludeId) filter._id = { $ne: excludeId };
+    return Reservation.findOne(filter).sort({ start: 1 }).lean();
+}
+
+// ===== Kun chegaralari (Asia/Tashkent) =====
+// Barcha "bugun / shu kun" oynalari shu yerdan olinadi: server qaysi timezone da ishlashidan qat’i nazar.
+// cutoff — kun boshlanishi (minut): 300 bo‘lsa 02:00 dagi zakaz oldingi kunga yoziladi.
+const DAY_MS = 86400000;
+
+/**
+ * @param {string} [dateStr] "YYYY-MM-DD"; berilmasa — `at` vaqti tushgan kun
+ * @returns {{ date: string, start: Date, end: Date } | null} end — keyingi kun boshi (kirmaydi)
+ */
+function dayRange(dateStr, { cutoff = 0, at = Date.now() } = {}) {
+    let dayUtc; // kun sanasi UTC yarim tun sifatida
+    if (dateStr) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) return null;
+        dayUtc = Date.parse(`${dateStr}T00:00:00Z`);
+        if (isNaN(dayUtc)) return null;
+    } else {
+        dayUtc = Math.floor((new Date(at).getTime() + TASHKENT_OFFSET_MS - cutoff * 60000) / DAY_MS) * DAY_MS;
+    }
+    const start = dayUtc - TASHKENT_OFFSET_MS + cutoff * 60000;
+    return { date: new Date(dayUtc).toISOString().slice(0, 10), start: new Date(start), end: new Date(start + DAY_MS) };
+}
+
+// kalendar kuni (00:00–24:00) — bron kalendari uchun
+function tashkentDayRange(dateStr, at) {
+    return dayRange(dateStr, { at });
+}
+
+// biznes kun (DAY_CUTOFF dan DAY_CUTOFF gacha) — hisobot, arxiv, sotuvlar, analitika
+function businessDayRange(dateStr, at) {
+    return dayRange(dateStr, { cutoff: DAY_CUTOFF_MINUTES, at });
+}
+
+// bron uchun olingan va hali qaytarilmagan / zakazga o‘tkazilmagan oldindan to‘lov (ledger bo‘yicha)
+async function heldDeposit(reservation) {
+    const payments = await findPayments({ reservation: reservation._id, kind: "deposit" });
+    return payments.reduce((sum, p) => sum + signedAmount(p), 0);
+}
+
+function parseReservationInput(body, current) {
+    const data = {};
+    if (body.station !== undefined) data.station = String(body.station).trim();
+    if (body.customerName !== undefined) data.customerName = String(body.customerName).trim();
+    if (body.phone !== undefined) data.phone = String(body.phone).trim();
+    if (body.note !== undefined) data.note = String(body.note);
+    if (body.deposit !== undefined) data.deposit = Number(body.deposit) || 0;
+    if (body.depositMethod !== undefined) data.depositMethod = body.depositMethod;
+    if (body.customerId !== undefined) data.customer = body.customerId || null;
+    if (body.start !== undefined) data.start = new Date(body.start);
+    if (body.durationMinutes !== undefined) data.durationMinutes = Math.floor(Number(body.durationMinutes));
+
+    if (data.customerName !== undefined && !data.customerName) return { error: "Mijoz ismi majburiy!" };
+    if (data.start !== undefined && isNaN(data.start)) return { error: "Boshlanish vaqti noto‘g‘ri" };
+    if (data.durationMinutes !== undefined && !(data.durationMinutes > 0)) return { error: "Davomiylik > 0 bo‘lishi kerak" };
+    if (data.deposit < 0) return { error: "Oldindan to‘lov noto‘g‘ri" };
+    if (data.depositMethod !== undefined && !PAYMENT_METHODS.includes(data.depositMethod)) return { error: "To‘lov turi noto‘g‘ri" };
+    if (data.customer && !mongoose.Types.ObjectId.isValid(data.customer)) return { error: "Mijoz topilmadi" };
+
+    const start = data.start || (current && current.start);
+    const duration = data.durationMinutes || (current && current.durationMinutes);
+    if (start && duration) data.end = new Date(new Date(start).getTime() + duration * 60000);
+    return { data };
+}
+
+// reservations (?date=YYYY-MM-DD — Toshkent kuni, ?station=PS5, ?status=booked,arrived)
+api.get("/reservations", authMiddleware, async (req, res) => {
+    try {
+        const range = tashkentDayRange(req.query.date);
+        if (!range) return res.status(400).json({ ok: false, error: "Sana noto‘g‘ri" });
+        const filter = { start: { $lt: range.end }, end: { $gt: range.start } };
+        if (req.query.station) filter.station = req.query.station;
+        if (req.query.status) filter.status = { $in: String(req.query.status).split(",") };
+        const reservations = await Reservation.find(filter).sort({ start: 1 }).lean();
+        return res.json({ ok: true, from: range.start, to: range.end, reservations });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// create reservation — boshqa bron yoki cash zakaz bilan to‘qnashsa rad etiladi
+api.post("/reservations", authMiddleware, async (req, res) => {
+    try {
+        const { data, error } = parseReservationInput(req.body || {});
+        if (error) return res.status(400).json({ ok: false, error });
+        if (!data.station || !data.customerName || !data.start || !data.durationMinutes) {
+            return res.status(400).json({ ok: false, error: "PS, mijoz, vaqt va davomiylik majburiy!" });
+        }
+        if (!(await findActiveStation(data.station))) return res.status(400).json({ ok: false, error: "Bunday PlayStation yo‘q yoki faol emas!" });
+        if (data.end <= new Date()) return res.status(400).json({ ok: false, error: "O‘tib ketgan vaqtga bron qilib bo‘lmaydi" });
+
+        const conflict = await findReservationConflict(data.station, data.start, data.end);
+        if (conflict) return res.status(409).json({ ok: false, error: conflict });
+
+        const reservation = await Reservation.create({ ...data, createdBy: req.user.username });
+        await recordPayment(req, { kind: "deposit", method: reservation.depositMethod, amount: reservation.deposit, reservation: reservation._id, customer: reservation.customer });
+        sendToTelegram("reservation", `<b>📅 Yangi bron</b>\nPS: ${reservation.station}\nMijoz: ${escapeHtml(reservation.customerName)}${reservation.phone ? ` (${escapeHtml(reservation.phone)})` : ""}\nVaqt: ${formatTashkent(reservation.start)} — ${reservation.durationMinutes} minut${reservation.deposit ? `\nOldindan to‘lov: ${reservation.deposit.toLocaleString()} so'm` : ""}\nXodim: ${req.user.username}`).catch(console.error);
+        return res.json({ ok: true, reservation });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// edit reservation / status o‘zgartirish (cancelled, no-show)
+api.put("/reservations/:id", authMiddleware, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ ok: false, error: "Not found" });
+        const reservation = await Reservation.findById(req.params.id);
+        if (!reservation) return res.status(404).json({ ok: false, error: "Not found" });
+        const { data, error } = parseReservationInput(req.body || {}, reservation);
+        if (error) return res.status(400).json({ ok: false, error });
+
+        const { status } = req.body || {};
+        if (status !== undefined) {
+            if (!RESERVATION_STATUSES.includes(status)) return res.status(400).json({ ok: false, error: "Status noto‘g‘ri" });
+            data.status = status;
+        }
+        if (data.station && !(await findActiveStation(data.station))) {
+            return res.status(400).json({ ok: false, error: "Bunday PlayStation yo‘q yoki faol emas!" });
+        }
+
+        // vaqt/PS o‘zgarsa yoki bron qayta tiklansa — to‘qnashuvni qayta tekshiramiz
+        const nextStatus = data.status || reservation.status;
+        const moved = data.station || data.start || data.durationMinutes;
+        if (nextStatus === "booked" && (moved || reservation.status !== "booked")) {
+            const conflict = await findReservationConflict(
+                data.station || reservation.station, data.start || reservation.start, data.end || reservation.end, reservation._id
+            );
+            if (conflict) return res.status(409).json({ ok: false, error: conflict });
+        }
+        if (data.start) data.reminderSentAt = null;
+
+        // bekor qilinsa — qo‘ldagi oldindan to‘lov qaytariladi (kelmadi — qaytarilmaydi)
+        const cancelling = data.status === "cancelled" && reservation.status !== "cancelled";
+        if (cancelling) data.deposit = 0;
+        const depositDiff = cancelling
+            ? -(await heldDeposit(reservation))
+            : data.deposit !== undefined ? data.deposit - (reservation.deposit || 0) : 0;
+        Object.assign(reservation, data);
+        await reservation.save();
+        // oldindan to‘lov o‘zgardi: farq olindi (+) yoki qaytarildi (−)
+        await recordPayment(req, {
+            kind: "deposit", method: reservation.depositMethod, amount: depositDiff, reservation: reservation._id, customer: reservation.customer,
+            note: cancelling ? "bron bekor qilindi" : ""
+        });
+        return res.json({ ok: true, reservation, refunded: Math.max(0, -depositDiff) });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// delete reservation (manager) — odatda status: cancelled yetarli. Qo‘ldagi oldindan to‘lov qaytariladi
+api.delete("/reservations/:id", authMiddleware, requireRole("manager"), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ ok: false, error: "Not found" });
+        const reservation = await Reservation.findByIdAndDelete(req.params.id);
+        if (!reservation) return res.status(404).json({ ok: false, error: "Not found" });
+        const refunded = await heldDeposit(reservation);
+        await recordPayment(req, {
+            kind: "deposit", method: reservation.depositMethod, amount: -refunded, reservation: reservation._id, customer: reservation.customer,
+            note: "bron o‘chirildi"
+        });
+        await writeAudit(req, "reservation-delete", null, null, {
+            reservation: String(reservation._id), station: reservation.station, customerName: reservation.customerName,
+            start: reservation.start, status: reservation.status, refunded
+        });
+        return res.json({ ok: true, refunded });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// zakaz yaratish — POST /order, Telegram bot va boshqa joylar shu funksiyadan foydalanadi
+// actor: req (req.user bilan) yoki { user: {...} }
+async function createOrder(actor, input) {
+    const { ps = "PS1", type = "vip", amount = 0, startTime, method = "cash", customerId, redeemPoints = 0, reservationId, ignoreReservation } = input || {};
+    const fail = (error, status = 400) => ({ ok: false, status, error });
+
+    if (!["cash", "vip"].includes(type)) return fail("Zakaz turi noto‘g‘ri");
+    if (!(await findActiveStation(ps))) return fail("Bunday PlayStation yo‘q yoki faol emas!");
+
+    // Yangi: PS bandligini tekshirish
+    const busy = await storage.orders.findOne({ ps, status: "process" });
+    if (busy) return fail("Bu PlayStation hozir band!");
+
+    if (type === "cash" && (!amount || Number(amount) <= 0)) return fail("Cash zakaz uchun summa majburiy!");
+    if (!PAYMENT_METHODS.includes(method)) return fail("To‘lov turi noto‘g‘ri");
+
+    let customer = null;
+    const points = Math.floor(Number(redeemPoints) || 0);
+    if (customerId) {
+        if (offline()) return fail(CUSTOMERS_OFFLINE, 503);
+        if (!mongoose.Types.ObjectId.isValid(customerId)) return fail("Mijoz topilmadi", 404);
+        customer = await Customer.findById(customerId);
+        if (!customer) return fail("Mijoz topilmadi", 404);
+        if (points < 0 || points > customer.points) return fail(`Ball yetarli emas (mavjud: ${customer.points})`);
+    } else if (points) {
+        return fail("Ball ishlatish uchun mijoz tanlang");
+    }
+    const freeMinutes = points * LOYALTY_MINUTES_PER_POINT;
+
+    const start = startTime ? new Date(startTime) : new Date();
+    let end = null;
+    let summa = Number(amount || 0);
+
+    if (type === "cash") {
+        end = new Date((await cashEndTime(ps, start, summa)).getTime() + freeMinutes * 60000);
+    }
+
+    // yaqin orada shu PS ga bron bormi? (kelgan bron mijozining o‘zi bo‘lsa — hisobga olinmaydi)
+    const reservation = reservationId && mongoose.Types.ObjectId.isValid(reservationId) && !offline()
+        ? await Reservation.findOne({ _id: reservationId, station: ps, status: "booked" })
+        : null;
+    if (reservationId && !reservation) return fail("Bron topilmadi yoki allaqachon ishlatilgan", 404);
+    const conflict = await upcomingReservation(ps, start, end, reservation && reservation._id);
+    let warning = null;
+    if (conflict) {
+        warning = `${ps} ${formatTashkent(conflict.start)} da bron qilingan (${conflict.customerName})`;
+        if (RESERVATION_GUARD_MODE === "block" && !ignoreReservation) return fail(warning, 409);
+    }
+
+    // ball shu yerda yechiladi (yakunda emas) — parallel ochilgan zakazlar bir xil ballni ishlatmasin
+    if (points > 0 && !(await takePoints(customer._id, points))) return fail("Ball yetarli emas");
+
+    const username = actor.user.username;
+    let o;
+    try {
+        o = await storage.orders.create({
+            ps, type, startTime: start, endTime: end, summa, status: "process", createdBy: username,
+            customer: customer ? customer._id : null,
+            customerName: customer ? customer.name : "",
+            pointsUsed: points,
+            pointsReserved: points > 0,
+            freeMinutes,
+            shift: await currentShiftId(),
+            ledger: true
+        });
+    } catch (e) {
+        if (points > 0) await Customer.updateOne({ _id: customer._id }, { $inc: { points } });
+        throw e;
+    }
+    if (type === "cash") {
+        await recordPayment(actor, { kind: "play", method, amount: summa, order: o._id, orderId: o.orderId, customer: o.customer });
+    }
+    // bron depoziti zakazga o‘tadi — o‘yin uchun oldindan to‘lov: cash da vaqt qo‘shiladi, VIP yakunida summadan ayiriladi
+    const deposit = reservation ? await heldDeposit(reservation) : 0;
+    if (deposit > 0) {
+        const transfer = { method: reservation.depositMethod, amount: deposit, customer: o.customer || reservation.customer, reservation: reservation._id };
+        await recordPayment(actor, { ...transfer, kind: "deposit", direction: "refund", note: `zakaz #${o.orderId} ga o‘tkazildi` });
+        await recordPayment(actor, { ...transfer, kind: "play", order: o._id, orderId: o.orderId, note: "bron depoziti" });
+        if (type === "cash") {
+            o.summa += deposit;
+            await recomputeCashEnd(o);
+            await storage.orders.save(o);
+        }
+    }
+    await writeAudit(actor, "create", o, null, reservation ? { reservation: String(reservation._id), deposit } : null);
+    publishOrderEvent("order.created", o);
+
+    if (reservation) {
+        reservation.status = "arrived";
+        reservation.order = o._id;
+        await reservation.save();
+    }
+
+    let text = `<b>🎮 Yangi Zakaz</b>\nPS: ${o.ps}\nTuri: <u>${o.type.toUpperCase()}</u>\nSumma: <b>${o.summa.toLocaleString()} </b>so'm\n Boshlangan: ${formatTashkent(o.startTime)}\n${o.endTime ? `Yakun: ${formatTashkent(o.endTime)}\n` : ""}\n`;
+    if (customer) text += `Mijoz: ${escapeHtml(customer.name)}${freeMinutes ? ` (🎁 ${freeMinutes} minut bepul)` : ""}\n`;
+    if (deposit > 0) text += `Bron depoziti: ${deposit.toLocaleString()} so'm\n`;
+    if (warning) text += `⚠️ ${escapeHtml(warning)}\n`;
+    sendToTelegram("order.new", text).catch(console.error);
+
+    return { ok: true, order: o, warning };
+}
+
+// create order
+api.post("/order", authMiddleware, async (req, res) => {
+    try {
+        const result = await createOrder(req, req.body);
+        if (!result.ok) return res.status(result.status).json({ ok: false, error: result.error });
+        return res.json({ ok: true, order: result.order, warning: result.warning });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// live events stream (SSE)
+api.get("/events", queryTokenAuth, (req, res) => {
+    res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        "Connection": "keep-alive",
+        "X-Accel-Buffering": "no"
+    });
+    res.flushHeaders();
+    res.write("retry: 3000\n\n");
+
+    // uzilishdan keyin o‘tkazib yuborilgan eventlar
+    const lastId = Number(req.headers["last-event-id"] || req.query.lastEventId || 0);
+    if (lastId) {
+        for (const ev of sseBuffer) {
+            if (ev.id > lastId) res.write(`id: ${ev.id}\ndata: ${JSON.stringify(ev)}\n\n`);
+        }
+    }
+
+    sseClients.add(res);
+    req.on("close", () => sseClients.delete(res));
+});
+
+// ===== zakazlar ro‘yxati: filtr, saralash, kursor (GET /orders, /completed, /trash) =====
+
+const ORDER_STATUSES = ["process", "completed", "trash"];
+const ORDER_SORT_FIELDS = ["createdAt", "startTime", "completedAt", "deletedAt", "summa", "orderId"];
+const ORDER_DATE_FIELDS = ["createdAt", "startTime", "completedAt", "deletedAt"];
+const ORDER_PAGE_LIMIT = 50;
+const ORDER_PAGE_MAX = 200;
+
+// kursor — sahifadagi oxirgi zakazning saralash qiymati va _id (base64url JSON)
+function encodeOrderCursor(o, field) {
+    return Buffer.from(JSON.stringify({ v: o[field] ?? null, id: String(o._id) })).toString("base64url");
+}
+
+function decodeOrderCursor(cursor, field) {
+    try {
+        const { v, id } = JSON.parse(Buffer.from(String(cursor), "base64url").toString());
+        if (!mongoose.Types.ObjectId.isValid(id)) return null;
+        const value = v === null ? null : ORDER_DATE_FIELDS.includes(field) ? new Date(v) : Number(v);
+        if (value !== null && isNaN(value)) return null;
+        return { value, id };
+    } catch (e) {
+        return null;
+    }
+}
+
+// kursordan keyingi zakazlar ((field, _id) bo‘yicha). null qiymat eng kichik — kamayishda oxirida keladi
+function afterOrderCursor(field, dir, { value, id }) {
+    const op = dir < 0 ? "$lt" : "$gt";
+    const tie = { [field]: value, _id: { [op]: id } };
+    if (value === null) return dir < 0 ? tie : { $or: [tie, { [field]: { $ne: null } }] };
+    return { $or: [{ [field]: { [op]: value } }, tie, ...(dir < 0 ? [{ [field]: null }] : [])] };
+}
+
+/**
+ * Ro‘yxat parametrlari -> { filter, sort, field, dir, limit, cursor } yoki { error }
+ *   status, station (vergul bilan bir nechta), type, from/to (biznes kun, dateField bo‘yicha),
+ *   min/max (summa), q (orderId yoki externalId boshi), sort ("-completedAt"), limit, cursor
+ * @param {object} query req.query
+ * @param {{ status?: string, sort: string, dateField: string }} defaults status berilsa — so‘rovda o‘zgartirib bo‘lmaydi
+ */
+function parseOrderQuery(query, defaults) {
+    const list = v => String(v).split(",").map(s => s.trim()).filter(Boolean);
+    const filter = {};
+
+    if (defaults.status) filter.status = defaults.status;
+    else if (query.status) {
+        const statuses = list(query.status);
+        if (statuses.some(st => !ORDER_STATUSES.includes(st))) return { error: "status: " + ORDER_STATUSES.join(", ") };
+        filter.status = { $in: statuses };
+    }
+    if (query.station) filter.ps = { $in: list(query.station) };
+    if (query.type) {
+        if (!["cash", "vip"].includes(query.type)) return { error: "type: cash yoki vip" };
+        filter.type = query.type;
+    }
+
+    const dateField = query.dateField || defaults.dateField;
+    if (!ORDER_DATE_FIELDS.includes(dateField)) return { error: "dateField: " + ORDER_DATE_FIELDS.join(", ") };
+    if (query.from || query.to) {
+        const from = query.from ? businessDayRange(query.from) : null;
+        const to = query.to ? businessDayRange(query.to) : null;
+        if ((query.from && !from) || (query.to && !to)) return { error: "Sana formati: YYYY-MM-DD" };
+        filter[dateField] = {};
+        if (from) filter[dateField].$gte = from.start;
+        if (to) filter[dateField].$lt = to.end;
+    }
+
+    if (query.min || query.max) {
+        const min = query.min ? Number(query.min) : null;
+        const max = query.max ? Number(query.max) : null;
+        if (isNaN(min) || isNaN(max)) return { error: "Summa oralig‘i noto‘g‘ri" };
+        filter.summa = {};
+        if (min !== null) filter.summa.$gte = min;
+        if (max !== null) filter.summa.$lte = max;
+    }
+
+    const q = String(query.q || "").trim().replace(/^#/, "");
+    if (q) {
+        const escaped = q.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        filter.$or = [{ externalId: new RegExp("^" + escaped) }];
+        if (/^\d+$/.test(q)) filter.$or.push({ orderId: Number(q) });
+    }
+
+    const sortParam = String(query.sort || defaults.sort).trim();
+    const dir = sortParam.startsWith("-") ? -1 : 1;
+    const field = sortParam.replace(/^[-+]/, "");
+    if (!ORDER_SORT_FIELDS.includes(field)) return { error: "sort: " + ORDER_SORT_FIELDS.join(", ") };
+    const limit = Math.min(Math.max(Math.floor(Number(query.limit)) || ORDER_PAGE_LIMIT, 1), ORDER_PAGE_MAX);
+    const cursor = query.cursor ? decodeOrderCursor(query.cursor, field) : null;
+    if (query.cursor && !cursor) return { error: "cursor noto‘g‘ri" };
+
+    return { filter, sort: { [field]: dir, _id: dir }, field, dir, limit, cursor };
+}
+
+// bitta sahifa: filtr bo‘yicha jami soni, limit ta zakaz va keyingi sahifa kursori (oxirgi sahifada null)
+async function findOrdersPage({ filter, sort, field, dir, limit, cursor }) {
+    const pageFilter = cursor ? { ...filter, $and: [afterOrderCursor(field, dir, cursor)] } : filter;
+    const [total, rows] = await Promise.all([
+        storage.orders.count(filter),
+        storage.orders.find(pageFilter, { sort, limit: limit + 1 })
+    ]);
+    const orders = rows.slice(0, limit);
+    const nextCursor = rows.length > limit ? encodeOrderCursor(orders[orders.length - 1], field) : null;
+    return { total, orders, nextCursor };
+}
+
+// orders list (?status=process,completed&station=PS1&q=12&cursor=...) — yangi birinchi
+api.get("/orders", authMiddleware, async (req, res) => {
+    try {
+        const parsed = parseOrderQuery(req.query, { sort: "-createdAt", dateField: "createdAt" });
+        if (parsed.error) return res.status(400).json({ ok: false, error: parsed.error });
+        return res.json({ ok: true, ...(await findOrdersPage(parsed)) });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// soni va summasi status bo‘yicha (GET /orders dagi filtrlar bilan; dashboard statistikasi)
+api.get("/orders/summary", authMiddleware, async (req, res) => {
+    try {
+        const parsed = parseOrderQuery(req.query, { sort: "-createdAt", dateField: "createdAt" });
+        if (parsed.error) return res.status(400).json({ ok: false, error: parsed.error });
+        const groups = await storage.orders.group(parsed.filter, "status", "summa");
+        const byStatus = {};
+        groups.forEach(g => { byStatus[g._id] = { count: g.count, summa: g.total }; });
+        return res.json({
+            ok: true,
+            count: groups.reduce((s, g) => s + g.count, 0),
+            summa: groups.reduce((s, g) => s + g.total, 0),
+            byStatus
+        });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// edit order
+api.put("/order/:id", authMiddleware, async (req, res) => {
+    try {
+        const id = req.params.id;
+        const { ps, type, amount, startTime, status } = req.body || {};
+        const o = await findOrderByAnyId(id);
+        if (!o) return res.status(404).json({ ok: false, error: "Not found" });
+        const before = orderSnapshot(o);
+
+        // status faqat o‘z yo‘li bilan o‘zgaradi: yakunlash — /complete (to‘lov, mijoz hisobi), o‘chirish — DELETE (ball qaytadi)
+        if (status && status !== o.status) {
+            return res.status(400).json({ ok: false, error: "Statusni tahrirlab bo‘lmaydi — yakunlash yoki o‘chirishdan foydalaning" });
+        }
+        if (type && !["cash", "vip"].includes(type)) {
+            return res.status(400).json({ ok: false, error: "Zakaz turi noto‘g‘ri (cash yoki vip)" });
+        }
+        const typeChanged = Boolean(type) && type !== o.type;
+        if (typeChanged && o.status !== "process") {
+            return res.status(400).json({ ok: false, error: "Yakunlangan zakaz turini o‘zgartirib bo‘lmaydi" });
+        }
+        if (typeChanged && type === "cash" && amount === undefined) {
+            return res.status(400).json({ ok: false, error: "Cash ga o‘tkazishda summa kiritilishi kerak!" });
+        }
+        const start = startTime ? new Date(startTime) : null;
+        if (start && isNaN(start)) return res.status(400).json({ ok: false, error: "Boshlanish vaqti noto‘g‘ri" });
+        if (amount !== undefined && isNaN(Number(amount))) return res.status(400).json({ ok: false, error: "Summa noto‘g‘ri" });
+
+        if (ps && ps !== o.ps) {
+            if (!(await findActiveStation(ps))) {
+                return res.status(400).json({ ok: false, error: "Bunday PlayStation yo‘q yoki faol emas!" });
+            }
+            if (o.status === "process" && await storage.orders.findOne({ ps, status: "process" })) {
+                return res.status(400).json({ ok: false, error: "Bu PlayStation hozir band!" });
+            }
+            o.ps = ps;
+        }
+        if (typeChanged) {
+            o.type = type;
+            // cash dan VIP ga: olingan pul zakazda qoladi va yakunda VIP summasidan ayiriladi (recordCompletionPayments)
+            if (type === "vip") {
+                o.summa = 0;
+                o.endTime = null;
+            }
+        }
+        if (start) {
+            o.startTime = start;
+            // faol cash zakaz: tugash vaqti yangi boshlanishdan (summa o‘zgarsa — pastda baribir qayta hisoblanadi)
+            if (o.type === "cash" && o.status === "process" && amount === undefined) await recomputeCashEnd(o);
+        }
+
+        if (amount !== undefined) {
+            const newAmount = Number(amount);
+
+            // VIP: summa oshirilmaydi
+            if (o.type === "vip" && newAmount > o.summa) {
+                return res.status(400).json({ ok: false, error: "VIP summa oshirilmaydi!" });
+            }
+
+            // Cash must be >0
+            if (o.type === "cash" && newAmount <= 0) {
+                return res.status(400).json({ ok: false, error: "Cash summa > 0 bo‘lishi kerak!" });
+            }
+
+            if (o.type === "cash") {
+                // to‘lov tarixi saqlanadi: farq naqd olingan (+) yoki qaytarilgan (−) "correction" yozuvi
+                const diff = newAmount - await playPaid(o);
+                await recordPayment(req, { kind: "play", method: "cash", amount: diff, order: o._id, orderId: o.orderId, customer: o.customer, note: "correction" });
+                o.summa = newAmount;
+                await recomputeCashEnd(o);
+            } else {
+                o.summa = newAmount;
+                o.endTime = null;
+            }
+        }
+
+        await storage.orders.save(o);
+        await writeAudit(req, "update", o, before);
+        publishOrderEvent("order.updated", o);
+        return res.json({ ok: true, order: o });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// zakazni process -> completed ga atomik o‘tkazadi: bir vaqtda kelgan ikkinchi yakunlash (tugma, bot,
+// auto-complete) to‘lov va mijoz hisobini takrorlamasligi uchun. false — zakazni boshqasi yakunlab bo‘lgan
+async function claimCompletion(o, at, username) {
+    const { matchedCount } = await storage.orders.updateMany(
+        { _id: o._id, status: "process" },
+        { $set: { status: "completed", completedAt: at, completedBy: username } }
+    );
+    return matchedCount > 0;
+}
+
+// claimCompletion ni qaytarish — yakunlash oxirigacha bormadi (masalan Mongo uzildi)
+async function releaseCompletion(o) {
+    await storage.orders.updateMany({ _id: o._id, status: "completed" }, { $set: { status: "process" }, $unset: { completedAt: "", completedBy: "" } });
+}
+
+const NOT_RUNNING = { ok: false, status: 409, error: "Zakaz faol emas (allaqachon yakunlangan yoki o‘chirilgan)" };
+
+// zakazni yakunlash — /complete/:id va Telegram bot uchun umumiy
+// method — VIP qoldig‘i, mahsulotlar va qaytim qaysi usulda (default naqd)
+async function completeOrder(actor, o, { method = "cash" } = {}) {
+    if (o.status !== "process") return NOT_RUNNING;
+    if (o.customer && offline()) return { ok: false, status: 503, error: `${CUSTOMERS_OFFLINE} — mijozli zakazni keyinroq yakunlang` };
+    const before = orderSnapshot(o);
+
+    let qaytish = 0;
+    let oynaganSumma = 0;
+    let oynaganMinut = 0;
+    let qolganMinut = 0;
+    let prepaid = 0;
+    let bill = null;
+
+    // pauzada yakunlansa — pauzani yopamiz, cash tugash vaqti surilmaydi
+    const closedPause = closeOpenPause(o, new Date());
+
+    if (o.type === "vip") {
+        const start = new Date(o.startTime);
+        const end = new Date();
+        oynaganMinut = Math.floor((end - start - pausedMs(o.pauses, end)) / 60000);
+        bill = await priceOrder(o, end);
+        oynaganSumma = bill.summa;
+        o.summa = oynaganSumma;
+        o.endTime = end;
+        // oldindan to‘langani (cash dan o‘tkazilgan yoki bron depoziti) summadan oshsa — qaytim
+        prepaid = await playPaid(o);
+        if (prepaid > oynaganSumma) {
+            qaytish = prepaid - oynaganSumma;
+            o.refund = qaytish;
+        }
+    } else if (o.type === "cash") {
+        const now = new Date();
+        const start = new Date(o.startTime);
+        // pauza davomi hali endTime ga qo‘shilmagan — qolgan vaqt uchun qo‘shamiz
+        const end = o.endTime ? new Date(new Date(o.endTime).getTime() + closedPause) : null;
+        oynaganMinut = Math.floor((now - start - pausedMs(o.pauses, now)) / 60000);
+        bill = await priceOrder(o, now);
+        oynaganSumma = bill.summa;
+        if (end && now < end) {
+            qolganMinut = Math.floor((end - now) / 60000);
+            qaytish = await playPaid(o) - oynaganSumma;
+            o.refund = Math.max(0, qaytish);
+            o.summa = oynaganSumma;
+            o.endTime = now;
+        }
+    }
+    o.status = "completed";
+    o.completedAt = new Date();
+    o.completedBy = actor.user.username;
+    if (!(await claimCompletion(o, o.completedAt, o.completedBy))) return NOT_RUNNING;
+    let customer;
+    try {
+        customer = await settleCustomer(o, oynaganMinut, actor.user.username, prepaid);
+    } catch (e) {
+        await releaseCompletion(o);
+        throw e;
+    }
+    await storage.orders.save(o);
+    await recordCompletionPayments(actor, o, { method, balanceCharged: customer ? customer.balanceCharged : 0, refund: Math.max(0, qaytish), prepaid });
+    await writeAudit(actor, "complete", o, before, customer
+        ? { qaytish, oynaganMinut, method, balanceCharged: customer.balanceCharged, pointsEarned: customer.pointsEarned, pointsUsed: customer.pointsUsed }
+        : { qaytish, oynaganMinut, method });
+    publishOrderEvent("order.completed", o);
+
+    const goodsSumma = itemsTotal(o.items);
+
+    // Telegram xabari
+    let text = `<b>✅ Zakaz yakunlandi</b>\n\nPS: ${o.ps}\n<u>Turi: ${o.type.toUpperCase()}</u>\nSumma: ${o.summa.toLocaleString()} so'm \nBoshlangan: ${formatTashkent(o.startTime)}\n${o.endTime ? `Yakun: ${formatTashkent(o.endTime)}\n` : "-"}\nO‘ynalgan vaqt: ${oynaganMinut} minut\nO‘ynalgan summa: ${oynaganSumma.toLocaleString()} so'm\n`;
+    if (bill && bill.segments.length > 1) {
+        text += `\n<b>Tariflar:</b>\n` + bill.segments.map(seg =>
+            `${seg.tariff}: ${seg.minutes} minut — ${seg.cost.toLocaleString()} so'm`
+        ).join("\n") + "\n";
+    }
+    if (goodsSumma) {
+        text += `\n<b>🥤 Mahsulotlar:</b>\n` + o.items.map(it =>
+            `${escapeHtml(it.name)} x${it.qty} — ${(it.price * it.qty).toLocaleString()} so'm`
+        ).join("\n") + `\n🎮 O‘yin: ${o.summa.toLocaleString()} so'm | 🥤 Mahsulot: ${goodsSumma.toLocaleString()} so'm\n💵 Jami: <b>${(o.summa + goodsSumma).toLocaleString()}</b> so'm\n`;
+    }
+    const payments = await findPayments({ order: o._id });
+    const paid = payments.reduce((sum, p) => sum + signedAmount(p), 0);
+    if (payments.length > 1) {
+        text += `\n<b>To‘lovlar:</b>\n` + payments.map((p, i) =>
+            `${i + 1}) ${p.direction === "refund" ? "−" : ""}${p.amount.toLocaleString()} so'm | ${p.method} | ${formatTashkent(p.at)}${p.user ? ` | ${p.user}` : ""}`
+        ).join("\n") + `\nJami to‘langan: ${paid.toLocaleString()} so'm\n`;
+    }
+    if (qaytish > 0) {
+        text += `\nQolgan vaqt: ${qolganMinut} minut\nQaytishi kerak: ${qaytish.toLocaleString()} so'm`;
+    }
+    if (customer) {
+        text += `\n👤 Mijoz: ${escapeHtml(customer.name)}`;
+        if (customer.balanceCharged) text += `\nBalansdan: ${customer.balanceCharged.toLocaleString()} so'm (qoldi: ${customer.balance.toLocaleString()})`;
+        if (customer.toPay > 0) text += `\nNaqd to‘lash kerak: ${customer.toPay.toLocaleString()} so'm`;
+        text += `\nBall: +${customer.pointsEarned}${customer.pointsUsed ? ` / -${customer.pointsUsed}` : ""} (jami ${customer.points})`;
+    }
+    sendToTelegram("order.complete", text).catch(console.error);
+
+    return {
+        ok: true, order: o, qaytish, oynaganSumma, oynaganMinut, qolganMinut,
+        segments: bill ? bill.segments : [], paid, payments, customer,
+        playSumma: o.summa, goodsSumma, totalSumma: o.summa + goodsSumma
+    };
+}
+
+// complete order
+api.post("/complete/:id", authMiddleware, async (req, res) => {
+    try {
+        const id = req.params.id;
+        const { method = "cash" } = req.body || {};
+        if (!PAYMENT_METHODS.includes(method)) return res.status(400).json({ ok: false, error: "To‘lov turi noto‘g‘ri" });
+        const o = await findOrderByAnyId(id);
+        if (!o) return res.status(404).json({ ok: false, error: "Not found" });
+        const result = await completeOrder(req, o, { method });
+        if (!result.ok) return res.status(result.status).json({ ok: false, error: result.error });
+        return res.json(result);
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// cash zakazni uzaytirish — /order/:id/extend va Payme/Click uchun umumiy
+// yangi to‘lov ledger ga yoziladi, endTime jami to‘lovdan qayta hisoblanadi
+async function extendOrder(actor, o, value, method = "cash") {
+    if (o.status !== "process") return { ok: false, status: 400, error: "Faqat faol zakazni uzaytirish mumkin" };
+    if (o.type !== "cash") return { ok: false, status: 400, error: "Faqat cash zakazni uzaytirish mumkin" };
+    const before = orderSnapshot(o);
+
+    await recordPayment(actor, { kind: "play", method, amount: value, order: o._id, orderId: o.orderId, customer: o.customer });
+    o.summa = await playPaid(o);
+    await recomputeCashEnd(o);
+    await storage.orders.save(o);
+    await writeAudit(actor, "extend", o, before, { amount: value, method });
+    publishOrderEvent("order.updated", o);
+
+    sendToTelegram("order.update", `<b>➕ Zakaz uzaytirildi</b>\nPS: ${o.ps}\nQo‘shildi: <b>${value.toLocaleString()}</b> so'm (${method})\nJami: ${o.summa.toLocaleString()} so'm\nYakun: ${formatTashkent(o.endTime)}\n`).catch(console.error);
+    return { ok: true, order: o };
+}
+
+// extend cash order
+api.post("/order/:id/extend", authMiddleware, async (req, res) => {
+    try {
+        const { amount, method = "cash" } = req.body || {};
+        const value = Number(amount);
+        if (!value || value <= 0) return res.status(400).json({ ok: false, error: "Summa > 0 bo‘lishi kerak!" });
+        if (!PAYMENT_METHODS.includes(method)) return res.status(400).json({ ok: false, error: "To‘lov turi noto‘g‘ri" });
+
+        const o = await findOrderByAnyId(req.params.id);
+        if (!o) return res.status(404).json({ ok: false, error: "Not found" });
+        const result = await extendOrder(req, o, value, method);
+        if (!result.ok) return res.status(result.status).json({ ok: false, error: result.error });
+        return res.json(result);
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// add goods to running order: { productId, qty }
+api.post("/order/:id/items", authMiddleware, async (req, res) => {
+    try {
+        const o = await findOrderByAnyId(req.params.id);
+        if (!o) return res.status(404).json({ ok: false, error: "Not found" });
+        if (o.status !== "process") return res.status(400).json({ ok: false, error: "Faqat faol zakazga mahsulot qo‘shish mumkin" });
+        const before = orderSnapshot(o);
+
+        const taken = await takeItems([req.body || {}], req.user.username);
+        if (!taken.ok) return res.status(400).json({ ok: false, error: taken.error });
+        o.items.push(...taken.items);
+        await storage.orders.save(o);
+        await writeAudit(req, "add-item", o, before, { name: taken.items[0].name, qty: taken.items[0].qty });
+        publishOrderEvent("order.updated", o);
+        return res.json({ ok: true, order: o });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// remove goods line from running order (omborga qaytariladi)
+api.delete("/order/:id/items/:index", authMiddleware, async (req, res) => {
+    try {
+        const o = await findOrderByAnyId(req.params.id);
+        if (!o) return res.status(404).json({ ok: false, error: "Not found" });
+        if (o.status !== "process") return res.status(400).json({ ok: false, error: "Faqat faol zakazdan o‘chirish mumkin" });
+        const index = Number(req.params.index);
+        const item = o.items[index];
+        if (!item) return res.status(404).json({ ok: false, error: "Mahsulot qatori topilmadi" });
+        const before = orderSnapshot(o);
+
+        o.items.splice(index, 1);
+        if (item.product) await returnStock(item.product, item.qty);
+        await storage.orders.save(o);
+        await writeAudit(req, "remove-item", o, before, { name: item.name, qty: item.qty });
+        publishOrderEvent("order.updated", o);
+        return res.json({ ok: true, order: o });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// pause order (faqat process)
+api.post("/order/:id/pause", authMiddleware, async (req, res) => {
+    try {
+        const o = await findOrderByAnyId(req.params.id);
+        if (!o) return res.status(404).json({ ok: false, error: "Not found" });
+        if (o.status !== "process") return res.status(400).json({ ok: false, error: "Faqat faol zakazni pauza qilish mumkin" });
+        if (o.pausedAt) return res.status(400).json({ ok: false, error: "Zakaz allaqachon pauzada" });
+
+        const now = new Date();
+        if (o.type === "cash" && o.endTime && new Date(o.endTime) <= now) {
+            return res.status(400).json({ ok: false, error: "Vaqt tugagan" });
+        }
+        const before = orderSnapshot(o);
+        o.pausedAt = now;
+        o.pauses.push({ start: now });
+        await storage.orders.save(o);
+        await writeAudit(req, "pause", o, before);
+        publishOrderEvent("order.updated", o);
+
+        sendToTelegram("order.update", `<b>⏸ Pauza</b>\nPS: ${o.ps}\n<u>Turi: ${o.type.toUpperCase()}</u>\nVaqt: ${formatTashkent(now)}`).catch(console.error);
+        return res.json({ ok: true, order: o });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// resume order — cash zakaz endTime pauza davomiga suriladi
+api.post("/order/:id/resume", authMiddleware, async (req, res) => {
+    try {
+        const o = await findOrderByAnyId(req.params.id);
+        if (!o) return res.status(404).json({ ok: false, error: "Not found" });
+        if (o.status !== "process") return res.status(400).json({ ok: false, error: "Faqat faol zakazni davom ettirish mumkin" });
+        if (!o.pausedAt) return res.status(400).json({ ok: false, error: "Zakaz pauzada emas" });
+
+        const before = orderSnapshot(o);
+        const now = new Date();
+        const ms = closeOpenPause(o, now);
+        if (o.type === "cash" && o.endTime) {
+            o.endTime = new Date(new Date(o.endTime).getTime() + ms);
+        }
+        await storage.orders.save(o);
+        await writeAudit(req, "resume", o, before, { pausedMinutes: Math.round(ms / 60000) });
+        publishOrderEvent("order.updated", o);
+
+        sendToTelegram("order.update", `<b>▶️ Davom etdi</b>\nPS: ${o.ps}\n<u>Turi: ${o.type.toUpperCase()}</u>\nPauza: ${Math.round(ms / 60000)} minut\n${o.endTime ? `Yakun: ${formatTashkent(o.endTime)}\n` : ""}`).catch(console.error);
+        return res.json({ ok: true, order: o, pausedMinutes: Math.round(ms / 60000) });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// generic delete -> move to trash (accepts _id|orderId|externalId)
+api.delete("/order/:id", authMiddleware, async (req, res) => {
+    try {
+        const id = req.params.id;
+        const permanent = req.query.permanent == "1";
+        const o = await findOrderByAnyId(id);
+        if (!o) return res.status(404).json({ ok: false, error: "Not found" });
+
+        if (permanent) {
+            if (ROLES.indexOf(req.user.role) < ROLES.indexOf("owner")) {
+                return res.status(403).json({ ok: false, error: "Ruxsat yo‘q (owner kerak)" });
+            }
+            const snapshot = orderSnapshot(o);
+            await releasePoints(o);
+            await storage.orders.deleteById(o._id);
+            await writeAudit(req, "delete-permanent", o, snapshot, null, true);
+            publishOrderEvent("order.deleted", o);
+            return res.json({ ok: true });
+        }
+
+        // Agar process bo‘lsa, prevStatus ni "process" qilib saqlaymiz
+        const before = orderSnapshot(o);
+        await releasePoints(o);
+        o.prevStatus = o.status === "process" ? "process" : o.status;
+        o.status = "trash";
+        o.deletedAt = new Date();
+        await storage.orders.save(o);
+        await writeAudit(req, "trash", o, before, { route: "DELETE /order/:id" });
+        publishOrderEvent("order.trashed", o);
+        return res.json({ ok: true, order: o });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// alias: delete completed (some frontends call /api/completed/:id)
+api.delete("/completed/:id", authMiddleware, async (req, res) => {
+    try {
+        const id = req.params.id;
+        const o = await findOrderByAnyId(id);
+        if (!o) return res.status(404).json({ ok: false, error: "Not found" });
+        if (o.status !== "completed") {
+            return res.status(400).json({ ok: false, error: "Only completed orders can be deleted here" });
+        }
+        const before = orderSnapshot(o);
+        o.status = "trash";
+        o.deletedAt = new Date();
+        await storage.orders.save(o);
+        await writeAudit(req, "trash", o, before, { route: "DELETE /completed/:id" });
+        publishOrderEvent("order.trashed", o);
+        return res.json({ ok: true, order: o });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// alias: delete orders/:id (another common pattern)
+api.delete("/orders/:id", authMiddleware, async (req, res) => {
+    try {
+        const id = req.params.id;
+        const o = await findOrderByAnyId(id);
+        if (!o) return res.status(404).json({ ok: false, error: "Not found" });
+        const before = orderSnapshot(o);
+        await releasePoints(o);
+        o.status = "trash";
+        o.deletedAt = new Date();
+        await storage.orders.save(o);
+        await writeAudit(req, "trash", o, before, { route: "DELETE /orders/:id" });
+        publishOrderEvent("order.trashed", o);
+        return res.json({ ok: true, order: o });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// restore from trash (manager)
+api.post("/restore/:id", authMiddleware, requireRole("manager"), async (req, res) => {
+    try {
+        const id = req.params.id;
+        const o = await findOrderByAnyId(id);
+        if (!o) return res.status(404).json({ ok: false, error: "Not found" });
+        if (o.status !== "trash") {
+            return res.status(400).json({ ok: false, error: "Faqat trash holatdagilarni restore qilish mumkin" });
+        }
+        // Hamma trashdan restore bo‘layotgan zakazlar completed bo‘lib qaytsin:
+        const before = orderSnapshot(o);
+        o.status = "completed";
+        o.completedAt = new Date();
+        o.deletedAt = null;
+        o.prevStatus = undefined;
+        await storage.orders.save(o);
+        await writeAudit(req, "restore", o, before);
+        publishOrderEvent("order.updated", o);
+        return res.json({ ok: true, order: o });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// completed list (GET /orders dagi filtrlar; default — oxirgi yakunlangan birinchi)
+api.get("/completed", authMiddleware, async (req, res) => {
+    try {
+        const parsed = parseOrderQuery(req.query, { status: "completed", sort: "-completedAt", dateField: "completedAt" });
+        if (parsed.error) return res.status(400).json({ ok: false, error: parsed.error });
+        return res.json({ ok: true, ...(await findOrdersPage(parsed)) });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// kunlik hisobot ma'lumotlari (GET /daily-report, Telegram /report va kunlik yopish uchun)
+// range — businessDayRange(); berilmasa joriy biznes kun
+async function buildDailyReport(range = businessDayRange()) {
+    let orders = await storage.orders.find({
+        createdAt: { $gte: range.start, $lt: range.end },
+        status: { $ne: "trash" }
+    }, { sort: { createdAt: 1 } });
+
+    // VIP process zakazlar uchun hozirgi summa hisoblash
+    const ctx = await loadBillingContext();
+    orders = await Promise.all(orders.map(async o => {
+        if (o.status === "process" && o.type === "vip") {
+            const { summa } = await priceOrder(o, new Date(), ctx);
+            return { ...o, summa, _calculated: true };
+        }
+        return o;
+    }));
+
+    const sales = offline() ? [] : await Sale.find({ createdAt: { $gte: range.start, $lt: range.end } }).sort({ createdAt: 1 }).lean();
+    const revenue = splitRevenue(orders, sales);
+
+    return {
+        date: range.date,
+        count: orders.length,
+        ...revenue,
+        payments: await paymentSummary(range.start, range.end),
+        orders,
+        sales
+    };
+}
+
+// hisobotni Telegramga bo‘lib-bo‘lib yuborish (POST /daily-report va kunlik yopish)
+async function sendDailyReport(report, title = "📊 Kunlik Hisobot") {
+    const { orders, playSum, goodsSum, totalSum, salesCount, payments } = report;
+    const lines = orders.map((o, i) =>
+        `<u><b>${i + 1}) ${o.ps} | </b></u>${o.type}${o._calculated ? " (VIP ochiq)" : ""}|💵 ${o.summa.toLocaleString()} so'm${o.items && o.items.length ? ` | 🥤 ${itemsTotal(o.items).toLocaleString()} so'm` : ""} \n Boshlangan: ${formatTashkent(o.startTime)} \n ${o.endTime ? `Yakun: ${formatTashkent(o.endTime)}` : "-"} \n`
+    );
+    if (orders.length > 0 || salesCount > 0) {
+        await sendToTelegramChunks(
+            "daily-report",
+            lines,
+            `${title}\n📅${report.date}\n🎮 O‘yin: ${playSum.toLocaleString()} so'm\n🥤 Mahsulot: ${goodsSum.toLocaleString()} so'm (kassa sotuvlari: ${salesCount})\n 💵 Daromad: ${totalSum.toLocaleString()} so'm \n` +
+            `💳 Tushum: ${formatByMethod(payments.byMethod)}${payments.refunds ? `\n↩️ Qaytarilgan: ${payments.refunds.toLocaleString()} so'm` : ""}${payments.balanceUsed ? `\n👤 Balansdan: ${payments.balanceUsed.toLocaleString()} so'm` : ""}\n`
+        );
+    } else {
+        await sendToTelegram("daily-report", `${title} (${report.date}): Hech qanday zakaz yo‘q edi.`);
+    }
+}
+
+// o‘yin va mahsulot daromadi alohida: zakaz summa = o‘yin, items + kassa sotuvlari = mahsulot
+function splitRevenue(orders, sales) {
+    const playSum = orders.reduce((sum, o) => sum + (o.summa || 0), 0);
+    const goodsSum = orders.reduce((sum, o) => sum + itemsTotal(o.items), 0) +
+        sales.reduce((sum, sale) => sum + (sale.total || 0), 0);
+    return { playSum, goodsSum, totalSum: playSum + goodsSum, salesCount: sales.length };
+}
+
+// daily report (biznes kun zakazlari va umumiy summa, ?date=YYYY-MM-DD)
+api.get("/daily-report", authMiddleware, async (req, res) => {
+    try {
+        const range = businessDayRange(req.query.date);
+        if (!range) return res.status(400).json({ ok: false, error: "Sana noto‘g‘ri" });
+        const report = await buildDailyReport(range);
+        return res.json({ ok: true, ...report });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// kunlik hisobotni Telegramga yuborish (POST, ?date=YYYY-MM-DD — biznes kun)
+api.post("/daily-report", authMiddleware, async (req, res) => {
+    try {
+        const range = businessDayRange(req.query.date);
+        if (!range) return res.status(400).json({ ok: false, error: "Sana noto‘g‘ri" });
+        const report = await buildDailyReport(range);
+        await sendDailyReport(report);
+
+        const { count, playSum, goodsSum, totalSum, salesCount, payments } = report;
+        return res.json({ ok: true, date: report.date, count, playSum, goodsSum, totalSum, salesCount, payments });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// stations list (?all=1 — nofaollari ham)
+api.get("/stations", authMiddleware, async (req, res) => {
+    try {
+        const filter = req.query.all == "1" ? {} : { active: true };
+        const stations = offline()
+            ? sortDocs(cachedStations().filter(st => !filter.active || st.active), { sortOrder: 1, name: 1 })
+            : await Station.find(filter).sort({ sortOrder: 1, name: 1 }).lean();
+        // qurilma manzili (parol bo‘lishi mumkin) — faqat manager ga
+        if (ROLES.indexOf(req.user.role) < ROLES.indexOf("manager")) stations.forEach(st => delete st.device);
+        return res.json({ ok: true, stations });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// create station (manager)
+api.post("/stations", authMiddleware, requireRole("manager"), async (req, res) => {
+    try {
+        const { name, consoleType, cssClass, active, sortOrder } = req.body || {};
+        if (!name || !String(name).trim()) return res.status(400).json({ ok: false, error: "Station nomi majburiy!" });
+        if (!STATION_NAME_RE.test(String(name).trim())) return res.status(400).json({ ok: false, error: STATION_NAME_ERROR });
+        if (cssClass && !STATION_CLASS_RE.test(cssClass)) return res.status(400).json({ ok: false, error: "CSS klass noto‘g‘ri" });
+        const exists = await Station.findOne({ name: String(name).trim() });
+        if (exists) return res.status(400).json({ ok: false, error: "Bu nomdagi station bor!" });
+        const { device, error } = parseDeviceInput((req.body || {}).device);
+        if (error) return res.status(400).json({ ok: false, error });
+
+        const st = await Station.create({
+            name: String(name).trim(),
+            consoleType,
+            cssClass: cssClass || `ps-bg-${String(name).trim()}`,
+            active: active === undefined ? true : !!active,
+            sortOrder: Number(sortOrder) || 0,
+            device
+        });
+        return res.json({ ok: true, station: st });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// edit station (manager) — nomi o‘zgarsa, faol zakazlar ham yangi nomga o‘tadi
+api.put("/stations/:id", authMiddleware, requireRole("manager"), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ ok: false, error: "Not found" });
+        const st = await Station.findById(req.params.id);
+        if (!st) return res.status(404).json({ ok: false, error: "Not found" });
+
+        const { name, consoleType, cssClass, active, sortOrder } = req.body || {};
+        const oldName = st.name;
+        if (name !== undefined && String(name).trim() !== oldName) {
+            const newName = String(name).trim();
+            if (!newName) return res.status(400).json({ ok: false, error: "Station nomi majburiy!" });
+            if (!STATION_NAME_RE.test(newName)) return res.status(400).json({ ok: false, error: STATION_NAME_ERROR });
+            if (await Station.findOne({ name: newName })) {
+                return res.status(400).json({ ok: false, error: "Bu nomdagi station bor!" });
+            }
+            st.name = newName;
+        }
+        if (consoleType !== undefined) st.consoleType = consoleType;
+        if (cssClass !== undefined) {
+            if (!STATION_CLASS_RE.test(cssClass)) return res.status(400).json({ ok: false, error: "CSS klass noto‘g‘ri" });
+            st.cssClass = cssClass;
+        }
+        if (sortOrder !== undefined) st.sortOrder = Number(sortOrder) || 0;
+        if ((req.body || {}).device !== undefined) {
+            const { device, error } = parseDeviceInput(req.body.device);
+            if (error) return res.status(400).json({ ok: false, error });
+            st.device = device;
+        }
+        if (active !== undefined) {
+            if (!active && await storage.orders.findOne({ ps: oldName, status: "process" })) {
+                return res.status(400).json({ ok: false, error: "Bu PlayStation hozir band!" });
+            }
+            st.active = !!active;
+        }
+        await st.save();
+
+        if (st.name !== oldName) {
+            await storage.orders.updateMany({ ps: oldName, status: "process" }, { $set: { ps: st.name } });
+            deviceStates.delete(oldName);
+            publishEvent("orders.reset", { reason: "station-rename" });
+        } else if ((req.body || {}).device !== undefined) {
+            deviceStates.delete(st.name); // yangi qurilma — holati noma’lum
+            reconcileDevices().catch(e => console.error("Device reconcile error:", e.message));
+        }
+        return res.json({ ok: true, station: st });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// delete station (manager) — band stationni o‘chirib bo‘lmaydi
+api.delete("/stations/:id", authMiddleware, requireRole("manager"), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ ok: false, error: "Not found" });
+        const st = await Station.findById(req.params.id);
+        if (!st) return res.status(404).json({ ok: false, error: "Not found" });
+        if (await storage.orders.findOne({ ps: st.name, status: "process" })) {
+            return res.status(400).json({ ok: false, error: "Bu PlayStation hozir band!" });
+        }
+        await st.deleteOne();
+        return res.json({ ok: true });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// ===== PS qurilmalari (devices.js): sessiya boshlanganda yoqiladi, tugaganda o‘chiriladi =====
+// Yakunlangan/bekor qilingan zakaz PS i DEVICE_GRACE_SECONDS dan keyin o‘chiriladi (shu orada yangi zakaz
+// ochilsa — o‘chmaydi). Pauzada darhol o‘chadi, davom etganda yonadi. Holat xotirada: restartda va
+// orders.reset dan keyin hamma PS zakazlarga qarab qayta tekshiriladi (reconcileDevices).
+
+const deviceStates = new Map();  // PS -> { on, ok, error, at, reason, driver }
+const powerTimers = new Map();   // PS -> { timer, at } — kutilayotgan o‘chirish
+const poweredOrders = new Map(); // zakaz _id -> PS — zakaz boshqa PS ga ko‘chirilsa eskisi o‘chiriladi
+
+async function stationDevice(name) {
+    const st = offline() ? cachedStations().find(x => x.name === name) : await Station.findOne({ name }).lean();
+    return st && st.device && st.device.driver ? st.device : null;
+}
+
+// PS da o‘ynalayotgan (pauzada emas) zakaz bormi
+const stationRunning = name => storage.orders.exists({ ps: name, status: "process", pausedAt: null });
+
+function cancelPowerOff(name) {
+    const pending = powerTimers.get(name);
+    if (pending) clearTimeout(pending.timer);
+    powerTimers.delete(name);
+}
+
+// force — holat allaqachon shunday bo‘lsa ham buyruq yuboriladi (restart, qo‘lda)
+async function setStationPower(name, on, reason, force = false) {
+    cancelPowerOff(name);
+    const current = deviceStates.get(name);
+    if (!force && current && current.ok && current.on === on) return current;
+    const device = await stationDevice(name);
+    if (!device) return null;
+    const state = { on, ok: true, error: "", at: new Date(), reason, driver: device.driver };
+    try {
+        await switchDevice(device, on, { station: name, mqttUrl: MQTT_URL, timeoutMs: DEVICE_TIMEOUT_MS });
+    } catch (e) {
+        state.ok = false;
+        state.error = e.message;
+        console.error(`Device ${name} ${on ? "ON" : "OFF"}:`, e.message);
+        if (!current || current.ok) {
+            sendToTelegram("system", `<b>⚠️ PS qurilmasi javob bermadi</b>\nPS: ${name}\n${on ? "Yoqish" : "O‘chirish"} (${reason}): ${e.message}`).catch(console.error);
+        }
+    }
+    deviceStates.set(name, state);
+    return state;
+}
+
+// grace dan keyin o‘chirish; vaqti kelganda PS da yangi sessiya bo‘lsa — o‘chirilmaydi
+function schedulePowerOff(name, reason, delayMs = DEVICE_GRACE_SECONDS * 1000) {
+    const current = deviceStates.get(name);
+    if (powerTimers.has(name) || (current && current.ok && !current.on)) return;
+    const timer = setTimeout(async () => {
+        powerTimers.delete(name);
+        try {
+            if (!(await stationRunning(name))) await setStationPower(name, false, reason);
+        } catch (e) {
+            console.error("Device error:", e.message);
+        }
+    }, delayMs);
+    powerTimers.set(name, { timer, at: new Date(Date.now() + delayMs), reason });
+}
+
+// zakaz eventi -> PS holati (publishOrderEvent dan)
+async function syncOrderPower(type, o) {
+    const id = String(o._id);
+    const running = o.status === "process" && type !== "order.deleted";
+    const prev = poweredOrders.get(id);
+    if (prev && (!running || prev !== o.ps)) {
+        poweredOrders.delete(id);
+        if (prev !== o.ps) schedulePowerOff(prev, "boshqa PS ga ko‘chirildi");
+    }
+    if (!running) return schedulePowerOff(o.ps, o.status === "trash" || type === "order.deleted" ? "zakaz bekor qilindi" : "sessiya yakunlandi");
+    if (o.pausedAt) return setStationPower(o.ps, false, "pauza");
+    poweredOrders.set(id, o.ps);
+    return setStationPower(o.ps, true, "sessiya");
+}
+
+// hamma qurilmali PS lar: faol zakaz bo‘lsa yoqiq, bo‘lmasa o‘chiq. startup — darhol va majburan
+async function reconcileDevices(startup = false) {
+    if (!storage) return;
+    const stations = (offline() ? cachedStations() : await Station.find().lean()).filter(st => st.device && st.device.driver);
+    if (!stations.length) return;
+    const running = await storage.orders.find({ status: "process" });
+    for (const st of stations) {
+        const o = running.find(x => x.ps === st.name);
+        if (o && !o.pausedAt) {
+            poweredOrders.set(String(o._id), st.name);
+            await setStationPower(st.name, true, "tekshiruv", startup);
+        } else if (o) {
+            await setStationPower(st.name, false, "pauza", startup);
+        } else if (startup) {
+            await setStationPower(st.name, false, "tekshiruv", true);
+        } else {
+            schedulePowerOff(st.name, "tekshiruv");
+        }
+    }
+}
+
+// qurilmalar holati (manager)
+api.get("/devices", authMiddleware, requireRole("manager"), async (req, res) => {
+    try {
+        const stations = (offline() ? cachedStations() : await Station.find().sort({ sortOrder: 1, name: 1 }).lean())
+            .filter(st => st.device && st.device.driver);
+        const devices = stations.map(st => {
+            const pending = powerTimers.get(st.name);
+            return {
+                station: st.name,
+                device: st.device,
+                state: deviceStates.get(st.name) || null,
+                pendingOff: pending ? { at: pending.at, reason: pending.reason } : null,
+                mock: st.device.driver === "mock" ? mockStates.get(st.name) || null : undefined
+            };
+        });
+        return res.json({ ok: true, drivers: DEVICE_DRIVERS, graceSeconds: DEVICE_GRACE_SECONDS, devices });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// qo‘lda yoqish/o‘chirish (manager): /devices/PS1/on | /devices/PS1/off — kutilayotgan o‘chirish bekor bo‘ladi
+api.post("/devices/:station/:action", authMiddleware, requireRole("manager"), async (req, res) => {
+    try {
+        const { station, action } = req.params;
+        if (!["on", "off"].includes(action)) return res.status(400).json({ ok: false, error: "action: on | off" });
+        if (!(await stationDevice(station))) return res.status(404).json({ ok: false, error: "Bu PS ga qurilma ulanmagan" });
+        const state = await setStationPower(station, action === "on", `qo‘lda (${req.user.username})`, true);
+        await writeAudit(req, "device", null, null, { station, on: action === "on", ok: state.ok, error: state.error || undefined });
+        return res.json({ ok: state.ok, state, error: state.error || undefined });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// tarif body ni tekshirish (POST va PUT uchun umumiy)
+function parseTariffInput(body, partial = false) {
+    const data = {};
+    const b = body || {};
+    if (b.name !== undefined || !partial) {
+        if (!b.name || !String(b.name).trim()) return { error: "Tarif nomi majburiy!" };
+        data.name = String(b.name).trim();
+    }
+    if (b.pricePerHour !== undefined || !partial) {
+        const price = Number(b.pricePerHour);
+        if (isNaN(price) || price < 0) return { error: "Soatlik narx noto‘g‘ri!" };
+        data.pricePerHour = price;
+    }
+    for (const key of ["timeFrom", "timeTo"]) {
+        if (b[key] === undefined) continue;
+        if (b[key] && parseClock(b[key]) === null) return { error: `${key} "HH:MM" formatida bo‘lishi kerak` };
+        data[key] = b[key] || "";
+    }
+    for (const key of ["stations", "consoleTypes"]) {
+        if (b[key] === undefined) continue;
+        const list = Array.isArray(b[key]) ? b[key] : String(b[key]).split(",");
+        data[key] = list.map(x => String(x).trim()).filter(Boolean);
+    }
+    if (b.days !== undefined) {
+        const list = Array.isArray(b.days) ? b.days : String(b.days).split(",").filter(x => x.trim() !== "");
+        const days = list.map(Number);
+        if (days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) return { error: "Kunlar 0–6 oralig‘ida bo‘lishi kerak" };
+        data.days = days;
+    }
+    for (const key of ["priority", "roundTo", "minCharge"]) {
+        if (b[key] === undefined) continue;
+        const n = Number(b[key]);
+        if (isNaN(n) || (key !== "priority" && n < 0)) return { error: `${key} noto‘g‘ri` };
+        data[key] = n;
+    }
+    if (b.roundMode !== undefined) {
+        if (!["ceil", "round", "floor"].includes(b.roundMode)) return { error: "roundMode: ceil | round | floor" };
+        data.roundMode = b.roundMode;
+    }
+    if (b.active !== undefined) data.active = !!b.active;
+    return { data };
+}
+
+// tariffs list
+api.get("/tariffs", authMiddleware, async (req, res) => {
+    try {
+        const tariffs = await Tariff.find().sort({ priority: -1, name: 1 }).lean();
+        return res.json({ ok: true, tariffs, defaultPricePerHour: PRICE_PER_HOUR });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// narxni oldindan ko‘rish: ?ps=PS5&start=...&end=... yoki &amount=20000 (cash tugash vaqti)
+api.get("/tariffs/quote", authMiddleware, async (req, res) => {
+    try {
+        const { ps = "PS1", start, end, amount } = req.query;
+        const from = start ? new Date(start) : new Date();
+        if (isNaN(from)) return res.status(400).json({ ok: false, error: "start noto‘g‘ri" });
+        if (amount !== undefined) {
+            const endTime = await cashEndTime(ps, from, Number(amount));
+            return res.json({ ok: true, startTime: from, endTime });
+        }
+        const to = end ? new Date(end) : new Date();
+        if (isNaN(to)) return res.status(400).json({ ok: false, error: "end noto‘g‘ri" });
+        const bill = await priceSession(ps, from, to);
+        return res.json({ ok: true, ...bill });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// create tariff (manager)
+api.post("/tariffs", authMiddleware, requireRole("manager"), async (req, res) => {
+    try {
+        const { data, error } = parseTariffInput(req.body);
+        if (error) return res.status(400).json({ ok: false, error });
+        if (await Tariff.findOne({ name: data.name })) return res.status(400).json({ ok: false, error: "Bu nomdagi tarif bor!" });
+        const tariff = await Tariff.create(data);
+        return res.json({ ok: true, tariff });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// edit tariff (manager)
+api.put("/tariffs/:id", authMiddleware, requireRole("manager"), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ ok: false, error: "Not found" });
+        const tariff = await Tariff.findById(req.params.id);
+        if (!tariff) return res.status(404).json({ ok: false, error: "Not found" });
+        const { data, error } = parseTariffInput(req.body, true);
+        if (error) return res.status(400).json({ ok: false, error });
+        if (data.name && data.name !== tariff.name && await Tariff.findOne({ name: data.name })) {
+            return res.status(400).json({ ok: false, error: "Bu nomdagi tarif bor!" });
+        }
+        Object.assign(tariff, data);
+        await tariff.save();
+        return res.json({ ok: true, tariff });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// delete tariff (manager)
+api.delete("/tariffs/:id", authMiddleware, requireRole("manager"), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ ok: false, error: "Not found" });
+        const result = await Tariff.deleteOne({ _id: req.params.id });
+        if (!result.deletedCount) return res.status(404).json({ ok: false, error: "Not found" });
+        return res.json({ ok: true });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// audit log (manager): ?action=&user=&orderId=&ps=&from=&to=&limit=&skip=
+api.get("/audit", authMiddleware, requireRole("manager"), async (req, res) => {
+    try {
+        const { action, user, orderId, ps, from, to } = req.query;
+        const filter = {};
+        if (action) filter.action = { $in: String(action).split(",") };
+        if (user) filter["actor.username"] = String(user);
+        if (ps) filter.ps = String(ps);
+        if (orderId !== undefined && orderId !== "") {
+            const n = Number(orderId);
+            if (isNaN(n)) return res.status(400).json({ ok: false, error: "orderId raqam bo‘lishi kerak" });
+            filter.orderId = n;
+        }
+        if (from || to) {
+            filter.at = {};
+            if (from) filter.at.$gte = new Date(from);
+            if (to) filter.at.$lte = new Date(to);
+            if (Object.values(filter.at).some(d => isNaN(d))) return res.status(400).json({ ok: false, error: "Sana noto‘g‘ri" });
+        }
+        const limit = Math.min(Number(req.query.limit) || 100, 500);
+        const skip = Math.max(Number(req.query.skip) || 0, 0);
+        const [events, total] = await Promise.all([
+            AuditEvent.find(filter).sort({ at: -1, _id: -1 }).skip(skip).limit(limit).lean(),
+            AuditEvent.countDocuments(filter)
+        ]);
+        return res.json({ ok: true, total, events });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// trash list (manager; GET /orders dagi filtrlar)
+api.get("/trash", authMiddleware, requireRole("manager"), async (req, res) => {
+    try {
+        const parsed = parseOrderQuery(req.query, { status: "trash", sort: "-deletedAt", dateField: "deletedAt" });
+        if (parsed.error) return res.status(400).json({ ok: false, error: parsed.error });
+        return res.json({ ok: true, ...(await findOrdersPage(parsed)) });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// Arxiv schema
+const archiveSchema = new mongoose.Schema({
+    date: { type: String, required: true }, // "YYYY-MM-DD"
+    orders: { type: Array, default: [] },
+    totalSum: { type: Number, default: 0 },
+    byMethod: { type: Object, default: null }, // { cash, card, click, payme } — shu zakazlar to‘lovlari
+    payments: { type: Object, default: null },   // summarizePayments natijasi
+    createdAt: { type: Date, default: Date.now }
+}, { versionKey: false });
+
+archiveSchema.index({ date: 1 });
+
+const Archive = mongoose.model("Archive", archiveSchema);
+
+// ===== Ombor: MongoDB yoki lokal SQLite (storage.js) =====
+
+// sync manbai: SQLite rejimida — storage o‘zi; Mongo rejimida — oldingi offline ishdan qolgan fayl
+let localStore = null;
+let syncBusy = false;
+let lastSync = null; // { at, result } yoki { at, error }
+
+// STORAGE=auto: ishga tushishda Mongo ulanmasa — shu ishga tushish davomida SQLite
+async function initStorage() {
+    const connected = await connectMongo();
+    const local = STORAGE === "sqlite" || (STORAGE === "auto" && !connected);
+    if (local) {
+        storage = localStore = createSqliteStorage(SQLITE_FILE, { Order, Archive });
+        console.warn(`Zakazlar lokal SQLite da saqlanadi: ${SQLITE_FILE}`);
+        // internetsiz birinchi ishga tushish: env dagi owner bilan kirish mumkin (seedOwner kabi)
+        if (!storage.cache.get("users")) {
+            storage.cache.set("users", [{ _id: "local-owner", username: ADMIN_USER, passwordHash: await hashPassword(ADMIN_PASS), role: "owner", active: true }]);
+        }
+    } else {
+        storage = createMongoStorage({ Order, Counter, Archive });
+        if (fs.existsSync(SQLITE_FILE)) localStore = createSqliteStorage(SQLITE_FILE, { Order, Archive });
+    }
+    if (connected) {
+        runMongoMaintenance();
+        syncLocal();
+    }
+}
+
+// Mongo ulanganda (ishga tushish va qayta ulanish) — ledger ko‘chirish va arxiv birlashtirish.
+// Bir vaqtda faqat bittasi ishlaydi: "connected" va initStorage bir-biriga ustma-ust tushmaydi
+let maintenanceRun = null;
+function runMongoMaintenance() {
+    if (maintenanceRun || !storage || storage.kind !== "mongo") return;
+    maintenanceRun = (async () => {
+        await migrateLedger().catch(e => console.error("Payment ledger migration error:", e.message));
+        await mergeDuplicateArchives().catch(e => console.error("Archive merge error:", e.message));
+    })().finally(() => { maintenanceRun = null; });
+}
+
+// offline uchun xodim, PS va tarif nusxasi (Mongo ulangan paytda yangilanadi)
+async function refreshLocalCache() {
+    const [users, stations, tariffs] = await Promise.all([User.find().lean(), Station.find().lean(), Tariff.find().lean()]);
+    if (users.length) storage.cache.set("users", users);
+    if (stations.length) storage.cache.set("stations", stations);
+    storage.cache.set("tariffs", tariffs);
+}
+
+// lokal SQLite -> Mongo: zakazlar, arxiv, outbox (to‘lov, audit). Xato lastSync ga yoziladi.
+async function syncLocal() {
+    if (syncBusy || !localStore || !mongoReady()) return;
+    if (storage.kind === "mongo" && !Object.values(localStore.sync.counts()).some(Boolean)) return;
+    syncBusy = true;
+    try {
+        if (storage.kind === "sqlite") await refreshLocalCache();
+        const result = await syncToMongo(localStore, mongoose.connection.db, {
+            orders: Order.collection.name, archives: Archive.collection.name, counters: Counter.collection.name
+        });
+        lastSync = { at: new Date(), result };
+        if (result.orders || result.outbox) console.log(`Sync: ${result.orders} ta zakaz, ${result.archives} ta arxiv, ${result.outbox} ta yozuv MongoDB ga yuborildi`);
+        if (result.archives) await mergeDuplicateArchives(); // offline arxivlangan kun Mongo da ham bo‘lishi mumkin
+        if (result.renumbered.length) {
+            const list = result.renumbered.map(r => `#${r.from} → #${r.to}`).join(", ");
+            console.warn("Sync: zakaz raqamlari o‘zgardi:", list);
+            publishEvent("orders.reset", { reason: "sync" });
+            sendToTelegram("system", `<b>🔁 Sync: zakaz raqamlari o‘zgardi</b>\n(MongoDB da band edi)\n${list}`).catch(console.error);
+        }
+    } catch (e) {
+        lastSync = { at: new Date(), error: e.message };
+        console.error("Sync error:", e.message);
+    } finally {
+        syncBusy = false;
+    }
+}
+
+mongoose.connection.on("connected", () => {
+    if (storage) syncLocal();
+});
+setInterval(syncLocal, 60 * 1000);
+
+// ombor holati (manager): rejim, Mongo ulanishi, yuborilmagan yozuvlar soni
+api.get("/storage", authMiddleware, requireRole("manager"), (req, res) => {
+    return res.json({
+        ok: true,
+        kind: storage.kind,
+        mode: STORAGE,
+        mongo: mongoReady(),
+        file: localStore ? SQLITE_FILE : null,
+        pending: localStore ? localStore.sync.counts() : null,
+        lastSync
+    });
+});
+
+// lokal ma’lumotni hozir Mongo ga yuborish (manager)
+api.post("/storage/sync", authMiddleware, requireRole("manager"), async (req, res) => {
+    try {
+        if (!localStore) return res.status(400).json({ ok: false, error: "Lokal SQLite ombori yo‘q" });
+        if (!mongoReady()) return res.status(409).json({ ok: false, error: "MongoDB ulanmagan" });
+        if (syncBusy) return res.status(409).json({ ok: false, error: "Sync bajarilmoqda, birozdan keyin urinib ko‘ring" });
+        await syncLocal();
+        if (lastSync.error) return res.status(500).json({ ok: false, error: lastSync.error });
+        return res.json({ ok: true, ...lastSync.result, pending: localStore.sync.counts() });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// mount api
+app.use("/api", api);
+
+// serve login
+app.get("/", (req, res) => {
+    res.sendFile(path.join(__dirname, "public", "login.html"));
+});
+
+// 404
+app.use((req, res, next) => {
+    if (req.path.startsWith("/api/")) return res.status(404).json({ ok: false, error: "API route not found" });
+    return res.status(404).send("Not found");
+});
+
+// error handler
+app.use((err, req, res, next) => {
+    console.error("Unhandled error:", err);
+    res.status(500).json({ ok: false, error: "Server error" });
+});
+
+// start server — avval ombor tanlanadi (STORAGE=auto Mongo ulanishini kutadi)
+let httpServer = null;
+initStorage()
+    .then(() => loadRevokedSessions().catch(e => console.error("Revoked sessions load error:", e.message)))
+    .then(() => {
+        reconcileDevices(true).catch(e => console.error("Device reconcile error:", e.message));
+    })
+    .then(() => {
+        httpServer = app.listen(PORT, () => console.log(`Server running on port ${PORT} (storage: ${storage.kind})`));
+    })
+    .catch(e => {
+        console.error("Storage init error:", e);
+        process.exit(1);
+    });
+
+setInterval(async () => {
+    try {
+        const now = new Date();
+        const expired = await storage.orders.find({
+            status: "process",
+            type: "cash",
+            pausedAt: null, // pauzadagilar tugamaydi
+            endTime: { $lte: now }
+        });
+        let completed = 0;
+        for (const o of expired) {
+            // mijozli zakaz Mongo qaytgach yakunlanadi (ball va tashrif yo‘qolmasin)
+            if (o.customer && offline()) continue;
+            const before = orderSnapshot(o);
+            o.status = "completed";
+            o.completedAt = now;
+            o.completedBy = "system";
+            // shu orada kassir yoki bot yakunlagan bo‘lsa — o‘tkazib yuboriladi
+            if (!(await claimCompletion(o, now, "system"))) continue;
+            // kechikib yakunlansa ham o‘ynalgan vaqt — to‘langan vaqt tugagan paytgacha
+            const end = new Date(Math.min(now, new Date(o.endTime)));
+            const played = Math.floor((end - new Date(o.startTime) - pausedMs(o.pauses, end)) / 60000);
+            try {
+                await settleCustomer(o, played, "system");
+            } catch (e) {
+                await releaseCompletion(o);
+                throw e;
+            }
+            completed++;
+            await storage.orders.save(o);
+            await recordCompletionPayments(null, o); // zakazdagi mahsulotlar — naqd
+            await writeAudit(null, "auto-complete", o, before);
+            publishOrderEvent("order.auto-completed", o);
+            sendToTelegram("order.auto-complete", `<b>✅ Zakaz avtomatik yakunlandi</b>\nPS: ${o.ps}\n<u>Turi: ${o.type.toUpperCase()}</u> \nSumma: <b>${o.summa} </b> so'm\nBoshlangan: ${formatTashkent(o.startTime)}\n${o.endTime ? `Yakun: ${formatTashkent(o.endTime)}\n` : "-"}${o.items.length ? `🥤 Mahsulot: ${itemsTotal(o.items).toLocaleString()} so'm\n` : ""}`).catch(console.error);
+        }
+        if (completed) console.log(`Auto-completed ${completed} orders`);
+    } catch (e) {
+        console.error("Auto-complete error:", e);
+    }
+}, 60 * 1000); // har 1 daqiqada
+
+// "vaqt tugayapti": cash zakaz tugashidan SESSION_WARN_MINUTES oldin — Telegram + process sahifasiga event.
+// Yuborilganlari zakazning warnedMinutes ida (restartda takrorlanmaydi). Uzaytirilib qolgan vaqt
+// chegaradan oshsa, o‘sha chegara ro‘yxatdan chiqadi va keyin yana ogohlantiriladi.
+setInterval(async () => {
+    if (!SESSION_WARN_MINUTES.length || !storage) return;
+    try {
+        const now = new Date();
+        const running = await storage.orders.find({
+            status: "process",
+            type: "cash",
+            pausedAt: null, // pauzada vaqt ketmaydi
+            endTime: { $gt: now }
+        });
+        for (const o of running) {
+            const leftMs = new Date(o.endTime) - now;
+            const reached = m => leftMs <= m * 60000;
+            const warned = (o.warnedMinutes || []).filter(reached);
+            const due = SESSION_WARN_MINUTES.filter(m => reached(m) && !warned.includes(m));
+            if (!due.length && warned.length === (o.warnedMinutes || []).length) continue;
+            o.warnedMinutes = [...warned, ...due];
+            await storage.orders.save(o);
+            if (!due.length) continue;
+            // server o‘chib turgan bo‘lsa bir nechta chegara birga o‘tgan — bitta xabar
+            const minutes = Math.min(...due);
+            const left = Math.max(1, Math.ceil(leftMs / 60000));
+            publishEvent("order.warning", { order: o, minutes, left });
+            sendToTelegram("order.warning", `<b>⏳ Vaqt tugayapti</b>\nPS: ${o.ps}\nQoldi: <b>${left}</b> minut\nYakun: ${formatTashkent(o.endTime)}\nSumma: ${o.summa.toLocaleString()} so'm${o.customerName ? `\nMijoz: ${escapeHtml(o.customerName)}` : ""}`).catch(console.error);
+        }
+    } catch (e) {
+        console.error("Session warning error:", e);
+    }
+}, 30 * 1000);
+
+// bron eslatmasi: boshlanishidan RESERVATION_REMINDER_MINUTES oldin (reminderSentAt bazada — restartda takrorlanmaydi)
+setInterval(async () => {
+    try {
+        const now = new Date();
+        const due = await Reservation.find({
+            status: "booked",
+            reminderSentAt: null,
+            start: { $lte: new Date(now.getTime() + RESERVATION_REMINDER_MINUTES * 60000) },
+            end: { $gt: now }
+        });
+        for (const r of due) {
+            r.reminderSentAt = now;
+            await r.save();
+            const minutes = Math.max(0, Math.round((r.start - now) / 60000));
+            sendToTelegram("reservation", `<b>⏰ Bron eslatmasi</b>\nPS: ${r.station}\nMijoz: ${escapeHtml(r.customerName)}${r.phone ? ` (${escapeHtml(r.phone)})` : ""}\nBoshlanish: ${formatTashkent(r.start)} (${minutes} minutdan keyin)\nDavomiylik: ${r.durationMinutes} minut${r.deposit ? `\nOldindan to‘lov: ${r.deposit.toLocaleString()} so'm` : ""}`).catch(console.error);
+        }
+    } catch (e) {
+        console.error("Reservation reminder error:", e);
+    }
+}, 60 * 1000);
+
+// ===== Scheduler: kunlik yopish (hisobot + arxiv) =====
+// Biznes kun (DAY_CUTOFF) tugagach: Telegramga hisobot, yakunlangan zakazlar arxivga.
+// Har bir ishga tushish SchedulerRun ga yoziladi (key = biznes kun sanasi) — restartdan keyin
+// oxirgi SCHEDULER_CATCHUP_DAYS kun ichida muvaffaqiyatli yopilmagan kunlar qayta bajariladi.
+const SCHEDULER_RETRY_MS = 10 * 60 * 1000; // xato bo‘lgan kunni qayta urinish oralig‘i
+
+const schedulerRunSchema = new mongoose.Schema({
+    job: { type: String, required: true },
+    key: { type: String, required: true }, // "YYYY-MM-DD"
+    status: { type: String, enum: ["running", "ok", "error"], default: "running" },
+    trigger: { type: String, enum: ["auto", "catch-up", "manual"], default: "auto" },
+    user: { type: String, default: "system" },
+    startedAt: { type: Date, default: Date.now },
+    finishedAt: { type: Date, default: null },
+    result: { type: Object, default: null },
+    error: { type: String, default: null }
+}, { versionKey: false });
+schedulerRunSchema.index({ job: 1, key: 1, startedAt: -1 });
+
+const SchedulerRun = mongoose.model("SchedulerRun", schedulerRunSchema);
+
+let schedulerBusy = false;
+
+// bitta biznes kunni yopish; actor — qo‘lda ishga tushirilsa req
+async function runDailyClose(dateStr, trigger = "auto", actor = null) {
+    const range = businessDayRange(dateStr);
+    const run = await SchedulerRun.create({ job: "daily-close", key: range.date, trigger, user: auditActor(actor).username });
+    try {
+        const report = await buildDailyReport(range);
+        await sendDailyReport(report, trigger === "manual" ? "📊 Kunlik Hisobot" : "📊 Kunlik Hisobot (avtomatik)");
+
+        // faqat yakunlangan zakazlar; kun chegarasida hali o‘ynayotganlar keyingi yopishda arxivlanadi —
+        // har biri o‘z biznes kuni arxiviga (range.date ga emas)
+        const orders = await storage.orders.find({ createdAt: { $lt: range.end }, status: "completed" });
+        if (orders.length) await takeBackup(actor, `kunlik yopish ${range.date}`); // xato bo‘lsa arxivlanmaydi, keyinroq qayta urinadi
+        const byDay = new Map();
+        for (const o of orders) {
+            const day = businessDayRange(null, o.createdAt).date;
+            if (!byDay.has(day)) byDay.set(day, []);
+            byDay.get(day).push(o);
+        }
+        const archive = { archived: 0, totalSum: 0 };
+        for (const [day, list] of byDay) {
+            const result = await archiveOrders(actor, day, list);
+            archive.archived += result.archived;
+            archive.totalSum += result.totalSum;
+        }
+
+        run.status = "ok";
+        run.result = {
+            count: report.count, playSum: report.playSum, goodsSum: report.goodsSum, totalSum: report.totalSum,
+            byMethod: report.payments.byMethod, archived: archive.archived, archivedSum: archive.totalSum
+        };
+    } catch (e) {
+        console.error("Daily close error:", e);
+        run.status = "error";
+        run.error = e.message;
+    }
+    run.finishedAt = new Date();
+    await run.save();
+    return run;
+}
+
+async function schedulerTick() {
+    if (schedulerBusy || !storage || !mongoReady()) return;
+    schedulerBusy = true;
+    try {
+        const today = businessDayRange();
+        // birinchi ishga tushishda faqat kechagi kun (eski kunlar uchun hisobot yog‘ilmasin)
+        const days = await SchedulerRun.exists({ job: "daily-close" }) ? SCHEDULER_CATCHUP_DAYS : 1;
+        for (let i = days; i >= 1; i--) {
+            const range = businessDayRange(null, today.start.getTime() - i * DAY_MS);
+            const last = await SchedulerRun.findOne({ job: "daily-close", key: range.date }).sort({ startedAt: -1 }).lean();
+            if (last && (last.status === "ok" || Date.now() - last.startedAt < SCHEDULER_RETRY_MS)) continue;
+            // kun tugaganidan 1 soatdan ko‘p o‘tgan bo‘lsa — server o‘chiq bo‘lgan
+            const trigger = Date.now() - range.end > 60 * 60 * 1000 ? "catch-up" : "auto";
+            const run = await runDailyClose(range.date, trigger);
+            console.log(`Daily close ${range.date} (${trigger}): ${run.status}`);
+        }
+    } catch (e) {
+        console.error("Scheduler error:", e);
+    } finally {
+        schedulerBusy = false;
+    }
+}
+
+if (SCHEDULER_ENABLED) {
+    mongoose.connection.once("open", () => schedulerTick());
+    setInterval(schedulerTick, 60 * 1000);
+}
+
+// scheduler holati va oxirgi ishga tushishlar (manager)
+api.get("/scheduler", authMiddleware, requireRole("manager"), async (req, res) => {
+    try {
+        const today = businessDayRange();
+        const runs = await SchedulerRun.find().sort({ startedAt: -1 }).limit(Math.min(Number(req.query.limit) || 30, 200)).lean();
+        return res.json({
+            ok: true,
+            enabled: SCHEDULER_ENABLED,
+            cutoff: DAY_CUTOFF,
+            businessDate: today.date,
+            nextRunAt: SCHEDULER_ENABLED ? today.end : null,
+            runs
+        });
+    } catch (e) {
+        console.error(e);
         return res.status(500).json({ ok: false, error: e.message });
     }
 });
 
-// edit order
-api.put("/order/:id", authMiddleware, async (req, res) => {
+// kunni qo‘lda yopish: { date: "YYYY-MM-DD" } (default — kechagi biznes kun), force — qayta yopish
+api.post("/scheduler/run", authMiddleware, requireRole("manager"), async (req, res) => {
     try {
-        const id = req.params.id;
-        const { ps, type, amount, startTime, status } = req.body || {};
-        const o = await findOrderByAnyId(id);
-        if (!o) return res.status(404).json({ ok: false, error: "Not found" });
+        const { date, force } = req.body || {};
+        const range = date ? businessDayRange(date) : businessDayRange(null, businessDayRange().start.getTime() - 1);
+        if (!range) return res.status(400).json({ ok: false, error: "Sana noto‘g‘ri" });
+        if (range.end > new Date()) return res.status(400).json({ ok: false, error: "Bu kun hali tugamagan" });
+        if (!force && await SchedulerRun.exists({ job: "daily-close", key: range.date, status: "ok" })) {
+            return res.status(409).json({ ok: false, error: `${range.date} allaqachon yopilgan` });
+        }
+        if (schedulerBusy) return res.status(409).json({ ok: false, error: "Scheduler hozir ishlayapti, keyinroq urinib ko‘ring" });
 
-        if (ps) o.ps = ps;
-        if (type) o.type = type;
-        if (startTime) o.startTime = new Date(startTime);
+        schedulerBusy = true;
+        try {
+            const run = await runDailyClose(range.date, "manual", req);
+            return res.status(run.status === "ok" ? 200 : 500).json({ ok: run.status === "ok", run, error: run.error || undefined });
+        } finally {
+            schedulerBusy = false;
+        }
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
 
-        if (amount !== undefined) {
-            const newAmount = Number(amount);
+// DB tozalash (zakazlar va arxiv ham tozalanadi). Oldin POST /backup — tiklab bo‘ladigan snapshot
+api.post("/clear", authMiddleware, requireRole("owner"), requireMongoStorage, requireRecentBackup, async (req, res) => {
+    try {
+        const orders = await storage.orders.find();
+        const totalSum = orders.reduce((sum, o) => sum + (o.summa || 0), 0);
+        const backup = listBackups(BACKUP_DIR)[0];
 
-            // VIP: summa oshirilmaydi
-            if (o.type === "vip" && newAmount > o.summa) {
-                return res.status(400).json({ ok: false, error: "VIP summa oshirilmaydi!" });
+        const orderResult = await storage.orders.deleteMany({});
+        const archiveResult = await storage.archives.deleteMany({});
+        await Payment.deleteMany({ order: { $ne: null } }); // kassa sotuvi va balans to‘lovlari qoladi
+        await writeAudit(req, "clear", null, null, {
+            orderCount: orderResult.deletedCount,
+            archiveCount: archiveResult.deletedCount,
+            totalSum,
+            orderIds: orders.map(o => o.orderId)
+        });
+        publishEvent("orders.reset", { reason: "clear" });
+        await sendToTelegram("system", `<b>🧹 DB tozalandi</b>\nZakazlar: ${orderResult.deletedCount} ta, ${totalSum.toLocaleString()} so'm\n` +
+            `Arxiv: ${archiveResult.deletedCount} kun\nBackup: ${backup.name}`);
+
+        return res.json({
+            ok: true,
+            totalCount: orderResult.deletedCount,
+            totalSum,
+            archiveCount: archiveResult.deletedCount
+        });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// Kunlik hisobni boshlash (stats-ni 0 ga tenglash, ro‘yxat Telegramga yuboriladi). Oldin POST /backup
+api.post("/daily-reset", authMiddleware, requireRole("manager"), requireRecentBackup, async (req, res) => {
+    try {
+        // 1. Process va completed zakazlarni topamiz
+        const orders = await storage.orders.find({ status: { $in: ["process", "completed"] } });
+        const totalSum = orders.reduce((sum, o) => sum + (o.summa || 0), 0);
+
+        // 2. Telegramga ro‘yxat (4000 belgidan oshsa bo‘lib yuboriladi); tiklash uchun — oxirgi backup fayli
+        const lines = orders.map((o, i) =>
+            `${i + 1}) PS: ${o.ps} | ${o.type.toUpperCase()} | ${o.summa.toLocaleString()} so'm | ${o.startTime ? new Date(o.startTime).toLocaleString() : "-"}`
+        );
+        if (orders.length) {
+            await sendToTelegramChunks("daily-report", lines,
+                `🔄 Kunlik Hisobni Boshlash\nBackup: ${listBackups(BACKUP_DIR)[0].name}\nJami: ${orders.length} ta zakaz, ${totalSum.toLocaleString()} so'm\n`);
+        } else {
+            await sendToTelegram("daily-report", "🔄 Kunlik hisob boshlandi. Hech qanday zakaz yo‘q edi.");
+        }
+
+        // 3. Barcha process va completed zakazlarni trash holatiga o‘tkazamiz
+        const deletedAt = new Date();
+        const updated = await storage.orders.updateMany(
+            { _id: { $in: orders.map(o => o._id) } },
+            { $set: { status: "trash", deletedAt } }
+        );
+        await writeAuditMany(req, "daily-reset", orders, { status: "trash", deletedAt });
+        publishEvent("orders.reset", { reason: "daily-reset" });
+
+        return res.json({ ok: true, updated: updated.modifiedCount });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// arxivdagi zakazlar bo‘yicha jami; to‘lovlar — zakaz nusxasiga qo‘shilgan ledger yozuvlari
+// (ledger dan oldingi arxivlarda payments zakazning eski ro‘yxati — kind yo‘q, hisoblanmaydi)
+function archiveTotals(snapshots) {
+    const payments = snapshots.flatMap(o => (o.payments || []).filter(p => p.kind));
+    const summary = payments.length ? summarizePayments(payments) : null;
+    return {
+        totalSum: snapshots.reduce((sum, o) => sum + (o.summa || 0), 0),
+        byMethod: summary ? summary.byMethod : null,
+        payments: summary
+    };
+}
+
+// bitta kunga bitta arxiv: archive-day qayta ishlatilsa yoki sync ikkinchisini olib kelsa, zakazlar
+// eng birinchi arxivga qo‘shiladi (_id bo‘yicha — keyingi nusxa ustun)
+function mergeArchiveOrders(target, snapshots) {
+    const byId = new Map(target.orders.map(o => [String(o._id), o]));
+    for (const o of snapshots) byId.set(String(o._id), o);
+    const orders = [...byId.values()];
+    return { ...target, orders, ...archiveTotals(orders) };
+}
+
+// archive-day, kunlik yopish va un-archive bir vaqtda bitta arxivni o‘qib-yozmasligi uchun navbat
+let archiveLock = Promise.resolve();
+function withArchiveLock(fn) {
+    const run = archiveLock.then(fn);
+    archiveLock = run.catch(() => { });
+    return run;
+}
+
+// zakazlarni Archive ga yozib, trash ga o‘tkazish (archive-day va kunlik yopish).
+// Har bir zakazga o‘z to‘lovlari qo‘shiladi, arxivda to‘lov turlari bo‘yicha jami saqlanadi.
+// Shu kun arxivi bor bo‘lsa — yangisi yaratilmaydi, zakazlar unga qo‘shiladi (merged: true).
+async function archiveOrders(actor, dateStr, orders) {
+    const payments = await findPayments({ order: { $in: orders.map(o => o._id) } });
+    const byOrder = new Map();
+    for (const p of payments) {
+        const key = String(p.order);
+        if (!byOrder.has(key)) byOrder.set(key, []);
+        byOrder.get(key).push(p);
+    }
+    const snapshots = orders.map(o => ({ ...o, payments: byOrder.get(String(o._id)) || [] }));
+    const merged = await withArchiveLock(async () => {
+        const [found] = await storage.archives.find({ date: dateStr }, { sort: { createdAt: 1 } });
+        if (found) await storage.archives.save(mergeArchiveOrders(found, snapshots));
+        else await storage.archives.create({ date: dateStr, orders: snapshots, ...archiveTotals(snapshots) });
+        return Boolean(found);
+    });
+
+    const deletedAt = new Date();
+    await storage.orders.updateMany(
+        { _id: { $in: orders.map(o => o._id) } },
+        { $set: { status: "trash", deletedAt } }
+    );
+    await writeAuditMany(actor, "archive-day", orders, { status: "trash", deletedAt }, { date: dateStr });
+    publishEvent("orders.reset", { reason: "archive-day" });
+    const summary = archiveTotals(snapshots);
+    return { archived: orders.length, totalSum: summary.totalSum, byMethod: summary.byMethod || {}, merged };
+}
+
+// oldingi versiyadan qolgan bir kunlik bir nechta arxivni bittaga birlashtirish (Mongo; startup va sync dan keyin)
+async function mergeDuplicateArchives() {
+    const dups = await Archive.aggregate([
+        { $group: { _id: "$date", ids: { $push: "$_id" }, count: { $sum: 1 } } },
+        { $match: { count: { $gt: 1 } } }
+    ]);
+    for (const d of dups) {
+        await withArchiveLock(async () => {
+            const [first, ...rest] = await Archive.find({ _id: { $in: d.ids } }).sort({ createdAt: 1, _id: 1 }).lean();
+            const merged = mergeArchiveOrders(first, rest.flatMap(a => a.orders || []));
+            await Archive.replaceOne({ _id: first._id }, merged);
+            await Archive.deleteMany({ _id: { $in: rest.map(a => a._id) } });
+        });
+        console.log(`Arxiv ${d._id}: ${d.count} ta yozuv bittaga birlashtirildi`);
+    }
+    return dups.length;
+}
+
+// Kunlik hisobni arxivga o‘tkazish (manager, ?date=YYYY-MM-DD — biznes kun, default joriy). Oldin POST /backup
+api.post("/archive-day", authMiddleware, requireRole("manager"), requireRecentBackup, async (req, res) => {
+    try {
+        const range = businessDayRange(req.query.date);
+        if (!range) return res.status(400).json({ ok: false, error: "Sana noto‘g‘ri" });
+
+        const orders = await storage.orders.find({
+            createdAt: { $gte: range.start, $lt: range.end },
+            status: { $in: ["process", "completed"] }
+        });
+
+        if (!orders.length) {
+            return res.json({ ok: false, error: "Arxivga o‘tkaziladigan zakaz yo‘q" });
+        }
+
+        const result = await archiveOrders(req, range.date, orders);
+        return res.json({ ok: true, date: range.date, ...result });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// ===== Backup: bazaning to‘liq snapshot i (backup.js) =====
+// Faylga (BACKUP_DIR, oxirgi BACKUP_KEEP tasi) va Telegramga hujjat sifatida. /clear, /daily-reset,
+// /archive-day oxirgi BACKUP_FRESH_MINUTES ichida backup olinmagan bo‘lsa ishlamaydi; kunlik yopish o‘zi oladi.
+
+let backupRunning = null; // bir vaqtda kelgan so‘rovlar bitta snapshot ni kutadi
+
+/**
+ * Snapshot olish. Mongo ulanmagan SQLite rejimida — lokal ombordagi ma’lumot (source: "sqlite").
+ * @param {object} actor req yoki { user }
+ * @param {string} reason Telegram va audit uchun
+ */
+async function takeBackup(actor, reason) {
+    if (backupRunning) return backupRunning;
+    backupRunning = (async () => {
+        let collections;
+        let source = "mongo";
+        if (mongoReady()) {
+            collections = await dumpDatabase(mongoose.connection.db, { exclude: BACKUP_EXCLUDE });
+        } else if (storage.kind === "sqlite") {
+            collections = dumpLocal(storage, { orders: Order.collection.name, archives: Archive.collection.name, counters: Counter.collection.name });
+            source = "sqlite";
+        } else {
+            throw new Error("MongoDB ulanmagan — backup olib bo‘lmaydi");
+        }
+        const snapshot = buildSnapshot(collections, { reason, source, user: auditActor(actor).username });
+        const buffer = encodeSnapshot(snapshot);
+        const name = saveBackup(BACKUP_DIR, buffer, snapshot.createdAt);
+        const removed = rotateBackups(BACKUP_DIR, BACKUP_KEEP);
+        const records = Object.values(snapshot.counts).reduce((sum, n) => sum + n, 0);
+        const caption = `💾 Backup: ${reason}\n${records} ta yozuv, ${Object.keys(collections).length} ta to‘plam${source === "sqlite" ? "\n(lokal SQLite)" : ""}`;
+        // katta fayl Telegramga sig‘maydi — faqat lokal qoladi
+        const telegram = buffer.length <= TELEGRAM_DOCUMENT_MAX ? await sendToTelegram("backup", caption, name) : 0;
+        await writeAudit(actor, "backup", null, null, { name, reason, source, counts: snapshot.counts });
+        return { name, size: buffer.length, createdAt: snapshot.createdAt, source, counts: snapshot.counts, removed, telegram };
+    })();
+    try {
+        return await backupRunning;
+    } finally {
+        backupRunning = null;
+    }
+}
+
+function lastBackupFresh() {
+    const last = listBackups(BACKUP_DIR)[0];
+    return Boolean(last && Date.now() - last.at.getTime() <= BACKUP_FRESH_MINUTES * 60000);
+}
+
+// o‘chiradigan amallardan oldin: yaqinda olingan backup bo‘lishi shart (needBackup — UI backup taklif qiladi)
+function requireRecentBackup(req, res, next) {
+    if (lastBackupFresh()) return next();
+    return res.status(409).json({
+        ok: false,
+        needBackup: true,
+        error: `Avval backup oling: oxirgi ${BACKUP_FRESH_MINUTES} daqiqada backup olinmagan`
+    });
+}
+
+// backup olish (manager — arxivlashdan oldin kerak)
+api.post("/backup", authMiddleware, requireRole("manager"), async (req, res) => {
+    try {
+        const reason = String((req.body || {}).reason || "qo‘lda").slice(0, 100);
+        const backup = await takeBackup(req, reason);
+        return res.json({ ok: true, backup });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// saqlangan backup lar (eng yangisi birinchi)
+api.get("/backups", authMiddleware, requireRole("manager"), (req, res) => {
+    return res.json({
+        ok: true,
+        backups: listBackups(BACKUP_DIR),
+        keep: BACKUP_KEEP,
+        freshMinutes: BACKUP_FRESH_MINUTES,
+        fresh: lastBackupFresh()
+    });
+});
+
+// yuklab olish (owner — ichida xodimlarning parol hash lari ham bor)
+api.get("/backups/:name", authMiddleware, requireRole("owner"), (req, res) => {
+    const file = backupPath(BACKUP_DIR, req.params.name);
+    if (!file) return res.status(404).json({ ok: false, error: "Not found" });
+    return res.download(file, req.params.name);
+});
+
+// tiklash (owner). Fayl body da (Content-Type: application/gzip yoki application/octet-stream) yoki ?file=<saqlangan backup>.
+//   ?mode=merge (default) | replace, ?collections=orders,archives — faqat shular, ?dryRun=1 — faqat tekshirish.
+// Tiklashdan oldin joriy holat ham backup qilinadi.
+api.post("/backup/restore", authMiddleware, requireRole("owner"), requireMongoStorage, express.raw({ type: ["application/gzip", "application/octet-stream"], limit: BACKUP_UPLOAD_LIMIT }), async (req, res) => {
+    try {
+        const mode = req.query.mode || "merge";
+        if (!RESTORE_MODES.includes(mode)) return res.status(400).json({ ok: false, error: "mode: " + RESTORE_MODES.join(" yoki ") });
+        if (!mongoReady()) return res.status(409).json({ ok: false, error: "MongoDB ulanmagan" });
+
+        let buffer;
+        if (req.query.file) {
+            const file = backupPath(BACKUP_DIR, req.query.file);
+            if (!file) return res.status(404).json({ ok: false, error: "Backup fayli topilmadi" });
+            buffer = fs.readFileSync(file);
+        } else if (Buffer.isBuffer(req.body) && req.body.length) {
+            buffer = req.body;
+        } else {
+            return res.status(400).json({ ok: false, error: "Backup faylini yuklang yoki ?file= bering" });
+        }
+
+        let snapshot;
+        try {
+            snapshot = decodeSnapshot(buffer);
+        } catch (e) {
+            return res.status(400).json({ ok: false, error: e.message });
+        }
+        const collections = req.query.collections ? String(req.query.collections).split(",").map(c => c.trim()).filter(Boolean) : null;
+        const missing = (collections || []).filter(name => !snapshot.collections[name] || BACKUP_EXCLUDE.includes(name));
+        if (missing.length) return res.status(400).json({ ok: false, error: `Backup da yo‘q: ${missing.join(", ")}` });
+        if (mode === "replace" && snapshot.source === "sqlite") {
+            return res.status(400).json({ ok: false, error: "Lokal (SQLite) backup faqat merge bilan tiklanadi — unda MongoDB dagi hamma ma’lumot yo‘q" });
+        }
+        const counts = collections ? Object.fromEntries(collections.map(name => [name, snapshot.counts[name]])) : snapshot.counts;
+        const info = { createdAt: snapshot.createdAt, reason: snapshot.reason, source: snapshot.source, counts };
+        if (req.query.dryRun) return res.json({ ok: true, dryRun: true, mode, snapshot: info });
+
+        const safety = await takeBackup(req, "tiklashdan oldin");
+        const result = await restoreSnapshot(mongoose.connection.db, snapshot, { mode, collections, counters: Counter.collection.name, exclude: BACKUP_EXCLUDE });
+        // zakaz raqami hisoblagichi tiklangan zakazlardan orqada qolmasin
+        const last = await storage.orders.findOne({}, { sort: { orderId: -1 } });
+        if (last && last.orderId) await storage.counters.max("orderId", last.orderId);
+
+        await writeAudit(req, "backup-restore", null, null, { mode, snapshot: info, safety: safety.name, result });
+        publishEvent("orders.reset", { reason: "restore" });
+        const errors = Object.values(result).reduce((sum, r) => sum + r.errors.length, 0);
+        sendToTelegram("system", `<b>♻️ Backup tiklandi</b> (${mode})\nBackup sanasi: ${formatTashkent(snapshot.createdAt)}\n` +
+            `Oldingi holat: ${safety.name}\nXodim: ${req.user.username}${errors ? `\n⚠️ Xatolar: ${errors}` : ""}`).catch(console.error);
+        return res.json({ ok: true, mode, snapshot: info, safety: safety.name, result });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// ===== Payme / Click: QR orqali oldindan to‘lov =====
+// Hisob raqami — PS nomi. To‘lov tasdiqlansa shu PS da cash zakaz ochiladi (createOrder) yoki
+// ishlab turgan cash zakaz uzaytiriladi (extendOrder) — kassadagi bilan bir xil mantiq.
+// Har bir tranzaksiya saqlanadi: provayder so‘rovni qayta yuborsa, natija o‘zgarmaydi.
+const MERCHANT_PENDING_MS = 15 * 60 * 1000; // shu vaqt ichida yaratilgan, tugallanmagan to‘lov PS ni band qiladi
+
+const merchantTransactionSchema = new mongoose.Schema({
+    provider: { type: String, enum: ["payme", "click"], required: true },
+    externalId: { type: String, required: true },       // Payme id | click_trans_id
+    station: { type: String, required: true },
+    amount: { type: Number, required: true },           // so'm (Payme tiyin da yuboradi)
+    state: { type: Number, default: PAYME_STATE.CREATED }, // 1 | 2 | -1 | -2 (Click ham shu holatlarda)
+    reason: { type: Number, default: null },            // Payme bekor qilish sababi
+    providerTime: { type: Number, default: null },      // Payme "time" (ms)
+    prepareId: { type: Number, default: null },         // Click merchant_prepare_id
+    lockedAt: { type: Date, default: null },            // bajarilmoqda (parallel so‘rovdan himoya)
+    createdAt: { type: Date, default: Date.now },
+    performedAt: { type: Date, default: null },
+    cancelledAt: { type: Date, default: null },
+    order: { type: mongoose.Schema.Types.ObjectId, default: null },
+    orderId: { type: Number, default: null },
+    action: { type: String, default: null },            // create | extend
+    error: { type: String, default: null },
+    params: { type: Object, default: null }             // provayder so‘rovi
+}, { versionKey: false });
+merchantTransactionSchema.index({ provider: 1, externalId: 1 }, { unique: true });
+merchantTransactionSchema.index({ station: 1, state: 1 });
+
+const MerchantTransaction = mongoose.model("MerchantTransaction", merchantTransactionSchema);
+
+const merchantActor = provider => ({ user: { id: "", username: provider, role: "cashier" } });
+
+// PS va summani tekshirish: { station, running } yoki { error: "ACCOUNT" | "AMOUNT" | "BUSY" | "PENDING" }
+async function checkMerchantAccount(stationName, amount, excludeId = null) {
+    const station = await findActiveStation(stationName);
+    if (!station) return { error: "ACCOUNT" };
+    if (!Number.isInteger(amount) || amount < MERCHANT_MIN_AMOUNT) return { error: "AMOUNT" };
+    const running = await storage.orders.findOne({ ps: station.name, status: "process" });
+    if (running && running.type !== "cash") return { error: "BUSY" };
+    const pending = await MerchantTransaction.findOne({
+        station: station.name,
+        state: PAYME_STATE.CREATED,
+        createdAt: { $gt: new Date(Date.now() - MERCHANT_PENDING_MS) },
+        _id: { $ne: excludeId }
+    }).lean();
+    if (pending) return { error: "PENDING" };
+    return { station: station.name, running };
+}
+
+// tasdiqlangan to‘lov: zakaz ochish yoki uzaytirish. Bir vaqtda bitta so‘rov bajaradi (lockedAt).
+async function performMerchantTransaction(tx) {
+    const staleLock = new Date(Date.now() - 2 * 60 * 1000); // jarayon yiqilgan bo‘lsa qulf ochiladi
+    const claimed = await MerchantTransaction.findOneAndUpdate(
+        { _id: tx._id, state: PAYME_STATE.CREATED, $or: [{ lockedAt: null }, { lockedAt: { $lt: staleLock } }] },
+        { $set: { lockedAt: new Date() } },
+        { new: true }
+    );
+    if (!claimed) return { ok: false, busy: true, error: "Tranzaksiya bajarilmoqda" };
+
+    const actor = merchantActor(tx.provider);
+    const running = await storage.orders.findOne({ ps: tx.station, status: "process" });
+    const result = running
+        ? await extendOrder(actor, running, tx.amount, tx.provider)
+        : await createOrder(actor, { ps: tx.station, type: "cash", amount: tx.amount, method: tx.provider, ignoreReservation: true });
+
+    claimed.lockedAt = null;
+    if (result.ok) {
+        claimed.state = PAYME_STATE.PERFORMED;
+        claimed.performedAt = new Date();
+        claimed.action = running ? "extend" : "create";
+        claimed.order = result.order._id;
+        claimed.orderId = result.order.orderId;
+        claimed.error = null;
+    } else {
+        claimed.error = result.error;
+    }
+    await claimed.save();
+    return { ...result, tx: claimed };
+}
+
+// bajarilgan to‘lovni bekor qilish: zakaz hali faol bo‘lsa pul qaytariladi (ledger refund),
+// summa 0 ga tushsa zakaz trash ga o‘tadi. Yakunlangan zakaz — false.
+async function reverseMerchantTransaction(tx) {
+    const o = tx.order ? await storage.orders.findById(tx.order) : null;
+    if (!o || o.status !== "process") return false;
+    const actor = merchantActor(tx.provider);
+    const before = orderSnapshot(o);
+
+    await recordPayment(actor, {
+        kind: "play", method: tx.provider, amount: tx.amount, direction: "refund",
+        order: o._id, orderId: o.orderId, customer: o.customer, note: `${tx.provider} bekor: ${tx.externalId}`
+    });
+    o.summa = await playPaid(o);
+    if (o.summa <= 0) {
+        o.status = "trash";
+        o.deletedAt = new Date();
+    } else {
+        await recomputeCashEnd(o);
+    }
+    await storage.orders.save(o);
+    await writeAudit(actor, "merchant-cancel", o, before, { provider: tx.provider, transaction: tx.externalId, amount: tx.amount });
+    publishOrderEvent(o.status === "trash" ? "order.trashed" : "order.updated", o);
+    sendToTelegram("order.update", `<b>↩️ ${tx.provider} to‘lovi bekor qilindi</b>\nPS: ${o.ps}\nSumma: ${tx.amount.toLocaleString()} so'm\n${o.status === "trash" ? "Zakaz bekor qilindi" : `Qoldi: ${o.summa.toLocaleString()} so'm, yakun: ${formatTashkent(o.endTime)}`}`).catch(console.error);
+    return true;
+}
+
+// --- Payme (Merchant API, JSON-RPC 2.0) ---
+
+// 12 soatda bajarilmagan tranzaksiya bekor qilinadi (reason 4); bekor qilingan bo‘lsa true
+async function expirePaymeTransaction(tx) {
+    if (tx.state !== PAYME_STATE.CREATED || Date.now() - tx.createdAt.getTime() < PAYME_TIMEOUT_MS) return false;
+    tx.state = PAYME_STATE.CANCELLED;
+    tx.reason = PAYME_REASON_TIMEOUT;
+    tx.cancelledAt = new Date();
+    await tx.save();
+    return true;
+}
+
+const paymeTime = date => (date ? date.getTime() : 0);
+
+// account: { station: "PS1" }, amount — tiyin
+async function paymeCheck(params, excludeId) {
+    const stationName = params.account && params.account.station;
+    const amount = Number(params.amount) / 100;
+    const check = await checkMerchantAccount(stationName, amount, excludeId);
+    if (check.error === "ACCOUNT") return { error: [PAYME_ERRORS.ACCOUNT, undefined, "station"] };
+    if (check.error === "BUSY") return { error: [PAYME_ERRORS.ACCOUNT_BUSY, "PS da VIP zakaz ochiq", "station"] };
+    if (check.error === "PENDING") return { error: [PAYME_ERRORS.ACCOUNT_PENDING, undefined, "station"] };
+    if (check.error === "AMOUNT") return { error: [PAYME_ERRORS.WRONG_AMOUNT, `Summa butun va kamida ${MERCHANT_MIN_AMOUNT} so'm bo‘lishi kerak`] };
+    return { station: check.station, amount };
+}
+
+const findPaymeTransaction = params => MerchantTransaction.findOne({ provider: "payme", externalId: String(params.id) });
+
+const PAYME_METHODS = {
+    async CheckPerformTransaction(params) {
+        const { error } = await paymeCheck(params);
+        return error ? { error } : { result: { allow: true } };
+    },
+
+    async CreateTransaction(params) {
+        let tx = await findPaymeTransaction(params);
+        if (!tx) {
+            const { error, station, amount } = await paymeCheck(params);
+            if (error) return { error };
+            tx = await MerchantTransaction.create({
+                provider: "payme", externalId: String(params.id), station, amount,
+                providerTime: Number(params.time) || Date.now(), params
+            });
+        } else if (Math.round(tx.amount * 100) !== Number(params.amount)) {
+            // shu id bilan boshqa summa/PS — yangi tranzaksiya emas, xato
+            return { error: [PAYME_ERRORS.WRONG_AMOUNT, "Summa tranzaksiyadagidan farq qiladi"] };
+        } else if (tx.station !== String((params.account && params.account.station) || "").trim()) {
+            return { error: [PAYME_ERRORS.ACCOUNT, undefined, "station"] };
+        } else if (tx.state !== PAYME_STATE.CREATED || await expirePaymeTransaction(tx)) {
+            return { error: [PAYME_ERRORS.CANNOT_PERFORM] };
+        }
+        return { result: { create_time: tx.providerTime, transaction: String(tx._id), state: tx.state } };
+    },
+
+    async PerformTransaction(params) {
+        const tx = await findPaymeTransaction(params);
+        if (!tx) return { error: [PAYME_ERRORS.TX_NOT_FOUND] };
+        if (tx.state === PAYME_STATE.CREATED) {
+            if (await expirePaymeTransaction(tx)) return { error: [PAYME_ERRORS.CANNOT_PERFORM, "Tranzaksiya muddati o‘tgan"] };
+            const result = await performMerchantTransaction(tx);
+            // parallel so‘rov — tizim xatosi (Payme qayta yuboradi), boshqasi — bajarib bo‘lmaydi
+            if (result.busy) return { error: [PAYME_ERRORS.SYSTEM, result.error] };
+            if (!result.ok) return { error: [PAYME_ERRORS.CANNOT_PERFORM, result.error] };
+            return { result: { transaction: String(tx._id), perform_time: paymeTime(result.tx.performedAt), state: result.tx.state } };
+        }
+        if (tx.state === PAYME_STATE.PERFORMED) {
+            return { result: { transaction: String(tx._id), perform_time: paymeTime(tx.performedAt), state: tx.state } };
+        }
+        return { error: [PAYME_ERRORS.CANNOT_PERFORM] };
+    },
+
+    async CancelTransaction(params) {
+        const tx = await findPaymeTransaction(params);
+        if (!tx) return { error: [PAYME_ERRORS.TX_NOT_FOUND] };
+        if (tx.state === PAYME_STATE.CREATED || tx.state === PAYME_STATE.PERFORMED) {
+            if (tx.state === PAYME_STATE.PERFORMED && !(await reverseMerchantTransaction(tx))) {
+                return { error: [PAYME_ERRORS.CANNOT_CANCEL] };
             }
+            tx.state = tx.state === PAYME_STATE.CREATED ? PAYME_STATE.CANCELLED : PAYME_STATE.CANCELLED_AFTER_PERFORM;
+            tx.reason = Number(params.reason) || null;
+            tx.cancelledAt = new Date();
+            await tx.save();
+        }
+        return { result: { transaction: String(tx._id), cancel_time: paymeTime(tx.cancelledAt), state: tx.state } };
+    },
 
-            // Cash must be >0
-            if (o.type === "cash" && newAmount <= 0) {
-                return res.status(400).json({ ok: false, error: "Cash summa > 0 bo‘lishi kerak!" });
+    async CheckTransaction(params) {
+        const tx = await findPaymeTransaction(params);
+        if (!tx) return { error: [PAYME_ERRORS.TX_NOT_FOUND] };
+        await expirePaymeTransaction(tx);
+        return {
+            result: {
+                create_time: tx.providerTime,
+                perform_time: paymeTime(tx.performedAt),
+                cancel_time: paymeTime(tx.cancelledAt),
+                transaction: String(tx._id),
+                state: tx.state,
+                reason: tx.reason
+            }
+        };
+    },
+
+    async GetStatement(params) {
+        const txs = await MerchantTransaction.find({
+            provider: "payme",
+            providerTime: { $gte: Number(params.from) || 0, $lte: Number(params.to) || Date.now() }
+        }).sort({ providerTime: 1 }).lean();
+        return {
+            result: {
+                transactions: txs.map(tx => ({
+                    id: tx.externalId,
+                    time: tx.providerTime,
+                    amount: Math.round(tx.amount * 100),
+                    account: { station: tx.station },
+                    create_time: tx.providerTime,
+                    perform_time: paymeTime(tx.performedAt),
+                    cancel_time: paymeTime(tx.cancelledAt),
+                    transaction: String(tx._id),
+                    state: tx.state,
+                    reason: tx.reason
+                }))
+            }
+        };
+    }
+};
+
+// Payme callback: Authorization: Basic base64("Paycom:KEY"); javob doim HTTP 200
+api.post("/payme", async (req, res) => {
+    const body = req.body || {};
+    const id = body.id === undefined ? null : body.id;
+    const fail = (error, text, data) => res.json({ jsonrpc: "2.0", id, error: paymeError(error, text, data) });
+    if (!checkPaymeAuth(req.headers.authorization, PAYME_LOGIN, PAYME_KEY)) return fail(PAYME_ERRORS.AUTH);
+    if (!body.method || !body.params || typeof body.params !== "object") return fail(PAYME_ERRORS.INVALID_REQUEST);
+    const handler = PAYME_METHODS[body.method];
+    if (!handler) return fail(PAYME_ERRORS.METHOD_NOT_FOUND, undefined, body.method);
+    try {
+        const out = await handler(body.params);
+        if (out.error) return fail(...out.error);
+        return res.json({ jsonrpc: "2.0", id, result: out.result });
+    } catch (e) {
+        console.error("Payme error:", e);
+        return fail(PAYME_ERRORS.SYSTEM, e.message);
+    }
+});
+
+// --- Click (SHOP API: prepare / complete) ---
+
+// merchant_trans_id — PS nomi; so‘rov x-www-form-urlencoded, javob JSON
+async function handleClick(req, res, action) {
+    const p = req.body || {};
+    const reply = (status, extra = {}) => res.json({
+        click_trans_id: p.click_trans_id,
+        merchant_trans_id: p.merchant_trans_id,
+        ...extra,
+        ...status
+    });
+    const note = (status, error_note) => ({ ...status, error_note });
+
+    if (String(p.service_id) !== String(CLICK_SERVICE_ID) || !checkClickSign(p, CLICK_SECRET_KEY)) return reply(CLICK_ERRORS.SIGN);
+    if (Number(p.action) !== action) return reply(CLICK_ERRORS.ACTION);
+    if (!p.click_trans_id) return reply(CLICK_ERRORS.REQUEST);
+    const amount = Number(p.amount);
+    let tx = await MerchantTransaction.findOne({ provider: "click", externalId: String(p.click_trans_id) });
+
+    if (action === CLICK_ACTION.PREPARE) {
+        if (tx) {
+            if (tx.state === PAYME_STATE.PERFORMED) return reply(CLICK_ERRORS.ALREADY_PAID);
+            if (tx.state < 0) return reply(CLICK_ERRORS.CANCELLED);
+            if (tx.amount !== amount) return reply(CLICK_ERRORS.AMOUNT);
+            return reply(CLICK_ERRORS.SUCCESS, { merchant_prepare_id: tx.prepareId });
+        }
+        const check = await checkMerchantAccount(p.merchant_trans_id, amount);
+        if (check.error === "ACCOUNT") return reply(CLICK_ERRORS.USER);
+        if (check.error === "AMOUNT") return reply(note(CLICK_ERRORS.AMOUNT, `Summa butun va kamida ${MERCHANT_MIN_AMOUNT} so'm bo‘lishi kerak`));
+        if (check.error === "BUSY") return reply(note(CLICK_ERRORS.USER, "PS da VIP zakaz ochiq"));
+        if (check.error === "PENDING") return reply(note(CLICK_ERRORS.USER, "Bu PS uchun boshqa to‘lov kutilmoqda"));
+        tx = await MerchantTransaction.create({
+            provider: "click", externalId: String(p.click_trans_id), station: check.station, amount,
+            prepareId: await storage.counters.next("clickPrepareId"), params: p
+        });
+        return reply(CLICK_ERRORS.SUCCESS, { merchant_prepare_id: tx.prepareId });
+    }
+
+    // complete
+    if (!tx || tx.prepareId !== Number(p.merchant_prepare_id)) return reply(CLICK_ERRORS.TX_NOT_FOUND);
+    const confirm = { merchant_confirm_id: tx.prepareId };
+    if (tx.state === PAYME_STATE.PERFORMED) return reply(CLICK_ERRORS.ALREADY_PAID, confirm);
+    if (tx.state < 0) return reply(CLICK_ERRORS.CANCELLED, confirm);
+    if (tx.amount !== amount) return reply(CLICK_ERRORS.AMOUNT, confirm);
+    // Click tomonida to‘lov o‘tmadi — tranzaksiyani bekor qilamiz
+    if (Number(p.error) < 0) {
+        tx.state = PAYME_STATE.CANCELLED;
+        tx.cancelledAt = new Date();
+        tx.error = p.error_note || String(p.error);
+        await tx.save();
+        return reply(CLICK_ERRORS.CANCELLED, confirm);
+    }
+    const result = await performMerchantTransaction(tx);
+    if (result.busy) return reply(note(CLICK_ERRORS.UPDATE_FAILED, result.error), confirm);
+    if (!result.ok) {
+        // zakaz ochilmadi — Click pulni qaytaradi
+        tx.state = PAYME_STATE.CANCELLED;
+        tx.cancelledAt = new Date();
+        tx.error = result.error;
+        await tx.save();
+        return reply(note(CLICK_ERRORS.UPDATE_FAILED, result.error), confirm);
+    }
+    return reply(CLICK_ERRORS.SUCCESS, confirm);
+}
+
+for (const [path, action] of [["/click/prepare", CLICK_ACTION.PREPARE], ["/click/complete", CLICK_ACTION.COMPLETE]]) {
+    api.post(path, express.urlencoded({ extended: false }), async (req, res) => {
+        try {
+            await handleClick(req, res, action);
+        } catch (e) {
+            console.error("Click error:", e);
+            return res.json({ click_trans_id: (req.body || {}).click_trans_id, ...CLICK_ERRORS.UPDATE_FAILED, error_note: e.message });
+        }
+    });
+}
+
+// merchant tranzaksiyalari (manager): ?provider=payme|click, ?state=2
+api.get("/merchant/transactions", authMiddleware, requireRole("manager"), async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.provider) filter.provider = req.query.provider;
+        if (req.query.state !== undefined && req.query.state !== "") filter.state = Number(req.query.state);
+        const transactions = await MerchantTransaction.find(filter).sort({ createdAt: -1 })
+            .limit(Math.min(Number(req.query.limit) || 100, 500)).select("-params").lean();
+        return res.json({ ok: true, transactions });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// ===== Analytics (Order + Archive, Mongo aggregation) =====
+
+// kun/hafta/oy — biznes kun bo‘yicha (DAY_CUTOFF gacha bo‘lgan tungi o‘yinlar oldingi kunga)
+const BUSINESS_START_TIME = { $subtract: ["$startTime", DAY_CUTOFF_MINUTES * 60000] };
+const ANALYTICS_GROUPS = {
+    day: { $dateToString: { format: "%Y-%m-%d", date: BUSINESS_START_TIME, timezone: "Asia/Tashkent" } },
+    week: { $dateToString: { format: "%G-W%V", date: BUSINESS_START_TIME, timezone: "Asia/Tashkent" } },
+    month: { $dateToString: { format: "%Y-%m", date: BUSINESS_START_TIME, timezone: "Asia/Tashkent" } },
+    station: "$ps",
+    type: "$type",
+    hour: { $hour: { date: "$startTime", timezone: "Asia/Tashkent" } }
+};
+
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD (biznes kunlar, to ham kiradi), default — oxirgi 7 kun
+function analyticsRange(query) {
+    const to = businessDayRange(query.to);
+    const from = query.from ? businessDayRange(query.from) : to && businessDayRange(null, to.start.getTime() - 6 * DAY_MS);
+    if (!from || !to || from.start >= to.end) return null;
+    return { from: from.start, to: to.end };
+}
+
+// yakunlangan sessiyalar: jonli Order (completed) + arxivdagi zakazlar.
+// archive-day zakazlarni trash ga o‘tkazadi, restore qilinsa ikkalasida bo‘ladi — _id bo‘yicha bittasi olinadi
+function sessionsPipeline(range) {
+    const match = { startTime: { $gte: range.from, $lt: range.to } };
+    return [
+        { $match: { ...match, status: "completed" } },
+        {
+            $unionWith: {
+                coll: Archive.collection.name,
+                pipeline: [
+                    { $unwind: "$orders" },
+                    { $replaceRoot: { newRoot: "$orders" } },
+                    { $match: { ...match, status: { $in: ["process", "completed"] } } }
+                ]
             }
+        },
+        { $group: { _id: "$_id", doc: { $first: "$$ROOT" } } },
+        { $replaceRoot: { newRoot: "$doc" } },
+        {
+            $addFields: {
+                sessionEnd: { $ifNull: ["$endTime", { $ifNull: ["$completedAt", "$startTime"] }] },
+                pausedMinutes: {
+                    $divide: [{
+                        $reduce: {
+                            input: { $ifNull: ["$pauses", []] },
+                            initialValue: 0,
+                            in: { $add: ["$$value", { $max: [0, { $subtract: [{ $ifNull: ["$$this.end", "$$this.start"] }, "$$this.start"] }] }] }
+                        }
+                    }, 60000]
+                },
+                goods: {
+                    $reduce: {
+                        input: { $ifNull: ["$items", []] },
+                        initialValue: 0,
+                        in: { $add: ["$$value", { $multiply: [{ $ifNull: ["$$this.price", 0] }, { $ifNull: ["$$this.qty", 0] }] }] }
+                    }
+                }
+            }
+        },
+        {
+            $addFields: {
+                minutes: { $max: [0, { $subtract: [{ $divide: [{ $subtract: ["$sessionEnd", "$startTime"] }, 60000] }, "$pausedMinutes"] }] },
+                play: { $ifNull: ["$summa", 0] }
+            }
+        }
+    ];
+}
+
+// revenue / count / avg length — guruh bo‘yicha
+api.get("/analytics", authMiddleware, requireRole("manager"), requireMongoStorage, async (req, res) => {
+    try {
+        const group = req.query.group || "day";
+        if (!ANALYTICS_GROUPS[group]) return res.status(400).json({ ok: false, error: "group: " + Object.keys(ANALYTICS_GROUPS).join(", ") });
+        const range = analyticsRange(req.query);
+        if (!range) return res.status(400).json({ ok: false, error: "Sana oralig‘i noto‘g‘ri" });
+
+        const rows = await storage.orders.aggregate([
+            ...sessionsPipeline(range),
+            {
+                $group: {
+                    _id: ANALYTICS_GROUPS[group],
+                    playRevenue: { $sum: "$play" },
+                    goodsRevenue: { $sum: "$goods" },
+                    count: { $sum: 1 },
+                    totalMinutes: { $sum: "$minutes" },
+                    avgMinutes: { $avg: "$minutes" }
+                }
+            },
+            { $addFields: { key: "$_id", revenue: { $add: ["$playRevenue", "$goodsRevenue"] } } },
+            { $project: { _id: 0 } },
+            { $sort: { key: 1 } }
+        ]);
+
+        const totals = rows.reduce((t, r) => ({
+            revenue: t.revenue + r.revenue,
+            playRevenue: t.playRevenue + r.playRevenue,
+            goodsRevenue: t.goodsRevenue + r.goodsRevenue,
+            count: t.count + r.count,
+            totalMinutes: t.totalMinutes + r.totalMinutes
+        }), { revenue: 0, playRevenue: 0, goodsRevenue: 0, count: 0, totalMinutes: 0 });
+        totals.avgMinutes = totals.count ? totals.totalMinutes / totals.count : 0;
+
+        // PS siz kassa sotuvlari — sessiya emas, faqat jamiga
+        const [sales] = await Sale.aggregate([
+            { $match: { createdAt: { $gte: range.from, $lt: range.to } } },
+            { $group: { _id: null, total: { $sum: "$total" }, count: { $sum: 1 } } }
+        ]);
+        totals.counterSales = sales ? sales.total : 0;
+        totals.payments = await paymentSummary(range.from, range.to);
+
+        return res.json({ ok: true, from: range.from, to: range.to, group, totals, rows });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// station bandligi: o‘ynalgan minutlar / oraliqdagi jami minutlar
+api.get("/analytics/utilization", authMiddleware, requireRole("manager"), requireMongoStorage, async (req, res) => {
+    try {
+        const range = analyticsRange(req.query);
+        if (!range) return res.status(400).json({ ok: false, error: "Sana oralig‘i noto‘g‘ri" });
+        const rangeMinutes = (Math.min(range.to.getTime(), Date.now()) - range.from.getTime()) / 60000;
+
+        const [rows, stations] = await Promise.all([
+            storage.orders.aggregate([
+                ...sessionsPipeline(range),
+                {
+                    $group: {
+                        _id: "$ps",
+                        busyMinutes: { $sum: "$minutes" },
+                        count: { $sum: 1 },
+                        revenue: { $sum: { $add: ["$play", "$goods"] } }
+                    }
+                }
+            ]),
+            Station.find().sort({ sortOrder: 1, name: 1 }).lean()
+        ]);
+
+        const byName = new Map(rows.map(r => [r._id, r]));
+        const names = [...stations.map(st => st.name), ...rows.map(r => r._id).filter(n => !stations.some(st => st.name === n))];
+        const utilization = names.map(name => {
+            const r = byName.get(name) || { busyMinutes: 0, count: 0, revenue: 0 };
+            return {
+                station: name,
+                busyMinutes: Math.round(r.busyMinutes),
+                count: r.count,
+                revenue: r.revenue,
+                percent: rangeMinutes > 0 ? Math.min(100, Math.round(r.busyMinutes / rangeMinutes * 1000) / 10) : 0
+            };
+        });
+
+        return res.json({ ok: true, from: range.from, to: range.to, rangeMinutes: Math.round(rangeMinutes), utilization });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// ===== Eksport (CSV/XLSX) va CSV import =====
+
+// import qilingan fayllar (sha256) — bitta fayl ikki marta import qilinmaydi
+const importLogSchema = new mongoose.Schema({
+    hash: { type: String, required: true, unique: true },
+    fileName: { type: String, default: "" },
+    user: { type: String, default: "" },
+    total: { type: Number, default: 0 },
+    imported: { type: Number, default: 0 },
+    rejected: { type: Array, default: [] }, // [{ row, errors: [] }]
+    orderIds: { type: [Number], default: [] },
+    createdAt: { type: Date, default: Date.now }
+}, { versionKey: false });
+
+const ImportLog = mongoose.model("ImportLog", importLogSchema);
+
+const EXPORT_HEADERS = ["orderId", "externalId", "station", "type", "status", "amount", "goods", "start", "end", "completedAt", "createdBy", "completedBy", "customer"];
+
+// Toshkent vaqti: "2024-05-01 20:15"
+function tashkentStamp(dt) {
+    if (!dt) return "";
+    const t = new Date(dt).getTime();
+    if (isNaN(t)) return "";
+    return new Date(t + TASHKENT_OFFSET_MS).toISOString().slice(0, 16).replace("T", " ");
+}
+
+// "2024-05-01 20:15", "2024-05-01T20:15:00" yoki "01.05.2024 20:15" (Toshkent vaqti) -> Date | null
+function parseTashkentStamp(str) {
+    const s = String(str || "").trim();
+    let m = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(s);
+    if (!m) {
+        const d = /^(\d{2})\.(\d{2})\.(\d{4})[ ,]+(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(s);
+        if (d) m = [d[0], d[3], d[2], d[1], d[4], d[5], d[6]];
+    }
+    if (!m) return null;
+    const [, y, mo, day, h, mi, sec] = m;
+    const t = Date.UTC(+y, +mo - 1, +day, +h, +mi, +(sec || 0)) - TASHKENT_OFFSET_MS;
+    const check = new Date(t + TASHKENT_OFFSET_MS);
+    if (check.getUTCDate() !== +day || check.getUTCMonth() !== +mo - 1 || +h > 23) return null; // 31.02 kabi sanalar
+    return new Date(t);
+}
 
-            o.summa = newAmount;
-            if (o.type === "cash") {
-                const hours = o.summa / PRICE_PER_HOUR;
-                const ms = Math.floor(hours * 3600 * 1000);
-                o.endTime = new Date(new Date(o.startTime).getTime() + ms);
-            } else {
-                o.endTime = null;
-            }
-        }
+function exportRow(o) {
+    return [
+        o.orderId ?? "", o.externalId || "", o.ps, o.type, o.status, o.summa || 0, itemsTotal(o.items),
+        tashkentStamp(o.startTime), tashkentStamp(o.endTime), tashkentStamp(o.completedAt),
+        o.createdBy || "", o.completedBy || "", o.customerName || ""
+    ];
+}
 
-        if (status) o.status = status;
-        await o.save();
-        return res.json({ ok: true, order: o });
+// ?format=csv|xlsx
+function sendSpreadsheet(res, format, baseName, headers, rows) {
+    if (format === "xlsx") {
+        res.set({
+            "Content-Type": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+            "Content-Disposition": `attachment; filename="${baseName}.xlsx"`
+        });
+        return res.send(toXlsx(headers, rows, baseName));
+    }
+    res.set({
+        "Content-Type": "text/csv; charset=utf-8",
+        "Content-Disposition": `attachment; filename="${baseName}.csv"`
+    });
+    return res.send(toCsv(headers, rows));
+}
+
+// export live orders: ?from=YYYY-MM-DD&to=YYYY-MM-DD&status=completed,process&format=csv|xlsx
+api.get("/export/orders", authMiddleware, requireRole("manager"), async (req, res) => {
+    try {
+        const range = analyticsRange(req.query);
+        if (!range) return res.status(400).json({ ok: false, error: "Sana oralig‘i noto‘g‘ri" });
+        const filter = { startTime: { $gte: range.from, $lt: range.to } };
+        if (req.query.status) filter.status = { $in: String(req.query.status).split(",") };
+        const orders = await storage.orders.find(filter, { sort: { startTime: 1 } });
+        const name = `orders_${tashkentStamp(range.from).slice(0, 10)}_${tashkentStamp(range.to - 1).slice(0, 10)}`;
+        return sendSpreadsheet(res, req.query.format, name, EXPORT_HEADERS, orders.map(exportRow));
     } catch (e) {
         console.error(e);
         return res.status(500).json({ ok: false, error: e.message });
     }
 });
 
-// complete order
-api.post("/complete/:id", authMiddleware, async (req, res) => {
+// export archived orders (Archive.date bo‘yicha): ?from&to&status&format
+api.get("/export/archive", authMiddleware, requireRole("manager"), async (req, res) => {
     try {
-        const id = req.params.id;
-        const o = await findOrderByAnyId(id);
-        if (!o) return res.status(404).json({ ok: false, error: "Not found" });
+        const range = analyticsRange(req.query);
+        if (!range) return res.status(400).json({ ok: false, error: "Sana oralig‘i noto‘g‘ri" });
+        const fromDate = tashkentStamp(range.from).slice(0, 10);
+        const toDate = tashkentStamp(range.to - 1).slice(0, 10);
+        const statuses = req.query.status ? String(req.query.status).split(",") : null;
 
-        let qaytish = 0;
-        let oynaganSumma = 0;
-        let oynaganMinut = 0;
-        let qolganMinut = 0;
-
-        if (o.type === "vip") {
-            const start = new Date(o.startTime);
-            const end = new Date();
-            const diffMs = end - start;
-            oynaganMinut = Math.floor(diffMs / 60000);
-            const diffHours = diffMs / (3600 * 1000);
-            oynaganSumma = Math.ceil(diffHours * PRICE_PER_HOUR);
-            oynaganSumma = Math.ceil(oynaganSumma / 1000) * 1000;
-            o.summa = oynaganSumma;
-            o.endTime = end;
-        } else if (o.type === "cash") {
-            const now = new Date();
-            const start = new Date(o.startTime);
-            const end = o.endTime ? new Date(o.endTime) : null;
-            const oynaganMs = now - start;
-            oynaganMinut = Math.floor(oynaganMs / 60000);
-            oynaganSumma = Math.ceil(oynaganMs / (3600 * 1000) * PRICE_PER_HOUR);
-            oynaganSumma = Math.ceil(oynaganSumma / 1000) * 1000;
-            if (end && now < end) {
-                qolganMinut = Math.floor((end - now) / 60000);
-                qaytish = o.summa - oynaganSumma;
-                o.summa = oynaganSumma;
-                o.endTime = now;
+        const archives = await storage.archives.find({ date: { $gte: fromDate, $lte: toDate } }, { sort: { date: 1 } });
+        const rows = [];
+        for (const a of archives) {
+            for (const o of a.orders || []) {
+                if (statuses && !statuses.includes(o.status)) continue;
+                rows.push([a.date, ...exportRow(o)]);
             }
         }
-        o.status = "completed";
-        o.completedAt = new Date();
-        await o.save();
-
-        // Telegram xabari
-        let text = `<b>✅ Zakaz yakunlandi</b>\n\nPS: ${o.ps}\n<u>Turi: ${o.type.toUpperCase()}</u>\nSumma: ${o.summa.toLocaleString()} so'm \nBoshlangan: ${formatTashkent(o.startTime)}\n${o.endTime ? `Yakun: ${formatTashkent(o.endTime)}\n` : "-"}\nO‘ynalgan vaqt: ${oynaganMinut} minut\nO‘ynalgan summa: ${oynaganSumma.toLocaleString()} so'm\n`;
-        if (qaytish > 0) {
-            text += `\nQolgan vaqt: ${qolganMinut} minut\nQaytishi kerak: ${qaytish.toLocaleString()} so'm`;
-        }
-        sendToTelegram(text).catch(console.error);
-
-        return res.json({ ok: true, order: o, qaytish, oynaganSumma, oynaganMinut, qolganMinut });
+        return sendSpreadsheet(res, req.query.format, `archive_${fromDate}_${toDate}`, ["archiveDate", ...EXPORT_HEADERS], rows);
     } catch (e) {
         console.error(e);
         return res.status(500).json({ ok: false, error: e.message });
     }
 });
 
-// generic delete -> move to trash (accepts _id|orderId|externalId)
-api.delete("/order/:id", authMiddleware, async (req, res) => {
+// CSV qatorini tekshirib, Order hujjatiga aylantiradi; xatolar ro‘yxatini qaytaradi
+function validateImportRow(rec, ctx) {
+    const errors = [];
+    const station = String(rec.station || rec.ps || "").trim();
+    if (!station) errors.push("station bo‘sh");
+    else if (!ctx.stations.has(station)) errors.push(`station "${station}" mavjud emas`);
+
+    const type = String(rec.type || "").trim().toLowerCase();
+    if (!["cash", "vip"].includes(type)) errors.push("type cash yoki vip bo‘lishi kerak");
+
+    const amountStr = String(rec.amount ?? rec.summa ?? "").replace(/[\s,]/g, "");
+    const amount = Number(amountStr);
+    if (amountStr === "" || isNaN(amount) || amount < 0) errors.push("amount noto‘g‘ri");
+
+    const start = parseTashkentStamp(rec.start);
+    if (!start) errors.push("start noto‘g‘ri (YYYY-MM-DD HH:MM)");
+    else if (start > new Date()) errors.push("start kelajakda");
+    let end = null;
+    if (String(rec.end || "").trim()) {
+        end = parseTashkentStamp(rec.end);
+        if (!end) errors.push("end noto‘g‘ri (YYYY-MM-DD HH:MM)");
+        else if (start && end < start) errors.push("end start dan oldin");
+    }
+
+    let orderId;
+    if (String(rec.orderId || "").trim()) {
+        orderId = Number(rec.orderId);
+        if (!Number.isInteger(orderId) || orderId <= 0) errors.push("orderId butun musbat son bo‘lishi kerak");
+        else if (ctx.existingIds.has(orderId)) errors.push(`orderId ${orderId} allaqachon bor`);
+        else if (ctx.seenIds.has(orderId)) errors.push(`orderId ${orderId} faylda takrorlangan`);
+    }
+
+    if (errors.length) return { errors };
+    if (orderId) ctx.seenIds.add(orderId);
+    const handler = String(rec.createdBy || "").trim() || `import:${ctx.user}`;
+    return {
+        order: {
+            orderId,
+            ps: station,
+            type,
+            summa: amount,
+            startTime: start,
+            endTime: end,
+            status: "completed",
+            createdAt: start,
+            completedAt: end || start,
+            createdBy: handler,
+            completedBy: String(rec.completedBy || "").trim() || handler,
+            ledger: true // to‘lov yozuvlari import paytida legacyOrderPayments dan
+        }
+    };
+}
+
+// CSV import (qog‘ozdagi yozuvlar): body — CSV matni, X-File-Name header, ?dryRun=1 — faqat tekshirish
+api.post("/import/orders", authMiddleware, requireRole("manager"), requireMongoStorage, express.text({ type: ["text/csv", "text/plain"], limit: "5mb" }), async (req, res) => {
     try {
-        const id = req.params.id;
-        const permanent = req.query.permanent == "1";
-        const o = await findOrderByAnyId(id);
-        if (!o) return res.status(404).json({ ok: false, error: "Not found" });
+        const text = typeof req.body === "string" ? req.body : "";
+        if (!text.trim()) return res.status(400).json({ ok: false, error: "Fayl bo‘sh" });
+        const hash = crypto.createHash("sha256").update(text.replace(/^\uFEFF/, "")).digest("hex");
+        let fileName = String(req.headers["x-file-name"] || "");
+        try { fileName = decodeURIComponent(fileName); } catch (e) { /* nomi kodlanmagan */ }
+        const dryRun = req.query.dryRun == "1";
 
-        if (permanent) {
-            if (!req.headers["super-key"] && !req.headers["x-super-key"]) {
-                return res.status(403).json({ ok: false, error: "Super admin required" });
+        const previous = await ImportLog.findOne({ hash }).lean();
+        if (previous) {
+            return res.status(409).json({
+                ok: false,
+                error: `Bu fayl ${formatTashkent(previous.createdAt)} da import qilingan (${previous.user})`,
+                previous
+            });
+        }
+
+        const rows = parseCsv(text);
+        if (rows.length < 2) return res.status(400).json({ ok: false, error: "Faylda sarlavha va kamida bitta qator bo‘lishi kerak" });
+        const headers = rows[0].map(h => h.trim());
+        for (const required of ["station", "type", "amount", "start"]) {
+            if (!headers.includes(required) && !(required === "station" && headers.includes("ps"))) {
+                return res.status(400).json({ ok: false, error: `Ustun yo‘q: ${required}` });
             }
-            await o.deleteOne();
-            return res.json({ ok: true });
         }
 
-        // Agar process bo‘lsa, prevStatus ni "process" qilib saqlaymiz
-        o.prevStatus = o.status === "process" ? "process" : o.status;
-        o.status = "trash";
-        o.deletedAt = new Date();
-        await o.save();
-        return res.json({ ok: true, order: o });
+        const records = rows.slice(1).map(r => Object.fromEntries(headers.map((h, i) => [h, (r[i] || "").trim()])));
+        const fileIds = records.map(r => Number(r.orderId)).filter(n => Number.isInteger(n) && n > 0);
+        const [stations, existing] = await Promise.all([
+            Station.find().lean(),
+            storage.orders.find({ orderId: { $in: fileIds } })
+        ]);
+        const ctx = {
+            user: req.user.username,
+            stations: new Set(stations.map(st => st.name)),
+            existingIds: new Set(existing.map(o => o.orderId)),
+            seenIds: new Set()
+        };
+
+        const valid = [];
+        const rejected = [];
+        records.forEach((rec, i) => {
+            const result = validateImportRow(rec, ctx);
+            if (result.errors) rejected.push({ row: i + 2, errors: result.errors }); // 1 — sarlavha
+            else valid.push(result.order);
+        });
+
+        if (dryRun || !valid.length) {
+            return res.json({ ok: true, dryRun, total: records.length, imported: 0, valid: valid.length, rejected });
+        }
+
+        // insertMany orderId bermaydi — o‘zimiz beramiz
+        for (const o of valid) {
+            if (!o.orderId) o.orderId = await storage.counters.next("orderId");
+        }
+        await storage.counters.max("orderId", Math.max(...valid.map(o => o.orderId)));
+
+        const docs = await storage.orders.insertMany(valid);
+        // qog‘ozdagi yozuvlar naqd to‘langan deb olinadi (cash — boshida, VIP — yakunda)
+        await Payment.insertMany(docs.flatMap(o => legacyOrderPayments(o)));
+        await ImportLog.create({
+            hash, fileName, user: req.user.username,
+            total: records.length, imported: docs.length, rejected,
+            orderIds: docs.map(o => o.orderId)
+        });
+        await writeAuditMany(req, "import", docs, {}, { file: fileName, hash });
+        publishEvent("orders.reset", { reason: "import" });
+
+        return res.json({ ok: true, total: records.length, imported: docs.length, rejected, orderIds: docs.map(o => o.orderId) });
     } catch (e) {
         console.error(e);
         return res.status(500).json({ ok: false, error: e.message });
     }
 });
 
-// alias: delete completed (some frontends call /api/completed/:id)
-api.delete("/completed/:id", authMiddleware, async (req, res) => {
+// import tarixi
+api.get("/imports", authMiddleware, requireRole("manager"), async (req, res) => {
     try {
-        const id = req.params.id;
-        const o = await findOrderByAnyId(id);
-        if (!o) return res.status(404).json({ ok: false, error: "Not found" });
-        if (o.status !== "completed") {
-            return res.status(400).json({ ok: false, error: "Only completed orders can be deleted here" });
-        }
-        o.status = "trash";
-        o.deletedAt = new Date();
-        await o.save();
-        return res.json({ ok: true, order: o });
+        const imports = await ImportLog.find().sort({ createdAt: -1 }).limit(50).lean();
+        return res.json({ ok: true, imports });
     } catch (e) {
         console.error(e);
         return res.status(500).json({ ok: false, error: e.message });
     }
 });
 
-// alias: delete orders/:id (another common pattern)
-api.delete("/orders/:id", authMiddleware, async (req, res) => {
+// Arxiv ro‘yxati
+api.get("/archive", authMiddleware, requireRole("manager"), async (req, res) => {
     try {
-        const id = req.params.id;
-        const o = await findOrderByAnyId(id);
-        if (!o) return res.status(404).json({ ok: false, error: "Not found" });
-        o.status = "trash";
-        o.deletedAt = new Date();
-        await o.save();
-        return res.json({ ok: true, order: o });
+        const list = await storage.archives.find({}, { sort: { date: -1 } });
+        return res.json({ ok: true, archive: list });
     } catch (e) {
         console.error(e);
         return res.status(500).json({ ok: false, error: e.message });
     }
 });
 
-// restore from trash (super)
-api.post("/restore/:id", authMiddleware, async (req, res) => {
-    try {
-        const id = req.params.id;
-        const o = await findOrderByAnyId(id);
-        if (!o) return res.status(404).json({ ok: false, error: "Not found" });
-        if (o.status !== "trash") {
-            return res.status(400).json({ ok: false, error: "Faqat trash holatdagilarni restore qilish mumkin" });
+// ===== Arxiv: kun tafsiloti, solishtirish, arxivdan qaytarish =====
+
+const ARCHIVE_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const validArchiveDate = d => ARCHIVE_DATE_RE.test(String(d)) && !isNaN(Date.parse(d));
+
+// arxivlar bo‘yicha jami: PS va zakaz turi kesimida (count, summa), to‘lov turlari
+function archiveSummary(archives) {
+    const summary = { days: archives.length, count: 0, totalSum: 0, goodsSum: 0, byStation: {}, byType: {}, byMethod: {} };
+    const add = (group, key, o) => {
+        const g = group[key] = group[key] || { count: 0, summa: 0 };
+        g.count++;
+        g.summa += o.summa || 0;
+    };
+    for (const a of archives) {
+        for (const o of a.orders || []) {
+            summary.count++;
+            summary.totalSum += o.summa || 0;
+            summary.goodsSum += itemsTotal(o.items || []);
+            add(summary.byStation, o.ps, o);
+            add(summary.byType, o.type, o);
         }
-        // Hamma trashdan restore bo‘layotgan zakazlar completed bo‘lib qaytsin:
-        o.status = "completed";
-        o.completedAt = new Date();
-        o.deletedAt = null;
-        o.prevStatus = undefined;
-        await o.save();
-        return res.json({ ok: true, order: o });
+        for (const [method, v] of Object.entries(a.byMethod || {})) summary.byMethod[method] = (summary.byMethod[method] || 0) + v;
+    }
+    return summary;
+}
+
+// YYYY-MM-DD joylashgan hafta (dushanba — yakshanba)
+function archiveWeek(dateStr) {
+    const d = new Date(dateStr + "T00:00:00Z");
+    const monday = new Date(d.getTime() - ((d.getUTCDay() + 6) % 7) * DAY_MS);
+    return { from: monday.toISOString().slice(0, 10), to: new Date(monday.getTime() + 6 * DAY_MS).toISOString().slice(0, 10) };
+}
+
+async function archivePeriod(from, to) {
+    const archives = await storage.archives.find({ date: { $gte: from, $lte: to } });
+    return { from, to, ...archiveSummary(archives) };
+}
+
+// ikki kun yoki ikki hafta: ?a=YYYY-MM-DD&b=YYYY-MM-DD&period=day|week (hafta — sana tushgan dushanba-yakshanba)
+api.get("/archive/compare", authMiddleware, requireRole("manager"), async (req, res) => {
+    try {
+        const { a, b } = req.query;
+        const period = req.query.period === "week" ? "week" : "day";
+        if (!validArchiveDate(a) || !validArchiveDate(b)) return res.status(400).json({ ok: false, error: "a va b sanalari kerak (YYYY-MM-DD)" });
+        const range = d => (period === "week" ? archiveWeek(d) : { from: d, to: d });
+        const [first, second] = await Promise.all([a, b].map(d => range(d)).map(r => archivePeriod(r.from, r.to)));
+        const percent = (x, y) => (x ? Math.round((y - x) / x * 1000) / 10 : null);
+        return res.json({
+            ok: true,
+            period,
+            a: first,
+            b: second,
+            diff: {
+                count: second.count - first.count,
+                totalSum: second.totalSum - first.totalSum,
+                goodsSum: second.goodsSum - first.goodsSum,
+                percent: percent(first.totalSum, second.totalSum)
+            }
+        });
     } catch (e) {
         console.error(e);
         return res.status(500).json({ ok: false, error: e.message });
     }
 });
 
-// completed list
-api.get("/completed", authMiddleware, async (req, res) => {
+// bitta kun arxivi: zakazlar + PS va turi bo‘yicha jami
+api.get("/archive/:date", authMiddleware, requireRole("manager"), async (req, res) => {
     try {
-        const completed = await Order.find({ status: "completed" }).sort({ completedAt: -1 }).lean();
-        return res.json(completed);
+        if (!validArchiveDate(req.params.date)) return res.status(400).json({ ok: false, error: "Sana noto‘g‘ri" });
+        const archives = await storage.archives.find({ date: req.params.date }, { sort: { createdAt: 1 } });
+        if (!archives.length) return res.status(404).json({ ok: false, error: "Bu kun arxivda yo‘q" });
+        const archive = archives.length > 1 ? mergeArchiveOrders(archives[0], archives.slice(1).flatMap(a => a.orders || [])) : archives[0];
+        return res.json({ ok: true, archive, summary: archiveSummary([archive]) });
     } catch (e) {
         console.error(e);
         return res.status(500).json({ ok: false, error: e.message });
     }
 });
 
-// daily report (bugungi zakazlar va umumiy summa)
-api.get("/daily-report", authMiddleware, async (req, res) => {
+// Arxivdan qaytarish (owner): kun zakazlari asl holati (process/completed) bilan Order ga qaytadi, arxiv o‘chiriladi.
+// trash dagi zakaz shu holatga o‘tkaziladi; butunlay o‘chirilgan bo‘lsa nusxadan qayta yaratiladi (orderId band
+// bo‘lsa — yangi raqam), ledger to‘lovlari yo‘q bo‘lsa tiklanadi. Trash dan allaqachon qaytarilganlar o‘tkazib yuboriladi.
+api.post("/archive/:date/unarchive", authMiddleware, requireRole("owner"), requireMongoStorage, requireRecentBackup, async (req, res) => {
     try {
-        const start = getTashkentDate();
-        start.setHours(0, 0, 0, 0);
-        const end = getTashkentDate();
-        end.setHours(23, 59, 59, 999);
-
-        let orders = await Order.find({
-            createdAt: { $gte: start, $lte: end },
-            status: { $ne: "trash" }
-        }).sort({ createdAt: 1 }).lean();
-
-        // VIP process zakazlar uchun hozirgi summa hisoblash
-        orders = orders.map(o => {
-            if (o.status === "process" && o.type === "vip") {
-                const now = new Date();
-                const startTime = new Date(o.startTime);
-                const diffHours = (now - startTime) / (3600 * 1000);
-                let summa = Math.ceil(diffHours * PRICE_PER_HOUR);
-                summa = Math.ceil(summa / 1000) * 1000;
-                return { ...o, summa, _calculated: true };
-            }
-            return o;
+        const date = req.params.date;
+        if (!validArchiveDate(date)) return res.status(400).json({ ok: false, error: "Sana noto‘g‘ri" });
+        const result = await withArchiveLock(async () => {
+            const archives = await storage.archives.find({ date }, { sort: { createdAt: 1 } });
+            if (!archives.length) return null;
+            const { orders } = mergeArchiveOrders(archives[0], archives.slice(1).flatMap(a => a.orders || []));
+
+            // process zakaz faqat PS bo‘sh bo‘lsa qaytadi — bitta PS da ikkita faol zakaz bo‘lmasin (createOrder kabi)
+            const running = orders.filter(o => o.status === "process");
+            const busy = [];
+            for (const ps of new Set(running.map(o => o.ps))) {
+                const ids = running.filter(o => o.ps === ps).map(o => String(o._id));
+                const other = await storage.orders.findOne({ ps, status: "process" });
+                if (ids.length > 1 || (other && !ids.includes(String(other._id)))) busy.push(ps);
+            }
+            if (busy.length) return { busy };
+
+            const restored = [];
+            const skipped = [];
+            const renumbered = [];
+            for (const { payments = [], ...data } of orders) {
+                let o = await storage.orders.findById(data._id);
+                if (o && o.status !== "trash") {
+                    skipped.push(o.orderId);
+                    continue;
+                }
+                if (o) {
+                    const before = orderSnapshot(o);
+                    o.status = data.status;
+                    o.deletedAt = null;
+                    await storage.orders.save(o);
+                    await writeAudit(req, "unarchive", o, before, { date });
+                } else {
+                    if (data.orderId && await storage.orders.exists({ orderId: data.orderId })) {
+                        const to = await storage.counters.next("orderId");
+                        renumbered.push({ from: data.orderId, to });
+                        data.orderId = to;
+                    }
+                    // ledger dan oldingi arxivda payments — zakazning eski ro‘yxati (migrateLedger ko‘chiradi)
+                    o = await storage.orders.create({ ...data, payments: data.ledger ? [] : payments });
+                    await writeAudit(req, "unarchive", o, null, { date, recreated: true });
+                }
+                if (data.ledger && payments.length) {
+                    await Payment.bulkWrite(payments.map(({ _id, ...p }) => ({
+                        updateOne: { filter: { _id }, update: { $setOnInsert: { ...p, orderId: o.orderId } }, upsert: true }
+                    })), { ordered: false });
+                }
+                restored.push(o);
+            }
+            for (const a of archives) await storage.archives.deleteById(a._id);
+            return { restored, skipped, renumbered };
         });
+        if (!result) return res.status(404).json({ ok: false, error: "Bu kun arxivda yo‘q" });
+        if (result.busy) {
+            return res.status(409).json({ ok: false, error: `Bu kunning faol zakazi bor PS hozir band: ${result.busy.join(", ")} — avval u yerdagi zakazni yakunlang`, busy: result.busy });
+        }
 
-        const totalSum = orders.reduce((sum, o) => sum + (o.summa || 0), 0);
+        const totalSum = result.restored.reduce((sum, o) => sum + (o.summa || 0), 0);
+        publishEvent("orders.reset", { reason: "unarchive" });
+        sendToTelegram("system", `<b>📤 Arxivdan qaytarildi</b>\nKun: ${date}\nZakazlar: ${result.restored.length} ta, ${totalSum.toLocaleString()} so'm\nKim: ${req.user.username}` +
+            (result.renumbered.length ? `\nYangi raqam: ${result.renumbered.map(r => `#${r.from} → #${r.to}`).join(", ")}` : "")).catch(console.error);
+        return res.json({ ok: true, date, restored: result.restored.length, totalSum, skipped: result.skipped, renumbered: result.renumbered });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ ok: false, error: e.message });
+    }
+});
 
+// ===== Telegram navbati (manager): kutilayotgan va yuborilmagan xabarlar, qayta yuborish =====
+
+const TELEGRAM_STATUSES = ["pending", "failed", "sent"];
+
+// ?status=failed (default) | pending | sent, ?skip, ?limit
+api.get("/notifications", authMiddleware, requireRole("manager"), async (req, res) => {
+    try {
+        if (!mongoReady()) return res.status(409).json({ ok: false, error: "MongoDB ulanmagan — xabarlar lokal outbox da, sync dan keyin yuboriladi" });
+        const status = TELEGRAM_STATUSES.includes(req.query.status) ? req.query.status : "failed";
+        const limit = Math.min(Number(req.query.limit) || 50, 200);
+        const skip = Number(req.query.skip) || 0;
+        const [counts, messages] = await Promise.all([
+            TelegramMessage.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]),
+            TelegramMessage.find({ status }).sort({ createdAt: -1 }).skip(skip).limit(limit).lean()
+        ]);
         return res.json({
             ok: true,
-            date: start.toLocaleDateString(),
-            count: orders.length,
-            totalSum,
-            orders
+            counts: Object.fromEntries(TELEGRAM_STATUSES.map(st => [st, (counts.find(c => c._id === st) || { count: 0 }).count])),
+            messages,
+            routes: Object.entries(TELEGRAM_EVENTS).map(([event, label]) => ({ event, label, chats: telegramChats(event) })),
+            pausedUntil: telegramPausedUntil > Date.now() ? new Date(telegramPausedUntil) : null
         });
     } catch (e) {
         console.error(e);
@@ -465,257 +5024,253 @@ api.get("/daily-report", authMiddleware, async (req, res) => {
     }
 });
 
-// kunlik hisobotni Telegramga yuborish (POST)
-api.post("/daily-report", authMiddleware, async (req, res) => {
+// bitta xabarni qayta yuborish: failed -> pending, pending — kutmasdan hozir
+api.post("/notifications/:id/resend", authMiddleware, requireRole("manager"), async (req, res) => {
     try {
-        const start = new Date();
-        start.setHours(0, 0, 0, 0);
-        const end = new Date();
-        end.setHours(23, 59, 59, 999);
-
-        let orders = await Order.find({
-            createdAt: { $gte: start, $lte: end },
-            status: { $ne: "trash" }
-        }).sort({ createdAt: 1 }).lean();
-
-        // VIP process zakazlar uchun hozirgi summa hisoblash
-        orders = orders.map(o => {
-            if (o.status === "process" && o.type === "vip") {
-                const now = new Date();
-                const startTime = new Date(o.startTime);
-                const diffHours = (now - startTime) / (3600 * 1000);
-                let summa = Math.ceil(diffHours * PRICE_PER_HOUR);
-                summa = Math.ceil(summa / 1000) * 1000;
-                return { ...o, summa, _calculated: true };
-            }
-            return o;
-        });
-
-        const totalSum = orders.reduce((sum, o) => sum + (o.summa || 0), 0);
-
-        // Xabarlarni bo‘lib-bo‘lib yuborish
-        const lines = orders.map((o, i) =>
-            `<u><b>${i + 1}) ${o.ps} | </b></u>${o.type}${o._calculated ? " (VIP ochiq)" : ""}|💵 ${o.summa.toLocaleString()} so'm \n Boshlangan: ${formatTashkent(o.startTime)} \n ${o.endTime ? `Yakun: ${formatTashkent(o.endTime)}` : "-"} \n`
-        );
-        if (orders.length > 0) {
-            await sendToTelegramChunks(
-                lines,
-                `📊 Kunlik Hisobot\n📅${start.toLocaleDateString()}\n 💵 Daromad: ${totalSum.toLocaleString()} so'm \n`
-            );
-        } else {
-            await sendToTelegram("📊 Kunlik hisobot: Hech qanday zakaz yo‘q edi.");
-        }
-
-        return res.json({ ok: true, count: orders.length, totalSum });
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ ok: false, error: "Not found" });
+        const message = await TelegramMessage.findOneAndUpdate(
+            { _id: req.params.id, status: { $in: ["pending", "failed"] } },
+            { $set: { status: "pending", attempts: 0, nextAttemptAt: new Date() } },
+            { new: true }
+        ).lean();
+        if (!message) return res.status(404).json({ ok: false, error: "Xabar topilmadi yoki allaqachon yuborilgan" });
+        setImmediate(telegramOutboxTick);
+        return res.json({ ok: true, message });
     } catch (e) {
         console.error(e);
         return res.status(500).json({ ok: false, error: e.message });
     }
 });
 
-// trash list (super)
-api.get("/trash", authMiddleware, superMiddleware, async (req, res) => {
+// hamma yuborilmaganlarni qayta navbatga
+api.post("/notifications/resend-failed", authMiddleware, requireRole("manager"), async (req, res) => {
     try {
-        const trash = await Order.find({ status: "trash" }).sort({ deletedAt: -1 }).lean();
-        return res.json(trash);
+        const result = await TelegramMessage.updateMany(
+            { status: "failed" },
+            { $set: { status: "pending", attempts: 0, nextAttemptAt: new Date() } }
+        );
+        setImmediate(telegramOutboxTick);
+        return res.json({ ok: true, resent: result.modifiedCount });
     } catch (e) {
         console.error(e);
         return res.status(500).json({ ok: false, error: e.message });
     }
 });
 
-// Arxiv schema
-const archiveSchema = new mongoose.Schema({
-    date: { type: String, required: true }, // "YYYY-MM-DD"
-    orders: { type: Array, default: [] },
-    totalSum: { type: Number, default: 0 },
-    createdAt: { type: Date, default: Date.now }
-}, { versionKey: false });
+// ===== Telegram bot buyruqlari (/status, /report, /complete PS2, /start PS3 cash 20000) =====
 
-const Archive = mongoose.model("Archive", archiveSchema);
+// bot orqali qilingan amallar audit/createdBy da "tg:<username>" bo‘lib yoziladi
+function botActor(from) {
+    return { user: { id: "", username: `tg:${from.username || from.id}`, role: "bot" } };
+}
 
-// mount api
-app.use("/api", api);
+async function botReply(chatId, text) {
+    try {
+        const data = await telegramApi("sendMessage", { chat_id: chatId, text, parse_mode: "HTML" });
+        if (!data.ok) console.warn("Telegram bot reply error:", data.description || data);
+    } catch (e) {
+        console.error("Telegram bot reply error:", e.message);
+    }
+}
 
-// serve login
-app.get("/", (req, res) => {
-    res.sendFile(path.join(__dirname, "public", "login.html"));
-});
+// "ps2" -> "PS2" (station nomi katta-kichik harfga qaramay topiladi)
+async function findStationByName(name) {
+    if (!name) return null;
+    const wanted = String(name).trim().toLowerCase();
+    if (offline()) return cachedStations().find(st => st.name.toLowerCase() === wanted) || null;
+    const escaped = String(name).trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    return Station.findOne({ name: new RegExp(`^${escaped}$`, "i") }).lean();
+}
 
-// 404
-app.use((req, res, next) => {
-    if (req.path.startsWith("/api/")) return res.status(404).json({ ok: false, error: "API route not found" });
-    return res.status(404).send("Not found");
-});
+function formatDuration(ms) {
+    const total = Math.max(0, Math.floor(ms / 60000));
+    const h = Math.floor(total / 60);
+    return h ? `${h} soat ${total % 60} minut` : `${total} minut`;
+}
 
-// error handler
-app.use((err, req, res, next) => {
-    console.error("Unhandled error:", err);
-    res.status(500).json({ ok: false, error: "Server error" });
-});
+const BOT_HELP = [
+    "<b>🎮 PS Club bot</b>",
+    "/status — band va bo‘sh PS lar",
+    "/report — bugungi hisobot",
+    "/complete PS2 — zakazni yakunlash",
+    "/start PS3 cash 20000 — cash zakaz ochish",
+    "/start PS3 vip — VIP zakaz ochish"
+].join("\n");
 
-// start server
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+const BOT_COMMANDS = {
+    help: async () => BOT_HELP,
 
-setInterval(async () => {
-    try {
+    status: async () => {
+        const [stations, orders] = await Promise.all([
+            offline()
+                ? sortDocs(cachedStations().filter(st => st.active), { sortOrder: 1, name: 1 })
+                : Station.find({ active: true }).sort({ sortOrder: 1, name: 1 }).lean(),
+            storage.orders.find({ status: "process" })
+        ]);
         const now = new Date();
-        const expired = await Order.find({
-            status: "process",
-            type: "cash",
-            endTime: { $lte: now }
-        });
-        for (const o of expired) {
-            o.status = "completed";
-            o.completedAt = now;
-            await o.save();
-            sendToTelegram(`<b>✅ Zakaz avtomatik yakunlandi</b>\nPS: ${o.ps}\n<u>Turi: ${o.type.toUpperCase()}</u> \nSumma: <b>${o.summa} </b> so'm\nBoshlangan: ${formatTashkent(o.startTime)}\n${o.endTime ? `Yakun: ${formatTashkent(o.endTime)}\n` : "-"}`).catch(console.error);
-        }
-        if (expired.length) console.log(`Auto-completed ${expired.length} orders`);
-    } catch (e) {
-        console.error("Auto-complete error:", e);
-    }
-}, 60 * 1000); // har 1 daqiqada
+        const ctx = await loadBillingContext();
+        const lines = await Promise.all(stations.map(async st => {
+            const o = orders.find(x => x.ps === st.name);
+            if (!o) return `✅ <b>${st.name}</b> — bo‘sh`;
+            const at = o.pausedAt ? new Date(o.pausedAt) : now;
+            const paused = o.pausedAt ? " ⏸ pauza" : "";
+            if (o.type === "cash") {
+                const left = o.endTime ? new Date(o.endTime) - at : 0;
+                return `🎮 <b>${st.name}</b> — CASH${paused}, ${formatDuration(left)} qoldi (${o.summa.toLocaleString()} so'm)`;
+            }
+            const played = at - new Date(o.startTime) - pausedMs(o.pauses, at);
+            const { summa } = await priceOrder(o, now, ctx);
+            return `🎮 <b>${st.name}</b> — VIP${paused}, ${formatDuration(played)} (~${summa.toLocaleString()} so'm)`;
+        }));
+        return lines.length ? lines.join("\n") : "PS lar ro‘yxati bo‘sh";
+    },
 
-// DB tozalash (zakazlar va arxiv ham tozalanadi, backup Telegramga yuboriladi)
-api.post("/clear", authMiddleware, superMiddleware, async (req, res) => {
-    try {
-        // 1. Zakazlar backup
-        const orders = await Order.find();
-        const totalSum = orders.reduce((sum, o) => sum + (o.summa || 0), 0);
-        const orderLines = orders.map((o, i) =>
-            `${i + 1}) PS: ${o.ps} | ${o.type.toUpperCase()} | ${o.summa?.toLocaleString()} so'm | ${formatTashkent(o.startTime)}`
+    report: async () => {
+        const report = await buildDailyReport();
+        if (!report.orders.length && !report.salesCount) return `📊 ${report.date}: hech qanday zakaz yo‘q`;
+        const lines = report.orders.map((o, i) =>
+            `${i + 1}) ${o.ps} | ${o.type}${o._calculated ? " (VIP ochiq)" : ""} | ${o.summa.toLocaleString()} so'm | ${o.status}`
         );
-        if (orders.length > 0) {
-            await sendToTelegramChunks(orderLines, `🧹 DB Tozalash Backup\nJami: ${orders.length} ta zakaz, ${totalSum.toLocaleString()} so'm\n`);
-        } else {
-            await sendToTelegram("🧹 DB tozalandi. Hech qanday zakaz yo‘q edi.");
-        }
-
-        // 2. Arxiv backup
-        const archives = await Archive.find();
-        const archiveLines = [];
-        archives.forEach(a => {
-            archiveLines.push(`📦 ${a.date} — ${a.orders.length} ta zakaz, ${a.totalSum.toLocaleString()} so'm`);
-            a.orders.forEach((o, i) => {
-                archiveLines.push(
-                    `  ${i + 1}) PS: ${o.ps} | ${o.type} | ${o.summa?.toLocaleString()} so'm | ${o.startTime ? new Date(o.startTime).toLocaleString() : "-"}`
-                );
-            });
-        });
-        if (archives.length > 0) {
-            await sendToTelegramChunks(archiveLines, "📦 Arxiv Backup");
-        } else {
-            await sendToTelegram("📦 Arxiv ham bo‘sh edi.");
-        }
+        return chunkLines(lines, `📊 Kunlik Hisobot ${report.date}\nZakazlar: ${report.count}\n🎮 O‘yin: ${report.playSum.toLocaleString()} so'm\n🥤 Mahsulot: ${report.goodsSum.toLocaleString()} so'm\n💵 Daromad: ${report.totalSum.toLocaleString()} so'm\n💳 ${formatByMethod(report.payments.byMethod)}\n`);
+    },
 
-        // 3. Barcha zakazlarni va arxivni o‘chirish
-        const orderResult = await Order.deleteMany({});
-        const archiveResult = await Archive.deleteMany({});
+    complete: async (args, msg) => {
+        const st = await findStationByName(args[0]);
+        if (!st) return "Foydalanish: /complete PS2";
+        const o = await storage.orders.findOne({ ps: st.name, status: "process" });
+        if (!o) return `${st.name} da faol zakaz yo‘q`;
+        const r = await completeOrder(botActor(msg.from), o);
+        if (!r.ok) return "❌ " + r.error;
+        let text = `✅ ${st.name} yakunlandi\nSumma: ${r.order.summa.toLocaleString()} so'm\nO‘ynalgan: ${r.oynaganMinut} minut`;
+        if (r.qaytish > 0) text += `\nQaytishi kerak: ${r.qaytish.toLocaleString()} so'm`;
+        return text;
+    },
 
-        return res.json({
-            ok: true,
-            totalCount: orderResult.deletedCount,
-            totalSum,
-            archiveCount: archiveResult.deletedCount
-        });
-    } catch (e) {
-        console.error(e);
-        return res.status(500).json({ ok: false, error: e.message });
+    start: async (args, msg) => {
+        if (!args.length) return BOT_HELP;
+        const st = await findStationByName(args[0]);
+        if (!st) return `Bunday PlayStation yo‘q: ${args[0]}`;
+        const type = (args[1] || "vip").toLowerCase();
+        const amount = Number(args[2] || 0);
+        const r = await createOrder(botActor(msg.from), { ps: st.name, type, amount });
+        if (!r.ok) return "❌ " + r.error;
+        return `🎮 ${st.name} ochildi (${type.toUpperCase()})` +
+            (r.order.endTime ? `\nYakun: ${formatTashkent(r.order.endTime)}` : "");
     }
-});
-
-// Kunlik hisobni boshlash (stats-ni 0 ga tenglash, backup Telegramga yuboriladi)
-api.post("/daily-reset", authMiddleware, superMiddleware, async (req, res) => {
-    try {
-        // 1. Process va completed zakazlarni topamiz
-        const orders = await Order.find({ status: { $in: ["process", "completed"] } });
-        const totalSum = orders.reduce((sum, o) => sum + (o.summa || 0), 0);
+};
 
-        // 2. Telegram backup (4096 belgidan oshsa bo‘lib yuboriladi)
-        let text = `<b>🔄 Kunlik Hisobni Boshlash Backup</b>\nJami: ${orders.length} ta zakaz, ${totalSum.toLocaleString()} so'm\n\n`;
-        const lines = orders.map((o, i) =>
-            `${i + 1}) PS: ${o.ps} | ${o.type.toUpperCase()} | ${o.summa.toLocaleString()} so'm | ${o.startTime ? new Date(o.startTime).toLocaleString() : "-"}`
-        );
-        let chunk = text;
-        for (const line of lines) {
-            if ((chunk + line + "\n").length > 4000) {
-                await sendToTelegram(chunk);
-                chunk = "";
-            }
-            chunk += line + "\n";
-        }
-        if (chunk.trim()) {
-            await sendToTelegram(chunk);
-        }
-        if (!orders.length) {
-            await sendToTelegram("🔄 Kunlik hisob boshlandi. Hech qanday zakaz yo‘q edi.");
-        }
+async function handleTelegramUpdate(update) {
+    // faqat yangi xabar: tahrirlangan buyruq (edited_message) qayta bajarilmaydi
+    const msg = update && update.message;
+    if (!msg || !msg.text || !msg.from) return;
+    const text = msg.text.trim();
+    if (!text.startsWith("/")) return;
 
-        // 3. Barcha process va completed zakazlarni trash holatiga o‘tkazamiz
-        const updated = await Order.updateMany(
-            { status: { $in: ["process", "completed"] } },
-            { $set: { status: "trash", deletedAt: new Date() } }
-        );
+    const [rawCmd, ...args] = text.split(/\s+/);
+    const cmd = rawCmd.slice(1).split("@")[0].toLowerCase();
+    const handler = BOT_COMMANDS[cmd];
+    if (!handler) return;
 
-        return res.json({ ok: true, updated: updated.modifiedCount });
-    } catch (e) {
-        console.error(e);
-        return res.status(500).json({ ok: false, error: e.message });
+    // faqat ruxsat berilgan Telegram user ID lar
+    if (!TELEGRAM_ALLOWED_USERS.includes(String(msg.from.id))) {
+        console.warn(`Telegram bot: ruxsatsiz user ${msg.from.id} (${msg.from.username || "-"}) /${cmd}`);
+        return botReply(msg.chat.id, "⛔ Ruxsat yo‘q");
     }
-});
 
-// Kunlik hisobni arxivga o‘tkazish (super admin)
-api.post("/archive-day", authMiddleware, superMiddleware, async (req, res) => {
     try {
-        // 1. Bugungi barcha process/completed zakazlarni topamiz
-        const start = new Date();
-        start.setHours(0, 0, 0, 0);
-        const end = new Date();
-        end.setHours(23, 59, 59, 999);
-
-        const orders = await Order.find({
-            createdAt: { $gte: start, $lte: end },
-            status: { $in: ["process", "completed"] }
-        }).lean();
+        const reply = await handler(args, msg);
+        const chunks = Array.isArray(reply) ? reply : [reply];
+        for (const chunk of chunks) await botReply(msg.chat.id, chunk);
+    } catch (e) {
+        console.error("Telegram bot command error:", e);
+        await botReply(msg.chat.id, "❌ Xato: " + e.message);
+    }
+}
 
-        if (!orders.length) {
-            return res.json({ ok: false, error: "Arxivga o‘tkaziladigan zakaz yo‘q" });
-        }
+// webhook rejimi: Telegram shu manzilga update yuboradi
+api.post("/telegram/webhook", async (req, res) => {
+    if (TELEGRAM_MODE !== "webhook") return res.status(404).json({ ok: false, error: "Webhook disabled" });
+    // secret siz webhook ochiq bo‘lardi: msg.from.id so‘rov tanasidan keladi, uni istalgan odam yozishi mumkin
+    if (!TELEGRAM_WEBHOOK_SECRET || req.headers["x-telegram-bot-api-secret-token"] !== TELEGRAM_WEBHOOK_SECRET) {
+        return res.status(403).json({ ok: false, error: "Bad secret" });
+    }
+    res.json({ ok: true }); // Telegram qayta yubormasligi uchun darhol javob
+    handleTelegramUpdate(req.body).catch(e => console.error("Telegram webhook error:", e));
+});
 
-        const totalSum = orders.reduce((sum, o) => sum + (o.summa || 0), 0);
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
 
-        // 2. Arxivga yozamiz
-        const dateStr = start.toISOString().slice(0, 10); // YYYY-MM-DD
-        await Archive.create({
-            date: dateStr,
-            orders,
-            totalSum
-        });
+// long-polling rejimi (getUpdates)
+// polling tsikli: stopTelegramPolling() yoki webhook o‘rnatilganda (409) to‘xtaydi
+let telegramPolling = false;
 
-        // 3. Zakazlarni trash holatiga o‘tkazamiz
-        await Order.updateMany(
-            { _id: { $in: orders.map(o => o._id) } },
-            { $set: { status: "trash", deletedAt: new Date() } }
-        );
+function stopTelegramPolling() {
+    telegramPolling = false;
+}
 
-        return res.json({ ok: true, archived: orders.length, totalSum });
-    } catch (e) {
-        console.error(e);
-        return res.status(500).json({ ok: false, error: e.message });
+async function pollTelegram() {
+    let offset = 0;
+    telegramPolling = true;
+    while (telegramPolling) {
+        try {
+            const data = await telegramApi("getUpdates", { offset, timeout: 25, allowed_updates: ["message"] });
+            if (!telegramPolling) break;
+            if (data.error_code === 409) {
+                console.warn("Telegram polling to‘xtadi: bot uchun webhook o‘rnatilgan");
+                break;
+            }
+            if (!data.ok) {
+                console.warn("Telegram getUpdates error:", data.description || data);
+                await sleep(5000);
+                continue;
+            }
+            for (const update of data.result) {
+                offset = update.update_id + 1;
+                await handleTelegramUpdate(update);
+            }
+        } catch (e) {
+            console.error("Telegram polling error:", e.message);
+            await sleep(5000);
+        }
     }
-});
+}
 
-// Arxiv ro‘yxati
-api.get("/archive", authMiddleware, superMiddleware, async (req, res) => {
+async function startTelegramBot() {
+    if (TELEGRAM_MODE === "off") return;
+    if (!BOT_TOKEN) return console.warn("Telegram bot: BOT_TOKEN yo‘q, bot ishga tushmadi");
+    if (!TELEGRAM_ALLOWED_USERS.length) console.warn("Telegram bot: TELEGRAM_ALLOWED_USERS bo‘sh — hamma buyruqlar rad etiladi");
     try {
-        const list = await Archive.find().sort({ date: -1 }).lean();
-        return res.json({ ok: true, archive: list });
+        if (TELEGRAM_MODE === "polling") {
+            await telegramApi("deleteWebhook", {});
+            console.log("Telegram bot: long-polling");
+            pollTelegram();
+        } else if (TELEGRAM_MODE === "webhook" && !TELEGRAM_WEBHOOK_SECRET) {
+            console.error("Telegram bot: TELEGRAM_WEBHOOK_SECRET berilmagan — webhook ishga tushmadi");
+        } else if (TELEGRAM_MODE === "webhook" && TELEGRAM_WEBHOOK_URL) {
+            const data = await telegramApi("setWebhook", {
+                url: TELEGRAM_WEBHOOK_URL,
+                secret_token: TELEGRAM_WEBHOOK_SECRET,
+                allowed_updates: ["message"]
+            });
+            console.log("Telegram bot: webhook", data.ok ? "o‘rnatildi" : data.description);
+        }
     } catch (e) {
-        console.error(e);
-        return res.status(500).json({ ok: false, error: e.message });
+        console.error("Telegram bot start error:", e.message);
     }
-});
+}
+
+startTelegramBot();
+
+// to‘xtatish (SIGTERM/SIGINT): polling tsikli to‘xtaydi, yangi ulanishlar qabul qilinmaydi
+function shutdown(signal) {
+    console.log(`${signal}: server to‘xtatilmoqda`);
+    stopTelegramPolling();
+    if (!httpServer) return process.exit(0);
+    httpServer.close(() => process.exit(0));
+    setTimeout(() => process.exit(0), 3000).unref(); // ochiq SSE ulanishlari kutilmaydi
+}
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
 
 function getTashkentDate() {
     return new Date(new Date().toLocaleString("en-US", { timeZone: "Asia/Tashkent" }));
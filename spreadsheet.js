@@ -0,0 +1,189 @@
+// spreadsheet.js — CSV (o‘qish/yozish) va oddiy XLSX yozish (tashqi kutubxonasiz)
+//
+// XLSX — bu ZIP ichidagi bir nechta XML fayl. Bitta varaq, inline string lar,
+// raqamlar number sifatida yoziladi. ZIP zlib.deflateRawSync bilan siqiladi.
+
+const zlib = require("zlib");
+
+// ===== CSV =====
+
+function csvCell(value) {
+    if (value === null || value === undefined) return "";
+    const s = String(value);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * @param {string[]} headers
+ * @param {Array<Array>} rows
+ * @returns {string} Excel to‘g‘ri ochishi uchun BOM bilan
+ */
+function toCsv(headers, rows) {
+    const lines = [headers, ...rows].map(row => row.map(csvCell).join(","));
+    return "\uFEFF" + lines.join("\r\n") + "\r\n";
+}
+
+/**
+ * CSV matnini qatorlarga ajratadi (qo‘shtirnoq ichidagi vergul/yangi qator qo‘llab-quvvatlanadi).
+ * Ajratuvchi birinchi qatordan aniqlanadi: "," yoki ";" (Excel ba’zan ; bilan saqlaydi).
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+    const src = String(text || "").replace(/^\uFEFF/, "");
+    const firstLine = src.split(/\r?\n/, 1)[0];
+    const sep = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ";" : ",";
+
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let quoted = false;
+    for (let i = 0; i < src.length; i++) {
+        const ch = src[i];
+        if (quoted) {
+            if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else cell += ch;
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === sep) {
+            row.push(cell); cell = "";
+        } else if (ch === "\n" || ch === "\r") {
+            if (ch === "\r" && src[i + 1] === "\n") i++;
+            row.push(cell); cell = "";
+            rows.push(row); row = [];
+        } else {
+            cell += ch;
+        }
+    }
+    if (cell !== "" || row.length) { row.push(cell); rows.push(row); }
+    return rows.filter(r => r.some(c => c.trim() !== ""));
+}
+
+// ===== XLSX =====
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(buf) {
+    let c = 0xFFFFFFFF;
+    for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xFF] ^ (c >>> 8);
+    return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+// files: [{ name, data: Buffer }] -> ZIP Buffer (deflate)
+function zip(files) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    for (const file of files) {
+        const name = Buffer.from(file.name, "utf8");
+        const compressed = zlib.deflateRawSync(file.data);
+        const crc = crc32(file.data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);          // version needed
+        local.writeUInt16LE(0x0800, 6);      // UTF-8 nomlar
+        local.writeUInt16LE(8, 8);           // deflate
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(file.data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        locals.push(local, name, compressed);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(file.data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centrals.push(central, name);
+
+        offset += local.length + name.length + compressed.length;
+    }
+    const centralSize = centrals.reduce((s, b) => s + b.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, ...centrals, end]);
+}
+
+function xmlEscape(s) {
+    return String(s)
+        .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;")
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "");
+}
+
+// 0 -> A, 26 -> AA
+function columnName(i) {
+    let s = "";
+    for (i += 1; i > 0; i = Math.floor((i - 1) / 26)) s = String.fromCharCode(65 + (i - 1) % 26) + s;
+    return s;
+}
+
+function sheetXml(headers, rows) {
+    const xmlRows = [headers, ...rows].map((row, r) => {
+        const cells = row.map((value, c) => {
+            if (value === null || value === undefined || value === "") return "";
+            const ref = columnName(c) + (r + 1);
+            if (typeof value === "number" && isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+            return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(value)}</t></is></c>`;
+        }).join("");
+        return `<row r="${r + 1}">${cells}</row>`;
+    }).join("");
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+        `<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${xmlRows}</sheetData></worksheet>`;
+}
+
+/**
+ * @param {string[]} headers
+ * @param {Array<Array>} rows
+ * @param {string} [sheetName]
+ * @returns {Buffer} .xlsx fayl
+ */
+function toXlsx(headers, rows, sheetName = "Sheet1") {
+    const file = (name, xml) => ({ name, data: Buffer.from(xml, "utf8") });
+    const head = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>`;
+    return zip([
+        file("[Content_Types].xml", head +
+            `<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+            `<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>` +
+            `<Default Extension="xml" ContentType="application/xml"/>` +
+            `<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>` +
+            `<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>` +
+            `</Types>`),
+        file("_rels/.rels", head +
+            `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+            `<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>` +
+            `</Relationships>`),
+        file("xl/workbook.xml", head +
+            `<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">` +
+            `<sheets><sheet name="${xmlEscape(sheetName).slice(0, 31)}" sheetId="1" r:id="rId1"/></sheets></workbook>`),
+        file("xl/_rels/workbook.xml.rels", head +
+            `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+            `<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>` +
+            `</Relationships>`),
+        file("xl/worksheets/sheet1.xml", sheetXml(headers, rows))
+    ]);
+}
+
+module.exports = {
+    toCsv,
+    parseCsv,
+    toXlsx
+};
@@ -0,0 +1,683 @@
+// storage.js — Order, Counter va Archive uchun ombor (repository) qatlami: MongoDB yoki lokal SQLite
+//
+// server.js zakaz, arxiv va hisoblagichga model orqali emas, shu interfeys orqali murojaat qiladi:
+//   orders:   findById, findOne, find, count, exists, forEach, create, insertMany, save,
+//             updateMany, deleteById, deleteMany, group, aggregate (faqat Mongo)
+//   archives: create, find, save, deleteById, deleteMany
+//   counters: next, max
+// Hujjatlar oddiy obyekt bo‘lib qaytadi. save(doc) faqat o‘qilgandan keyin o‘zgargan maydonlarni
+// yozadi (mongoose save kabi) — parallel so‘rovlar bir-birining maydonini ustidan yozmaydi.
+//
+// SQLite (STORAGE=sqlite) — internet yo‘q paytda kassa to‘xtamasligi uchun. Mongo dagi boshqa
+// to‘plamlarga yoziladigan yozuvlar (to‘lov, audit) outbox jadvaliga tushadi; syncToMongo() zakaz,
+// arxiv va outbox ni MongoDB ga yuboradi. Mongo da band orderId bo‘lsa — zakazga yangi raqam beriladi.
+
+const mongoose = require("mongoose");
+
+// syncToMongo uchun to‘plam nomlari (mongoose modellari bilan bir xil)
+const MONGO_COLLECTIONS = { orders: "orders", archives: "archives", counters: "counters" };
+
+// ===== Mongo so‘rov tilining kichik qismi (SQLite da JS bilan bajariladi) =====
+
+function plain(v) {
+    if (v instanceof Date) return v.getTime();
+    if (v && typeof v.toHexString === "function") return v.toHexString();
+    return v;
+}
+
+function equals(value, cond) {
+    if (Array.isArray(value)) return value.some(v => equals(v, cond)) || JSON.stringify(value) === JSON.stringify(cond);
+    if (cond instanceof RegExp) return typeof value === "string" && cond.test(value);
+    if ((value === null || value === undefined) && (cond === null || cond === undefined)) return true;
+    return plain(value) === plain(cond);
+}
+
+// null/undefined eng kichik (sort uchun)
+function compare(a, b) {
+    a = plain(a);
+    b = plain(b);
+    if (a === b) return 0;
+    if (a === null || a === undefined) return -1;
+    if (b === null || b === undefined) return 1;
+    return a < b ? -1 : 1;
+}
+
+// $gt/$lt: faqat bir xil turdagi qiymatlar solishtiriladi (Mongo kabi)
+function comparable(a, b) {
+    return a !== null && a !== undefined && typeof plain(a) === typeof plain(b);
+}
+
+const FIELD_OPERATORS = {
+    $eq: (v, arg) => equals(v, arg),
+    $ne: (v, arg) => !equals(v, arg),
+    $in: (v, arg) => arg.some(a => equals(v, a)),
+    $nin: (v, arg) => !arg.some(a => equals(v, a)),
+    $gt: (v, arg) => comparable(v, arg) && compare(v, arg) > 0,
+    $gte: (v, arg) => comparable(v, arg) && compare(v, arg) >= 0,
+    $lt: (v, arg) => comparable(v, arg) && compare(v, arg) < 0,
+    $lte: (v, arg) => comparable(v, arg) && compare(v, arg) <= 0,
+    $exists: (v, arg) => (v !== undefined) === Boolean(arg),
+    $regex: (v, arg, cond) => typeof v === "string" && new RegExp(arg, cond.$options || "").test(v),
+    $options: () => true
+};
+
+function getPath(doc, path) {
+    return path.split(".").reduce((v, key) => (v === null || v === undefined ? undefined : v[key]), doc);
+}
+
+function setPath(doc, path, value) {
+    const keys = path.split(".");
+    const last = keys.pop();
+    const target = keys.reduce((obj, key) => (obj[key] = obj[key] || {}), doc);
+    if (value === undefined) delete target[last];
+    else target[last] = value;
+}
+
+function isOperatorObject(cond) {
+    if (!cond || typeof cond !== "object" || Array.isArray(cond) || cond instanceof Date || cond instanceof RegExp) return false;
+    const keys = Object.keys(cond);
+    return keys.length > 0 && keys.every(k => k.startsWith("$"));
+}
+
+/**
+ * Hujjat Mongo filtriga mos keladimi ($in, $ne, $gt..., $exists, $regex, $or/$and/$nor).
+ * Qo‘llab-quvvatlanmagan operator — xato (jimgina noto‘g‘ri natija qaytmasin).
+ */
+function matchFilter(doc, filter = {}) {
+    return Object.entries(filter).every(([key, cond]) => {
+        if (key === "$or") return cond.some(f => matchFilter(doc, f));
+        if (key === "$and") return cond.every(f => matchFilter(doc, f));
+        if (key === "$nor") return !cond.some(f => matchFilter(doc, f));
+        const value = getPath(doc, key);
+        if (!isOperatorObject(cond)) return equals(value, cond);
+        return Object.entries(cond).every(([op, arg]) => {
+            if (!FIELD_OPERATORS[op]) throw new Error(`SQLite: ${op} operatori qo‘llab-quvvatlanmaydi`);
+            return FIELD_OPERATORS[op](value, arg, cond);
+        });
+    });
+}
+
+// sort: { createdAt: -1, orderId: 1 } (joyida saralaydi)
+function sortDocs(docs, sort) {
+    const keys = Object.entries(sort || {});
+    if (!keys.length) return docs;
+    return docs.sort((a, b) => {
+        for (const [key, dir] of keys) {
+            const c = compare(getPath(a, key), getPath(b, key));
+            if (c) return dir < 0 ? -c : c;
+        }
+        return 0;
+    });
+}
+
+// $set, $unset, $inc, $max
+function applyUpdate(doc, update) {
+    for (const [op, fields] of Object.entries(update)) {
+        for (const [path, value] of Object.entries(fields)) {
+            if (op === "$set") setPath(doc, path, value);
+            else if (op === "$unset") setPath(doc, path, undefined);
+            else if (op === "$inc") setPath(doc, path, (getPath(doc, path) || 0) + value);
+            else if (op === "$max") {
+                if (compare(value, getPath(doc, path)) > 0) setPath(doc, path, value);
+            } else throw new Error(`SQLite: ${op} qo‘llab-quvvatlanmaydi`);
+        }
+    }
+    return doc;
+}
+
+// ===== o‘zgarishlarni kuzatish =====
+
+const ORIGINAL = Symbol("original");
+
+// o‘qilgan hujjatning asl holati — save() faqat farqni yozadi
+function track(doc) {
+    if (!doc) return doc;
+    const original = {};
+    for (const [key, value] of Object.entries(doc)) original[key] = JSON.stringify(value);
+    Object.defineProperty(doc, ORIGINAL, { value: original, configurable: true });
+    return doc;
+}
+
+// { $set, $unset } yoki null (o‘zgarish yo‘q)
+function changes(doc) {
+    const original = doc[ORIGINAL] || {};
+    const $set = {};
+    const $unset = {};
+    for (const [key, value] of Object.entries(doc)) {
+        if (key === "_id") continue;
+        if (value === undefined) {
+            if (original[key] !== undefined) $unset[key] = "";
+        } else if (JSON.stringify(value) !== original[key]) {
+            $set[key] = value;
+        }
+    }
+    for (const key of Object.keys(original)) if (!(key in doc)) $unset[key] = "";
+    const update = {};
+    if (Object.keys($set).length) update.$set = $set;
+    if (Object.keys($unset).length) update.$unset = $unset;
+    return Object.keys(update).length ? update : null;
+}
+
+// ===== MongoDB =====
+
+function createMongoStorage({ Order, Counter, Archive }) {
+    function query(q, { sort, skip, limit } = {}) {
+        if (sort) q.sort(sort);
+        if (skip) q.skip(skip);
+        if (limit) q.limit(limit);
+        return q.lean();
+    }
+
+    const counters = {
+        async next(name) {
+            const ret = await Counter.findByIdAndUpdate(name, { $inc: { seq: 1 } }, { new: true, upsert: true });
+            return ret.seq;
+        },
+        async max(name, value) {
+            await Counter.updateOne({ _id: name }, { $max: { seq: value } }, { upsert: true });
+        }
+    };
+
+    const orders = {
+        async findById(id) {
+            if (!mongoose.Types.ObjectId.isValid(id)) return null;
+            return track(await Order.findById(id).lean());
+        },
+        async findOne(filter, options) {
+            return track(await query(Order.findOne(filter), options));
+        },
+        async find(filter = {}, options) {
+            return (await query(Order.find(filter), options)).map(track);
+        },
+        count: filter => Order.countDocuments(filter),
+        async exists(filter) {
+            return Boolean(await Order.exists(filter));
+        },
+        // katta to‘plamlar uchun (migratsiya) — hammasini xotiraga yuklamaydi
+        async forEach(filter, fn) {
+            for await (const o of Order.find(filter).lean().cursor()) await fn(track(o));
+        },
+        async create(data) {
+            const doc = new Order(data);
+            if (doc.orderId === undefined || doc.orderId === null) doc.orderId = await counters.next("orderId");
+            await doc.save();
+            return track(doc.toObject());
+        },
+        // orderId larni chaqiruvchi beradi (import)
+        async insertMany(list) {
+            return (await Order.insertMany(list)).map(doc => track(doc.toObject()));
+        },
+        async save(o) {
+            const update = changes(o);
+            if (update) await Order.updateOne({ _id: o._id }, update, { runValidators: true });
+            return track(o);
+        },
+        updateMany: (filter, update) => Order.updateMany(filter, update),
+        deleteById: id => Order.findByIdAndDelete(id).lean(),
+        deleteMany: filter => Order.deleteMany(filter),
+        // [{ _id: key qiymati, count, total: sumField yig‘indisi }]
+        group(filter, key, sumField) {
+            const match = Order.find().cast(Order, filter); // aggregate filtrni o‘zi cast qilmaydi
+            return Order.aggregate([
+                { $match: match },
+                { $group: { _id: "$" + key, count: { $sum: 1 }, total: { $sum: "$" + sumField } } }
+            ]);
+        },
+        aggregate: pipeline => Order.aggregate(pipeline)
+    };
+
+    const archives = {
+        async create(data) {
+            return (await Archive.create(data)).toObject();
+        },
+        find: (filter = {}, options) => query(Archive.find(filter), options),
+        // arxiv butunligicha qayta yoziladi (bir kunga zakaz qo‘shish)
+        async save(a) {
+            await Archive.replaceOne({ _id: a._id }, a);
+            return a;
+        },
+        deleteById: id => Archive.findByIdAndDelete(id).lean(),
+        deleteMany: filter => Archive.deleteMany(filter)
+    };
+
+    return { kind: "mongo", orders, archives, counters };
+}
+
+// ===== SQLite =====
+
+// JSON dagi ISO sanalar Date bo‘lib qaytadi
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{1,3})?Z$/;
+const parse = text => JSON.parse(text, (key, value) => (typeof value === "string" && ISO_DATE.test(value) ? new Date(value) : value));
+
+// mongoose schema bo‘yicha default, tur va enum tekshiruvi (bazaga murojaat qilmaydi)
+function cast(Model, data) {
+    const doc = new Model(data);
+    const error = doc.validateSync();
+    if (error) throw error;
+    return parse(JSON.stringify(doc.toObject()));
+}
+
+/**
+ * @param {string} file SQLite fayl yo‘li
+ * @param {{ Order?: mongoose.Model, Archive?: mongoose.Model }} [models] yozish uchun kerak (sync skriptiga shart emas)
+ */
+function createSqliteStorage(file, { Order, Archive } = {}) {
+    const Database = require("better-sqlite3");
+    const db = new Database(file);
+    db.pragma("journal_mode = WAL"); // server va syncToMongo.js bir vaqtda ishlashi mumkin
+    // version — har yozishda +1; synced — Mongo ga yuborilgan version (version > synced = yuborilmagan)
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS orders (
+            id TEXT PRIMARY KEY,
+            orderId INTEGER UNIQUE,
+            status TEXT,
+            ps TEXT,
+            doc TEXT NOT NULL,
+            version INTEGER NOT NULL DEFAULT 1,
+            synced INTEGER NOT NULL DEFAULT 0
+        );
+        CREATE INDEX IF NOT EXISTS orders_status ON orders (status, ps);
+        CREATE TABLE IF NOT EXISTS archives (
+            id TEXT PRIMARY KEY,
+            date TEXT,
+            doc TEXT NOT NULL,
+            version INTEGER NOT NULL DEFAULT 1,
+            synced INTEGER NOT NULL DEFAULT 0
+        );
+        CREATE TABLE IF NOT EXISTS counters (name TEXT PRIMARY KEY, seq INTEGER NOT NULL DEFAULT 0);
+        CREATE TABLE IF NOT EXISTS outbox (id INTEGER PRIMARY KEY AUTOINCREMENT, coll TEXT NOT NULL, doc TEXT NOT NULL);
+        CREATE TABLE IF NOT EXISTS removed (coll TEXT NOT NULL, id TEXT NOT NULL, PRIMARY KEY (coll, id));
+        CREATE TABLE IF NOT EXISTS cache (key TEXT PRIMARY KEY, value TEXT NOT NULL, updatedAt TEXT NOT NULL);
+    `);
+
+    const sql = {
+        nextSeq: db.prepare("INSERT INTO counters (name, seq) VALUES (?, 1) ON CONFLICT (name) DO UPDATE SET seq = seq + 1 RETURNING seq"),
+        maxSeq: db.prepare("INSERT INTO counters (name, seq) VALUES (?, ?) ON CONFLICT (name) DO UPDATE SET seq = MAX(seq, excluded.seq)"),
+        getSeq: db.prepare("SELECT seq FROM counters WHERE name = ?"),
+        order: db.prepare("SELECT * FROM orders WHERE id = ?"),
+        insertOrder: db.prepare("INSERT INTO orders (id, orderId, status, ps, doc) VALUES (@id, @orderId, @status, @ps, @doc)"),
+        updateOrder: db.prepare("UPDATE orders SET orderId = @orderId, status = @status, ps = @ps, doc = @doc, version = version + 1 WHERE id = @id"),
+        deleteOrder: db.prepare("DELETE FROM orders WHERE id = ?"),
+        orderIdTaken: db.prepare("SELECT 1 FROM orders WHERE orderId = ?"),
+        maxOrderId: db.prepare("SELECT MAX(orderId) AS max FROM orders"),
+        archives: db.prepare("SELECT doc FROM archives"),
+        archive: db.prepare("SELECT doc FROM archives WHERE id = ?"),
+        insertArchive: db.prepare("INSERT INTO archives (id, date, doc) VALUES (@id, @date, @doc)"),
+        updateArchive: db.prepare("UPDATE archives SET date = @date, doc = @doc, version = version + 1 WHERE id = @id"),
+        deleteArchive: db.prepare("DELETE FROM archives WHERE id = ?"),
+        removed: db.prepare("INSERT OR IGNORE INTO removed (coll, id) VALUES (?, ?)"),
+        pushOutbox: db.prepare("INSERT INTO outbox (coll, doc) VALUES (?, ?)"),
+        outbox: db.prepare("SELECT doc FROM outbox WHERE coll = ?"),
+        getCache: db.prepare("SELECT value FROM cache WHERE key = ?"),
+        setCache: db.prepare("INSERT INTO cache (key, value, updatedAt) VALUES (?, ?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value, updatedAt = excluded.updatedAt")
+    };
+
+    const orderRow = o => ({ id: String(o._id), orderId: o.orderId ?? null, status: o.status, ps: o.ps, doc: JSON.stringify(o) });
+
+    // _id / orderId / status / ps bo‘yicha SQL da oldindan tanlanadi, qolgan shartlar — matchFilter
+    const INDEXED = { _id: "id", orderId: "orderId", status: "status", ps: "ps" };
+    function selectOrders(filter = {}) {
+        const where = [];
+        const params = [];
+        const simple = v => typeof v === "string" || typeof v === "number";
+        for (const [key, column] of Object.entries(INDEXED)) {
+            const cond = filter[key];
+            if (simple(cond)) {
+                where.push(`${column} = ?`);
+                params.push(cond);
+            } else if (cond && Array.isArray(cond.$in) && cond.$in.every(simple)) {
+                where.push(`${column} IN (${cond.$in.map(() => "?").join(", ")})`);
+                params.push(...cond.$in);
+            }
+        }
+        const rows = db.prepare(`SELECT doc FROM orders${where.length ? " WHERE " + where.join(" AND ") : ""}`).all(...params);
+        return rows.map(r => parse(r.doc)).filter(o => matchFilter(o, filter));
+    }
+
+    function page(docs, { sort, skip = 0, limit } = {}) {
+        sortDocs(docs, sort);
+        return docs.slice(skip, limit ? skip + limit : undefined);
+    }
+
+    const counters = {
+        async next(name) {
+            return sql.nextSeq.get(name).seq;
+        },
+        async max(name, value) {
+            sql.maxSeq.run(name, value);
+        }
+    };
+
+    const orders = {
+        async findById(id) {
+            const row = sql.order.get(String(id));
+            return row ? track(parse(row.doc)) : null;
+        },
+        async findOne(filter, options) {
+            return track(page(selectOrders(filter), options)[0] || null);
+        },
+        async find(filter, options) {
+            return page(selectOrders(filter), options).map(track);
+        },
+        async count(filter) {
+            return selectOrders(filter).length;
+        },
+        async exists(filter) {
+            return selectOrders(filter).length > 0;
+        },
+        async forEach(filter, fn) {
+            for (const o of selectOrders(filter)) await fn(track(o));
+        },
+        async create(data) {
+            const o = cast(Order, data);
+            if (o.orderId === undefined || o.orderId === null) o.orderId = sql.nextSeq.get("orderId").seq;
+            sql.insertOrder.run(orderRow(o));
+            return track(o);
+        },
+        async insertMany(list) {
+            const docs = list.map(data => cast(Order, data));
+            db.transaction(() => docs.forEach(o => sql.insertOrder.run(orderRow(o))))();
+            return docs.map(track);
+        },
+        async save(o) {
+            const update = changes(o);
+            if (update) {
+                db.transaction(() => {
+                    const row = sql.order.get(String(o._id));
+                    if (row) sql.updateOrder.run(orderRow(cast(Order, applyUpdate(parse(row.doc), update))));
+                })();
+            }
+            return track(o);
+        },
+        async updateMany(filter, update) {
+            return db.transaction(() => {
+                const docs = selectOrders(filter);
+                for (const o of docs) sql.updateOrder.run(orderRow(cast(Order, applyUpdate(o, update))));
+                return { matchedCount: docs.length, modifiedCount: docs.length };
+            })();
+        },
+        async deleteById(id) {
+            const row = sql.order.get(String(id));
+            if (!row) return null;
+            db.transaction(() => {
+                sql.deleteOrder.run(row.id);
+                sql.removed.run("orders", row.id);
+            })();
+            return parse(row.doc);
+        },
+        async deleteMany(filter) {
+            return db.transaction(() => {
+                const docs = selectOrders(filter);
+                for (const o of docs) {
+                    sql.deleteOrder.run(String(o._id));
+                    sql.removed.run("orders", String(o._id));
+                }
+                return { deletedCount: docs.length };
+            })();
+        },
+        async group(filter, key, sumField) {
+            const groups = new Map();
+            for (const o of selectOrders(filter)) {
+                const k = getPath(o, key) ?? null;
+                const g = groups.get(k) || { _id: k, count: 0, total: 0 };
+                g.count++;
+                g.total += Number(getPath(o, sumField)) || 0;
+                groups.set(k, g);
+            }
+            return [...groups.values()];
+        },
+        async aggregate() {
+            throw new Error("Bu hisobot faqat MongoDB rejimida ishlaydi (STORAGE=mongo)");
+        }
+    };
+
+    const archives = {
+        async create(data) {
+            const a = cast(Archive, data);
+            sql.insertArchive.run({ id: String(a._id), date: a.date, doc: JSON.stringify(a) });
+            return a;
+        },
+        async find(filter = {}, options) {
+            return page(sql.archives.all().map(r => parse(r.doc)).filter(a => matchFilter(a, filter)), options);
+        },
+        async save(data) {
+            const a = cast(Archive, data);
+            sql.updateArchive.run({ id: String(a._id), date: a.date, doc: JSON.stringify(a) });
+            return a;
+        },
+        async deleteById(id) {
+            const row = sql.archive.get(String(id));
+            if (!row) return null;
+            db.transaction(() => {
+                sql.deleteArchive.run(String(id));
+                sql.removed.run("archives", String(id));
+            })();
+            return parse(row.doc);
+        },
+        async deleteMany(filter) {
+            return db.transaction(() => {
+                const docs = sql.archives.all().map(r => parse(r.doc)).filter(a => matchFilter(a, filter));
+                for (const a of docs) {
+                    sql.deleteArchive.run(String(a._id));
+                    sql.removed.run("archives", String(a._id));
+                }
+                return { deletedCount: docs.length };
+            })();
+        }
+    };
+
+    // Mongo dagi boshqa to‘plamlarga keyin yuboriladigan hujjatlar (_id bilan — qayta yuborish xavfsiz)
+    const outbox = {
+        push(coll, doc) {
+            sql.pushOutbox.run(coll, JSON.stringify(doc));
+        },
+        find(coll, filter = {}) {
+            return sql.outbox.all(coll).map(r => parse(r.doc)).filter(d => matchFilter(d, filter));
+        }
+    };
+
+    // Mongo ulanmagan paytda kerak bo‘ladigan ma’lumotlar nusxasi (xodimlar, PS lar, tariflar)
+    const cache = {
+        get(key) {
+            const row = sql.getCache.get(key);
+            return row ? parse(row.value) : null;
+        },
+        set(key, value) {
+            sql.setCache.run(key, JSON.stringify(value), new Date().toISOString());
+        }
+    };
+
+    // syncToMongo uchun
+    const sync = {
+        pending() {
+            const rows = table => db.prepare(`SELECT id, version, doc FROM ${table} WHERE version > synced`).all()
+                .map(r => ({ id: r.id, version: r.version, doc: parse(r.doc) }));
+            return {
+                orders: sortDocs(rows("orders"), { "doc.createdAt": 1 }),
+                archives: rows("archives"),
+                outbox: db.prepare("SELECT id, coll, doc FROM outbox ORDER BY id").all().map(r => ({ id: r.id, coll: r.coll, doc: parse(r.doc) })),
+                removed: db.prepare("SELECT coll, id FROM removed").all()
+            };
+        },
+        counts() {
+            const count = q => db.prepare(q).get().n;
+            return {
+                orders: count("SELECT COUNT(*) AS n FROM orders WHERE version > synced"),
+                archives: count("SELECT COUNT(*) AS n FROM archives WHERE version > synced"),
+                outbox: count("SELECT COUNT(*) AS n FROM outbox"),
+                removed: count("SELECT COUNT(*) AS n FROM removed")
+            };
+        },
+        // shu version yuborildi (keyin o‘zgargan bo‘lsa — keyingi safar yana yuboriladi)
+        markSynced(table, id, version) {
+            db.prepare(`UPDATE ${table} SET synced = MAX(synced, ?) WHERE id = ?`).run(version, id);
+        },
+        doneOutbox(id) {
+            db.prepare("DELETE FROM outbox WHERE id = ?").run(id);
+        },
+        doneRemoved(coll, id) {
+            db.prepare("DELETE FROM removed WHERE coll = ? AND id = ?").run(coll, id);
+        },
+        orderIdTaken(orderId) {
+            return Boolean(sql.orderIdTaken.get(orderId));
+        },
+        maxOrderId() {
+            return sql.maxOrderId.get().max || 0;
+        },
+        seq(name) {
+            const row = sql.getSeq.get(name);
+            return row ? row.seq : 0;
+        },
+        // hamma lokal ma’lumot (backup uchun): zakazlar, arxiv, hisoblagichlar, outbox to‘plamlar bo‘yicha
+        dump() {
+            const outboxByColl = {};
+            for (const r of db.prepare("SELECT coll, doc FROM outbox ORDER BY id").all()) {
+                (outboxByColl[r.coll] = outboxByColl[r.coll] || []).push(parse(r.doc));
+            }
+            return {
+                orders: db.prepare("SELECT doc FROM orders").all().map(r => parse(r.doc)),
+                archives: sql.archives.all().map(r => parse(r.doc)),
+                counters: db.prepare("SELECT name, seq FROM counters").all().map(r => ({ _id: r.name, seq: r.seq })),
+                outbox: outboxByColl
+            };
+        },
+        // zakazga yangi raqam: zakazning o‘zi, unga tegishli outbox yozuvlari va arxivdagi nusxasi; yangi version qaytadi
+        renumberOrder(id, orderId) {
+            return db.transaction(() => {
+                const row = sql.order.get(id);
+                const o = parse(row.doc);
+                o.orderId = orderId;
+                sql.updateOrder.run(orderRow(o));
+                for (const r of db.prepare("SELECT id, doc FROM outbox").all()) {
+                    const doc = parse(r.doc);
+                    if (String(doc.order) !== id) continue;
+                    doc.orderId = orderId;
+                    db.prepare("UPDATE outbox SET doc = ? WHERE id = ?").run(JSON.stringify(doc), r.id);
+                }
+                for (const r of db.prepare("SELECT id, doc FROM archives WHERE doc LIKE ?").all(`%${id}%`)) {
+                    const a = parse(r.doc);
+                    for (const snap of a.orders || []) {
+                        if (String(snap._id) !== id) continue;
+                        snap.orderId = orderId;
+                        for (const p of snap.payments || []) p.orderId = orderId;
+                    }
+                    db.prepare("UPDATE archives SET doc = ?, version = version + 1 WHERE id = ?").run(JSON.stringify(a), r.id);
+                }
+                return sql.order.get(id).version;
+            })();
+        }
+    };
+
+    return { kind: "sqlite", file, orders, archives, counters, outbox, cache, sync };
+}
+
+// ===== SQLite -> MongoDB =====
+
+// SQLite da ObjectId lar matn bo‘lib saqlanadi — Mongo ga qaytarishda tiklanadi
+const OBJECT_ID_FIELDS = new Set(["_id", "order", "customer", "shift", "sale", "reservation", "product"]);
+
+function toMongoDoc(value, key) {
+    if (Array.isArray(value)) return value.map(v => toMongoDoc(v));
+    if (value && typeof value === "object" && !(value instanceof Date)) {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, toMongoDoc(v, k)]));
+    }
+    if (OBJECT_ID_FIELDS.has(key) && typeof value === "string" && /^[0-9a-f]{24}$/i.test(value)) return new mongoose.Types.ObjectId(value);
+    return value;
+}
+
+/**
+ * Lokal SQLite ombori Mongo to‘plamlari ko‘rinishida: { [to‘plam nomi]: hujjatlar } (ObjectId lar tiklangan).
+ * Mongo ulanmagan paytdagi backup uchun.
+ */
+function dumpLocal(local, names = MONGO_COLLECTIONS) {
+    const { orders, archives, counters, outbox } = local.sync.dump();
+    const collections = {
+        [names.orders]: orders,
+        [names.archives]: archives,
+        [names.counters]: counters
+    };
+    for (const [coll, docs] of Object.entries(outbox)) collections[coll] = docs;
+    return Object.fromEntries(Object.entries(collections).map(([name, docs]) => [name, docs.map(d => toMongoDoc(d))]));
+}
+
+/**
+ * Lokal SQLite dagi yuborilmagan o‘zgarishlarni MongoDB ga yozadi; qayta chaqirish xavfsiz
+ * (hamma narsa _id bo‘yicha upsert). Mongo da shu orderId boshqa zakazga tegishli bo‘lsa —
+ * lokal zakazga Mongo hisoblagichidan yangi raqam beriladi (to‘lov/audit/arxivdagi nusxasi ham).
+ * Oxirida ikkala hisoblagich tenglashtiriladi: keyingi lokal zakazlar Mongo dagilar bilan to‘qnashmaydi.
+ * @param {object} local createSqliteStorage() natijasi
+ * @param {import("mongodb").Db} db mongoose.connection.db
+ * @param {{ orders: string, archives: string, counters: string }} [names]
+ */
+async function syncToMongo(local, db, names = MONGO_COLLECTIONS) {
+    const orders = db.collection(names.orders);
+    const counters = db.collection(names.counters);
+    const result = { orders: 0, archives: 0, outbox: 0, removed: 0, renumbered: [] };
+
+    // Mongo hisoblagichidan keyingi, lokal zakazlarda ham band bo‘lmagan raqam
+    async function freeOrderId() {
+        for (;;) {
+            const { value } = await counters.findOneAndUpdate(
+                { _id: "orderId" }, { $inc: { seq: 1 } },
+                { upsert: true, returnDocument: "after", includeResultMetadata: true }
+            );
+            if (!local.sync.orderIdTaken(value.seq) && !(await orders.findOne({ orderId: value.seq }, { projection: { _id: 1 } }))) {
+                return value.seq;
+            }
+        }
+    }
+
+    const pending = local.sync.pending();
+    for (const row of pending.orders) {
+        const doc = toMongoDoc(row.doc);
+        let version = row.version;
+        if (doc.orderId !== undefined && doc.orderId !== null) {
+            const taken = await orders.findOne({ orderId: doc.orderId, _id: { $ne: doc._id } }, { projection: { _id: 1 } });
+            if (taken) {
+                const to = await freeOrderId();
+                result.renumbered.push({ from: doc.orderId, to });
+                version = local.sync.renumberOrder(row.id, to);
+                doc.orderId = to;
+            }
+        }
+        await orders.replaceOne({ _id: doc._id }, doc, { upsert: true });
+        local.sync.markSynced("orders", row.id, version);
+        result.orders++;
+    }
+
+    // arxiv va outbox renumberOrder dan keyin qayta o‘qiladi
+    const rest = local.sync.pending();
+    for (const row of rest.archives) {
+        const doc = toMongoDoc(row.doc);
+        await db.collection(names.archives).replaceOne({ _id: doc._id }, doc, { upsert: true });
+        local.sync.markSynced("archives", row.id, row.version);
+        result.archives++;
+    }
+    for (const row of rest.outbox) {
+        const doc = toMongoDoc(row.doc);
+        await db.collection(row.coll).replaceOne({ _id: doc._id }, doc, { upsert: true });
+        local.sync.doneOutbox(row.id);
+        result.outbox++;
+    }
+    for (const r of rest.removed) {
+        await db.collection(names[r.coll] || r.coll).deleteOne({ _id: toMongoDoc(r.id, "_id") });
+        local.sync.doneRemoved(r.coll, r.id);
+        result.removed++;
+    }
+
+    const maxId = local.sync.maxOrderId();
+    if (maxId) await counters.updateOne({ _id: "orderId" }, { $max: { seq: maxId } }, { upsert: true });
+    const remote = await counters.findOne({ _id: "orderId" });
+    if (remote) await local.counters.max("orderId", remote.seq);
+    return result;
+}
+
+module.exports = {
+    MONGO_COLLECTIONS,
+    matchFilter,
+    sortDocs,
+    createMongoStorage,
+    createSqliteStorage,
+    syncToMongo,
+    dumpLocal
+};
@@ -0,0 +1,35 @@
+// syncLocal.js — lokal SQLite dagi (offline ishlagan) zakazlarni MongoDB ga qo‘lda yuborish
+//
+//   node syncLocal.js              — zakazlar, arxiv, to‘lov/audit yozuvlari va o‘chirishlar
+//   node syncLocal.js --dry-run    — faqat nechta yozuv yuborilmaganini ko‘rsatadi
+//
+// Server ham har daqiqada shuni qiladi (Mongo ulangan bo‘lsa); bu skript server o‘chiq paytda kerak.
+// Sozlamalar .env dan: MONGO_URI, SQLITE_FILE (default club.db).
+// MongoDB da band bo‘lgan zakaz raqamlari yangi raqam oladi — ro‘yxati oxirida chiqadi.
+const fs = require("fs");
+const mongoose = require("mongoose");
+require("dotenv").config();
+const { createSqliteStorage, syncToMongo, MONGO_COLLECTIONS } = require("./storage");
+
+const SQLITE_FILE = process.env.SQLITE_FILE || "club.db";
+
+async function main() {
+    if (!fs.existsSync(SQLITE_FILE)) return console.log(`${SQLITE_FILE} topilmadi — yuboriladigan narsa yo‘q`);
+    const local = createSqliteStorage(SQLITE_FILE);
+    console.log("Yuborilmagan:", JSON.stringify(local.sync.counts()));
+    if (process.argv.includes("--dry-run")) return;
+
+    await mongoose.connect(process.env.MONGO_URI, { serverSelectionTimeoutMS: 5000 });
+    try {
+        const result = await syncToMongo(local, mongoose.connection.db, MONGO_COLLECTIONS);
+        console.log(`Zakazlar: ${result.orders} | Arxiv: ${result.archives} | To‘lov/audit: ${result.outbox} | O‘chirilgan: ${result.removed}`);
+        result.renumbered.forEach(r => console.log(`Raqam o‘zgardi: #${r.from} → #${r.to}`));
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+main().catch(e => {
+    console.error(e);
+    process.exitCode = 1;
+});
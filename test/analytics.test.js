@@ -0,0 +1,37 @@
+// /api/analytics — daromad va sessiyalar guruhlab, PS bandligi
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startClient, mongoOnly, MONGO } = require("./helpers");
+
+let server, api;
+test.before(async () => ({ server, api } = await startClient()));
+test.after(() => server.stop());
+
+test("SQLite rejimida analitika 409", { skip: MONGO ? "MongoDB bor" : false }, async () => {
+    assert.equal((await api("GET", "/analytics")).status, 409);
+});
+
+test("analitika: PS bo‘yicha guruh, noto‘g‘ri group va oraliq 400", mongoOnly, async () => {
+    for (const ps of ["PS1", "PS2"]) {
+        const { body } = await api("POST", "/order", { ps, type: "cash", amount: 10000 });
+        await api("POST", `/complete/${body.order._id}`);
+    }
+    const res = await api("GET", "/analytics?group=station");
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.rows.map(r => [r.key, r.count]), [["PS1", 1], ["PS2", 1]]);
+    assert.equal(res.body.totals.count, 2);
+    assert.equal(res.body.totals.revenue, res.body.rows.reduce((sum, r) => sum + r.revenue, 0));
+
+    assert.equal((await api("GET", "/analytics?group=year")).status, 400);
+    assert.equal((await api("GET", "/analytics?from=2026-10-19&to=2026-10-01")).status, 400);
+});
+
+test("bandlik: har PS uchun foiz", mongoOnly, async () => {
+    const res = await api("GET", "/analytics/utilization");
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.utilization.map(u => u.station), ["PS1", "PS2", "PS3", "PS4", "PS5"]);
+    const ps1 = res.body.utilization[0];
+    assert.equal(ps1.count, 1);
+    assert.ok(ps1.percent >= 0 && ps1.percent <= 100);
+});
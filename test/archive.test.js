@@ -0,0 +1,71 @@
+// arxiv: kun tafsiloti, ikki kunni solishtirish, bir kunlik arxivlar birlashishi va arxivdan qaytarish
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startClient, mongoOnly } = require("./helpers");
+
+let server, api;
+test.before(async () => {
+    ({ server, api } = await startClient());
+    await api("POST", "/backup");
+});
+test.after(() => server.stop());
+
+let today;
+
+test("archive-day: ikki marta arxivlansa bitta kun yozuviga qo‘shiladi", async () => {
+    const a = (await api("POST", "/order", { ps: "PS1", type: "cash", amount: 10000 })).body.order;
+    await api("POST", `/complete/${a._id}`);
+    const first = await api("POST", "/archive-day");
+    assert.equal(first.status, 200);
+    assert.equal(first.body.archived, 1);
+    today = first.body.date;
+
+    const b = (await api("POST", "/order", { ps: "PS2", type: "cash", amount: 20000 })).body.order;
+    await api("POST", `/complete/${b._id}`);
+    const second = await api("POST", "/archive-day");
+    assert.equal(second.body.merged, true);
+
+    const list = (await api("GET", "/archive")).body.archive;
+    assert.deepEqual(list.map(x => x.date), [today]);
+    const day = await api("GET", `/archive/${today}`);
+    assert.deepEqual(day.body.archive.orders.map(o => o.ps).sort(), ["PS1", "PS2"]);
+    assert.equal(day.body.summary.count, 2);
+    assert.deepEqual(Object.keys(day.body.summary.byStation).sort(), ["PS1", "PS2"]);
+});
+
+test("kun tafsiloti va solishtirish: noto‘g‘ri sana 400, yo‘q kun 404", async () => {
+    assert.equal((await api("GET", "/archive/19-10-2026")).status, 400);
+    assert.equal((await api("GET", "/archive/2020-01-01")).status, 404);
+
+    const cmp = await api("GET", `/archive/compare?a=2020-01-01&b=${today}`);
+    assert.equal(cmp.status, 200);
+    assert.equal(cmp.body.a.count, 0);
+    assert.equal(cmp.body.diff.count, cmp.body.b.count);
+    assert.equal(cmp.body.diff.percent, null);
+
+    const week = await api("GET", `/archive/compare?a=${today}&b=${today}&period=week`);
+    assert.equal(week.body.period, "week");
+    assert.equal(week.body.diff.totalSum, 0);
+    assert.equal((await api("GET", "/archive/compare?a=bad&b=bad")).status, 400);
+});
+
+test("arxivdan qaytarish: zakazlar o‘z holatiga qaytadi, arxiv o‘chadi", mongoOnly, async () => {
+    const res = await api("POST", `/archive/${today}/unarchive`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.restored, 2);
+    assert.equal((await api("GET", "/orders?status=completed")).body.total, 2);
+    assert.equal((await api("GET", `/archive/${today}`)).status, 404);
+});
+
+test("faol zakaz qaytadigan PS band bo‘lsa — 409, hech narsa o‘zgarmaydi", mongoOnly, async () => {
+    await api("POST", "/order", { ps: "PS3", type: "vip" });
+    await api("POST", "/archive-day"); // PS3 faol zakazi ham arxivga
+    await api("POST", "/order", { ps: "PS3", type: "vip" });
+
+    const res = await api("POST", `/archive/${today}/unarchive`);
+    assert.equal(res.status, 409);
+    assert.deepEqual(res.body.busy, ["PS3"]);
+    assert.equal((await api("GET", `/archive/${today}`)).status, 200);
+    assert.equal((await api("GET", "/orders?status=process&station=PS3")).body.total, 1);
+});
@@ -0,0 +1,35 @@
+// /api/audit — har bir zakaz amali kim, qachon va nima o‘zgargani bilan yoziladi
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startClient, mongoOnly, ADMIN } = require("./helpers");
+
+let server, api;
+test.before(async () => ({ server, api } = await startClient()));
+test.after(() => server.stop());
+
+test("zakaz amallari audit ga yoziladi (before/after farqi bilan)", mongoOnly, async () => {
+    const { body } = await api("POST", "/order", { ps: "PS1", type: "cash", amount: 10000 });
+    const o = body.order;
+    await api("PUT", `/order/${o._id}`, { ps: "PS2" });
+    await api("POST", `/complete/${o._id}`);
+
+    const res = await api("GET", `/audit?orderId=${o.orderId}`);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.events.map(ev => ev.action), ["complete", "update", "create"]);
+    const update = res.body.events[1];
+    assert.equal(update.actor.username, ADMIN.username);
+    assert.deepEqual([update.before.ps, update.after.ps], ["PS1", "PS2"]);
+});
+
+test("audit filtrlari: action, ps, noto‘g‘ri orderId va sana", mongoOnly, async () => {
+    const { body } = await api("POST", "/order", { ps: "PS3", type: "vip" });
+    await api("DELETE", `/order/${body.order._id}`);
+
+    const trashed = await api("GET", "/audit?action=trash,delete&ps=PS3");
+    assert.ok(trashed.body.events.length >= 1);
+    assert.ok(trashed.body.events.every(ev => ev.ps === "PS3" && ["trash", "delete"].includes(ev.action)));
+
+    assert.equal((await api("GET", "/audit?orderId=abc")).status, 400);
+    assert.equal((await api("GET", "/audit?from=yesterday")).status, 400);
+});
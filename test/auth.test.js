@@ -0,0 +1,61 @@
+// login himoyasi: refresh token almashishi, qayta ishlatilsa sessiya bekor, logout va xato urinishlarda bloklash
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, ADMIN } = require("./helpers");
+
+let server;
+test.before(async () => { server = await startServer({ LOGIN_MAX_FAILURES: "3" }); });
+test.after(() => server.stop());
+
+const refresh = refreshToken => server.request("POST", "/refresh", { refreshToken });
+
+test("login: access va refresh token; refresh yangi juftlik beradi", async () => {
+    const first = await server.login();
+    assert.ok(first.token && first.refreshToken);
+    assert.equal(first.expiresIn, 15 * 60);
+
+    const next = await refresh(first.refreshToken);
+    assert.equal(next.status, 200);
+    assert.notEqual(next.body.refreshToken, first.refreshToken);
+    assert.equal((await server.request("GET", "/me", undefined, next.body.token)).status, 200);
+
+    // boshqa tab hozirgina almashtirgan — 409 stale, sessiya saqlanadi
+    const stale = await refresh(first.refreshToken);
+    assert.equal(stale.status, 409);
+    assert.equal(stale.body.stale, true);
+    assert.equal((await refresh(next.body.refreshToken)).status, 200);
+});
+
+test("eski refresh token qayta ishlatilsa — butun sessiya bekor qilinadi", async () => {
+    const a = await server.login();
+    const b = (await refresh(a.refreshToken)).body;
+    const c = (await refresh(b.refreshToken)).body;
+
+    assert.equal((await refresh(a.refreshToken)).status, 401);
+    assert.equal((await refresh(c.refreshToken)).status, 401);
+    assert.equal((await server.request("GET", "/me", undefined, c.token)).status, 401);
+    assert.equal((await refresh("garbage")).status, 401);
+});
+
+test("logout: shu sessiya token lari darhol ishlamaydi, boshqa sessiya ishlaydi", async () => {
+    const mine = await server.login();
+    const other = await server.login();
+    assert.equal((await server.request("POST", "/logout", undefined, mine.token)).status, 200);
+    assert.equal((await server.request("GET", "/me", undefined, mine.token)).status, 401);
+    assert.equal((await refresh(mine.refreshToken)).status, 401);
+    assert.equal((await server.request("GET", "/me", undefined, other.token)).status, 200);
+
+    const all = await server.request("POST", "/logout-all", undefined, other.token);
+    assert.ok(all.body.sessions >= 1);
+    assert.equal((await server.request("GET", "/me", undefined, other.token)).status, 401);
+});
+
+test("ketma-ket xato parollar — bloklash (to‘g‘ri parol ham 429)", async () => {
+    for (let i = 0; i < 3; i++) {
+        assert.equal((await server.request("POST", "/login", { username: ADMIN.username, password: "wrong" })).status, 401);
+    }
+    const locked = await server.request("POST", "/login", ADMIN);
+    assert.equal(locked.status, 429);
+    assert.ok(Number(locked.headers.get("retry-after")) > 0);
+});
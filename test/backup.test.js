@@ -0,0 +1,59 @@
+// /api/backup — snapshot olish, ro‘yxat, yuklab olish va o‘chiradigan amallardan oldin backup talabi
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startClient, mongoOnly } = require("./helpers");
+const { decodeSnapshot } = require("../backup");
+
+let server, api, token;
+test.before(async () => ({ server, api, token } = await startClient()));
+test.after(() => server.stop());
+
+async function download(name) {
+    const res = await fetch(`${server.url}/api/backups/${name}`, { headers: { authorization: `Bearer ${token}` } });
+    return { status: res.status, body: Buffer.from(await res.arrayBuffer()) };
+}
+
+test("daily-reset backup siz 409 (needBackup), backup dan keyin o‘tadi", async () => {
+    await api("POST", "/order", { ps: "PS1", type: "cash", amount: 10000 });
+    const refused = await api("POST", "/daily-reset");
+    assert.equal(refused.status, 409);
+    assert.equal(refused.body.needBackup, true);
+
+    const taken = await api("POST", "/backup", { reason: "test" });
+    assert.equal(taken.status, 200);
+    assert.equal(taken.body.backup.counts.orders, 1);
+
+    const list = await api("GET", "/backups");
+    assert.equal(list.body.fresh, true);
+    assert.deepEqual(list.body.backups.map(b => b.name), [taken.body.backup.name]);
+
+    assert.equal((await api("POST", "/daily-reset")).status, 200);
+    assert.equal((await api("GET", "/orders?status=process")).body.total, 0);
+});
+
+test("backup faylini yuklab olish: snapshot o‘qiladi, yo‘l tekshiriladi", async () => {
+    const { name } = (await api("POST", "/backup")).body.backup;
+    const file = await download(name);
+    assert.equal(file.status, 200);
+    const snapshot = decodeSnapshot(file.body);
+    assert.equal(snapshot.reason, "qo‘lda");
+    assert.ok(Array.isArray(Object.values(snapshot.collections)[0]));
+
+    assert.equal((await download("..%2Fserver.js")).status, 404);
+    assert.equal((await download("missing.json.gz")).status, 404);
+});
+
+test("restore: dryRun va merge — o‘chirilgan zakaz qaytadi", mongoOnly, async () => {
+    const o = (await api("POST", "/order", { ps: "PS2", type: "vip" })).body.order;
+    const { name } = (await api("POST", "/backup")).body.backup;
+    await api("DELETE", `/order/${o._id}?permanent=1`);
+
+    const dry = await api("POST", `/backup/restore?file=${name}&dryRun=1`);
+    assert.equal(dry.status, 200);
+    assert.equal((await api("GET", "/orders?status=process")).body.total, 0);
+
+    assert.equal((await api("POST", `/backup/restore?file=${name}&collections=orders`)).status, 200);
+    const restored = (await api("GET", "/orders?status=process")).body.orders;
+    assert.deepEqual(restored.map(x => x._id), [o._id]);
+});
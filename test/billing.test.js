@@ -0,0 +1,130 @@
+// billing.js — tarif, pauza, yaxlitlash va to‘lovlar yig‘indisi testlari (node --test)
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { billSession, endTimeForAmount, activeIntervals, pausedMs, summarizePayments } = require("../billing");
+
+const PRICE = 10000;
+const PS1 = { name: "PS1", consoleType: "PS4" };
+const at = clock => new Date(`${clock}+05:00`); // Toshkent vaqti
+const tariff = fields => ({ stations: [], consoleTypes: [], days: [], timeFrom: "", timeTo: "", priority: 0, roundTo: 1000, roundMode: "ceil", minCharge: 0, active: true, ...fields });
+const night = tariff({ name: "Tungi", pricePerHour: 6000, timeFrom: "22:00", timeTo: "08:00", priority: 1 });
+
+test("billSession: bitta tarif, standart narx", () => {
+    const bill = billSession(PS1, at("2026-10-19T10:00:00"), at("2026-10-19T11:30:00"), [], PRICE);
+    assert.equal(bill.summa, 15000);
+    assert.equal(bill.tariff, "Standart");
+    assert.equal(bill.segments.length, 1);
+    assert.equal(bill.segments[0].minutes, 90);
+});
+
+test("billSession: 22:00 tungi tarif chegarasida bo‘linadi", () => {
+    const bill = billSession(PS1, at("2026-10-19T21:30:00"), at("2026-10-19T22:30:00"), [night], PRICE);
+    assert.deepEqual(bill.segments.map(s => [s.tariff, s.minutes, s.cost]), [["Standart", 30, 5000], ["Tungi", 30, 3000]]);
+    assert.equal(bill.summa, 8000);
+});
+
+test("billSession: yarim tunda bir xil tarif bo‘laklari birlashadi", () => {
+    const bill = billSession(PS1, at("2026-10-19T23:30:00"), at("2026-10-20T00:30:00"), [], PRICE);
+    assert.equal(bill.segments.length, 1);
+    assert.equal(bill.segments[0].minutes, 60);
+    assert.equal(bill.summa, 10000);
+});
+
+test("billSession: yarim tunda dam olish kuni tarifiga o‘tadi", () => {
+    const weekend = tariff({ name: "Dam olish", pricePerHour: 15000, days: [6, 0] });
+    // 2026-10-23 — juma, 24 — shanba
+    const bill = billSession(PS1, at("2026-10-23T23:30:00"), at("2026-10-24T00:30:00"), [weekend], PRICE);
+    assert.deepEqual(bill.segments.map(s => [s.tariff, s.cost]), [["Standart", 5000], ["Dam olish", 7500]]);
+    assert.equal(bill.raw, 12500);
+    assert.equal(bill.summa, 13000); // yaxlitlash boshlang‘ich tarifdan (1000 ga ceil)
+});
+
+test("billSession: yaxlitlash rejimlari va minimal summa", () => {
+    const start = at("2026-10-19T10:00:00");
+    const end = at("2026-10-19T10:07:00"); // 1166.67 so'm
+    assert.equal(billSession(PS1, start, end, [], PRICE).summa, 2000);
+
+    const base = { name: "Test", pricePerHour: PRICE, roundTo: 500 };
+    assert.equal(billSession(PS1, start, end, [tariff({ ...base, roundMode: "floor" })], PRICE).summa, 1000);
+    assert.equal(billSession(PS1, start, end, [tariff({ ...base, roundMode: "round" })], PRICE).summa, 1000);
+    assert.equal(billSession(PS1, start, end, [tariff({ ...base, roundTo: 0 })], PRICE).summa, 1167);
+    assert.equal(billSession(PS1, start, end, [tariff({ ...base, minCharge: 5000 })], PRICE).summa, 5000);
+});
+
+test("billSession: tugash boshlanishdan oldin bo‘lsa — 0", () => {
+    const bill = billSession(PS1, at("2026-10-19T10:00:00"), at("2026-10-19T09:00:00"), [], PRICE);
+    assert.equal(bill.summa, 0);
+    assert.equal(bill.segments.length, 0);
+});
+
+test("billSession: pauzalar hisobga olinmaydi", () => {
+    const start = at("2026-10-19T10:00:00");
+    const end = at("2026-10-19T11:00:00");
+    const pauses = [{ start: at("2026-10-19T10:20:00"), end: at("2026-10-19T10:40:00") }];
+    const paused = billSession(PS1, start, end, [], PRICE, pauses);
+    assert.deepEqual(paused.segments.map(s => s.minutes), [20, 20]);
+    assert.equal(paused.summa, 7000); // 40 minut = 6667 -> 1000 ga ceil
+
+    // ochiq pauza — sessiya oxirigacha
+    const open = [{ start: at("2026-10-19T10:50:00") }];
+    assert.equal(billSession(PS1, start, end, [], PRICE, open).summa, 9000);
+});
+
+test("billSession: tarif chegarasini kesgan pauza", () => {
+    const pauses = [{ start: at("2026-10-19T21:50:00"), end: at("2026-10-19T22:10:00") }];
+    const bill = billSession(PS1, at("2026-10-19T21:30:00"), at("2026-10-19T22:30:00"), [night], PRICE, pauses);
+    assert.deepEqual(bill.segments.map(s => [s.tariff, s.minutes]), [["Standart", 20], ["Tungi", 20]]);
+    assert.equal(bill.summa, 6000); // 3333 + 2000 -> 1000 ga ceil
+});
+
+test("activeIntervals: ustma-ust va chegaradan tashqari pauzalar", () => {
+    const t = min => min * 60000;
+    const pauses = [
+        { start: new Date(t(30)), end: new Date(t(40)) },
+        { start: new Date(t(10)), end: new Date(t(20)) },
+        { start: new Date(t(15)), end: new Date(t(25)) },
+        { start: new Date(t(70)), end: new Date(t(80)) }
+    ];
+    assert.deepEqual(activeIntervals(0, t(60), pauses), [[0, t(10)], [t(25), t(30)], [t(40), t(60)]]);
+    assert.deepEqual(activeIntervals(0, t(60), []), [[0, t(60)]]);
+});
+
+test("pausedMs: ochiq pauza upTo gacha", () => {
+    const pauses = [
+        { start: at("2026-10-19T10:00:00"), end: at("2026-10-19T10:10:00") },
+        { start: at("2026-10-19T10:30:00") }
+    ];
+    assert.equal(pausedMs(pauses, at("2026-10-19T10:45:00")), 25 * 60000);
+    assert.equal(pausedMs(pauses, at("2026-10-19T10:05:00")), 5 * 60000);
+});
+
+test("endTimeForAmount: billSession ning teskarisi", () => {
+    const start = at("2026-10-19T10:00:00");
+    assert.deepEqual(endTimeForAmount(PS1, start, 15000, [], PRICE), at("2026-10-19T11:30:00"));
+
+    // 30 minut kunduzgi (5000) + 30 minut tungi (3000)
+    const late = at("2026-10-19T21:30:00");
+    const end = endTimeForAmount(PS1, late, 8000, [night], PRICE);
+    assert.deepEqual(end, at("2026-10-19T22:30:00"));
+    assert.equal(billSession(PS1, late, end, [night], PRICE).raw, 8000);
+
+    assert.deepEqual(endTimeForAmount(PS1, start, 0, [], PRICE), start);
+});
+
+test("summarizePayments: refund lar ayiriladi, balans alohida", () => {
+    const s = summarizePayments([
+        { kind: "play", method: "cash", amount: 20000, direction: "in" },
+        { kind: "play", method: "cash", amount: 5000, direction: "refund" },
+        { kind: "goods", method: "card", amount: 3000, direction: "in" },
+        { kind: "play", method: "balance", amount: 4000, direction: "in" },
+        { kind: "deposit", method: "cash", amount: 2000, direction: "refund" }
+    ]);
+    assert.deepEqual(s.byMethod, { cash: 13000, card: 3000 });
+    assert.deepEqual(s.byKind, { play: 19000, goods: 3000, deposit: -2000 });
+    assert.equal(s.total, 16000);
+    assert.equal(s.refunds, 7000);
+    assert.equal(s.balanceUsed, 4000);
+    assert.equal(s.cashIn, 20000);
+    assert.equal(s.cashRefunds, 7000);
+});
@@ -0,0 +1,70 @@
+// /api/customers — mijoz, balans to‘ldirish, balans/ball tuzatish va VIP yakunida balansdan yechish
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startClient, mongoOnly, MONGO } = require("./helpers");
+
+let server, api;
+test.before(async () => ({ server, api } = await startClient()));
+test.after(() => server.stop());
+
+test("MongoDB siz mijozli zakaz ochilmaydi", { skip: MONGO ? "MongoDB bor" : false }, async () => {
+    const res = await api("POST", "/order", { ps: "PS1", type: "vip", customerId: "65f000000000000000000001" });
+    assert.equal(res.status, 503);
+});
+
+test("mijoz: telefon normallashadi va takrorlanmaydi", mongoOnly, async () => {
+    const created = await api("POST", "/customers", { name: "Ali", phone: "+998 90 123-45-67" });
+    assert.equal(created.status, 200);
+    assert.equal(created.body.customer.phone, "+998901234567");
+    assert.equal((await api("POST", "/customers", { name: "Vali", phone: "+998901234567" })).status, 400);
+    assert.equal((await api("POST", "/customers", { name: " " })).status, 400);
+
+    const found = await api("GET", "/customers?q=90123");
+    assert.deepEqual(found.body.customers.map(c => c.name), ["Ali"]);
+});
+
+test("topup va VIP yakuni: balansdan yechiladi, ball qo‘shiladi", mongoOnly, async () => {
+    const { body } = await api("POST", "/customers", { name: "Sardor" });
+    const id = body.customer._id;
+    assert.equal((await api("POST", `/customers/${id}/topup`, { amount: -5 })).status, 400);
+    const topup = await api("POST", `/customers/${id}/topup`, { amount: 50000, method: "card" });
+    assert.equal(topup.body.customer.balance, 50000);
+
+    const order = (await api("POST", "/order", { ps: "PS2", type: "vip", customerId: id })).body.order;
+    const done = await api("POST", `/complete/${order._id}`);
+    assert.equal(done.status, 200);
+    assert.equal(done.body.customer.balanceCharged, done.body.order.summa);
+
+    const customer = (await api("GET", `/customers/${id}`)).body.customer;
+    assert.equal(customer.balance, 50000 - done.body.order.summa);
+    assert.equal(customer.visitCount, 1);
+    assert.deepEqual(customer.transactions.map(t => t.kind), done.body.order.summa ? ["topup", "charge"] : ["topup"]);
+});
+
+test("PUT /customers/:id: balans/ball tuzatish $inc bilan, tarixga va ledger ga yoziladi", mongoOnly, async () => {
+    const { body } = await api("POST", "/customers", { name: "Jasur" });
+    const id = body.customer._id;
+    await api("POST", `/customers/${id}/topup`, { amount: 20000 });
+
+    assert.equal((await api("PUT", `/customers/${id}`, { balance: "abc" })).status, 400);
+    const corrected = await api("PUT", `/customers/${id}`, { balance: 15000, points: 7, note: "VIP mijoz" });
+    assert.equal(corrected.status, 200);
+    assert.equal(corrected.body.customer.balance, 15000);
+    assert.equal(corrected.body.customer.points, 7);
+    assert.equal(corrected.body.customer.note, "VIP mijoz");
+    const correction = corrected.body.customer.transactions.find(t => t.kind === "correction");
+    assert.equal(correction.amount, -5000);
+
+    const payments = await api("GET", "/payments?kind=topup");
+    const mine = payments.body.payments.filter(p => p.customer === id);
+    assert.deepEqual(mine.map(p => [p.direction, p.amount, p.note || ""]).sort(), [["in", 20000, ""], ["refund", 5000, "correction"]]);
+});
+
+test("kassir ball/balansni o‘zgartira olmaydi", mongoOnly, async () => {
+    const { body } = await api("POST", "/customers", { name: "Botir" });
+    await api("POST", "/users", { username: "kassa-c", password: "secret" });
+    const { token } = await server.login("kassa-c", "secret");
+    const res = await server.request("PUT", `/customers/${body.customer._id}`, { balance: 1000000 }, token);
+    assert.equal(res.status, 403);
+});
@@ -0,0 +1,49 @@
+// /api/scheduler/run — kunni yopish: hisobot, zaxira va yakunlangan zakazlarni o‘z kuni arxiviga o‘tkazish
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startClient, mongoOnly } = require("./helpers");
+
+let server, api, token;
+test.before(async () => ({ server, api, token } = await startClient()));
+test.after(() => server.stop());
+
+// eski kunlar zakazlari — CSV import (createdAt = boshlanish vaqti)
+async function importOrders(lines) {
+    const res = await fetch(`${server.url}/api/import/orders`, {
+        method: "POST",
+        headers: { authorization: `Bearer ${token}`, "content-type": "text/csv" },
+        body: ["station,type,amount,start,end", ...lines].join("\n")
+    });
+    assert.equal(res.status, 200);
+}
+
+test("kunni yopish: tugamagan kun 400, noto‘g‘ri sana 400", mongoOnly, async () => {
+    const today = new Date(Date.now() + 5 * 3600000).toISOString().slice(0, 10);
+    assert.equal((await api("POST", "/scheduler/run", { date: today })).status, 400);
+    assert.equal((await api("POST", "/scheduler/run", { date: "2026-13-40" })).status, 400);
+});
+
+test("eski zakazlar yopilgan kunga emas, o‘z kuni arxiviga tushadi; faol zakaz qoladi", mongoOnly, async () => {
+    await importOrders([
+        "PS1,cash,20000,2026-10-01 18:00,2026-10-01 20:00",
+        "PS2,cash,10000,2026-10-05 18:00,2026-10-05 19:00",
+        "PS3,vip,15000,2026-10-05 20:00,2026-10-05 21:30"
+    ]);
+    const running = (await api("POST", "/order", { ps: "PS4", type: "vip" })).body.order;
+
+    const res = await api("POST", "/scheduler/run", { date: "2026-10-05" });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.run.status, "ok");
+    assert.equal(res.body.run.result.archived, 3);
+
+    const oct1 = await api("GET", "/archive/2026-10-01");
+    assert.deepEqual(oct1.body.archive.orders.map(o => o.ps), ["PS1"]);
+    const oct5 = await api("GET", "/archive/2026-10-05");
+    assert.deepEqual(oct5.body.archive.orders.map(o => o.ps).sort(), ["PS2", "PS3"]);
+    assert.equal(oct5.body.summary.totalSum, 25000);
+
+    const live = await api("GET", "/orders?status=process");
+    assert.deepEqual(live.body.orders.map(o => o._id), [running._id]);
+    assert.equal((await api("POST", "/scheduler/run", { date: "2026-10-05" })).status, 409);
+});
@@ -0,0 +1,64 @@
+// PS qurilmasi (smart rozetka): zakaz ochilganda yoqiladi, pauzada va yakundan keyin o‘chiriladi
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+const { startClient, waitFor, mongoOnly } = require("./helpers");
+
+let server, api, plug;
+const commands = []; // soxta Tasmota rozetkasiga kelgan buyruqlar: "On" | "Off"
+
+test.before(async () => {
+    plug = http.createServer((req, res) => {
+        const cmnd = new URL(req.url, "http://plug").searchParams.get("cmnd") || "";
+        commands.push(cmnd.split(" ").pop());
+        res.end(JSON.stringify({ POWER: cmnd.endsWith("On") ? "ON" : "OFF" }));
+    });
+    await new Promise(resolve => plug.listen(0, "127.0.0.1", resolve));
+    ({ server, api } = await startClient({ DEVICE_GRACE_SECONDS: "1" }));
+});
+test.after(async () => {
+    await server.stop();
+    plug.close();
+});
+
+test("qurilmasiz PS: ro‘yxat bo‘sh, qo‘lda boshqarish 404", async () => {
+    const res = await api("GET", "/devices");
+    assert.equal(res.status, 200);
+    assert.ok(res.body.drivers.includes("http"));
+    assert.equal((await api("POST", "/devices/PS1/on")).status, 404);
+    assert.equal((await api("POST", "/devices/PS1/reboot")).status, 400);
+});
+
+test("station qurilmasi tekshiriladi", mongoOnly, async () => {
+    assert.equal((await api("POST", "/stations", { name: "PS7", device: { driver: "zigbee" } })).status, 400);
+    assert.equal((await api("POST", "/stations", { name: "PS7", device: { driver: "http", url: "ftp://x" } })).status, 400);
+});
+
+test("zakaz: yoqiladi, pauzada o‘chadi, davomda yonadi, yakundan grace keyin o‘chadi", mongoOnly, async () => {
+    const url = `http://127.0.0.1:${plug.address().port}`;
+    assert.equal((await api("POST", "/stations", { name: "PS6", device: { driver: "http", url, model: "tasmota" } })).status, 200);
+
+    const o = (await api("POST", "/order", { ps: "PS6", type: "vip" })).body.order;
+    await waitFor(() => commands.length === 1);
+    await api("POST", `/order/${o._id}/pause`);
+    await waitFor(() => commands.length === 2);
+    await api("POST", `/order/${o._id}/resume`);
+    await waitFor(() => commands.length === 3);
+    await api("POST", `/complete/${o._id}`);
+    await waitFor(() => commands.length === 4);
+    assert.deepEqual(commands, ["On", "Off", "On", "Off"]);
+
+    const devices = (await api("GET", "/devices")).body.devices;
+    const ps6 = devices.find(d => d.station === "PS6");
+    assert.equal(ps6.state.on, false);
+    assert.equal(ps6.state.ok, true);
+});
+
+test("rozetka javob bermasa — holatda xato, qo‘lda qayta urinish mumkin", mongoOnly, async () => {
+    assert.equal((await api("POST", "/stations", { name: "PS8", device: { driver: "http", url: "http://127.0.0.1:1" } })).status, 200);
+    const res = await api("POST", "/devices/PS8/on");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.ok, false);
+    assert.ok(res.body.error);
+});
@@ -0,0 +1,76 @@
+// /api/events — SSE: zakaz o‘zgarishlari va uzilishdan keyin o‘tkazib yuborilganlar
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startClient } = require("./helpers");
+
+let server, api, token;
+test.before(async () => ({ server, api, token } = await startClient()));
+test.after(() => server.stop());
+
+// SSE oqimini ochadi; next(type) — shu turdagi navbatdagi eventni kutadi
+async function openEvents(query = "") {
+    const controller = new AbortController();
+    const res = await fetch(`${server.url}/api/events?token=${token}${query}`, { signal: controller.signal });
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+    async function next(type) {
+        for (;;) {
+            const events = buffer.split("\n\n");
+            buffer = events.pop();
+            for (let i = 0; i < events.length; i++) {
+                const line = events[i].split("\n").find(l => l.startsWith("data: "));
+                if (!line) continue;
+                const ev = JSON.parse(line.slice(6));
+                if (ev.type === type) {
+                    buffer = events.slice(i + 1).concat(buffer).join("\n\n");
+                    return ev;
+                }
+            }
+            const { value, done } = await reader.read();
+            if (done) throw new Error("SSE yopildi");
+            buffer += decoder.decode(value, { stream: true });
+        }
+    }
+    return { res, next, close: () => controller.abort() };
+}
+
+test("token siz SSE 401", async () => {
+    const res = await fetch(`${server.url}/api/events`);
+    assert.equal(res.status, 401);
+    await res.body?.cancel();
+});
+
+test("zakaz yaratish va yakunlash eventlari keladi", async () => {
+    const events = await openEvents();
+    try {
+        assert.match(events.res.headers.get("content-type"), /^text\/event-stream/);
+        const { body } = await api("POST", "/order", { ps: "PS1", type: "vip" });
+        const created = await events.next("order.created");
+        assert.equal(created.order._id, body.order._id);
+
+        await api("POST", `/complete/${body.order._id}`);
+        const completed = await events.next("order.completed");
+        assert.equal(completed.order.status, "completed");
+    } finally {
+        events.close();
+    }
+});
+
+test("lastEventId: o‘tkazib yuborilgan eventlar qayta yuboriladi", async () => {
+    const first = await openEvents();
+    const { body } = await api("POST", "/order", { ps: "PS2", type: "vip" });
+    const created = await first.next("order.created");
+    first.close();
+
+    await api("POST", `/order/${body.order._id}/pause`);
+    const again = await openEvents(`&lastEventId=${created.id}`);
+    try {
+        const missed = await again.next("order.updated");
+        assert.ok(missed.id > created.id);
+        assert.ok(missed.order.pausedAt);
+    } finally {
+        again.close();
+    }
+});
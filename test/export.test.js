@@ -0,0 +1,63 @@
+// /api/export va /api/import — CSV/XLSX eksport, CSV import (bir fayl bir marta)
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startClient, mongoOnly } = require("./helpers");
+
+let server, api, token;
+test.before(async () => ({ server, api, token } = await startClient()));
+test.after(() => server.stop());
+
+async function download(path) {
+    const res = await fetch(`${server.url}/api${path}`, { headers: { authorization: `Bearer ${token}` } });
+    return { status: res.status, type: res.headers.get("content-type"), disposition: res.headers.get("content-disposition"), body: Buffer.from(await res.arrayBuffer()) };
+}
+
+async function upload(csv, query = "") {
+    const res = await fetch(`${server.url}/api/import/orders${query}`, {
+        method: "POST",
+        headers: { authorization: `Bearer ${token}`, "content-type": "text/csv", "x-file-name": "kunlik.csv" },
+        body: csv
+    });
+    return { status: res.status, body: await res.json() };
+}
+
+test("CSV eksport: sarlavha va zakaz qatorlari", async () => {
+    const { body } = await api("POST", "/order", { ps: "PS1", type: "cash", amount: 10000 });
+    await api("POST", `/complete/${body.order._id}`);
+
+    const csv = await download("/export/orders");
+    assert.equal(csv.status, 200);
+    assert.match(csv.type, /^text\/csv/);
+    assert.match(csv.disposition, /attachment; filename="orders_\d{4}-\d{2}-\d{2}_\d{4}-\d{2}-\d{2}\.csv"/);
+    const lines = csv.body.toString("utf8").replace(/^\uFEFF/, "").trim().split(/\r?\n/);
+    assert.match(lines[0], /^orderId,externalId,station,type,status,amount/);
+    assert.equal(lines.length, 2);
+    assert.match(lines[1], /,PS1,cash,completed,/);
+
+    assert.equal((await download("/export/orders?from=bad")).status, 400);
+});
+
+test("XLSX eksport: zip fayl", async () => {
+    const xlsx = await download("/export/orders?format=xlsx");
+    assert.equal(xlsx.status, 200);
+    assert.equal(xlsx.body.subarray(0, 2).toString(), "PK");
+});
+
+test("CSV import: dryRun, noto‘g‘ri qatorlar, takror fayl 409", mongoOnly, async () => {
+    const csv = [
+        "station,type,amount,start,end",
+        "PS1,cash,20000,2026-10-01 18:00,2026-10-01 20:00",
+        "PS9,vip,10000,2026-10-01 18:00,2026-10-01 19:00",
+        "PS2,vip,abc,2026-10-01 18:00,"
+    ].join("\n");
+    const dry = await upload(csv, "?dryRun=1");
+    assert.equal(dry.status, 200);
+    assert.equal(dry.body.valid, 1);
+    assert.deepEqual(dry.body.rejected.map(r => r.row), [3, 4]);
+
+    const imported = await upload(csv);
+    assert.equal(imported.body.imported, 1);
+    assert.equal((await upload(csv)).status, 409);
+    assert.equal((await upload("station,type\nPS1,cash")).status, 400);
+});
@@ -0,0 +1,33 @@
+// /api/order/:id/extend — cash zakazni uzaytirish
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startClient } = require("./helpers");
+
+let server, api;
+test.before(async () => ({ server, api } = await startClient()));
+test.after(() => server.stop());
+
+test("cash zakaz uzaytiriladi: summa qo‘shiladi, tugash vaqti suriladi", async () => {
+    const { body } = await api("POST", "/order", { ps: "PS1", type: "cash", amount: 5000 });
+    const o = body.order;
+    const res = await api("POST", `/order/${o._id}/extend`, { amount: 5000, method: "card" });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.order.summa, 10000);
+    assert.equal(new Date(res.body.order.endTime) - new Date(o.startTime), 60 * 60000);
+
+    const payments = await api("GET", `/order/${o._id}/payments`);
+    assert.equal(payments.body.paid, 10000);
+    assert.deepEqual(payments.body.summary.byMethod, { cash: 5000, card: 5000 });
+});
+
+test("uzaytirish: noto‘g‘ri summa, VIP va yakunlangan zakaz rad etiladi", async () => {
+    const vip = (await api("POST", "/order", { ps: "PS2", type: "vip" })).body.order;
+    assert.equal((await api("POST", `/order/${vip._id}/extend`, { amount: 5000 })).status, 400);
+
+    const cash = (await api("POST", "/order", { ps: "PS3", type: "cash", amount: 5000 })).body.order;
+    assert.equal((await api("POST", `/order/${cash._id}/extend`, { amount: -100 })).status, 400);
+    assert.equal((await api("POST", `/order/${cash._id}/extend`, { amount: 1000, method: "bitcoin" })).status, 400);
+    await api("POST", `/complete/${cash._id}`);
+    assert.equal((await api("POST", `/order/${cash._id}/extend`, { amount: 1000 })).status, 400);
+});
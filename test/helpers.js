@@ -0,0 +1,177 @@
+// route testlari uchun: server.js alohida jarayonda ishga tushadi (har test fayli o‘z porti va bazasi bilan).
+// TEST_MONGO_URI berilsa — shu MongoDB da vaqtinchalik baza (test oxirida o‘chiriladi),
+// aks holda STORAGE=sqlite: MongoDB kerak bo‘lgan testlar (mongoOnly) o‘tkazib yuboriladi.
+
+const { spawn } = require("node:child_process");
+const fs = require("node:fs");
+const http = require("node:http");
+const net = require("node:net");
+const os = require("node:os");
+const path = require("node:path");
+
+const ROOT = path.join(__dirname, "..");
+const MONGO = process.env.TEST_MONGO_URI || "";
+const ADMIN = { username: "admin", password: "admin-test-pass" };
+
+// test(name, mongoOnly, fn) — mijoz, bron, ombor va h.k. faqat MongoDB da
+const mongoOnly = { skip: MONGO ? false : "TEST_MONGO_URI berilmagan" };
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const srv = net.createServer();
+        srv.unref();
+        srv.on("error", reject);
+        srv.listen(0, () => {
+            const { port } = srv.address();
+            srv.close(() => resolve(port));
+        });
+    });
+}
+
+// "mongodb://host:27017/any?opts" -> shu server, boshqa baza nomi
+function mongoDbUri(uri, name) {
+    const u = new URL(uri);
+    u.pathname = "/" + name;
+    return u.toString();
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Serverni ishga tushiradi va /api/ping javob berguncha kutadi.
+ * @param {Object} [env] qo‘shimcha muhit o‘zgaruvchilari (standartlarni bosib o‘tadi)
+ * @returns {Promise<{ url: string, dir: string, request: Function, login: Function, stop: Function, output: () => string }>}
+ */
+async function startServer(env = {}) {
+    const port = await freePort();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "psclub-test-"));
+    const dbName = `psclub_test_${process.pid}_${port}`;
+    const base = {
+        PORT: String(port),
+        NODE_ENV: "test",
+        JWT_SECRET: "test-jwt-secret-0123456789abcdef0123456789",
+        ADMIN_USER: ADMIN.username,
+        ADMIN_PASS: ADMIN.password,
+        PRICE_PER_HOUR: "10000",
+        SCHEDULER: "off",
+        TELEGRAM_MODE: "off",
+        BOT_TOKEN: "",
+        CHAT_ID: "",
+        BACKUP_DIR: path.join(dir, "backups"),
+        DEVICE_GRACE_SECONDS: "0",
+        ...(MONGO
+            ? { STORAGE: "mongo", MONGO_URI: mongoDbUri(MONGO, dbName) }
+            : { STORAGE: "sqlite", MONGO_URI: "", SQLITE_FILE: path.join(dir, "club.db") })
+    };
+    const child = spawn(process.execPath, ["server.js"], {
+        cwd: ROOT,
+        env: { PATH: process.env.PATH, HOME: process.env.HOME, ...base, ...env },
+        stdio: ["ignore", "pipe", "pipe"]
+    });
+    let output = "";
+    child.stdout.on("data", d => { output += d; });
+    child.stderr.on("data", d => { output += d; });
+    const url = `http://127.0.0.1:${port}`;
+
+    async function request(method, urlPath, body, token) {
+        const headers = {};
+        if (body !== undefined) headers["content-type"] = "application/json";
+        if (token) headers.authorization = `Bearer ${token}`;
+        const res = await fetch(url + "/api" + urlPath, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+        const text = await res.text();
+        let json = null;
+        try { json = JSON.parse(text); } catch { json = text; }
+        return { status: res.status, body: json, headers: res.headers };
+    }
+
+    async function login(username = ADMIN.username, password = ADMIN.password) {
+        const res = await request("POST", "/login", { username, password });
+        if (res.status !== 200) throw new Error(`login ${username}: ${res.status} ${JSON.stringify(res.body)}`);
+        return res.body;
+    }
+
+    async function stop() {
+        if (child.exitCode === null) {
+            const exited = new Promise(resolve => child.once("exit", resolve));
+            child.kill("SIGTERM");
+            await Promise.race([exited, sleep(5000)]);
+            if (child.exitCode === null) child.kill("SIGKILL");
+        }
+        if (MONGO) {
+            const mongoose = require("mongoose");
+            const conn = await mongoose.createConnection(base.MONGO_URI).asPromise();
+            await conn.dropDatabase();
+            await conn.close();
+        }
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    const deadline = Date.now() + 20000;
+    for (;;) {
+        if (child.exitCode !== null) throw new Error("server to‘xtadi:\n" + output);
+        try {
+            const res = await request("GET", "/ping");
+            if (res.status === 200 && /Server running/.test(output)) break;
+        } catch {
+            // hali tinglamayapti
+        }
+        if (Date.now() > deadline) {
+            child.kill("SIGKILL");
+            throw new Error("server ishga tushmadi:\n" + output);
+        }
+        await sleep(100);
+    }
+
+    return { url, dir, request, login, stop, output: () => output };
+}
+
+// login qilingan klient: api("POST", "/order", {...}) -> { status, body }
+async function startClient(env) {
+    const server = await startServer(env);
+    const { token } = await server.login();
+    const api = (method, urlPath, body) => server.request(method, urlPath, body, token);
+    return { server, api, token };
+}
+
+/**
+ * Soxta Telegram Bot API (server TELEGRAM_API_URL ga shu url ni oladi).
+ * sent — sendMessage so‘rovlari; updates — getUpdates da beriladigan update lar;
+ * reply(method, body) — o‘z javobi (masalan 429) yoki undefined (ok: true).
+ */
+async function fakeTelegram(reply = () => undefined) {
+    const sent = [];
+    const updates = [];
+    const srv = http.createServer((req, res) => {
+        let raw = "";
+        req.on("data", d => { raw += d; });
+        req.on("end", async () => {
+            const method = req.url.split("/").pop();
+            const body = raw ? JSON.parse(raw) : {};
+            let out = reply(method, body);
+            if (!out) {
+                let result = true;
+                if (method === "sendMessage") sent.push(body);
+                if (method === "getUpdates") {
+                    if (!updates.length) await sleep(200);
+                    result = updates.splice(0).filter(u => u.update_id >= (body.offset || 0));
+                }
+                out = { ok: true, result };
+            }
+            res.setHeader("content-type", "application/json");
+            res.end(JSON.stringify(out));
+        });
+    });
+    await new Promise(resolve => srv.listen(0, "127.0.0.1", resolve));
+    return { url: `http://127.0.0.1:${srv.address().port}`, sent, updates, close: () => srv.close() };
+}
+
+// shart bajarilguncha kutadi (masalan fon jarayoni Telegram ga yuborguncha)
+async function waitFor(check, ms = 5000) {
+    const deadline = Date.now() + ms;
+    while (!(await check())) {
+        if (Date.now() > deadline) throw new Error("kutish vaqti tugadi");
+        await sleep(50);
+    }
+}
+
+module.exports = { startServer, startClient, fakeTelegram, waitFor, mongoOnly, MONGO, ADMIN, sleep };
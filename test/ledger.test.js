@@ -0,0 +1,84 @@
+// to‘lovlar daftari (Payment) va PUT /order/:id — har bir pul harakati yoziladi, tahrir to‘lovlarni buzmaydi
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startClient } = require("./helpers");
+
+let server, api;
+test.before(async () => ({ server, api } = await startClient()));
+test.after(() => server.stop());
+
+const paymentsOf = async id => (await api("GET", `/order/${id}/payments`)).body;
+
+test("cash zakaz: ochilish, uzaytirish va erta yakunlash qaytimi ledger da", async () => {
+    const o = (await api("POST", "/order", { ps: "PS1", type: "cash", amount: 20000 })).body.order;
+    await api("POST", `/order/${o._id}/extend`, { amount: 10000, method: "card" });
+    const done = await api("POST", `/complete/${o._id}`);
+    assert.equal(done.status, 200);
+    assert.ok(done.body.qaytish > 0);
+
+    const { payments, paid, summary } = await paymentsOf(o._id);
+    assert.deepEqual(payments.map(p => [p.kind, p.method, p.direction]), [
+        ["play", "cash", "in"], ["play", "card", "in"], ["play", "cash", "refund"]
+    ]);
+    assert.equal(paid, 30000 - done.body.qaytish);
+    assert.equal(summary.refunds, done.body.qaytish);
+    assert.equal((await api("POST", `/complete/${o._id}`)).status, 409);
+});
+
+test("GET /payments: usul bo‘yicha filtr va jami", async () => {
+    const res = await api("GET", "/payments?method=card");
+    assert.equal(res.status, 200);
+    assert.ok(res.body.payments.every(p => p.method === "card"));
+    assert.equal(res.body.summary.byMethod.card, 10000);
+    assert.equal((await api("GET", "/payments?from=bad")).status, 400);
+});
+
+test("PUT /order/:id: summa o‘zgarsa farq correction bo‘lib yoziladi, tugash vaqti qayta hisoblanadi", async () => {
+    const o = (await api("POST", "/order", { ps: "PS2", type: "cash", amount: 10000 })).body.order;
+    const edited = await api("PUT", `/order/${o._id}`, { amount: 5000 });
+    assert.equal(edited.status, 200);
+    assert.equal(new Date(edited.body.order.endTime) - new Date(o.startTime), 30 * 60000);
+
+    const { payments, paid } = await paymentsOf(o._id);
+    assert.equal(paid, 5000);
+    assert.deepEqual(payments.at(-1), { ...payments.at(-1), direction: "refund", amount: 5000, note: "correction" });
+    assert.equal((await api("PUT", `/order/${o._id}`, { amount: 0 })).status, 400);
+    assert.equal((await api("PUT", `/order/${o._id}`, { amount: "abc" })).status, 400);
+});
+
+test("PUT /order/:id: startTime tekshiriladi va cash tugash vaqti undan qayta hisoblanadi", async () => {
+    const o = (await api("POST", "/order", { ps: "PS3", type: "cash", amount: 10000 })).body.order;
+    assert.equal((await api("PUT", `/order/${o._id}`, { startTime: "kecha" })).status, 400);
+
+    const start = new Date(Date.now() - 20 * 60000);
+    const edited = await api("PUT", `/order/${o._id}`, { startTime: start.toISOString() });
+    assert.equal(edited.status, 200);
+    assert.equal(new Date(edited.body.order.startTime).getTime(), start.getTime());
+    assert.equal(new Date(edited.body.order.endTime) - start, 60 * 60000);
+});
+
+test("PUT /order/:id: status, noto‘g‘ri tur va band PS rad etiladi", async () => {
+    const a = (await api("POST", "/order", { ps: "PS4", type: "vip" })).body.order;
+    await api("POST", "/order", { ps: "PS5", type: "vip" });
+    assert.equal((await api("PUT", `/order/${a._id}`, { status: "completed" })).status, 400);
+    assert.equal((await api("PUT", `/order/${a._id}`, { type: "free" })).status, 400);
+    assert.equal((await api("PUT", `/order/${a._id}`, { ps: "PS5" })).status, 400);
+    assert.equal((await api("PUT", `/order/${a._id}`, { type: "cash" })).status, 400);
+    assert.equal((await api("PUT", `/order/${a._id}`, { amount: 1000 })).status, 400); // VIP summa oshirilmaydi
+});
+
+test("cash dan VIP ga: olingan pul yakunda summadan ayiriladi, ortig‘i qaytariladi", async () => {
+    const free = await api("GET", "/orders?status=process");
+    const busy = new Set(free.body.orders.map(o => o.ps));
+    const ps = ["PS1", "PS2", "PS3", "PS4", "PS5"].find(name => !busy.has(name));
+    const o = (await api("POST", "/order", { ps, type: "cash", amount: 20000 })).body.order;
+    const vip = await api("PUT", `/order/${o._id}`, { type: "vip" });
+    assert.equal(vip.status, 200);
+    assert.equal(vip.body.order.endTime, null);
+
+    const done = await api("POST", `/complete/${o._id}`);
+    assert.equal(done.body.qaytish, 20000 - done.body.order.summa);
+    const { paid } = await paymentsOf(o._id);
+    assert.equal(paid, done.body.order.summa);
+});
@@ -0,0 +1,72 @@
+// /api/payme — Merchant API: autentifikatsiya, tranzaksiya yaratish/bajarish idempotentligi, bekor qilish
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startClient, mongoOnly } = require("./helpers");
+const { PAYME_ERRORS, PAYME_STATE, paymeAuthHeader } = require("../merchant");
+
+const KEY = "payme-test-key";
+let server, api;
+test.before(async () => ({ server, api } = await startClient({ PAYME_KEY: KEY })));
+test.after(() => server.stop());
+
+let rpcId = 1;
+async function payme(method, params, auth = paymeAuthHeader("Paycom", KEY)) {
+    const res = await fetch(`${server.url}/api/payme`, {
+        method: "POST",
+        headers: { "content-type": "application/json", authorization: auth },
+        body: JSON.stringify({ jsonrpc: "2.0", id: rpcId++, method, params })
+    });
+    assert.equal(res.status, 200);
+    return res.json();
+}
+
+test("noto‘g‘ri kalit va noma’lum metod", async () => {
+    const denied = await payme("CheckPerformTransaction", {}, paymeAuthHeader("Paycom", "wrong"));
+    assert.equal(denied.error.code, PAYME_ERRORS.AUTH.code);
+    const unknown = await payme("Hack", {});
+    assert.equal(unknown.error.code, PAYME_ERRORS.METHOD_NOT_FOUND.code);
+});
+
+test("Create → Perform: cash zakaz ochiladi, takror Perform yangi zakaz ochmaydi", mongoOnly, async () => {
+    const params = { id: "tx-1", time: Date.now(), amount: 2000000, account: { station: "PS1" } };
+    const created = await payme("CreateTransaction", params);
+    assert.equal(created.result.state, PAYME_STATE.CREATED);
+    assert.deepEqual((await payme("CreateTransaction", params)).result, created.result);
+
+    const performed = await payme("PerformTransaction", { id: "tx-1" });
+    assert.equal(performed.result.state, PAYME_STATE.PERFORMED);
+    assert.deepEqual((await payme("PerformTransaction", { id: "tx-1" })).result, performed.result);
+
+    const running = (await api("GET", "/orders?status=process")).body.orders;
+    assert.deepEqual(running.map(o => [o.ps, o.type, o.summa]), [["PS1", "cash", 20000]]);
+});
+
+test("takror CreateTransaction: boshqa summa yoki PS — xato", mongoOnly, async () => {
+    const params = { id: "tx-2", time: Date.now(), amount: 1000000, account: { station: "PS2" } };
+    await payme("CreateTransaction", params);
+    const amount = await payme("CreateTransaction", { ...params, amount: 5000000 });
+    assert.equal(amount.error.code, PAYME_ERRORS.WRONG_AMOUNT.code);
+    const station = await payme("CreateTransaction", { ...params, account: { station: "PS3" } });
+    assert.equal(station.error.code, PAYME_ERRORS.ACCOUNT.code);
+    assert.equal(station.error.data, "station");
+
+    const cancelled = await payme("CancelTransaction", { id: "tx-2", reason: 5 });
+    assert.equal(cancelled.result.state, PAYME_STATE.CANCELLED);
+    assert.equal((await payme("PerformTransaction", { id: "tx-2" })).error.code, PAYME_ERRORS.CANNOT_PERFORM.code);
+});
+
+test("yo‘q PS va bajarilgan to‘lovni bekor qilish — zakaz summasi qaytadi", mongoOnly, async () => {
+    const missing = await payme("CheckPerformTransaction", { amount: 1000000, account: { station: "PS9" } });
+    assert.equal(missing.error.code, PAYME_ERRORS.ACCOUNT.code);
+
+    await payme("CreateTransaction", { id: "tx-3", time: Date.now(), amount: 1000000, account: { station: "PS1" } });
+    await payme("PerformTransaction", { id: "tx-3" });
+    let ps1 = (await api("GET", "/orders?status=process")).body.orders.find(o => o.ps === "PS1");
+    assert.equal(ps1.summa, 30000);
+
+    const cancelled = await payme("CancelTransaction", { id: "tx-3", reason: 5 });
+    assert.equal(cancelled.result.state, PAYME_STATE.CANCELLED_AFTER_PERFORM);
+    ps1 = (await api("GET", "/orders?status=process")).body.orders.find(o => o.ps === "PS1");
+    assert.equal(ps1.summa, 20000);
+});
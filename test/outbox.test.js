@@ -0,0 +1,74 @@
+// Telegram outbox — xabarlar navbatdan tartib bilan, 429 da kutib, 4xx da "failed" bo‘lib yuboriladi
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startClient, fakeTelegram, waitFor, mongoOnly, MONGO } = require("./helpers");
+
+const OPS_CHAT = "-100";
+const BOSS_CHAT = "-200";
+const BLOCKED_CHAT = "-403";
+
+let tg, server, api;
+let limited = 0; // shuncha sendMessage 429 oladi
+test.before(async () => {
+    tg = await fakeTelegram((method, body) => {
+        if (method !== "sendMessage") return undefined;
+        if (body.chat_id === BLOCKED_CHAT) return { ok: false, error_code: 403, description: "Forbidden: bot was blocked by the user" };
+        if (limited > 0) {
+            limited--;
+            return { ok: false, error_code: 429, description: "Too Many Requests", parameters: { retry_after: 1 } };
+        }
+        return undefined;
+    });
+    ({ server, api } = await startClient({
+        BOT_TOKEN: "test-token", CHAT_ID: OPS_CHAT, TELEGRAM_API_URL: tg.url,
+        TELEGRAM_ROUTES: `order.complete:${OPS_CHAT},${BOSS_CHAT};order.update:;shift:${BLOCKED_CHAT}`
+    }));
+});
+test.after(async () => {
+    await server.stop();
+    tg.close();
+});
+
+test("SQLite rejimida xabarlar lokal outbox da kutadi", { skip: MONGO ? "MongoDB bor" : false }, async () => {
+    await api("POST", "/order", { ps: "PS1", type: "vip" });
+    assert.equal((await api("GET", "/notifications")).status, 409);
+    const pending = (await api("GET", "/storage")).body.pending;
+    assert.ok(Object.values(pending).some(n => n > 0));
+    assert.equal(tg.sent.length, 0);
+});
+
+test("event marshruti: yakunlash ikki chat ga, uzaytirish hech qayerga", mongoOnly, async () => {
+    const o = (await api("POST", "/order", { ps: "PS2", type: "cash", amount: 10000 })).body.order;
+    await api("POST", `/order/${o._id}/extend`, { amount: 5000 });
+    await api("POST", `/complete/${o._id}`);
+    await waitFor(() => tg.sent.length >= 3);
+    assert.deepEqual(tg.sent.map(m => m.chat_id), [OPS_CHAT, OPS_CHAT, BOSS_CHAT]);
+    assert.match(tg.sent[0].text, /Yangi Zakaz/);
+    assert.ok(tg.sent.slice(1).every(m => /Zakaz yakunlandi/.test(m.text)));
+});
+
+test("429: retry_after kutiladi, xabarlar tartibi buzilmaydi", mongoOnly, async () => {
+    tg.sent.length = 0;
+    limited = 1;
+    await api("POST", "/order", { ps: "PS3", type: "vip" });
+    await api("POST", "/order", { ps: "PS4", type: "vip" });
+    await waitFor(() => tg.sent.length >= 2, 10000);
+    assert.deepEqual(tg.sent.map(m => m.text.match(/PS: (PS\d)/)[1]), ["PS3", "PS4"]);
+});
+
+test("4xx — failed, qayta yuborish navbatga qaytaradi", mongoOnly, async () => {
+    await api("POST", "/shifts/open", { openingFloat: 0 });
+    let failed;
+    await waitFor(async () => {
+        failed = (await api("GET", "/notifications?status=failed")).body;
+        return failed.messages.length > 0;
+    });
+    assert.equal(failed.messages[0].chatId, BLOCKED_CHAT);
+    assert.match(failed.messages[0].lastError, /^403/);
+    assert.deepEqual(failed.routes.find(r => r.event === "order.update").chats, []);
+
+    const resent = await api("POST", `/notifications/${failed.messages[0]._id}/resend`);
+    assert.equal(resent.body.message.status, "pending");
+    assert.equal(resent.body.message.attempts, 0);
+});
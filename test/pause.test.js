@@ -0,0 +1,40 @@
+// /api/order/:id/pause va /resume — pauza vaqti hisoblanmaydi, cash tugash vaqti suriladi
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startClient, sleep } = require("./helpers");
+
+let server, api;
+test.before(async () => ({ server, api } = await startClient()));
+test.after(() => server.stop());
+
+test("pauza va davom: cash tugash vaqti pauza davomiga suriladi", async () => {
+    const { body } = await api("POST", "/order", { ps: "PS1", type: "cash", amount: 10000 });
+    const id = body.order._id;
+    const endTime = new Date(body.order.endTime).getTime();
+
+    const paused = await api("POST", `/order/${id}/pause`);
+    assert.equal(paused.status, 200);
+    assert.ok(paused.body.order.pausedAt);
+    assert.equal((await api("POST", `/order/${id}/pause`)).status, 400);
+
+    await sleep(300);
+    const resumed = await api("POST", `/order/${id}/resume`);
+    assert.equal(resumed.status, 200);
+    assert.equal(resumed.body.order.pausedAt, null);
+    assert.equal(resumed.body.order.pauses.length, 1);
+    assert.ok(new Date(resumed.body.order.endTime).getTime() >= endTime + 300);
+    assert.equal((await api("POST", `/order/${id}/resume`)).status, 400);
+});
+
+test("pauzada yakunlash: ochiq pauza yopiladi", async () => {
+    const { body } = await api("POST", "/order", { ps: "PS2", type: "vip" });
+    const id = body.order._id;
+    await api("POST", `/order/${id}/pause`);
+    const done = await api("POST", `/complete/${id}`);
+    assert.equal(done.status, 200);
+    assert.equal(done.body.order.status, "completed");
+    assert.equal(done.body.order.pausedAt, null);
+    assert.ok(done.body.order.pauses[0].end);
+    assert.equal((await api("POST", `/order/${id}/pause`)).status, 400);
+});
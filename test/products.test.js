@@ -0,0 +1,56 @@
+// /api/products, /api/sales va zakazga mahsulot qo‘shish — ombor qoldig‘i va hisob
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startClient, mongoOnly } = require("./helpers");
+
+let server, api;
+test.before(async () => ({ server, api } = await startClient()));
+test.after(() => server.stop());
+
+async function product(name, price, stock) {
+    const res = await api("POST", "/products", { name, price, stock });
+    assert.equal(res.status, 200);
+    return res.body.product;
+}
+
+const stockOf = async id => (await api("GET", "/products?all=1")).body.products.find(p => p._id === id).stock;
+
+test("mahsulot: nomi/narx majburiy, takror nom va manfiy qoldiq rad etiladi", mongoOnly, async () => {
+    assert.equal((await api("POST", "/products", { name: "Cola" })).status, 400);
+    assert.equal((await api("POST", "/products", { name: "Cola", price: 8000, stock: -1 })).status, 400);
+    await product("Cola", 8000, 10);
+    assert.equal((await api("POST", "/products", { name: "Cola", price: 9000 })).status, 400);
+});
+
+test("zakazga mahsulot: qoldiq kamayadi, o‘chirilsa qaytadi, yakunda jami summa", mongoOnly, async () => {
+    const chips = await product("Chips", 5000, 3);
+    const order = (await api("POST", "/order", { ps: "PS1", type: "cash", amount: 10000 })).body.order;
+
+    assert.equal((await api("POST", `/order/${order._id}/items`, { productId: chips._id, qty: 5 })).status, 400);
+    const added = await api("POST", `/order/${order._id}/items`, { productId: chips._id, qty: 2 });
+    assert.equal(added.status, 200);
+    assert.equal(await stockOf(chips._id), 1);
+
+    await api("POST", `/order/${order._id}/items`, { productId: chips._id, qty: 1 });
+    assert.equal((await api("DELETE", `/order/${order._id}/items/1`)).status, 200);
+    assert.equal(await stockOf(chips._id), 1);
+
+    const done = await api("POST", `/complete/${order._id}`);
+    assert.equal(done.body.goodsSumma, 10000);
+    assert.equal(done.body.totalSumma, done.body.playSumma + 10000);
+});
+
+test("kassa sotuvi va bekor qilish: ombor va ledger", mongoOnly, async () => {
+    const water = await product("Suv", 3000, 5);
+    const sale = await api("POST", "/sales", { items: [{ productId: water._id, qty: 2 }], method: "card" });
+    assert.equal(sale.status, 200);
+    assert.equal(sale.body.sale.total, 6000);
+    assert.equal(await stockOf(water._id), 3);
+
+    assert.equal((await api("DELETE", `/sales/${sale.body.sale._id}`)).status, 200);
+    assert.equal(await stockOf(water._id), 5);
+    const payments = await api("GET", "/payments?kind=sale");
+    const mine = payments.body.payments.filter(p => p.sale === sale.body.sale._id);
+    assert.deepEqual(mine.map(p => p.direction).sort(), ["in", "refund"]);
+});
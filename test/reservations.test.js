@@ -0,0 +1,73 @@
+// /api/reservations — to‘qnashuv, oldindan to‘lov (depozit) qaytarilishi va zakazga o‘tkazilishi
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startClient, mongoOnly } = require("./helpers");
+
+let server, api;
+test.before(async () => ({ server, api } = await startClient()));
+test.after(() => server.stop());
+
+const inMinutes = m => new Date(Date.now() + m * 60000).toISOString();
+
+async function reserve(fields) {
+    const res = await api("POST", "/reservations", { customerName: "Ali", durationMinutes: 60, ...fields });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    return res.body.reservation;
+}
+
+const depositPayments = async id =>
+    (await api("GET", "/payments?kind=deposit")).body.payments.filter(p => p.reservation === id);
+
+test("bron: majburiy maydonlar, o‘tgan vaqt va to‘qnashuv rad etiladi", mongoOnly, async () => {
+    assert.equal((await api("POST", "/reservations", { station: "PS1", customerName: "Ali", start: inMinutes(60) })).status, 400);
+    assert.equal((await api("POST", "/reservations", { station: "PS1", customerName: "Ali", start: inMinutes(-120), durationMinutes: 60 })).status, 400);
+    await reserve({ station: "PS1", start: inMinutes(120) });
+    assert.equal((await api("POST", "/reservations", { station: "PS1", customerName: "Vali", start: inMinutes(150), durationMinutes: 60 })).status, 409);
+});
+
+test("bekor qilinsa depozit qaytariladi (ledger da refund), qayta bekor qilish 0", mongoOnly, async () => {
+    const r = await reserve({ station: "PS2", start: inMinutes(120), deposit: 20000 });
+    const cancelled = await api("PUT", `/reservations/${r._id}`, { status: "cancelled" });
+    assert.equal(cancelled.status, 200);
+    assert.equal(cancelled.body.refunded, 20000);
+    assert.equal(cancelled.body.reservation.deposit, 0);
+    assert.equal((await api("PUT", `/reservations/${r._id}`, { status: "cancelled" })).body.refunded, 0);
+
+    const payments = await depositPayments(r._id);
+    assert.deepEqual(payments.map(p => [p.direction, p.amount]).sort(), [["in", 20000], ["refund", 20000]]);
+});
+
+test("o‘chirilsa depozit qaytariladi", mongoOnly, async () => {
+    const r = await reserve({ station: "PS3", start: inMinutes(120), deposit: 15000, depositMethod: "card" });
+    const deleted = await api("DELETE", `/reservations/${r._id}`);
+    assert.equal(deleted.body.refunded, 15000);
+    const payments = await depositPayments(r._id);
+    assert.equal(payments.reduce((sum, p) => sum + (p.direction === "refund" ? -p.amount : p.amount), 0), 0);
+    assert.ok(payments.every(p => p.method === "card"));
+});
+
+test("bron zakazga aylanadi: cash — depozit summaga qo‘shiladi", mongoOnly, async () => {
+    const r = await reserve({ station: "PS4", start: inMinutes(5), deposit: 5000 });
+    const res = await api("POST", "/order", { ps: "PS4", type: "cash", amount: 5000, reservationId: r._id });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.order.summa, 10000);
+    assert.equal(new Date(res.body.order.endTime) - new Date(res.body.order.startTime), 60 * 60000);
+
+    const paid = await api("GET", `/order/${res.body.order._id}/payments`);
+    assert.equal(paid.body.paid, 10000);
+    const reservation = (await api("GET", "/reservations?station=PS4")).body.reservations[0];
+    assert.equal(reservation.status, "arrived");
+    // ishlatilgan bron qayta zakazga aylanmaydi
+    await api("POST", `/complete/${res.body.order._id}`);
+    assert.equal((await api("POST", "/order", { ps: "PS4", type: "vip", reservationId: r._id })).status, 404);
+});
+
+test("bron zakazga aylanadi: VIP — depozit yakunda ayiriladi, ortig‘i qaytariladi", mongoOnly, async () => {
+    const r = await reserve({ station: "PS5", start: inMinutes(5), deposit: 30000 });
+    const order = (await api("POST", "/order", { ps: "PS5", type: "vip", reservationId: r._id })).body.order;
+    const done = await api("POST", `/complete/${order._id}`);
+    assert.equal(done.status, 200);
+    assert.equal(done.body.qaytish, 30000 - done.body.order.summa);
+    assert.equal(done.body.paid, done.body.order.summa);
+});
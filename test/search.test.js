@@ -0,0 +1,67 @@
+// GET /orders — filtrlar, qidiruv, saralash va kursor bilan sahifalash
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startClient } = require("./helpers");
+
+let server, api;
+const created = [];
+test.before(async () => {
+    ({ server, api } = await startClient());
+    const specs = [["PS1", "cash", 10000], ["PS2", "vip"], ["PS3", "cash", 30000], ["PS4", "cash", 20000], ["PS5", "vip"]];
+    for (const [ps, type, amount] of specs) {
+        created.push((await api("POST", "/order", { ps, type, amount })).body.order);
+    }
+    await api("POST", `/complete/${created[0]._id}`);
+    await api("DELETE", `/order/${created[4]._id}`);
+});
+test.after(() => server.stop());
+
+test("status, tur, PS va summa filtrlari", async () => {
+    const running = await api("GET", "/orders?status=process");
+    assert.equal(running.body.total, 3);
+
+    const cash = await api("GET", "/orders?status=process&type=cash&sort=summa");
+    assert.deepEqual(cash.body.orders.map(o => o.ps), ["PS4", "PS3"]);
+
+    const byStation = await api("GET", "/orders?station=PS1,PS2");
+    assert.deepEqual(byStation.body.orders.map(o => o.ps).sort(), ["PS1", "PS2"]);
+
+    const range = await api("GET", "/orders?min=15000&max=25000");
+    assert.deepEqual(range.body.orders.map(o => o.ps), ["PS4"]);
+
+    const trash = await api("GET", "/trash");
+    assert.deepEqual(trash.body.orders.map(o => o.ps), ["PS5"]);
+});
+
+test("orderId bo‘yicha qidiruv (#12 yoki 12)", async () => {
+    const id = created[2].orderId;
+    const res = await api("GET", `/orders?q=${encodeURIComponent("#" + id)}`);
+    assert.deepEqual(res.body.orders.map(o => o.orderId), [id]);
+});
+
+test("kursor: sahifalar takrorlanmaydi va hammasi keladi", async () => {
+    const seen = [];
+    let cursor = "";
+    for (let page = 0; page < 10; page++) {
+        const res = await api("GET", `/orders?limit=2${cursor ? "&cursor=" + cursor : ""}`);
+        assert.equal(res.status, 200);
+        seen.push(...res.body.orders.map(o => o.orderId));
+        cursor = res.body.nextCursor;
+        if (!cursor) break;
+    }
+    assert.deepEqual(seen, created.map(o => o.orderId).reverse());
+});
+
+test("noto‘g‘ri parametrlar 400", async () => {
+    for (const query of ["status=done", "type=free", "sort=password", "from=19.10.2026", "min=abc", "cursor=xyz", "dateField=foo"]) {
+        assert.equal((await api("GET", `/orders?${query}`)).status, 400, query);
+    }
+});
+
+test("GET /orders/summary: status bo‘yicha soni va summasi", async () => {
+    const res = await api("GET", "/orders/summary");
+    assert.equal(res.body.count, 5);
+    assert.equal(res.body.byStatus.process.count, 3);
+    assert.equal(res.body.byStatus.trash.count, 1);
+});
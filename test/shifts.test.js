@@ -0,0 +1,44 @@
+// /api/shifts — kassa smenasi: ochish, kutilgan naqd va yopishdagi farq
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startClient, mongoOnly } = require("./helpers");
+
+let server, api;
+test.before(async () => ({ server, api } = await startClient()));
+test.after(() => server.stop());
+
+test("smena: bitta ochiq smena, naqd tushum va qaytim bilan kutilgan summa", mongoOnly, async () => {
+    assert.equal((await api("POST", "/shifts/open", { openingFloat: -1 })).status, 400);
+    const opened = await api("POST", "/shifts/open", { openingFloat: 50000 });
+    assert.equal(opened.status, 200);
+    assert.equal((await api("POST", "/shifts/open", { openingFloat: 0 })).status, 400);
+
+    const cash = (await api("POST", "/order", { ps: "PS1", type: "cash", amount: 20000 })).body.order;
+    assert.equal(cash.shift, opened.body.shift._id);
+    await api("POST", "/order", { ps: "PS2", type: "cash", amount: 10000, method: "card" });
+    await api("PUT", `/order/${cash._id}`, { amount: 15000 }); // 5000 naqd qaytarildi
+
+    const current = await api("GET", "/shifts/current");
+    assert.equal(current.body.totals.expectedCash, 50000 + 20000 - 5000);
+    assert.equal(current.body.totals.orderCount, 2);
+
+    assert.equal((await api("POST", "/shifts/close", {})).status, 400);
+    const closed = await api("POST", "/shifts/close", { counted: 60000, note: "kam" });
+    assert.equal(closed.status, 200);
+    assert.equal(closed.body.shift.discrepancy, -5000);
+    assert.equal((await api("POST", "/shifts/close", { counted: 0 })).status, 400);
+
+    const detail = await api("GET", `/shifts/${opened.body.shift._id}`);
+    assert.equal(detail.body.orders.length, 2);
+});
+
+test("kassir boshqa kassir smenasini yopa olmaydi", mongoOnly, async () => {
+    await api("POST", "/users", { username: "kassa-s1", password: "secret" });
+    await api("POST", "/users", { username: "kassa-s2", password: "secret" });
+    const first = (await server.login("kassa-s1", "secret")).token;
+    const second = (await server.login("kassa-s2", "secret")).token;
+    assert.equal((await server.request("POST", "/shifts/open", { openingFloat: 0 }, first)).status, 200);
+    assert.equal((await server.request("POST", "/shifts/close", { counted: 0 }, second)).status, 403);
+    assert.equal((await server.request("POST", "/shifts/close", { counted: 0 }, first)).status, 200);
+});
@@ -0,0 +1,49 @@
+// /api/stations — PS ro‘yxati, nomi tekshiruvi, band PS ni o‘chirib bo‘lmasligi
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startClient, mongoOnly } = require("./helpers");
+
+let server, api;
+test.before(async () => ({ server, api } = await startClient()));
+test.after(() => server.stop());
+
+test("GET /stations: standart PS1–PS5", async () => {
+    const res = await api("GET", "/stations");
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.stations.map(st => st.name), ["PS1", "PS2", "PS3", "PS4", "PS5"]);
+});
+
+test("zakaz faqat mavjud va faol PS ga ochiladi", async () => {
+    const res = await api("POST", "/order", { ps: "PS9", type: "vip" });
+    assert.equal(res.status, 400);
+});
+
+test("POST /stations: yangi PS, takror nom va HTML li nom rad etiladi", mongoOnly, async () => {
+    const created = await api("POST", "/stations", { name: "PS6", consoleType: "PS5", sortOrder: 6 });
+    assert.equal(created.status, 200);
+    assert.equal(created.body.station.cssClass, "ps-bg-PS6");
+
+    assert.equal((await api("POST", "/stations", { name: "PS6" })).status, 400);
+    assert.equal((await api("POST", "/stations", { name: "<img src=x onerror=alert(1)>" })).status, 400);
+    assert.equal((await api("POST", "/stations", { name: "PS7", cssClass: "\" onmouseover=\"x" })).status, 400);
+
+    const order = await api("POST", "/order", { ps: "PS6", type: "vip" });
+    assert.equal(order.status, 200);
+});
+
+test("PUT /stations/:id: band PS o‘chirilmaydi, nomi o‘zgarsa faol zakaz ham ko‘chadi", mongoOnly, async () => {
+    const { body } = await api("POST", "/stations", { name: "PS8" });
+    const id = body.station._id;
+    const order = await api("POST", "/order", { ps: "PS8", type: "vip" });
+    assert.equal(order.status, 200);
+
+    assert.equal((await api("PUT", `/stations/${id}`, { active: false })).status, 400);
+    assert.equal((await api("DELETE", `/stations/${id}`)).status, 400);
+    assert.equal((await api("PUT", `/stations/${id}`, { name: "bad'name" })).status, 400);
+
+    const renamed = await api("PUT", `/stations/${id}`, { name: "PS8 Pro" });
+    assert.equal(renamed.status, 200);
+    const running = await api("GET", "/orders?status=process");
+    assert.ok(running.body.orders.some(o => o.ps === "PS8 Pro"));
+});
@@ -0,0 +1,55 @@
+// STORAGE=sqlite — MongoDB siz ishlash: zakazlar lokal faylda, qayta ishga tushganda saqlanadi, outbox navbati
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { startServer } = require("./helpers");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "psclub-sqlite-"));
+const env = { STORAGE: "sqlite", MONGO_URI: "", SQLITE_FILE: path.join(dir, "club.db") };
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+async function client() {
+    const server = await startServer(env);
+    const { token } = await server.login();
+    return { server, api: (method, urlPath, body) => server.request(method, urlPath, body, token) };
+}
+
+test("offline: standart PS lar, zakaz va to‘lovlar lokal yoziladi", async () => {
+    const { server, api } = await client();
+    try {
+        const storage = await api("GET", "/storage");
+        assert.equal(storage.body.kind, "sqlite");
+        assert.equal(storage.body.mongo, false);
+
+        const o = (await api("POST", "/order", { ps: "PS1", type: "cash", amount: 10000 })).body.order;
+        assert.equal(o.orderId, 1);
+        await api("POST", `/complete/${o._id}`);
+        assert.equal((await api("POST", "/order", { ps: "PS2", type: "vip" })).status, 200);
+
+        const pending = (await api("GET", "/storage")).body.pending;
+        assert.ok(Object.values(pending).some(n => n > 0));
+        assert.equal((await api("POST", "/storage/sync")).status, 409);
+        assert.equal((await api("GET", "/analytics")).status, 409);
+    } finally {
+        await server.stop();
+    }
+});
+
+test("qayta ishga tushganda zakazlar, to‘lovlar va orderId hisoblagichi saqlanadi", async () => {
+    const { server, api } = await client();
+    try {
+        const running = (await api("GET", "/orders?status=process")).body.orders;
+        assert.deepEqual(running.map(o => o.ps), ["PS2"]);
+        const completed = (await api("GET", "/orders?status=completed")).body.orders;
+        assert.equal(completed.length, 1);
+        assert.ok((await api("GET", `/order/${completed[0]._id}/payments`)).body.paid > 0);
+
+        const next = (await api("POST", "/order", { ps: "PS3", type: "vip" })).body.order;
+        assert.equal(next.orderId, 3);
+    } finally {
+        await server.stop();
+    }
+});
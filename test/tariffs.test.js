@@ -0,0 +1,43 @@
+// /api/tariffs — narxni oldindan ko‘rish, tarif CRUD va yakunlashda tarif bo‘yicha hisob
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startClient, mongoOnly } = require("./helpers");
+
+let server, api;
+test.before(async () => ({ server, api } = await startClient()));
+test.after(() => server.stop());
+
+const at = clock => `${clock}+05:00`; // Toshkent vaqti
+
+test("GET /tariffs/quote: standart narx va cash tugash vaqti", async () => {
+    const quote = await api("GET", `/tariffs/quote?ps=PS1&start=${encodeURIComponent(at("2026-10-19T10:00:00"))}&end=${encodeURIComponent(at("2026-10-19T11:30:00"))}`);
+    assert.equal(quote.status, 200);
+    assert.equal(quote.body.summa, 15000);
+
+    const end = await api("GET", `/tariffs/quote?ps=PS1&start=${encodeURIComponent(at("2026-10-19T10:00:00"))}&amount=5000`);
+    assert.equal(new Date(end.body.endTime).getTime(), new Date(at("2026-10-19T10:30:00")).getTime());
+
+    assert.equal((await api("GET", "/tariffs/quote?start=bad")).status, 400);
+});
+
+test("cash zakaz: tugash vaqti summadan hisoblanadi", async () => {
+    const res = await api("POST", "/order", { ps: "PS2", type: "cash", amount: 5000 });
+    assert.equal(res.status, 200);
+    const o = res.body.order;
+    assert.equal(new Date(o.endTime) - new Date(o.startTime), 30 * 60000);
+    assert.equal((await api("POST", "/order", { ps: "PS3", type: "cash", amount: 0 })).status, 400);
+});
+
+test("POST /tariffs: tungi tarif, noto‘g‘ri vaqt va takror nom rad etiladi", mongoOnly, async () => {
+    const night = { name: "Tungi", pricePerHour: 6000, timeFrom: "22:00", timeTo: "08:00", priority: 1 };
+    assert.equal((await api("POST", "/tariffs", { ...night, timeFrom: "25:00" })).status, 400);
+    const created = await api("POST", "/tariffs", night);
+    assert.equal(created.status, 200);
+    assert.equal((await api("POST", "/tariffs", night)).status, 400);
+
+    const quote = await api("GET", `/tariffs/quote?ps=PS1&start=${encodeURIComponent(at("2026-10-19T21:30:00"))}&end=${encodeURIComponent(at("2026-10-19T22:30:00"))}`);
+    assert.deepEqual(quote.body.segments.map(s => [s.tariff, s.cost]), [["Standart", 5000], ["Tungi", 3000]]);
+
+    assert.equal((await api("DELETE", `/tariffs/${created.body.tariff._id}`)).status, 200);
+});
@@ -0,0 +1,72 @@
+// Telegram bot buyruqlari — soxta Bot API server (TELEGRAM_API_URL) bilan webhook va polling rejimlari
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, startClient, fakeTelegram, waitFor, sleep } = require("./helpers");
+
+const SECRET = "webhook-test-secret";
+const ALLOWED = 42;
+
+let nextUpdateId = 1;
+const message = (text, fromId = ALLOWED) => ({ message_id: nextUpdateId, chat: { id: 777 }, from: { id: fromId, username: "boss" }, text });
+
+test("webhook: secret siz 403, ruxsatsiz user rad etiladi, /start va /complete zakaz ochadi/yopadi", async () => {
+    const tg = await fakeTelegram();
+    const { server, api } = await startClient({
+        TELEGRAM_MODE: "webhook", TELEGRAM_WEBHOOK_SECRET: SECRET, TELEGRAM_API_URL: tg.url,
+        BOT_TOKEN: "test-token", TELEGRAM_ALLOWED_USERS: String(ALLOWED)
+    });
+    const hook = (update, secret = SECRET) => fetch(`${server.url}/api/telegram/webhook`, {
+        method: "POST",
+        headers: { "content-type": "application/json", "x-telegram-bot-api-secret-token": secret },
+        body: JSON.stringify({ update_id: nextUpdateId++, ...update })
+    });
+    try {
+        assert.equal((await hook({ message: message("/start PS1 vip") }, "wrong")).status, 403);
+
+        await hook({ message: message("/start PS1 vip", 13) });
+        await waitFor(() => tg.sent.length === 1);
+        assert.match(tg.sent[0].text, /Ruxsat yo‘q/);
+
+        await hook({ message: message("/start ps2 cash 10000") });
+        await waitFor(() => tg.sent.length === 2);
+        assert.match(tg.sent[1].text, /PS2 ochildi/);
+        const running = await api("GET", "/orders?status=process");
+        assert.deepEqual(running.body.orders.map(o => [o.ps, o.createdBy]), [["PS2", "tg:boss"]]);
+
+        await hook({ message: message("/status") });
+        await waitFor(() => tg.sent.length === 3);
+        assert.match(tg.sent[2].text, /PS2<\/b> — CASH/);
+        assert.match(tg.sent[2].text, /PS1<\/b> — bo‘sh/);
+
+        // tahrirlangan buyruq qayta bajarilmaydi
+        await hook({ edited_message: message("/complete PS2") });
+        await hook({ message: message("/complete PS2") });
+        await waitFor(() => tg.sent.length === 4);
+        assert.match(tg.sent[3].text, /PS2 yakunlandi/);
+        await sleep(200);
+        assert.equal(tg.sent.length, 4);
+    } finally {
+        await server.stop();
+        tg.close();
+    }
+});
+
+test("polling: update lar bajariladi, SIGTERM da tsikl to‘xtab server chiqadi", async () => {
+    const tg = await fakeTelegram();
+    const server = await startServer({
+        TELEGRAM_MODE: "polling", TELEGRAM_API_URL: tg.url,
+        BOT_TOKEN: "test-token", TELEGRAM_ALLOWED_USERS: String(ALLOWED)
+    });
+    try {
+        tg.updates.push({ update_id: nextUpdateId++, message: message("/help") });
+        await waitFor(() => tg.sent.length === 1);
+        assert.match(tg.sent[0].text, /PS Club bot/);
+    } finally {
+        const started = Date.now();
+        await server.stop();
+        assert.ok(Date.now() - started < 4000, "server SIGTERM dan keyin chiqishi kerak");
+        assert.match(server.output(), /SIGTERM: server to‘xtatilmoqda/);
+        tg.close();
+    }
+});
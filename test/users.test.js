@@ -0,0 +1,52 @@
+// /api/login va /api/users — xodim akkauntlari va rollar
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startClient, mongoOnly, ADMIN } = require("./helpers");
+
+let server, api;
+test.before(async () => ({ server, api } = await startClient()));
+test.after(() => server.stop());
+
+test("login: noto‘g‘ri parol 401, token siz so‘rov 401", async () => {
+    assert.equal((await server.request("POST", "/login", { username: ADMIN.username })).status, 400);
+    assert.equal((await server.request("POST", "/login", { username: ADMIN.username, password: "wrong" })).status, 401);
+    assert.equal((await server.request("GET", "/orders")).status, 401);
+    assert.equal((await server.request("GET", "/orders", undefined, "not-a-token")).status, 401);
+
+    const me = await api("GET", "/me");
+    assert.equal(me.body.user.username, ADMIN.username);
+    assert.equal(me.body.user.role, "owner");
+});
+
+test("POST /users: kassir yaratiladi, xato username va qisqa parol rad etiladi", mongoOnly, async () => {
+    assert.equal((await api("POST", "/users", { username: "<b>x</b>", password: "secret" })).status, 400);
+    assert.equal((await api("POST", "/users", { username: "kassa1", password: "123" })).status, 400);
+    assert.equal((await api("POST", "/users", { username: "kassa1", password: "secret", role: "root" })).status, 400);
+
+    const created = await api("POST", "/users", { username: "kassa1", password: "secret" });
+    assert.equal(created.status, 200);
+    assert.equal(created.body.user.role, "cashier");
+    assert.equal((await api("POST", "/users", { username: "kassa1", password: "secret" })).status, 400);
+});
+
+test("kassir: zakaz ochadi, lekin manager/owner amallari 403", mongoOnly, async () => {
+    await api("POST", "/users", { username: "kassa2", password: "secret" });
+    const { token } = await server.login("kassa2", "secret");
+    const cashier = (method, path, body) => server.request(method, path, body, token);
+
+    assert.equal((await cashier("POST", "/order", { ps: "PS1", type: "vip" })).status, 200);
+    assert.equal((await cashier("GET", "/users")).status, 403);
+    assert.equal((await cashier("POST", "/stations", { name: "PS9" })).status, 403);
+    assert.equal((await cashier("GET", "/audit")).status, 403);
+});
+
+test("oxirgi owner bloklanmaydi, bloklangan xodim kira olmaydi", mongoOnly, async () => {
+    const { body } = await api("GET", "/users");
+    const owner = body.users.find(u => u.username === ADMIN.username);
+    assert.equal((await api("PUT", `/users/${owner._id}`, { role: "manager" })).status, 400);
+
+    const created = await api("POST", "/users", { username: "kassa3", password: "secret" });
+    await api("PUT", `/users/${created.body.user._id}`, { active: false });
+    assert.equal((await server.request("POST", "/login", { username: "kassa3", password: "secret" })).status, 401);
+});
@@ -0,0 +1,26 @@
+// "vaqt tugayapti" — cash zakaz tugashidan SESSION_WARN_MINUTES oldin ogohlantirish (tekshiruv har 30 soniyada)
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startClient, waitFor } = require("./helpers");
+
+let server, api;
+test.before(async () => ({ server, api } = await startClient({ SESSION_WARN_MINUTES: "10,5" })));
+test.after(() => server.stop());
+
+test("o‘tgan chegaralar uchun bitta ogohlantirish, pauzadagi zakaz ogohlantirilmaydi", { timeout: 60000 }, async () => {
+    const soon = (await api("POST", "/order", { ps: "PS1", type: "cash", amount: 1000 })).body.order; // 6 minut
+    const paused = (await api("POST", "/order", { ps: "PS2", type: "cash", amount: 1000 })).body.order;
+    await api("POST", `/order/${paused._id}/pause`);
+    const later = (await api("POST", "/order", { ps: "PS3", type: "cash", amount: 10000 })).body.order; // 1 soat
+
+    const byId = async () => new Map((await api("GET", "/orders?status=process")).body.orders.map(o => [o._id, o]));
+    let orders;
+    await waitFor(async () => {
+        orders = await byId();
+        return orders.get(soon._id).warnedMinutes.length > 0;
+    }, 45000);
+    assert.deepEqual(orders.get(soon._id).warnedMinutes, [10]);
+    assert.deepEqual(orders.get(paused._id).warnedMinutes, []);
+    assert.deepEqual(orders.get(later._id).warnedMinutes, []);
+});